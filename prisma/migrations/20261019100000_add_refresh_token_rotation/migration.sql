@@ -0,0 +1,7 @@
+-- AlterEnum
+ALTER TYPE "EventType" ADD VALUE 'REFRESH_TOKEN_REUSE';
+
+-- AlterTable
+ALTER TABLE "UserSession" ADD COLUMN     "previousTokenHash" TEXT,
+ADD COLUMN     "rotatedAt" TIMESTAMP(3),
+ADD COLUMN     "rotationCount" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,26 @@
+-- AlterEnum
+ALTER TYPE "EventType" ADD VALUE 'NEW_DEVICE_LOGIN';
+ALTER TYPE "EventType" ADD VALUE 'SUSPICIOUS_LOGIN_REPORTED';
+
+-- CreateTable
+CREATE TABLE "UserKnownDevice" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "fingerprint" TEXT NOT NULL,
+    "label" TEXT,
+    "countries" TEXT[] DEFAULT ARRAY[]::TEXT[],
+    "lastIp" TEXT,
+    "firstSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "UserKnownDevice_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "UserKnownDevice_userId_fingerprint_key" ON "UserKnownDevice"("userId", "fingerprint");
+
+-- CreateIndex
+CREATE INDEX "UserKnownDevice_userId_idx" ON "UserKnownDevice"("userId");
+
+-- AddForeignKey
+ALTER TABLE "UserKnownDevice" ADD CONSTRAINT "UserKnownDevice_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "AccountPurge" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "emailHash" TEXT,
+    "deletedAt" TIMESTAMP(3) NOT NULL,
+    "stage" TEXT NOT NULL,
+    "status" "JobStatus" NOT NULL DEFAULT 'PENDING',
+    "outcome" TEXT,
+    "stats" JSONB,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "completedAt" TIMESTAMP(3),
+
+    CONSTRAINT "AccountPurge_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "AccountPurge_userId_idx" ON "AccountPurge"("userId");
+
+-- CreateIndex
+CREATE INDEX "AccountPurge_status_createdAt_idx" ON "AccountPurge"("status", "createdAt");
@@ -0,0 +1,8 @@
+-- AlterEnum
+ALTER TYPE "EventType" ADD VALUE 'ACCOUNT_LOCKED';
+
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "failedLoginAttempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "lastFailedLoginAt" TIMESTAMP(3),
+ADD COLUMN     "lockedUntil" TIMESTAMP(3),
+ADD COLUMN     "lockoutCount" INTEGER NOT NULL DEFAULT 0;
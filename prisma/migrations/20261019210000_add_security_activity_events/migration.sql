@@ -0,0 +1,15 @@
+-- AlterEnum
+-- This migration adds more than one value to an enum.
+-- With PostgreSQL versions 11 and earlier, this is not possible
+-- in a single migration. This can be worked around by creating
+-- multiple migrations, each migration adding only one value to
+-- the enum.
+
+
+ALTER TYPE "EventType" ADD VALUE 'PASSWORD_CHANGED';
+ALTER TYPE "EventType" ADD VALUE 'EMAIL_CHANGED';
+ALTER TYPE "EventType" ADD VALUE 'ACCOUNT_SWITCHED';
+ALTER TYPE "EventType" ADD VALUE 'SESSION_REVOKED';
+
+-- CreateIndex
+CREATE INDEX "UserEvent_userId_eventType_createdAt_idx" ON "UserEvent"("userId", "eventType", "createdAt");
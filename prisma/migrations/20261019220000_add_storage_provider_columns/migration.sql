@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "avatarStorageProvider" TEXT,
+ADD COLUMN     "coverImageStorageProvider" TEXT;
+
+-- AlterTable
+ALTER TABLE "Tweet" ADD COLUMN     "imageStorageProvider" TEXT;
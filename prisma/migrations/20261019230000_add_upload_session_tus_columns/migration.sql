@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "UploadSession" ADD COLUMN     "fileName" TEXT,
+ADD COLUMN     "mimeType" TEXT,
+ADD COLUMN     "publicId" TEXT,
+ADD COLUMN     "storageProvider" TEXT,
+ADD COLUMN     "storedAt" TIMESTAMP(3);
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "hlsRenditions" JSONB,
+ADD COLUMN     "hlsStoragePrefix" TEXT;
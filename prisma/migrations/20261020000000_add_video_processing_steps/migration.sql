@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "VideoProcessingStep" AS ENUM ('PROBE', 'TRANSCODE', 'THUMBNAILS', 'TRANSCRIPT', 'MODERATION_SCAN', 'PUBLISH');
+
+-- AlterTable
+ALTER TABLE "VideoProcessingJob" ADD COLUMN     "attempts" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "maxAttempts" INTEGER NOT NULL DEFAULT 1,
+ADD COLUMN     "result" JSONB,
+ADD COLUMN     "step" "VideoProcessingStep";
@@ -0,0 +1,15 @@
+-- AlterEnum
+ALTER TYPE "JobType" ADD VALUE 'SCHEDULED_PUBLISH';
+
+-- AlterTable
+ALTER TABLE "Tweet" ADD COLUMN     "isPublished" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN     "publishAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "publishAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "Tweet_ownerId_publishAt_idx" ON "Tweet"("ownerId", "publishAt");
+
+-- CreateIndex
+CREATE INDEX "Video_ownerId_publishAt_idx" ON "Video"("ownerId", "publishAt");
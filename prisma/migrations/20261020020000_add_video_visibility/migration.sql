@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "VideoVisibility" AS ENUM ('PUBLIC', 'UNLISTED', 'PRIVATE');
+
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "visibility" "VideoVisibility" NOT NULL DEFAULT 'PUBLIC';
+
+-- CreateTable
+CREATE TABLE "VideoShare" (
+    "id" TEXT NOT NULL,
+    "videoId" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "VideoShare_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Video_isDeleted_isPublished_visibility_createdAt_idx" ON "Video"("isDeleted", "isPublished", "visibility", "createdAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VideoShare_videoId_userId_key" ON "VideoShare"("videoId", "userId");
+
+-- CreateIndex
+CREATE INDEX "VideoShare_userId_idx" ON "VideoShare"("userId");
+
+-- AddForeignKey
+ALTER TABLE "VideoShare" ADD CONSTRAINT "VideoShare_videoId_fkey" FOREIGN KEY ("videoId") REFERENCES "Video"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "VideoShare" ADD CONSTRAINT "VideoShare_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
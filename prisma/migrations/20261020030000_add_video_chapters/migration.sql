@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "chapters" JSONB,
+ADD COLUMN     "chaptersSource" TEXT;
@@ -0,0 +1,19 @@
+-- DropIndex
+DROP INDEX "VideoTranscript_videoId_key";
+
+-- Existing single transcripts become each video's default track.
+UPDATE "VideoTranscript" SET "language" = 'und' WHERE "language" IS NULL OR btrim("language") = '';
+
+-- AlterTable
+ALTER TABLE "VideoTranscript" ADD COLUMN     "isDefault" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "label" TEXT,
+ALTER COLUMN "language" SET NOT NULL,
+ALTER COLUMN "language" SET DEFAULT 'und';
+
+UPDATE "VideoTranscript" SET "isDefault" = true;
+
+-- CreateIndex
+CREATE INDEX "VideoTranscript_videoId_isDefault_idx" ON "VideoTranscript"("videoId", "isDefault");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "VideoTranscript_videoId_language_key" ON "VideoTranscript"("videoId", "language");
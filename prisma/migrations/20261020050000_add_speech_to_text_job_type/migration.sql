@@ -0,0 +1,2 @@
+-- AlterEnum
+ALTER TYPE "JobType" ADD VALUE 'SPEECH_TO_TEXT';
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "LoginAlertToken" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "sessionId" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "usedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoginAlertToken_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LoginAlertToken_userId_idx" ON "LoginAlertToken"("userId");
+
+-- CreateIndex
+CREATE INDEX "LoginAlertToken_expiresAt_idx" ON "LoginAlertToken"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "LoginAlertToken" ADD CONSTRAINT "LoginAlertToken_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
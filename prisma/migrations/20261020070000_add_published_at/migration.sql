@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "Tweet" ADD COLUMN     "publishedAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "Video" ADD COLUMN     "publishedAt" TIMESTAMP(3);
+
+-- Backfill: until now scheduled publishing moved createdAt to the publish time.
+UPDATE "Tweet" SET "publishedAt" = "createdAt" WHERE "isPublished" = true;
+UPDATE "Video" SET "publishedAt" = "createdAt" WHERE "isPublished" = true;
+
+-- CreateIndex
+CREATE INDEX "Tweet_isDeleted_ownerId_publishedAt_idx" ON "Tweet"("isDeleted", "ownerId", "publishedAt");
+
+-- CreateIndex
+CREATE INDEX "Video_isDeleted_isPublished_visibility_publishedAt_idx" ON "Video"("isDeleted", "isPublished", "visibility", "publishedAt");
+
+-- CreateIndex
+CREATE INDEX "Video_ownerId_publishedAt_idx" ON "Video"("ownerId", "publishedAt");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "BackgroundJob" ADD COLUMN     "idempotencyKey" TEXT;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "BackgroundJob_idempotencyKey_key" ON "BackgroundJob"("idempotencyKey");
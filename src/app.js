@@ -29,7 +29,9 @@ import feedbackRoutes from "./routes/feedback.routes.js";
 import searchRoutes from "./routes/search.routes.js";
 import internalRoutes from "./routes/internal.routes.js";
 import adminRouter from "./routes/admin.routes.js";
+import storageRouter, { localFileRouter } from "./routes/storage.routes.js";
 import { normalizeOrigin, parseAllowedOrigins } from "./config/cors.config.js";
+import { TUS_EXPOSED_HEADERS } from "./services/tusUpload.service.js";
 
 import passport from "passport";
 import "./config/passport.js";
@@ -65,6 +67,7 @@ app.use(
       }
     },
     credentials: true,
+    exposedHeaders: TUS_EXPOSED_HEADERS,
   })
 );
 
@@ -111,6 +114,8 @@ app.use("/api/v1/feedback", feedbackRoutes);
 app.use("/api/v1/search", searchRoutes);
 app.use("/api/v1/internal", internalRoutes);
 app.use("/api/v1/admin", adminRouter);
+app.use("/api/v1/storage", storageRouter);
+app.use("/storage", localFileRouter);
 
 
 app.get("/", (req, res) => {
@@ -41,9 +41,19 @@ const envSchema = z
     GOOGLE_CLIENT_SECRET: z.string().optional(),
     GOOGLE_CALLBACK_URL: z.string().optional(),
     GOOGLE_FORCE_CALLBACK_URL: z.string().optional(),
+    GITHUB_CLIENT_ID: z.string().optional(),
+    GITHUB_CLIENT_SECRET: z.string().optional(),
+    GITHUB_CALLBACK_URL: z.string().optional(),
+    GITHUB_FORCE_CALLBACK_URL: z.string().optional(),
     CLOUDINARY_CLOUD_NAME: z.string().optional(),
     CLOUDINARY_API_KEY: z.string().optional(),
     CLOUDINARY_API_SECRET: z.string().optional(),
+    STORAGE_PROVIDER: z.string().optional(),
+    S3_BUCKET: z.string().optional(),
+    S3_ACCESS_KEY_ID: z.string().optional(),
+    S3_SECRET_ACCESS_KEY: z.string().optional(),
+    SPEECH_TO_TEXT_PROVIDER: z.string().optional(),
+    SPEECH_TO_TEXT_HTTP_URL: z.string().optional(),
     ADMIN_PANEL_ENABLED: z.string().optional(),
     ADMIN_BOOTSTRAP_EMAILS: z.string().optional(),
     ADMIN_FRONTEND_URL: z.string().optional(),
@@ -77,6 +87,13 @@ const hasAnyGoogleEnv = (env) =>
       cleanEnv(env.GOOGLE_CALLBACK_URL)
   );
 
+const hasAnyGitHubEnv = (env) =>
+  Boolean(
+    cleanEnv(env.GITHUB_CLIENT_ID) ||
+      cleanEnv(env.GITHUB_CLIENT_SECRET) ||
+      cleanEnv(env.GITHUB_CALLBACK_URL)
+  );
+
 const hasAnyCloudinaryEnv = (env) =>
   Boolean(
     cleanEnv(env.CLOUDINARY_CLOUD_NAME) ||
@@ -195,6 +212,22 @@ export const validateRuntimeEnv = () => {
     pushIssue(errors, "GOOGLE_FORCE_CALLBACK_URL=true requires GOOGLE_CALLBACK_URL");
   }
 
+  if (hasAnyGitHubEnv(env)) {
+    if (!cleanEnv(env.GITHUB_CLIENT_ID)) {
+      pushIssue(errors, "GITHUB_CLIENT_ID is required when GitHub OAuth is configured");
+    }
+    if (!cleanEnv(env.GITHUB_CLIENT_SECRET)) {
+      pushIssue(errors, "GITHUB_CLIENT_SECRET is required when GitHub OAuth is configured");
+    }
+    if (!cleanEnv(env.GITHUB_CALLBACK_URL)) {
+      pushIssue(errors, "GITHUB_CALLBACK_URL is required when GitHub OAuth is configured");
+    }
+  }
+
+  if (parseBool(env.GITHUB_FORCE_CALLBACK_URL, false) && !cleanEnv(env.GITHUB_CALLBACK_URL)) {
+    pushIssue(errors, "GITHUB_FORCE_CALLBACK_URL=true requires GITHUB_CALLBACK_URL");
+  }
+
   if (hasAnyCloudinaryEnv(env)) {
     if (!cleanEnv(env.CLOUDINARY_CLOUD_NAME)) {
       pushIssue(errors, "CLOUDINARY_CLOUD_NAME is required when Cloudinary is configured");
@@ -207,6 +240,50 @@ export const validateRuntimeEnv = () => {
     }
   }
 
+  const storageProvider = cleanEnv(env.STORAGE_PROVIDER).toLowerCase() || "cloudinary";
+  if (!["cloudinary", "local", "s3"].includes(storageProvider)) {
+    pushIssue(errors, 'STORAGE_PROVIDER must be "cloudinary", "local" or "s3"');
+  }
+
+  if (storageProvider === "cloudinary" && !hasAnyCloudinaryEnv(env)) {
+    pushIssue(
+      warnings,
+      "STORAGE_PROVIDER is cloudinary but Cloudinary is not configured; media uploads will fail."
+    );
+  }
+
+  if (storageProvider === "s3") {
+    if (!cleanEnv(env.S3_BUCKET)) {
+      pushIssue(errors, "S3_BUCKET is required when STORAGE_PROVIDER=s3");
+    }
+    if (Boolean(cleanEnv(env.S3_ACCESS_KEY_ID)) !== Boolean(cleanEnv(env.S3_SECRET_ACCESS_KEY))) {
+      pushIssue(errors, "S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY must be set together");
+    }
+  }
+
+  if (storageProvider === "local" && nodeEnv === "production") {
+    pushIssue(
+      warnings,
+      "STORAGE_PROVIDER=local in production keeps media on this instance's disk only."
+    );
+  }
+
+  const speechProvider = cleanEnv(env.SPEECH_TO_TEXT_PROVIDER).toLowerCase() || "none";
+  if (!["none", "local", "http"].includes(speechProvider)) {
+    pushIssue(errors, 'SPEECH_TO_TEXT_PROVIDER must be "none", "local" or "http"');
+  }
+
+  if (speechProvider === "http" && !cleanEnv(env.SPEECH_TO_TEXT_HTTP_URL)) {
+    pushIssue(errors, "SPEECH_TO_TEXT_HTTP_URL is required when SPEECH_TO_TEXT_PROVIDER=http");
+  }
+
+  if (speechProvider === "local" && nodeEnv === "production") {
+    pushIssue(
+      errors,
+      "SPEECH_TO_TEXT_PROVIDER=local is a test stand-in and cannot be used in production"
+    );
+  }
+
   if (cleanEnv(env.FRONTEND_URL) && cleanEnv(env.CORS_ORIGIN) && !includesOrigin(env.CORS_ORIGIN, env.FRONTEND_URL)) {
     pushIssue(
       warnings,
@@ -1,8 +1,16 @@
 import passport from "passport";
 import { Strategy as GoogleStrategy } from "passport-google-oauth20";
+import { Strategy as GitHubStrategy } from "passport-github2";
 import crypto from "crypto";
 import prisma from "../db/prisma.js";
-import uploadOnCloudinary from "../utils/cloudinary.js";
+import { getDefaultStorage } from "../storage/index.js";
+import {
+  findIdentity,
+  getProviderLabel,
+  linkOAuthIdentity,
+  touchIdentity,
+} from "../services/identity.service.js";
+import { isUsernameTaken } from "../services/username.service.js";
 
 const googleOAuthConfigured = Boolean(
   process.env.GOOGLE_CLIENT_ID &&
@@ -10,6 +18,12 @@ const googleOAuthConfigured = Boolean(
     process.env.GOOGLE_CALLBACK_URL
 );
 
+const githubOAuthConfigured = Boolean(
+  process.env.GITHUB_CLIENT_ID &&
+    process.env.GITHUB_CLIENT_SECRET &&
+    process.env.GITHUB_CALLBACK_URL
+);
+
 const USERNAME_MAX_LENGTH = 30;
 const USERNAME_MIN_LENGTH = 3;
 
@@ -42,16 +56,17 @@ const trimBaseForSuffix = (base, suffix) => {
   return trimmed || "user";
 };
 
-const buildUsernameCandidates = ({ fullName, email, googleId }) => {
+const buildUsernameCandidates = ({ fullName, email, providerId, preferredUsername }) => {
   const emailLocal = String(email || "").split("@")[0] || "";
-  const googleTail = String(googleId || "").slice(-6);
+  const providerTail = String(providerId || "").slice(-6);
 
   const seeds = [
+    preferredUsername,
     fullName,
     emailLocal,
     `${fullName}_${emailLocal}`,
-    `user_${googleTail}`,
-    `vixora_${googleTail}`,
+    `user_${providerTail}`,
+    `vixora_${providerTail}`,
   ];
 
   const seen = new Set();
@@ -78,48 +93,49 @@ const isUniqueConstraintError = (error, fieldName) => {
   return false;
 };
 
-const generateUniqueUsername = async ({ fullName, email, googleId }) => {
-  const baseCandidates = buildUsernameCandidates({ fullName, email, googleId });
+const generateUniqueUsername = async ({
+  fullName,
+  email,
+  providerId,
+  preferredUsername,
+}) => {
+  const baseCandidates = buildUsernameCandidates({
+    fullName,
+    email,
+    providerId,
+    preferredUsername,
+  });
 
   for (const base of baseCandidates) {
-    const existing = await prisma.user.findUnique({
-      where: { username: base },
-      select: { id: true },
-    });
-    if (!existing) return base;
+    if (!(await isUsernameTaken(base))) return base;
 
     for (let counter = 1; counter <= 120; counter += 1) {
       const suffix = `_${counter}`;
       const candidate = `${trimBaseForSuffix(base, suffix)}${suffix}`;
-      const duplicate = await prisma.user.findUnique({
-        where: { username: candidate },
-        select: { id: true },
-      });
-      if (!duplicate) return candidate;
+      if (!(await isUsernameTaken(candidate))) return candidate;
     }
   }
 
   for (let attempt = 0; attempt < 20; attempt += 1) {
     const suffix = `_${crypto.randomBytes(3).toString("hex")}`;
     const candidate = `${trimBaseForSuffix("user", suffix)}${suffix}`;
-    const duplicate = await prisma.user.findUnique({
-      where: { username: candidate },
-      select: { id: true },
-    });
-    if (!duplicate) return candidate;
+    if (!(await isUsernameTaken(candidate))) return candidate;
   }
 
   throw new Error("Failed to generate unique username");
 };
 
-const ensureGoogleUserHasUsername = async (user, profile) => {
+const ensureOAuthUserHasUsername = async (user, identity) => {
   if (user?.username) return user;
 
-  const generatedUsername = await generateUniqueUsername({
-    fullName: user?.fullName || profile?.displayName || "",
-    email: user?.email || profile?.emails?.[0]?.value || "",
-    googleId: profile?.id || user?.providerId || "",
-  });
+  const usernameSeed = {
+    fullName: user?.fullName || identity.fullName || "",
+    email: user?.email || identity.email || "",
+    providerId: identity.providerId || user?.providerId || "",
+    preferredUsername: identity.preferredUsername,
+  };
+
+  const generatedUsername = await generateUniqueUsername(usernameSeed);
 
   try {
     return await prisma.user.update({
@@ -128,11 +144,7 @@ const ensureGoogleUserHasUsername = async (user, profile) => {
     });
   } catch (error) {
     if (isUniqueConstraintError(error, "username")) {
-      const retryUsername = await generateUniqueUsername({
-        fullName: user?.fullName || profile?.displayName || "",
-        email: user?.email || profile?.emails?.[0]?.value || "",
-        googleId: profile?.id || user?.providerId || "",
-      });
+      const retryUsername = await generateUniqueUsername(usernameSeed);
       return prisma.user.update({
         where: { id: user.id },
         data: { username: retryUsername },
@@ -142,6 +154,152 @@ const ensureGoogleUserHasUsername = async (user, profile) => {
   }
 };
 
+const importProviderAvatar = async ({ provider, avatarUrl }) => {
+  if (!avatarUrl) return { avatar: null, avatarPublicId: null, avatarStorageProvider: null };
+
+  const storage = getDefaultStorage();
+  const uploadedAvatar = await storage.uploadFile(avatarUrl, {
+    folder: `avatars/${provider.toLowerCase()}`,
+    resourceType: "image",
+  });
+
+  return {
+    avatar: uploadedAvatar?.url || null,
+    avatarPublicId: uploadedAvatar?.publicId || null,
+    avatarStorageProvider: uploadedAvatar?.publicId ? storage.name : null,
+  };
+};
+
+/*
+  Shared matching for every OAuth provider, driven by UserIdentity:
+  1. identity already linked -> that user
+  2. legacy account of the same provider with the same email -> backfill identity
+  3. otherwise a new account (email collisions with other accounts must be
+     linked explicitly from settings, never merged silently)
+*/
+const resolveOAuthUser = async (identity) => {
+  const { provider, providerId, email, fullName, avatarUrl } = identity;
+  const providerLabel = getProviderLabel(provider);
+
+  const linkedIdentity = await findIdentity({ provider, providerId });
+
+  if (linkedIdentity) {
+    if (linkedIdentity.user.isDeleted) {
+      return { user: false, info: { message: "Account deleted. Please restore." } };
+    }
+    await touchIdentity(linkedIdentity.id);
+    const user = await ensureOAuthUserHasUsername(linkedIdentity.user, identity);
+    return { user };
+  }
+
+  if (!email) {
+    return { user: false, info: { message: `${providerLabel} account has no email` } };
+  }
+
+  const existingEmailUser = await prisma.user.findUnique({
+    where: { email },
+    include: { identities: { select: { provider: true } } },
+  });
+
+  if (existingEmailUser) {
+    const hasProviderIdentity = existingEmailUser.identities.some(
+      (item) => item.provider === provider
+    );
+
+    if (existingEmailUser.authProvider === provider && !hasProviderIdentity) {
+      if (existingEmailUser.isDeleted) {
+        return { user: false, info: { message: "Account deleted. Please restore." } };
+      }
+
+      await prisma.userIdentity.create({
+        data: {
+          userId: existingEmailUser.id,
+          provider,
+          providerId,
+          email,
+          lastUsedAt: new Date(),
+        },
+      });
+
+      let user = await prisma.user.update({
+        where: { id: existingEmailUser.id },
+        data: {
+          providerId: existingEmailUser.providerId || providerId,
+          emailVerified: true,
+        },
+      });
+      user = await ensureOAuthUserHasUsername(user, identity);
+      return { user };
+    }
+
+    return {
+      user: false,
+      info: {
+        message: `Email already registered. Sign in and link ${providerLabel} from account settings.`,
+      },
+    };
+  }
+
+  const { avatar, avatarPublicId, avatarStorageProvider } = await importProviderAvatar({
+    provider,
+    avatarUrl,
+  });
+
+  const buildCreateData = (username) => ({
+    fullName: fullName || username,
+    email,
+    username,
+    avatar,
+    avatarPublicId,
+    avatarStorageProvider,
+    authProvider: provider,
+    providerId,
+    emailVerified: true,
+    password: null,
+    identities: {
+      create: { provider, providerId, email, lastUsedAt: new Date() },
+    },
+  });
+
+  const usernameSeed = {
+    fullName,
+    email,
+    providerId,
+    preferredUsername: identity.preferredUsername,
+  };
+
+  let user;
+  try {
+    user = await prisma.user.create({
+      data: buildCreateData(await generateUniqueUsername(usernameSeed)),
+    });
+  } catch (error) {
+    if (!isUniqueConstraintError(error, "username")) {
+      throw error;
+    }
+
+    user = await prisma.user.create({
+      data: buildCreateData(await generateUniqueUsername(usernameSeed)),
+    });
+  }
+
+  return { user };
+};
+
+// Link mode is decided by the controller (signed link cookie + matching state)
+// before passport runs, so the verify callback only has to branch on it.
+const toPassportVerify = (mapProfile) => async (req, accessToken, refreshToken, profile, done) => {
+  try {
+    const identity = mapProfile(profile);
+    const { user, info } = req.oauthLinkUserId
+      ? await linkOAuthIdentity({ userId: req.oauthLinkUserId, identity })
+      : await resolveOAuthUser(identity);
+    return done(null, user, info);
+  } catch (error) {
+    return done(error);
+  }
+};
+
 if (googleOAuthConfigured) {
   passport.use(
     new GoogleStrategy(
@@ -149,129 +307,15 @@ if (googleOAuthConfigured) {
         clientID: process.env.GOOGLE_CLIENT_ID,
         clientSecret: process.env.GOOGLE_CLIENT_SECRET,
         callbackURL: process.env.GOOGLE_CALLBACK_URL,
+        passReqToCallback: true,
       },
-      async (accessToken, refreshToken, profile, done) => {
-        try {
-          const googleId = profile.id;
-          const email = profile.emails?.[0]?.value?.toLowerCase();
-          const fullName = profile.displayName;
-          const googleAvatarUrl = profile.photos?.[0]?.value;
-
-          if (!email) {
-            return done(null, false, {
-              message: "Google account has no email",
-            });
-          }
-
-          let user = await prisma.user.findFirst({
-            where: {
-              providerId: googleId,
-              authProvider: "GOOGLE",
-            },
-          });
-
-          if (user) {
-            if (user.isDeleted) {
-              return done(null, false, {
-                message: "Account deleted. Please restore.",
-              });
-            }
-            user = await ensureGoogleUserHasUsername(user, profile);
-            return done(null, user);
-          }
-
-          const existingEmailUser = await prisma.user.findUnique({
-            where: { email },
-          });
-
-          if (existingEmailUser) {
-            if (existingEmailUser.authProvider === "GOOGLE") {
-              if (existingEmailUser.isDeleted) {
-                return done(null, false, {
-                  message: "Account deleted. Please restore.",
-                });
-              }
-
-              user = await prisma.user.update({
-                where: { id: existingEmailUser.id },
-                data: {
-                  providerId: existingEmailUser.providerId || googleId,
-                  emailVerified: true,
-                },
-              });
-              user = await ensureGoogleUserHasUsername(user, profile);
-              return done(null, user);
-            }
-
-            return done(null, false, {
-              message: "Email already registered using password",
-            });
-          }
-
-          let avatar = null;
-          let avatarPublicId = null;
-
-          if (googleAvatarUrl) {
-            const uploadedAvatar = await uploadOnCloudinary(googleAvatarUrl, {
-              folder: "avatars/google",
-              resource_type: "image",
-            });
-
-            avatar = uploadedAvatar?.secure_url || null;
-            avatarPublicId = uploadedAvatar?.public_id || null;
-          }
-
-          const generatedUsername = await generateUniqueUsername({
-            fullName,
-            email,
-            googleId,
-          });
-
-          try {
-            user = await prisma.user.create({
-              data: {
-                fullName,
-                email,
-                username: generatedUsername,
-                avatar,
-                avatarPublicId,
-                authProvider: "GOOGLE",
-                providerId: googleId,
-                emailVerified: true,
-                password: null,
-              },
-            });
-          } catch (error) {
-            if (!isUniqueConstraintError(error, "username")) {
-              throw error;
-            }
-
-            const retryUsername = await generateUniqueUsername({
-              fullName,
-              email,
-              googleId,
-            });
-
-            user = await prisma.user.create({
-              data: {
-                fullName,
-                email,
-                username: retryUsername,
-                avatar,
-                avatarPublicId,
-                authProvider: "GOOGLE",
-                providerId: googleId,
-                emailVerified: true,
-                password: null,
-              },
-            });
-          }
-
-          return done(null, user);
-        } catch (error) {
-          return done(error);
-        }
-      }
+      toPassportVerify((profile) => ({
+        provider: "GOOGLE",
+        providerId: profile.id,
+        email: profile.emails?.[0]?.value?.toLowerCase(),
+        fullName: profile.displayName,
+        avatarUrl: profile.photos?.[0]?.value,
+      }))
     )
   );
 } else {
@@ -280,6 +324,42 @@ if (googleOAuthConfigured) {
   );
 }
 
+// GitHub may return several addresses; only trust verified ones, primary first.
+const pickGitHubEmail = (profile) => {
+  const emails = Array.isArray(profile.emails) ? profile.emails : [];
+  const verified = emails.filter((item) => item?.value && item.verified === true);
+  const primary = verified.find((item) => item.primary) || verified[0];
+  return primary?.value?.toLowerCase();
+};
+
+if (githubOAuthConfigured) {
+  passport.use(
+    new GitHubStrategy(
+      {
+        clientID: process.env.GITHUB_CLIENT_ID,
+        clientSecret: process.env.GITHUB_CLIENT_SECRET,
+        callbackURL: process.env.GITHUB_CALLBACK_URL,
+        scope: ["read:user", "user:email"],
+        allRawEmails: true,
+        passReqToCallback: true,
+      },
+      toPassportVerify((profile) => ({
+        provider: "GITHUB",
+        providerId: String(profile.id),
+        email: pickGitHubEmail(profile),
+        fullName: profile.displayName || profile.username,
+        preferredUsername: profile.username,
+        avatarUrl: profile.photos?.[0]?.value,
+      }))
+    )
+  );
+} else {
+  console.warn(
+    "GitHub OAuth disabled: missing GITHUB_CLIENT_ID / GITHUB_CLIENT_SECRET / GITHUB_CALLBACK_URL"
+  );
+}
+
 export const isGoogleOAuthConfigured = googleOAuthConfigured;
+export const isGitHubOAuthConfigured = githubOAuthConfigured;
 
 export default passport;
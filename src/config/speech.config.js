@@ -0,0 +1,58 @@
+const cleanEnv = (value) => {
+  if (value === undefined || value === null) return "";
+  const raw = String(value).trim();
+  if (!raw) return "";
+  if (
+    (raw.startsWith('"') && raw.endsWith('"')) ||
+    (raw.startsWith("'") && raw.endsWith("'"))
+  ) {
+    return raw.slice(1, -1).trim();
+  }
+  return raw;
+};
+
+const parseNonNegativeInt = (value, fallbackValue) => {
+  const raw = cleanEnv(value);
+  if (!raw) return fallbackValue;
+  const parsed = Number(raw);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallbackValue;
+};
+
+const parsePositiveInt = (value, fallbackValue) => {
+  const parsed = parseNonNegativeInt(value, fallbackValue);
+  return parsed > 0 ? parsed : fallbackValue;
+};
+
+export const SPEECH_TO_TEXT_PROVIDERS = Object.freeze({
+  NONE: "none",
+  LOCAL: "local",
+  HTTP: "http",
+});
+
+export const normalizeSpeechProviderName = (value) => {
+  const normalized = cleanEnv(value).toLowerCase();
+  return Object.values(SPEECH_TO_TEXT_PROVIDERS).includes(normalized) ? normalized : null;
+};
+
+// Off unless configured; "local" is the deterministic stand-in for tests and development.
+export const SPEECH_TO_TEXT_PROVIDER =
+  normalizeSpeechProviderName(process.env.SPEECH_TO_TEXT_PROVIDER) ||
+  SPEECH_TO_TEXT_PROVIDERS.NONE;
+
+export const SPEECH_TO_TEXT_HTTP_URL = cleanEnv(process.env.SPEECH_TO_TEXT_HTTP_URL);
+export const SPEECH_TO_TEXT_HTTP_API_KEY = cleanEnv(process.env.SPEECH_TO_TEXT_HTTP_API_KEY);
+export const SPEECH_TO_TEXT_HTTP_TIMEOUT_MS =
+  parsePositiveInt(process.env.SPEECH_TO_TEXT_HTTP_TIMEOUT_SECONDS, 600) * 1000;
+
+// Optional BCP 47 hint passed to the provider, e.g. "en".
+export const SPEECH_TO_TEXT_LANGUAGE = cleanEnv(process.env.SPEECH_TO_TEXT_LANGUAGE) || null;
+
+// Transcriptions per video owner per day, and for everyone combined (0 = no cap).
+export const SPEECH_TO_TEXT_DAILY_LIMIT = parseNonNegativeInt(
+  process.env.SPEECH_TO_TEXT_DAILY_LIMIT,
+  10
+);
+export const SPEECH_TO_TEXT_GLOBAL_DAILY_LIMIT = parseNonNegativeInt(
+  process.env.SPEECH_TO_TEXT_GLOBAL_DAILY_LIMIT,
+  0
+);
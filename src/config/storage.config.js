@@ -0,0 +1,77 @@
+import os from "os";
+import path from "path";
+
+const cleanEnv = (value) => {
+  if (value === undefined || value === null) return "";
+  const raw = String(value).trim();
+  if (!raw) return "";
+  if (
+    (raw.startsWith('"') && raw.endsWith('"')) ||
+    (raw.startsWith("'") && raw.endsWith("'"))
+  ) {
+    return raw.slice(1, -1).trim();
+  }
+  return raw;
+};
+
+const parseBool = (value, defaultValue = false) => {
+  const normalized = cleanEnv(value).toLowerCase();
+  if (!normalized) return defaultValue;
+  return ["1", "true", "yes", "on"].includes(normalized);
+};
+
+const parsePositiveInt = (value, fallbackValue) => {
+  const parsed = Number(cleanEnv(value));
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallbackValue;
+};
+
+export const STORAGE_PROVIDERS = Object.freeze({
+  CLOUDINARY: "cloudinary",
+  LOCAL: "local",
+  S3: "s3",
+});
+
+// Rows written before storage was pluggable have no provider recorded.
+export const LEGACY_STORAGE_PROVIDER = STORAGE_PROVIDERS.CLOUDINARY;
+
+export const normalizeStorageProviderName = (value) => {
+  const normalized = cleanEnv(value).toLowerCase();
+  return Object.values(STORAGE_PROVIDERS).includes(normalized) ? normalized : null;
+};
+
+export const DEFAULT_STORAGE_PROVIDER =
+  normalizeStorageProviderName(process.env.STORAGE_PROVIDER) || STORAGE_PROVIDERS.CLOUDINARY;
+
+export const STORAGE_SIGNING_SECRET =
+  cleanEnv(process.env.STORAGE_SIGNING_SECRET) || cleanEnv(process.env.REFRESH_TOKEN_SECRET);
+
+// Lifetime of direct-upload URLs and signed private download links handed to clients.
+export const STORAGE_UPLOAD_URL_TTL_SECONDS =
+  parsePositiveInt(process.env.STORAGE_UPLOAD_URL_TTL_MINUTES, 15) * 60;
+
+export const LOCAL_STORAGE_ROOT = path.resolve(
+  cleanEnv(process.env.LOCAL_STORAGE_ROOT) || "storage"
+);
+
+// Public base of this API; local files are served from `${base}/storage/<publicId>`.
+export const LOCAL_STORAGE_PUBLIC_URL = (
+  cleanEnv(process.env.LOCAL_STORAGE_PUBLIC_URL) ||
+  `http://localhost:${cleanEnv(process.env.PORT) || 5000}`
+).replace(/\/$/, "");
+
+// Scratch space for resumable (tus) uploads; chunks are assembled here
+// before the finished file is handed to the storage backend.
+export const TUS_STAGING_DIR = path.resolve(
+  cleanEnv(process.env.TUS_STAGING_DIR) || path.join(os.tmpdir(), "vixora-tus")
+);
+
+export const S3_STORAGE_CONFIG = Object.freeze({
+  bucket: cleanEnv(process.env.S3_BUCKET),
+  region: cleanEnv(process.env.S3_REGION) || "us-east-1",
+  endpoint: cleanEnv(process.env.S3_ENDPOINT) || null,
+  accessKeyId: cleanEnv(process.env.S3_ACCESS_KEY_ID),
+  secretAccessKey: cleanEnv(process.env.S3_SECRET_ACCESS_KEY),
+  // MinIO and most self-hosted gateways only speak path-style URLs.
+  forcePathStyle: parseBool(process.env.S3_FORCE_PATH_STYLE, Boolean(cleanEnv(process.env.S3_ENDPOINT))),
+  publicUrl: cleanEnv(process.env.S3_PUBLIC_URL).replace(/\/$/, "") || null,
+});
@@ -25,6 +25,10 @@ import {
   runAdminVideoSoftDelete,
   runAdminVideoUnpublish,
 } from "../../services/admin.contentModeration.service.js";
+import {
+  CAPTION_TRACK_ORDER,
+  pickDefaultCaptionTrack,
+} from "../../services/captionTrack.service.js";
 
 const mapVideoItem = (row) => ({
   ...row,
@@ -181,10 +185,13 @@ export const getAdminVideoById = asyncHandler(async (req, res) => {
           },
         },
       },
-      transcript: {
+      transcripts: {
+        orderBy: CAPTION_TRACK_ORDER,
         select: {
           id: true,
           language: true,
+          label: true,
+          isDefault: true,
           source: true,
           wordCount: true,
           updatedAt: true,
@@ -209,6 +216,7 @@ export const getAdminVideoById = asyncHandler(async (req, res) => {
         ...row,
         owner: toUserSummary(row.owner),
         tags: row.tags.map((entry) => entry.tag?.name).filter(Boolean),
+        transcript: pickDefaultCaptionTrack(row.transcripts),
         stats: {
           comments: row._count.comments,
           likes: row._count.likes,
@@ -0,0 +1,182 @@
+import prisma from "../../db/prisma.js";
+import ApiError from "../../utils/ApiError.js";
+import ApiResponse from "../../utils/ApiResponse.js";
+import asyncHandler from "../../utils/asyncHandler.js";
+import { sanitizePagination } from "../../utils/pagination.js";
+import { sanitizeSort } from "../../utils/sanitizeSort.js";
+import { buildPaginatedListData } from "../../utils/listResponse.js";
+import { writeAdminAuditLog } from "../../services/admin.audit.service.js";
+import {
+  MAX_ADMIN_LIST_LIMIT,
+  ensureRequiredId,
+  getDateRangeFilter,
+  normalizeOptionalText,
+  normalizeText,
+} from "../../services/admin.controller.utils.js";
+import {
+  DEAD_LETTER_SUMMARY_SELECT,
+  discardDeadLetter,
+  getDeadLetterOrThrow,
+} from "../../services/deadLetter.service.js";
+import {
+  BACKGROUND_JOB_TYPES,
+  requeueDeadBackgroundJob,
+} from "../../services/backgroundJob.service.js";
+import { retryFailedVideoProcessing } from "../../services/videoPipeline.service.js";
+import { redactJobPayload } from "../../jobs/backgroundJob.handlers.js";
+
+const JOB_TYPES = Object.freeze([
+  "VIDEO_PROCESSING",
+  "AI_SUMMARY",
+  "AI_CHAT",
+  "EMAIL",
+  "NOTIFICATION",
+  "FEED_RECOMPUTE",
+  "DATA_EXPORT",
+  "SCHEDULED_PUBLISH",
+  "SPEECH_TO_TEXT",
+]);
+
+/*
+  Job types that can be requeued from a dead-letter row. A handler restarts
+  the work and resolves the matching dead-letter rows itself.
+*/
+const DEAD_LETTER_RETRY_HANDLERS = Object.freeze({
+  ...Object.fromEntries(
+    BACKGROUND_JOB_TYPES.map((jobType) => [
+      jobType,
+      ({ job }) => requeueDeadBackgroundJob(job.id),
+    ])
+  ),
+  VIDEO_PROCESSING: ({ job, actor }) =>
+    retryFailedVideoProcessing({ videoId: job.correlationId, retriedBy: actor.id }),
+});
+
+export const getAdminDeadLetterJobs = asyncHandler(async (req, res) => {
+  const { page, limit, skip } = sanitizePagination(req.query.page, req.query.limit, MAX_ADMIN_LIST_LIMIT);
+
+  const { sortBy, sortType } = sanitizeSort(
+    normalizeText(req.query.sortBy || "createdAt"),
+    normalizeText(req.query.sortType || "desc"),
+    ["createdAt", "updatedAt", "jobType", "attempts"],
+    "createdAt"
+  );
+
+  const where = { status: "DEAD" };
+
+  const jobType = normalizeText(req.query.jobType).toUpperCase();
+  const correlationId = normalizeText(req.query.correlationId);
+  const createdAt = getDateRangeFilter(req.query);
+
+  if (jobType) {
+    if (!JOB_TYPES.includes(jobType)) {
+      throw new ApiError(400, "Invalid jobType filter");
+    }
+    where.jobType = jobType;
+  }
+  if (correlationId) where.correlationId = correlationId;
+  if (createdAt) where.createdAt = createdAt;
+
+  const [count, rows] = await Promise.all([
+    prisma.backgroundJob.count({ where }),
+    prisma.backgroundJob.findMany({
+      where,
+      orderBy: { [sortBy]: sortType },
+      skip,
+      take: limit,
+      select: DEAD_LETTER_SUMMARY_SELECT,
+    }),
+  ]);
+
+  const items = rows.map((row) => ({
+    ...row,
+    retryable: Boolean(DEAD_LETTER_RETRY_HANDLERS[row.jobType]),
+  }));
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      buildPaginatedListData({
+        key: "jobs",
+        items,
+        currentPage: page,
+        limit,
+        totalItems: count,
+      }),
+      "Dead-letter jobs fetched"
+    )
+  );
+});
+
+export const getAdminDeadLetterJobById = asyncHandler(async (req, res) => {
+  const jobId = ensureRequiredId(req.params.jobId, "jobId");
+  const job = await getDeadLetterOrThrow(jobId);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        ...job,
+        // Rows dead-lettered before redaction covered DEAD still hold email bodies.
+        payload: redactJobPayload(job.jobType, job.payload),
+        retryable: Boolean(DEAD_LETTER_RETRY_HANDLERS[job.jobType]) && !job.payload?.redacted,
+      },
+      "Dead-letter job fetched"
+    )
+  );
+});
+
+export const retryAdminDeadLetterJob = asyncHandler(async (req, res) => {
+  const jobId = ensureRequiredId(req.params.jobId, "jobId");
+  const job = await getDeadLetterOrThrow(jobId);
+
+  const retry = DEAD_LETTER_RETRY_HANDLERS[job.jobType];
+  if (!retry) {
+    throw new ApiError(400, `Jobs of type ${job.jobType} cannot be retried`);
+  }
+  if (job.payload?.redacted) {
+    throw new ApiError(400, "Job payload was redacted and cannot be replayed");
+  }
+
+  const outcome = await retry({ job, actor: req.user });
+
+  await writeAdminAuditLog({
+    req,
+    actor: req.user,
+    action: "ADMIN_DEAD_LETTER_RETRY",
+    targetType: "BACKGROUND_JOB",
+    targetId: job.id,
+    reason: normalizeOptionalText(req.body?.reason, 500),
+    metadata: {
+      jobType: job.jobType,
+      correlationId: job.correlationId,
+      outcome,
+    },
+  });
+
+  return res.status(200).json(new ApiResponse(200, outcome, "Dead-letter job requeued"));
+});
+
+export const discardAdminDeadLetterJob = asyncHandler(async (req, res) => {
+  const jobId = ensureRequiredId(req.params.jobId, "jobId");
+  const job = await getDeadLetterOrThrow(jobId);
+
+  await discardDeadLetter(job.id);
+
+  await writeAdminAuditLog({
+    req,
+    actor: req.user,
+    action: "ADMIN_DEAD_LETTER_DISCARD",
+    targetType: "BACKGROUND_JOB",
+    targetId: job.id,
+    reason: normalizeOptionalText(req.body?.reason, 500),
+    before: {
+      jobType: job.jobType,
+      correlationId: job.correlationId,
+      attempts: job.attempts,
+      error: job.error,
+    },
+  });
+
+  return res.status(200).json(new ApiResponse(200, {}, "Dead-letter job discarded"));
+});
@@ -16,7 +16,9 @@ import {
   toUserSummary,
 } from "../../services/admin.controller.utils.js";
 import { TOP_ADMIN_ROLE } from "../../config/admin.config.js";
+import { getLockoutStatus, loginLockoutSelect } from "../../services/loginLockout.service.js";
 import {
+  runAdminUserLoginUnlock,
   runAdminUserRestore,
   runAdminUserSoftDelete,
   runAdminUserStatusUpdate,
@@ -141,6 +143,7 @@ export const getAdminUserById = asyncHandler(async (req, res) => {
     where: { id: userId },
     select: {
       ...adminBaseUserSelect,
+      ...loginLockoutSelect,
       moderatedBy: {
         select: adminModeratedBySelect,
       },
@@ -168,12 +171,20 @@ export const getAdminUserById = asyncHandler(async (req, res) => {
     targetId: user.id,
   });
 
+  const { failedLoginAttempts, lastFailedLoginAt, lockedUntil, lockoutCount, ...profile } = user;
+
   return res.status(200).json(
     new ApiResponse(
       200,
       {
-        ...user,
+        ...profile,
         moderatedBy: toUserSummary(user.moderatedBy),
+        loginLockout: getLockoutStatus({
+          failedLoginAttempts,
+          lastFailedLoginAt,
+          lockedUntil,
+          lockoutCount,
+        }),
         stats: {
           subscribers: user._count.subscribers,
           subscriptions: user._count.subscriptions,
@@ -247,6 +258,19 @@ export const restoreAdminUser = asyncHandler(async (req, res) => {
   return res.status(200).json(new ApiResponse(200, updated, "User restored"));
 });
 
+export const unlockAdminUserLogin = asyncHandler(async (req, res) => {
+  const userId = ensureRequiredId(req.params.userId, "userId");
+
+  const result = await runAdminUserLoginUnlock({
+    req,
+    actor: req.user,
+    userId,
+    reason: normalizeOptionalText(req.body?.reason, 500),
+  });
+
+  return res.status(200).json(new ApiResponse(200, result, "User sign-in lockout cleared"));
+});
+
 export const updateAdminUserRole = asyncHandler(async (req, res) => {
   const userId = ensureRequiredId(req.params.userId, "userId");
   const nextRole = normalizeText(req.body?.role).toUpperCase();
@@ -4,6 +4,17 @@ import ApiResponse from "../utils/ApiResponse.js";
 import asyncHandler from "../utils/asyncHandler.js";
 import { sanitizePagination } from "../utils/pagination.js";
 import { buildPaginatedListData } from "../utils/listResponse.js";
+import { canViewerOpenVideo } from "../utils/videoVisibility.js";
+import { resolveVideoChapters } from "../utils/videoChapters.js";
+import {
+  CAPTION_TRACK_ORDER,
+  UNDETERMINED_LANGUAGE,
+  deleteCaptionTracks,
+  normalizeCaptionLabel,
+  normalizeCaptionLanguage,
+  pickDefaultCaptionTrack,
+  saveCaptionTrack,
+} from "../services/captionTrack.service.js";
 import {
   buildAnswerFallback,
   buildSummaryFallback,
@@ -12,6 +23,7 @@ import {
 } from "../services/ai.service.js";
 import {
   filterTranscriptSegments,
+  formatMsToTimestamp,
   parseTimeQueryToMs,
   parseTranscriptInput,
   resolveTranscriptForRead,
@@ -267,6 +279,7 @@ const buildVideoContextText = ({
   video,
   transcriptText,
   includeSummary = true,
+  chapter = null,
 }) => {
   const safeDescription = sanitizeContextText(video?.description, 3000);
   const safeSummary = sanitizeContextText(video?.summary, 1200);
@@ -281,6 +294,14 @@ const buildVideoContextText = ({
     parts.push(`Existing summary: ${safeSummary}`);
   }
 
+  if (chapter) {
+    parts.push(
+      `Chapter in focus: "${trimTo(chapter.title, 100)}" (${formatMsToTimestamp(
+        chapter.startMs
+      )} to ${formatMsToTimestamp(chapter.endMs)}). Answer about this part of the video.`
+    );
+  }
+
   if (safeTranscript) {
     parts.push(`Transcript excerpt: ${safeTranscript}`);
   } else {
@@ -322,12 +343,36 @@ const parseNonNegativeNumber = (value) => {
 const normalizeComparableText = (value) =>
   normalizeText(value).replace(/\s+/g, " ").toLowerCase();
 
+// Keeps only the timed segments that overlap a chapter's [startMs, endMs) window.
+const scopeTranscriptToChapter = ({ transcriptText, transcriptSegments, chapter }) => {
+  if (!chapter || !Array.isArray(transcriptSegments) || transcriptSegments.length === 0) {
+    return { transcriptText, transcriptSegments };
+  }
+
+  const scopedSegments = transcriptSegments.filter(
+    (segment) =>
+      Number(segment?.startMs) < chapter.endMs &&
+      Number(segment?.endMs ?? segment?.startMs) >= chapter.startMs
+  );
+
+  return {
+    transcriptText: scopedSegments.map((segment) => normalizeText(segment?.text)).join(" "),
+    transcriptSegments: scopedSegments,
+  };
+};
+
 const pickTranscriptContextForQuestion = ({
-  transcriptText = "",
-  transcriptSegments = [],
+  transcriptText: fullTranscriptText = "",
+  transcriptSegments: fullTranscriptSegments = [],
   question = "",
   maxChars = MAX_TRANSCRIPT_CONTEXT_CHARS,
+  chapter = null,
 }) => {
+  const { transcriptText, transcriptSegments } = scopeTranscriptToChapter({
+    transcriptText: fullTranscriptText,
+    transcriptSegments: fullTranscriptSegments,
+    chapter,
+  });
   const normalizedQuestion = normalizeComparableText(question);
   const normalizedTranscript = normalizeText(transcriptText);
 
@@ -417,15 +462,20 @@ const loadVideoForAi = async ({ videoId, viewerId }) => {
       description: true,
       duration: true,
       summary: true,
+      chapters: true,
       isPublished: true,
+      visibility: true,
       isDeleted: true,
       processingStatus: true,
       isHlsReady: true,
-      transcript: {
+      transcripts: {
+        orderBy: CAPTION_TRACK_ORDER,
+        take: 1,
         select: {
           transcript: true,
           segments: true,
           language: true,
+          isDefault: true,
           source: true,
           wordCount: true,
         },
@@ -446,25 +496,53 @@ const loadVideoForAi = async ({ videoId, viewerId }) => {
     throw new ApiError(403, "Video is not publicly available");
   }
 
+  if (!(await canViewerOpenVideo(video, viewerId))) {
+    throw new ApiError(403, "Video is not publicly available");
+  }
+
+  // AI context always reads the default caption track.
+  const { transcripts, ...videoFields } = video;
+  const transcript = pickDefaultCaptionTrack(transcripts);
+
   const transcriptData = resolveTranscriptForRead({
-    transcript: video?.transcript?.transcript || "",
-    segments: video?.transcript?.segments || null,
+    transcript: transcript?.transcript || "",
+    segments: transcript?.segments || null,
     durationSeconds: video?.duration || null,
   });
 
   return {
-    ...video,
+    ...videoFields,
+    transcript,
+    chapters: resolveVideoChapters({
+      chapters: video.chapters,
+      durationSeconds: video.duration,
+    }),
     transcriptText: transcriptData.transcriptText,
     transcriptSegments: transcriptData.segments,
     transcriptMeta: {
-      language: video?.transcript?.language || null,
-      source: video?.transcript?.source || null,
-      wordCount: video?.transcript?.wordCount || transcriptData.wordCount || 0,
+      language: transcript?.language || null,
+      source: transcript?.source || null,
+      wordCount: transcript?.wordCount || transcriptData.wordCount || 0,
       segmentCount: transcriptData.segmentCount || 0,
     },
   };
 };
 
+const resolveRequestedChapter = (video, chapterIndex) => {
+  if (chapterIndex === undefined || chapterIndex === null || chapterIndex === "") {
+    return null;
+  }
+
+  if (!video) throw new ApiError(400, "chapterIndex needs a video-linked session");
+
+  const index = Number(chapterIndex);
+  const chapter = Number.isInteger(index) ? video.chapters?.[index] : null;
+
+  if (!chapter) throw new ApiError(400, "Invalid chapterIndex");
+
+  return chapter;
+};
+
 const ensureSessionOwnership = async ({ sessionId, userId }) => {
   const session = await prisma.aIChatSession.findUnique({
     where: { id: sessionId },
@@ -817,6 +895,8 @@ export const sendAiSessionMessage = asyncHandler(async (req, res) => {
     }),
   ]);
 
+  const chapter = resolveRequestedChapter(video, req.body?.chapterIndex);
+
   const orderedRecentMessages = [...recentMessages].reverse();
   const orderedHistory = orderedRecentMessages
     .slice(-MAX_CONTEXT_MESSAGES)
@@ -828,10 +908,13 @@ export const sendAiSessionMessage = asyncHandler(async (req, res) => {
     video,
     transcriptText: video?.transcriptText || "",
   });
-  const cachedReply = findSessionCachedReply({
-    orderedRecentMessages,
-    incomingMessage: message,
-  });
+  // A chapter-scoped question may repeat one asked about another part of the video.
+  const cachedReply = chapter
+    ? null
+    : findSessionCachedReply({
+        orderedRecentMessages,
+        incomingMessage: message,
+      });
 
   if (cachedReply) {
     const created = await prisma.$transaction(async (tx) => {
@@ -1039,6 +1122,7 @@ export const sendAiSessionMessage = asyncHandler(async (req, res) => {
         transcriptText: video.transcriptText,
         transcriptSegments: video.transcriptSegments,
         question: message,
+        chapter,
       })
     : "";
 
@@ -1046,6 +1130,7 @@ export const sendAiSessionMessage = asyncHandler(async (req, res) => {
     ? buildVideoContextText({
         video,
         transcriptText: transcriptContext,
+        chapter,
       })
     : "No specific video context. Assist user with platform guidance and concise answers.";
 
@@ -1193,7 +1278,9 @@ export const upsertVideoTranscript = asyncHandler(async (req, res) => {
   const videoId = normalizeText(req.params?.videoId);
   const transcriptInput = req.body?.transcript;
   const cuesInput = req.body?.cues ?? req.body?.segments ?? req.body?.transcriptCues ?? null;
-  const language = trimTo(req.body?.language, 16) || null;
+  const language = normalizeCaptionLanguage(req.body?.language, UNDETERMINED_LANGUAGE);
+  const label = req.body?.label !== undefined ? normalizeCaptionLabel(req.body.label) : undefined;
+  const isDefault = parseBoolean(req.body?.isDefault, false);
   const source = normalizeTranscriptSource(req.body?.source);
 
   if (!videoId) throw new ApiError(400, "videoId is required");
@@ -1244,35 +1331,13 @@ export const upsertVideoTranscript = asyncHandler(async (req, res) => {
     );
   }
 
-  const saved = await prisma.videoTranscript.upsert({
-    where: { videoId: video.id },
-    update: {
-      transcript: parsedTranscript.transcriptText,
-      segments: parsedTranscript.segments,
-      language,
-      source,
-      wordCount: parsedTranscript.wordCount,
-      generatedAt: new Date(),
-    },
-    create: {
-      videoId: video.id,
-      transcript: parsedTranscript.transcriptText,
-      segments: parsedTranscript.segments,
-      language,
-      source,
-      wordCount: parsedTranscript.wordCount,
-      generatedAt: new Date(),
-    },
-    select: {
-      id: true,
-      videoId: true,
-      language: true,
-      source: true,
-      wordCount: true,
-      segments: true,
-      createdAt: true,
-      updatedAt: true,
-    },
+  const saved = await saveCaptionTrack({
+    videoId: video.id,
+    language,
+    label,
+    source,
+    isDefault,
+    parsedTranscript,
   });
 
   return res.status(200).json(
@@ -1361,6 +1426,9 @@ export const deleteVideoTranscript = asyncHandler(async (req, res) => {
 
   if (!videoId) throw new ApiError(400, "videoId is required");
 
+  // Without `language` every caption track of the video is removed.
+  const language = normalizeCaptionLanguage(req.query?.language ?? req.body?.language);
+
   const video = await prisma.video.findUnique({
     where: { id: videoId },
     select: { id: true, ownerId: true, isDeleted: true },
@@ -1374,16 +1442,16 @@ export const deleteVideoTranscript = asyncHandler(async (req, res) => {
     throw new ApiError(403, "Only the video owner can delete transcript");
   }
 
-  await prisma.videoTranscript.deleteMany({
-    where: { videoId: video.id },
-  });
+  const deletedCount = await deleteCaptionTracks({ videoId: video.id, language });
 
   return res.status(200).json(
     new ApiResponse(
       200,
       {
         videoId: video.id,
-        deleted: true,
+        language,
+        deleted: deletedCount > 0,
+        deletedCount,
       },
       "Video transcript deleted"
     )
@@ -1526,6 +1594,7 @@ export const askVideoQuestion = asyncHandler(async (req, res) => {
   if (!question) throw new ApiError(400, "question is required");
 
   const video = await loadVideoForAi({ videoId, viewerId: userId });
+  const chapter = resolveRequestedChapter(video, req.body?.chapterIndex);
   const contextMeta = buildChatContextMeta({
     video,
     transcriptText: video.transcriptText,
@@ -1593,11 +1662,13 @@ export const askVideoQuestion = asyncHandler(async (req, res) => {
     transcriptText: video.transcriptText,
     transcriptSegments: video.transcriptSegments,
     question,
+    chapter,
   });
 
   const videoContextText = buildVideoContextText({
     video,
     transcriptText: transcriptContext,
+    chapter,
   });
 
   const prompt = [
@@ -1654,6 +1725,7 @@ export const askVideoQuestion = asyncHandler(async (req, res) => {
       {
         videoId: video.id,
         question,
+        chapter,
         answer: aiResult.text,
         reply: aiResult.text,
         context: contextMeta,
@@ -1,13 +1,18 @@
 import crypto from "crypto";
+import jwt from "jsonwebtoken";
 import passport from "passport";
 import prisma from "../db/prisma.js";
-import { isGoogleOAuthConfigured } from "../config/passport.js";
+import { isGitHubOAuthConfigured, isGoogleOAuthConfigured } from "../config/passport.js";
 import ApiError from "../utils/ApiError.js";
 import asyncHandler from "../utils/asyncHandler.js";
-import { generateAccessToken, generateRefreshToken } from "../utils/jwt.js";
+import { SESSION_AUTH_METHODS, createUserSession } from "../services/session.service.js";
+import { assessLogin } from "../services/loginRisk.service.js";
+import { createTwoFactorChallengeToken } from "../services/twoFactor.service.js";
 
 const OAUTH_STATE_COOKIE = "oauth_state";
 const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const OAUTH_LINK_COOKIE = "oauth_link";
+const OAUTH_LINK_PURPOSE = "OAUTH_LINK";
 const isProduction = process.env.NODE_ENV === "production";
 
 const getOAuthStateCookieOptions = () => ({
@@ -19,18 +24,37 @@ const getOAuthStateCookieOptions = () => ({
   maxAge: OAUTH_STATE_TTL_MS,
 });
 
-const getOAuthCallbackUrl = (req) => {
+const OAUTH_PROVIDERS = {
+  google: {
+    provider: "GOOGLE",
+    strategy: "google",
+    label: "Google",
+    envPrefix: "GOOGLE",
+    scope: ["profile", "email"],
+    isConfigured: isGoogleOAuthConfigured,
+  },
+  github: {
+    provider: "GITHUB",
+    strategy: "github",
+    label: "GitHub",
+    envPrefix: "GITHUB",
+    scope: ["read:user", "user:email"],
+    isConfigured: isGitHubOAuthConfigured,
+  },
+};
+
+const getOAuthCallbackUrl = (req, provider) => {
   const forceConfiguredCallback =
-    String(process.env.GOOGLE_FORCE_CALLBACK_URL || "").toLowerCase() ===
+    String(process.env[`${provider.envPrefix}_FORCE_CALLBACK_URL`] || "").toLowerCase() ===
     "true";
-  const configuredCallback = process.env.GOOGLE_CALLBACK_URL;
+  const configuredCallback = process.env[`${provider.envPrefix}_CALLBACK_URL`];
   const isProd = process.env.NODE_ENV === "production";
 
   // Production should never derive callback URL from request host
   // (host-header ambiguity / proxy mismatch risks).
   if (isProd) {
     if (!configuredCallback) {
-      throw new ApiError(500, "GOOGLE_CALLBACK_URL missing");
+      throw new ApiError(500, `${provider.envPrefix}_CALLBACK_URL missing`);
     }
     return configuredCallback;
   }
@@ -39,96 +63,175 @@ const getOAuthCallbackUrl = (req) => {
     return configuredCallback;
   }
 
-  return `${req.protocol}://${req.get("host")}/api/v1/auth/google/callback`;
+  return `${req.protocol}://${req.get("host")}/api/v1/auth/${provider.strategy}/callback`;
+};
+
+const clearOAuthCookie = (res, name) => {
+  const { path, httpOnly, secure, sameSite } = getOAuthStateCookieOptions();
+  res.clearCookie(name, { path, httpOnly, secure, sameSite });
 };
 
 /*
-  STEP 1: Redirect user to Google
+  Linking reuses the normal callback URL (providers only allow registered
+  redirect URIs), so the signed-in user is carried in a short-lived signed
+  cookie bound to the same state value.
 */
-export const googleAuth = asyncHandler(async (req, res, next) => {
-  if (!isGoogleOAuthConfigured) {
-    throw new ApiError(503, "Google OAuth is not configured");
-  }
-
-  const state = crypto.randomBytes(16).toString("hex");
-  const callbackURL = getOAuthCallbackUrl(req);
-
-  res.cookie(OAUTH_STATE_COOKIE, state, getOAuthStateCookieOptions());
+const resolveOAuthLinkUserId = (req, provider) => {
+  const token = req.cookies?.[OAUTH_LINK_COOKIE];
+  if (!token) return null;
+
+  try {
+    const payload = jwt.verify(token, process.env.REFRESH_TOKEN_SECRET);
+    const stateFromQuery = typeof req.query.state === "string" ? req.query.state : "";
+
+    if (
+      payload?.purpose !== OAUTH_LINK_PURPOSE ||
+      payload.provider !== provider.provider ||
+      !payload.state ||
+      payload.state !== stateFromQuery
+    ) {
+      return null;
+    }
 
-  passport.authenticate("google", {
-    scope: ["profile", "email"],
-    state,
-    callbackURL,
-  })(req, res, next);
-});
+    return payload.uid || null;
+  } catch {
+    return null;
+  }
+};
 
 /*
-  STEP 2: Google callback
+  STEP 1: Redirect user to the provider (login, or link when signed in)
 */
-export const googleAuthCallback = asyncHandler(async (req, res, next) => {
-  if (!isGoogleOAuthConfigured) {
-    throw new ApiError(503, "Google OAuth is not configured");
-  }
-
-  const frontend = process.env.FRONTEND_URL;
-  if (!frontend) throw new ApiError(500, "FRONTEND_URL missing");
+const startOAuth = (provider, { link = false } = {}) =>
+  asyncHandler(async (req, res, next) => {
+    if (!provider.isConfigured) {
+      throw new ApiError(503, `${provider.label} OAuth is not configured`);
+    }
 
-  passport.authenticate("google", { session: false }, async (err, user, info) => {
-    try {
-      if (err) return next(err);
+    const state = crypto.randomBytes(16).toString("hex");
+    const callbackURL = getOAuthCallbackUrl(req, provider);
+
+    res.cookie(OAUTH_STATE_COOKIE, state, getOAuthStateCookieOptions());
+
+    if (link) {
+      const linkToken = jwt.sign(
+        {
+          uid: req.user.id,
+          provider: provider.provider,
+          state,
+          purpose: OAUTH_LINK_PURPOSE,
+        },
+        process.env.REFRESH_TOKEN_SECRET,
+        { expiresIn: Math.floor(OAUTH_STATE_TTL_MS / 1000) }
+      );
+      res.cookie(OAUTH_LINK_COOKIE, linkToken, getOAuthStateCookieOptions());
+    } else {
+      clearOAuthCookie(res, OAUTH_LINK_COOKIE);
+    }
 
-      // State must match the browser cookie set during /auth/google.
-      const stateFromQuery = typeof req.query.state === "string" ? req.query.state : "";
-      const stateFromCookie = req.cookies?.[OAUTH_STATE_COOKIE];
+    passport.authenticate(provider.strategy, {
+      scope: provider.scope,
+      state,
+      callbackURL,
+    })(req, res, next);
+  });
 
-      if (!stateFromCookie || stateFromQuery !== stateFromCookie) {
-        return res.redirect(
-          `${frontend}/login?error=${encodeURIComponent("oauth_state_mismatch")}`
-        );
-      }
+/*
+  STEP 2: Provider callback
+*/
+const handleOAuthCallback = (provider) =>
+  asyncHandler(async (req, res, next) => {
+    if (!provider.isConfigured) {
+      throw new ApiError(503, `${provider.label} OAuth is not configured`);
+    }
 
-      const stateCookieOptions = getOAuthStateCookieOptions();
-      res.clearCookie(OAUTH_STATE_COOKIE, {
-        path: stateCookieOptions.path,
-        httpOnly: stateCookieOptions.httpOnly,
-        secure: stateCookieOptions.secure,
-        sameSite: stateCookieOptions.sameSite,
-      });
-
-      if (!user) {
-        const reason = info?.message || "google_auth_failed";
-        return res.redirect(`${frontend}/login?error=${encodeURIComponent(reason)}`);
+    const frontend = process.env.FRONTEND_URL;
+    if (!frontend) throw new ApiError(500, "FRONTEND_URL missing");
+
+    req.oauthLinkUserId = resolveOAuthLinkUserId(req, provider);
+    const isLinkFlow = Boolean(req.oauthLinkUserId);
+    const failurePage = isLinkFlow ? "settings" : "login";
+
+    passport.authenticate(provider.strategy, { session: false }, async (err, user, info) => {
+      try {
+        if (err) return next(err);
+
+        // State must match the browser cookie set during /auth/<provider>.
+        const stateFromQuery = typeof req.query.state === "string" ? req.query.state : "";
+        const stateFromCookie = req.cookies?.[OAUTH_STATE_COOKIE];
+
+        if (!stateFromCookie || stateFromQuery !== stateFromCookie) {
+          return res.redirect(
+            `${frontend}/${failurePage}?error=${encodeURIComponent("oauth_state_mismatch")}`
+          );
+        }
+
+        clearOAuthCookie(res, OAUTH_STATE_COOKIE);
+        clearOAuthCookie(res, OAUTH_LINK_COOKIE);
+
+        if (!user) {
+          const reason = info?.message || `${provider.strategy}_auth_failed`;
+          return res.redirect(
+            `${frontend}/${failurePage}?error=${encodeURIComponent(reason)}`
+          );
+        }
+
+        // Linking keeps the current session; nothing new to issue.
+        if (isLinkFlow) {
+          return res.redirect(
+            `${frontend}/settings?linked=${encodeURIComponent(provider.strategy)}`
+          );
+        }
+
+        const dbUser = await prisma.user.findUnique({
+          where: { id: user.id },
+        });
+
+        if (!dbUser || dbUser.isDeleted) {
+          throw new ApiError(403, "Account not available");
+        }
+
+        // Same as password login: no session until the second factor passes.
+        // The challenge rides in the fragment so it never reaches server logs.
+        if (dbUser.twoFactorEnabled) {
+          const challengeToken = createTwoFactorChallengeToken(dbUser, {
+            authMethod: SESSION_AUTH_METHODS.OAUTH,
+          });
+          return res.redirect(
+            `${frontend}/login/two-factor#challengeToken=${encodeURIComponent(challengeToken)}`
+          );
+        }
+
+        const { accessToken, refreshToken, session } = await createUserSession({
+          user: dbUser,
+          req,
+          authMethod: SESSION_AUTH_METHODS.OAUTH,
+        });
+
+        void assessLogin({ user: dbUser, req, session });
+
+        const cookieOptions = {
+          httpOnly: true,
+          secure: isProduction,
+          sameSite: isProduction ? "none" : "lax",
+          path: "/",
+        };
+
+        return res
+          .cookie("accessToken", accessToken, cookieOptions)
+          .cookie("refreshToken", refreshToken, cookieOptions)
+          .redirect(frontend);
+      } catch (error) {
+        return next(error);
       }
+    })(req, res, next);
+  });
 
-      const dbUser = await prisma.user.findUnique({
-        where: { id: user.id },
-      });
+export const googleAuth = startOAuth(OAUTH_PROVIDERS.google);
+export const googleAuthCallback = handleOAuthCallback(OAUTH_PROVIDERS.google);
 
-      if (!dbUser || dbUser.isDeleted) {
-        throw new ApiError(403, "Account not available");
-      }
+export const githubAuth = startOAuth(OAUTH_PROVIDERS.github);
+export const githubAuthCallback = handleOAuthCallback(OAUTH_PROVIDERS.github);
 
-      const accessToken = generateAccessToken(dbUser);
-      const refreshToken = generateRefreshToken(dbUser);
-
-      await prisma.user.update({
-        where: { id: dbUser.id },
-        data: { refreshToken },
-      });
-
-      const cookieOptions = {
-        httpOnly: true,
-        secure: isProduction,
-        sameSite: isProduction ? "none" : "lax",
-        path: "/",
-      };
-
-      return res
-        .cookie("accessToken", accessToken, cookieOptions)
-        .cookie("refreshToken", refreshToken, cookieOptions)
-        .redirect(frontend);
-    } catch (error) {
-      return next(error);
-    }
-  })(req, res, next);
-});
+export const googleLink = startOAuth(OAUTH_PROVIDERS.google, { link: true });
+export const githubLink = startOAuth(OAUTH_PROVIDERS.github, { link: true });
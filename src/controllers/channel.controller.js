@@ -37,13 +37,14 @@ const resolvePagination = (query, { defaultLimit, maxLimit }) => {
 
 const resolveVideoOrderBy = (sort) => {
   if (sort === "popular") return { views: "desc" };
-  if (sort === "oldest") return { createdAt: "asc" };
-  return { createdAt: "desc" };
+  if (sort === "oldest") return { publishedAt: "asc" };
+  return { publishedAt: "desc" };
 };
 
 const buildPublicVideoWhere = ({ channelId, isShort }) => ({
   ownerId: channelId,
   isPublished: true,
+  visibility: "PUBLIC",
   isDeleted: false,
   processingStatus: "COMPLETED",
   isHlsReady: true,
@@ -146,6 +147,7 @@ const getChannelPublicStats = async (channelId) => {
       where: {
         ownerId: channelId,
         isDeleted: false,
+        isPublished: true,
       },
     }),
     prisma.like.count({
@@ -340,6 +342,7 @@ export const getChannelVideos = asyncHandler(async (req, res) => {
         thumbnail: true,
         views: true,
         createdAt: true,
+        publishedAt: true,
         duration: true,
       },
     }),
@@ -386,6 +389,7 @@ export const getChannelShorts = asyncHandler(async (req, res) => {
         thumbnail: true,
         views: true,
         createdAt: true,
+        publishedAt: true,
         duration: true,
       },
     }),
@@ -482,13 +486,14 @@ export const getChannelTweets = asyncHandler(async (req, res) => {
   const where = {
     ownerId: channelId,
     isDeleted: false,
+    isPublished: true,
   };
 
   const [tweets, total] = await Promise.all([
     prisma.tweet.findMany({
       where,
       orderBy: {
-        createdAt: "desc",
+        publishedAt: "desc",
       },
       skip,
       take: limit,
@@ -497,6 +502,7 @@ export const getChannelTweets = asyncHandler(async (req, res) => {
         content: true,
         image: true,
         createdAt: true,
+        publishedAt: true,
         owner: {
           select: {
             id: true,
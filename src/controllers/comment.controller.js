@@ -5,42 +5,16 @@ import asyncHandler from "../utils/asyncHandler.js"
 import { sanitizePagination } from "../utils/pagination.js";
 import { sanitizeSort } from "../utils/sanitizeSort.js";
 import { buildPaginatedListData } from "../utils/listResponse.js";
+import { canViewerOpenVideo } from "../utils/videoVisibility.js";
+import { enqueueBackgroundJob } from "../services/backgroundJob.service.js";
 
 const MAX_COMMENT_LENGTH = 1000;
 
-const updateVideoScore = async (videoId) => {
-    if (!videoId) return;
-
-    const [video, likesCount, commentsCount, watchCount] = await Promise.all([
-        prisma.video.findUnique({
-            where: { id: videoId },
-            select: { views: true },
-        }),
-        prisma.like.count({ where: { videoId } }),
-        prisma.comment.count({ where: { videoId, isDeleted: false } }),
-        prisma.watchHistory.count({ where: { videoId } }),
-    ]);
-
-    if (!video) return;
-
-    const score =
-        video.views * 0.3 +
-        likesCount * 0.4 +
-        commentsCount * 0.2 +
-        watchCount * 0.1;
-
-    await prisma.video.update({
-        where: { id: videoId },
-        data: {
-            popularityScore: score,
-            engagementScore: score / 10,
-        },
-    });
-};
-
 const refreshVideoScoreInBackground = (videoId) => {
-    void updateVideoScore(videoId).catch((error) => {
-        console.error("Failed to update video score:", error?.message || error);
+    void enqueueBackgroundJob("FEED_RECOMPUTE", { videoId }, {
+        correlationId: videoId,
+    }).catch((error) => {
+        console.error("Video score refresh could not be queued:", error?.message || error);
     });
 };
 
@@ -67,7 +41,9 @@ export const getVideoComments = asyncHandler(async (req, res) => {
         where: { id: videoId },
         select: {
             id: true,
+            ownerId: true,
             isPublished: true,
+            visibility: true,
             isDeleted: true,
             processingStatus: true,
             isHlsReady: true,
@@ -84,6 +60,10 @@ export const getVideoComments = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Video not found");
     }
 
+    if (!(await canViewerOpenVideo(video, userId))) {
+        throw new ApiError(404, "Video not found");
+    }
+
     const comments = await prisma.comment.findMany({
         where: {
             videoId,
@@ -204,7 +184,9 @@ export const addComment = asyncHandler(async (req, res) => {
         where: { id: videoId },
         select: {
             id: true,
+            ownerId: true,
             isPublished: true,
+            visibility: true,
             isDeleted: true,
             processingStatus: true,
             isHlsReady: true,
@@ -221,6 +203,10 @@ export const addComment = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Video not found");
     }
 
+    if (!(await canViewerOpenVideo(video, userId))) {
+        throw new ApiError(404, "Video not found");
+    }
+
     // ✅ Create comment
     const comment = await prisma.comment.create({
         data: {
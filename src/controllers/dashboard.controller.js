@@ -3,6 +3,13 @@ import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import asyncHandler from "../utils/asyncHandler.js";
 import { buildPaginatedListData } from "../utils/listResponse.js";
+import {
+  cancelScheduledItem,
+  listScheduledItems,
+  normalizeScheduledTargetType,
+  parsePublishAt,
+  rescheduleItem,
+} from "../services/scheduledPublish.service.js";
 
 const ACTIVE_VIDEO_WHERE = (userId) => ({
   ownerId: userId,
@@ -835,3 +842,43 @@ export const getDashboardFull = asyncHandler(async (req, res) => {
     )
   );
 });
+
+export const getScheduledItems = asyncHandler(async (req, res) => {
+  const items = await listScheduledItems(req.user.id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { items }, "Scheduled items fetched"));
+});
+
+export const rescheduleScheduledItem = asyncHandler(async (req, res) => {
+  const targetType = normalizeScheduledTargetType(req.params.type);
+  const publishAt = parsePublishAt(req.body?.publishAt);
+
+  if (!publishAt) {
+    throw new ApiError(400, "publishAt is required");
+  }
+
+  const item = await rescheduleItem({
+    ownerId: req.user.id,
+    targetType,
+    targetId: req.params.id,
+    publishAt,
+  });
+
+  return res.status(200).json(new ApiResponse(200, item, "Item rescheduled"));
+});
+
+export const cancelScheduledPublish = asyncHandler(async (req, res) => {
+  const targetType = normalizeScheduledTargetType(req.params.type);
+
+  const item = await cancelScheduledItem({
+    ownerId: req.user.id,
+    targetType,
+    targetId: req.params.id,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, item, "Scheduled publish cancelled"));
+});
@@ -9,6 +9,7 @@ import { buildPaginatedListData } from "../utils/listResponse.js";
 
 const BASE_AVAILABLE_VIDEO_WHERE = Object.freeze({
     isPublished: true,
+    visibility: "PUBLIC",
     isDeleted: false,
     processingStatus: "COMPLETED",
     isHlsReady: true,
@@ -59,6 +60,7 @@ const FEED_VIDEO_SELECT = {
     views: true,
     isShort: true,
     createdAt: true,
+    publishedAt: true,
     popularityScore: true,
     engagementScore: true,
     tags: {
@@ -177,7 +179,7 @@ const computeVideoTrendScore = (video) => {
         popularity * 0.55 +
         engagement * 0.2 +
         Math.log10(views + 1) * 4 +
-        computeFreshnessComponent(video?.createdAt)
+        computeFreshnessComponent(video?.publishedAt ?? video?.createdAt)
     );
 };
 
@@ -266,7 +268,7 @@ const appendRandomVideoBackfill = async ({
     skip = 0,
     primaryTotal = 0,
     whereClause = {},
-    orderBy = [{ createdAt: "desc" }],
+    orderBy = [{ publishedAt: "desc" }],
     seedKey = "feed",
     select = FEED_VIDEO_SELECT,
 }) => {
@@ -617,14 +619,14 @@ export const getFeedTags = asyncHandler(async (req, res) => {
 
     const candidateVideos = await prisma.video.findMany({
         where: buildBaseFeedVideoWhere(suppression.whereExtra),
-        orderBy: [{ popularityScore: "desc" }, { createdAt: "desc" }],
+        orderBy: [{ popularityScore: "desc" }, { publishedAt: "desc" }],
         take: MAX_TAG_DISCOVERY_VIDEOS,
         select: {
             id: true,
             views: true,
             popularityScore: true,
             engagementScore: true,
-            createdAt: true,
+            publishedAt: true,
             tags: {
                 select: {
                     tag: {
@@ -673,9 +675,9 @@ export const getFeedTags = asyncHandler(async (req, res) => {
             entry.interestScore = Number(interestMap.get(tag.id) || 0);
             if (
                 !entry.lastVideoAt ||
-                new Date(video.createdAt).getTime() > new Date(entry.lastVideoAt).getTime()
+                new Date(video.publishedAt).getTime() > new Date(entry.lastVideoAt).getTime()
             ) {
-                entry.lastVideoAt = video.createdAt;
+                entry.lastVideoAt = video.publishedAt;
             }
         }
     }
@@ -886,10 +888,10 @@ export const getTagFeed = asyncHandler(async (req, res) => {
             where: whereClause,
             orderBy:
                 safeSortBy === "createdAt"
-                    ? [{ createdAt: normalizedSortType }]
+                    ? [{ publishedAt: normalizedSortType }]
                     : [
                         { popularityScore: normalizedSortType },
-                        { createdAt: normalizedSortType === "asc" ? "asc" : "desc" },
+                        { publishedAt: normalizedSortType === "asc" ? "asc" : "desc" },
                     ],
             skip,
             take: safeLimit,
@@ -945,7 +947,7 @@ export const getTagFeed = asyncHandler(async (req, res) => {
             skip,
             primaryTotal: totalVideos,
             whereClause: buildBaseFeedVideoWhere(suppression.whereExtra),
-            orderBy: [{ popularityScore: "desc" }, { createdAt: "desc" }],
+            orderBy: [{ popularityScore: "desc" }, { publishedAt: "desc" }],
             seedKey: `feed:tag:${resolvedTag.id}:${userId || "anon"}:${safePage}:${safeLimit}`,
         });
 
@@ -1136,8 +1138,8 @@ export const getHomeFeed = asyncHandler(async (req, res) => {
 
     const fallbackOrderBy =
         sortBy === "createdAt"
-            ? [{ createdAt: sortType }]
-            : [{ [sortBy]: sortType }, { createdAt: "desc" }];
+            ? [{ publishedAt: sortType }]
+            : [{ [sortBy]: sortType }, { publishedAt: "desc" }];
 
     let videos = [];
     let personalizedCount = 0;
@@ -1148,7 +1150,7 @@ export const getHomeFeed = asyncHandler(async (req, res) => {
             where: personalizedWhereClause,
             orderBy: [
                 { popularityScore: "desc" },
-                { createdAt: "desc" }
+                { publishedAt: "desc" }
             ],
             skip,
             take: safeLimit,
@@ -1362,7 +1364,7 @@ export const getSubscriptionsFeed = asyncHandler(async (req, res) => {
         const [rows, count] = await Promise.all([
             prisma.video.findMany({
                 where: subscriptionsWhere,
-                orderBy: { createdAt: "desc" },
+                orderBy: { publishedAt: "desc" },
                 skip,
                 take: safeLimit,
                 select: FEED_VIDEO_SELECT
@@ -1387,7 +1389,7 @@ export const getSubscriptionsFeed = asyncHandler(async (req, res) => {
             skip,
             primaryTotal: subscribedTotal,
             whereClause: exploreWhere,
-            orderBy: [{ popularityScore: "desc" }, { createdAt: "desc" }],
+            orderBy: [{ popularityScore: "desc" }, { publishedAt: "desc" }],
             seedKey: `feed:subscriptions:${userId}:${safePage}:${safeLimit}:${isShortFilter ?? "all"}`,
         });
 
@@ -1515,8 +1517,8 @@ export const getTrendingFeed = asyncHandler(async (req, res) => {
         where: whereClause,
         orderBy:
             sortBy === "createdAt"
-                ? [{ createdAt: sortType }]
-                : [{ [sortBy]: sortType }, { createdAt: "desc" }],
+                ? [{ publishedAt: sortType }]
+                : [{ [sortBy]: sortType }, { publishedAt: "desc" }],
         skip,
         take: safeLimit,
         select: FEED_VIDEO_SELECT
@@ -1538,7 +1540,7 @@ export const getTrendingFeed = asyncHandler(async (req, res) => {
             skip,
             primaryTotal: totalVideos,
             whereClause,
-            orderBy: [{ popularityScore: "desc" }, { createdAt: "desc" }],
+            orderBy: [{ popularityScore: "desc" }, { publishedAt: "desc" }],
             seedKey: `feed:trending:${safePage}:${safeLimit}:${isShortFilter ?? "all"}:${sortBy}:${sortType}`,
         });
 
@@ -1638,6 +1640,7 @@ export const getShortsFeed = asyncHandler(async (req, res) => {
         duration: true,
         views: true,
         createdAt: true,
+        publishedAt: true,
         owner: {
             select: {
                 id: true,
@@ -1707,8 +1710,8 @@ export const getShortsFeed = asyncHandler(async (req, res) => {
         where: shortsWhere,
         orderBy:
             sortBy === "createdAt"
-                ? { createdAt: sortType }
-                : [{ [sortBy]: sortType }, { createdAt: "desc" }],
+                ? { publishedAt: sortType }
+                : [{ [sortBy]: sortType }, { publishedAt: "desc" }],
         skip,
         take: safeLimit,
         select: shortsSelect,
@@ -1727,7 +1730,7 @@ export const getShortsFeed = asyncHandler(async (req, res) => {
             skip,
             primaryTotal: totalShorts,
             whereClause: shortsWhere,
-            orderBy: [{ popularityScore: "desc" }, { createdAt: "desc" }],
+            orderBy: [{ popularityScore: "desc" }, { publishedAt: "desc" }],
             seedKey: `feed:shorts:${userId || "anon"}:${safePage}:${safeLimit}:${sortBy}:${sortType}`,
             select: shortsSelect,
         });
@@ -0,0 +1,103 @@
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { hashPassword } from "../utils/password.js";
+import { isGitHubOAuthConfigured, isGoogleOAuthConfigured } from "../config/passport.js";
+import {
+  listUserIdentities,
+  unlinkIdentity,
+} from "../services/identity.service.js";
+
+const PASSWORD_MIN_LENGTH = 6;
+const PASSWORD_MAX_LENGTH = 100;
+
+const LINKABLE_PROVIDERS = {
+  google: { provider: "GOOGLE", isConfigured: isGoogleOAuthConfigured },
+  github: { provider: "GITHUB", isConfigured: isGitHubOAuthConfigured },
+};
+
+const resolveLinkableProvider = (value) => {
+  const entry = LINKABLE_PROVIDERS[String(value ?? "").trim().toLowerCase()];
+  if (!entry) {
+    throw new ApiError(400, "Unsupported provider");
+  }
+  return entry.provider;
+};
+
+/*
+  GET /auth/identities
+*/
+export const getMyIdentities = asyncHandler(async (req, res) => {
+  const [user, identities] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { password: true },
+    }),
+    listUserIdentities(req.user.id),
+  ]);
+
+  const availableProviders = Object.entries(LINKABLE_PROVIDERS)
+    .filter(([, entry]) => entry.isConfigured)
+    .map(([key]) => key);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        hasPassword: Boolean(user?.password),
+        identities,
+        availableProviders,
+      },
+      "Sign-in methods fetched"
+    )
+  );
+});
+
+/*
+  DELETE /auth/identities/:provider
+*/
+export const unlinkMyIdentity = asyncHandler(async (req, res) => {
+  const provider = resolveLinkableProvider(req.params.provider);
+
+  await unlinkIdentity({ userId: req.user.id, provider });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { provider }, "Sign-in method removed"));
+});
+
+/*
+  POST /auth/password
+  Lets OAuth-only accounts add a password. Changing an existing password
+  still goes through /users/change-password.
+*/
+export const setAccountPassword = asyncHandler(async (req, res) => {
+  const newPassword = String(req.body?.newPassword ?? "");
+
+  if (
+    newPassword.trim().length < PASSWORD_MIN_LENGTH ||
+    newPassword.length > PASSWORD_MAX_LENGTH
+  ) {
+    throw new ApiError(
+      400,
+      `Password must be between ${PASSWORD_MIN_LENGTH} and ${PASSWORD_MAX_LENGTH} characters`
+    );
+  }
+
+  const hashedPassword = await hashPassword(newPassword);
+
+  // Only fills an empty password so this cannot be used to overwrite one.
+  const result = await prisma.user.updateMany({
+    where: { id: req.user.id, password: null },
+    data: { password: hashedPassword },
+  });
+
+  if (result.count === 0) {
+    throw new ApiError(409, "Password already set. Use change password instead.");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { hasPassword: true }, "Password set successfully"));
+});
@@ -4,7 +4,11 @@ import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import { sanitizePagination } from "../utils/pagination.js";
 import { buildPaginatedListData } from "../utils/listResponse.js";
-// import upd from "../utils/updateFeedScrore.js"
+import {
+    buildViewerVisibleVideoWhere,
+    canViewerOpenVideo,
+} from "../utils/videoVisibility.js";
+import { enqueueBackgroundJob } from "../services/backgroundJob.service.js";
 
 // 1. Get videoId from params
 // 2. Get userId from req.user
@@ -18,40 +22,11 @@ import { buildPaginatedListData } from "../utils/listResponse.js";
 //       - return "liked"
 
 
-export const updateVideoScore = async (videoId) => {
-
-    if (!videoId) return;
-
-    const [video, likesCount, commentsCount, watchCount] = await Promise.all([
-        prisma.video.findUnique({
-            where: { id: videoId },
-            select: { views: true }
-        }),
-        prisma.like.count({ where: { videoId } }),
-        prisma.comment.count({ where: { videoId, isDeleted: false } }),
-        prisma.watchHistory.count({ where: { videoId } })
-    ]);
-
-    if (!video) return;
-
-    const score =
-        video.views * 0.3 +
-        likesCount * 0.4 +
-        commentsCount * 0.2 +
-        watchCount * 0.1;
-
-    await prisma.video.update({
-        where: { id: videoId },
-        data: {
-            popularityScore: score,
-            engagementScore: score / 10
-        }
-    });
-};
-
 const refreshVideoScoreInBackground = (videoId) => {
-    void updateVideoScore(videoId).catch((error) => {
-        console.error("Failed to update video score:", error?.message || error);
+    void enqueueBackgroundJob("FEED_RECOMPUTE", { videoId }, {
+        correlationId: videoId,
+    }).catch((error) => {
+        console.error("Video score refresh could not be queued:", error?.message || error);
     });
 };
 
@@ -72,7 +47,9 @@ export const toggleVideoLike = asyncHandler(async (req, res) => {
         where: { id: videoId },
         select: {
             id: true,
+            ownerId: true,
             isPublished: true,
+            visibility: true,
             isDeleted: true,
             processingStatus: true,
             isHlsReady: true
@@ -89,6 +66,10 @@ export const toggleVideoLike = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Video not found");
     }
 
+    if (!(await canViewerOpenVideo(video, userId))) {
+        throw new ApiError(404, "Video not found");
+    }
+
     const existingLike = await prisma.like.findUnique({
         where: {
             likedById_videoId: {
@@ -195,10 +176,10 @@ export const toggleTweetLike = asyncHandler(async (req, res) => {
 
     const tweet = await prisma.tweet.findUnique({
         where: { id: tweetId },
-        select: { id: true, isDeleted: true },
+        select: { id: true, isDeleted: true, isPublished: true },
     });
 
-    if (!tweet || tweet.isDeleted) {
+    if (!tweet || tweet.isDeleted || !tweet.isPublished) {
         throw new ApiError(404, "Tweet not found");
     }
 
@@ -262,6 +243,7 @@ export const getLikedVideos = asyncHandler(async (req, res) => {
                     isDeleted: false,
                     processingStatus: "COMPLETED",
                     isHlsReady: true,
+                    ...buildViewerVisibleVideoWhere(req.user.id),
                 }
             }
         },
@@ -310,6 +292,7 @@ export const getLikedVideos = asyncHandler(async (req, res) => {
                     isDeleted: false,
                     processingStatus: "COMPLETED",
                     isHlsReady: true,
+                    ...buildViewerVisibleVideoWhere(req.user.id),
                 }
             }
         },
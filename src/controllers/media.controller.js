@@ -2,7 +2,7 @@ import asyncHandler from "../utils/asyncHandler.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import ApiError from "../utils/ApiError.js";
 import prisma from "../db/prisma.js";
-import { verifyCloudinaryAssetOwnership } from "../utils/verifyCloudinaryAsset.js";
+import { getDefaultStorage } from "../storage/index.js";
 import {
   updateUserImage,
   deleteUserImage,
@@ -10,7 +10,7 @@ import {
 } from "../services/media.service.js";
 
 const DEFAULT_UPLOAD_SESSION_TTL_MINUTES = 120;
-const MAX_CLOUDINARY_PUBLIC_ID_LENGTH = 300;
+const MAX_STORAGE_PUBLIC_ID_LENGTH = 300;
 const ALLOWED_IMAGE_SESSION_TYPES = new Set(["IMAGE", "AVATAR", "COVER_IMAGE"]);
 
 const parsePositiveInt = (value, fallbackValue) => {
@@ -54,7 +54,7 @@ export const finalizeImageUpload = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Missing required fields");
   }
 
-  if (normalizedPublicId.length > MAX_CLOUDINARY_PUBLIC_ID_LENGTH) {
+  if (normalizedPublicId.length > MAX_STORAGE_PUBLIC_ID_LENGTH) {
     throw new ApiError(400, "Invalid public ID");
   }
 
@@ -118,7 +118,7 @@ export const finalizeImageUpload = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Upload session is not valid for image finalization");
   }
 
-  /* ---------- CLOUDINARY OWNERSHIP VERIFY ---------- */
+  /* ---------- STORAGE OWNERSHIP VERIFY ---------- */
 
   const folderMap = {
     avatar: `avatars/${req.user.id}`,
@@ -131,17 +131,18 @@ export const finalizeImageUpload = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Unsupported upload type");
   }
 
-  const resource = await verifyCloudinaryAssetOwnership(
-    normalizedPublicId,
+  const storage = getDefaultStorage();
+  const resource = await storage.verifyAsset(normalizedPublicId, {
     expectedFolder,
-    { resourceTypes: ["image"] }
-  );
+    resourceType: "image",
+  });
 
   const result = await updateUserImage({
     userId: req.user.id,
     type: normalizedType,
-    url: resource.secure_url,
-    publicId: resource.public_id
+    url: resource.url,
+    publicId: resource.publicId,
+    storageProvider: storage.name
   });
 
   await prisma.uploadSession.update({
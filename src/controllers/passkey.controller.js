@@ -0,0 +1,125 @@
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { respondWithNewLoginSession } from "../utils/loginResponse.js";
+import { SESSION_AUTH_METHODS } from "../services/session.service.js";
+import {
+  authenticateWithPasskey,
+  createPasskeyAuthenticationOptions,
+  createPasskeyRegistrationOptions,
+  deleteUserPasskey,
+  listUserPasskeys,
+  registerPasskey,
+  renameUserPasskey,
+} from "../services/passkey.service.js";
+
+const requireCredentialResponse = (value) => {
+  if (!value || typeof value !== "object" || typeof value.id !== "string") {
+    throw new ApiError(400, "response is required");
+  }
+  return value;
+};
+
+/*
+  GET /auth/passkeys
+*/
+export const getMyPasskeys = asyncHandler(async (req, res) => {
+  const items = await listUserPasskeys(req.user.id);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { items }, "Passkeys fetched"));
+});
+
+/*
+  POST /auth/passkeys/register/options
+*/
+export const startPasskeyRegistration = asyncHandler(async (req, res) => {
+  const result = await createPasskeyRegistrationOptions(req.user);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Passkey registration options generated"));
+});
+
+/*
+  POST /auth/passkeys/register/verify
+*/
+export const finishPasskeyRegistration = asyncHandler(async (req, res) => {
+  const passkey = await registerPasskey({
+    userId: req.user.id,
+    challengeId: req.body?.challengeId,
+    response: requireCredentialResponse(req.body?.response),
+    name: req.body?.name,
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, passkey, "Passkey registered"));
+});
+
+/*
+  PATCH /auth/passkeys/:passkeyId
+*/
+export const renameMyPasskey = asyncHandler(async (req, res) => {
+  const passkey = await renameUserPasskey({
+    userId: req.user.id,
+    passkeyId: String(req.params.passkeyId || "").trim(),
+    name: req.body?.name,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, passkey, "Passkey renamed"));
+});
+
+/*
+  DELETE /auth/passkeys/:passkeyId
+*/
+export const deleteMyPasskey = asyncHandler(async (req, res) => {
+  const result = await deleteUserPasskey({
+    userId: req.user.id,
+    passkeyId: String(req.params.passkeyId || "").trim(),
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Passkey removed"));
+});
+
+/*
+  POST /auth/passkeys/login/options
+  Always a discoverable prompt. Narrowing it to an email or username hint
+  would list that account's credential IDs, telling anyone whether it exists.
+*/
+export const startPasskeyLogin = asyncHandler(async (_req, res) => {
+  const result = await createPasskeyAuthenticationOptions();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, result, "Passkey login options generated"));
+});
+
+/*
+  POST /auth/passkeys/login/verify
+*/
+export const finishPasskeyLogin = asyncHandler(async (req, res) => {
+  const { user, userVerified } = await authenticateWithPasskey({
+    challengeId: req.body?.challengeId,
+    response: requireCredentialResponse(req.body?.response),
+  });
+
+  if (user.isDeleted) {
+    throw new ApiError(403, "Account deleted");
+  }
+
+  // A user-verified passkey is already multi-factor, so it also satisfies 2FA.
+  return respondWithNewLoginSession({
+    req,
+    res,
+    user,
+    authMethod: SESSION_AUTH_METHODS.PASSKEY,
+    twoFactorVerified: userVerified,
+    message: "User Logged In Successfully",
+  });
+});
@@ -0,0 +1,63 @@
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  TOKEN_SCOPES,
+  createPersonalAccessToken,
+  listPersonalAccessTokens,
+  revokePersonalAccessToken,
+} from "../services/personalAccessToken.service.js";
+
+/*
+  GET /auth/tokens
+*/
+export const getMyAccessTokens = asyncHandler(async (req, res) => {
+  const items = await listPersonalAccessTokens(req.user.id);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { items, availableScopes: Object.values(TOKEN_SCOPES) },
+      "Access tokens fetched"
+    )
+  );
+});
+
+/*
+  POST /auth/tokens
+*/
+export const createMyAccessToken = asyncHandler(async (req, res) => {
+  const token = await createPersonalAccessToken({
+    userId: req.user.id,
+    name: req.body?.name,
+    scopes: req.body?.scopes,
+    expiresInDays: req.body?.expiresInDays,
+  });
+
+  return res.status(201).json(
+    new ApiResponse(
+      201,
+      token,
+      "Access token created. Copy it now, it will not be shown again."
+    )
+  );
+});
+
+/*
+  DELETE /auth/tokens/:tokenId
+*/
+export const revokeMyAccessToken = asyncHandler(async (req, res) => {
+  const tokenId = String(req.params.tokenId || "").trim();
+  if (!tokenId) {
+    throw new ApiError(400, "tokenId is required");
+  }
+
+  const revoked = await revokePersonalAccessToken({ userId: req.user.id, tokenId });
+  if (!revoked) {
+    throw new ApiError(404, "Access token not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { tokenId }, "Access token revoked"));
+});
@@ -5,6 +5,10 @@ import asyncHandler from "../utils/asyncHandler.js"
 import { getOrCreateWatchLater } from "../utils/getOrCreateWatchLaterPlaylist.js";
 import { sanitizePagination } from "../utils/pagination.js";
 import { buildPaginatedListData } from "../utils/listResponse.js";
+import {
+    buildViewerVisibleVideoWhere,
+    canViewerOpenVideo,
+} from "../utils/videoVisibility.js";
 
 const SEVEN_DAYS = 7 * 24 * 60 * 60 * 1000;
 const MAX_PLAYLIST_NAME_LENGTH = 100;
@@ -250,6 +254,7 @@ export const getPlaylistById = asyncHandler(async (req, res) => {
             isPublished: true,
             processingStatus: "COMPLETED",
             isHlsReady: true,
+            ...buildViewerVisibleVideoWhere(req.user.id),
         };
 
     const playlistVideos = await prisma.playlistVideo.findMany({
@@ -365,6 +370,7 @@ export const addVideoToPlaylist = asyncHandler(async (req, res) => {
             ownerId: true,
             isDeleted: true,
             isPublished: true,
+            visibility: true,
             processingStatus: true,
             isHlsReady: true,
         },
@@ -382,7 +388,8 @@ export const addVideoToPlaylist = asyncHandler(async (req, res) => {
         videoExists.ownerId === req.user.id ||
         (videoExists.isPublished &&
             videoExists.processingStatus === "COMPLETED" &&
-            videoExists.isHlsReady);
+            videoExists.isHlsReady &&
+            (await canViewerOpenVideo(videoExists, req.user.id)));
 
     if (!canAccessVideo) {
         throw new ApiError(403, "Video is not available");
@@ -794,9 +801,11 @@ export const toggleWatchLater = asyncHandler(async (req, res) => {
             where: { id: videoId },
             select: {
                 duration: true,
+                id: true,
                 ownerId: true,
                 isDeleted: true,
                 isPublished: true,
+                visibility: true,
                 processingStatus: true,
                 isHlsReady: true,
             },
@@ -810,7 +819,8 @@ export const toggleWatchLater = asyncHandler(async (req, res) => {
             video.ownerId === userId ||
             (video.isPublished &&
                 video.processingStatus === "COMPLETED" &&
-                video.isHlsReady);
+                video.isHlsReady &&
+                (await canViewerOpenVideo(video, userId)));
 
         if (!canAccessVideo) {
             throw new ApiError(403, "Video is not available");
@@ -919,6 +929,7 @@ export const getWatchLaterVideos = asyncHandler(async (req, res) => {
                     isPublished: true,
                     processingStatus: "COMPLETED",
                     isHlsReady: true,
+                    ...buildViewerVisibleVideoWhere(userId),
                 },
             ],
         },
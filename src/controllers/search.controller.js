@@ -236,6 +236,7 @@ const toVideoItem = (video) => ({
   views: video.views,
   isShort: video.isShort,
   createdAt: video.createdAt,
+  publishedAt: video.publishedAt,
   owner: video.owner || null,
   tags: Array.isArray(video.tags)
     ? video.tags.map((row) => row?.tag?.name).filter(Boolean)
@@ -267,6 +268,7 @@ const toTweetItem = (tweet) => ({
   content: tweet.content,
   image: tweet.image,
   createdAt: tweet.createdAt,
+  publishedAt: tweet.publishedAt,
   owner: tweet.owner || null,
   likesCount: tweet._count?.likes || 0,
   commentsCount: tweet._count?.comments || 0,
@@ -286,6 +288,7 @@ const toPlaylistItem = (playlist) => ({
 const buildVideoWhere = ({ q, tags, category, videoType = "all" }) => {
   const where = {
     isPublished: true,
+    visibility: "PUBLIC",
     isDeleted: false,
     processingStatus: "COMPLETED",
     isHlsReady: true,
@@ -439,6 +442,7 @@ const buildChannelWhere = ({ q, category }) => {
 const buildTweetWhere = ({ q }) => {
   const where = {
     isDeleted: false,
+    isPublished: true,
     owner: {
       is: buildPublicOwnerFilter(),
     },
@@ -479,12 +483,12 @@ const buildPlaylistWhere = ({ q }) => {
 const resolveVideoOrderBy = (sortBy, sortType) => {
   const order = parseSortOrder(sortType, "desc");
   const key = normalizeText(sortBy).toLowerCase();
-  if (key === "relevance") return [{ views: "desc" }, { createdAt: "desc" }];
+  if (key === "relevance") return [{ views: "desc" }, { publishedAt: "desc" }];
   if (key === "views") return { views: order };
   if (key === "duration") return { duration: order };
   if (key === "title") return { title: order };
-  if (key === "date" || key === "createdat" || key === "newest") return { createdAt: order };
-  return { createdAt: order };
+  if (key === "date" || key === "createdat" || key === "newest") return { publishedAt: order };
+  return { publishedAt: order };
 };
 
 const resolveChannelOrderBy = (sortBy, sortType) => {
@@ -500,10 +504,10 @@ const resolveChannelOrderBy = (sortBy, sortType) => {
 const resolveTweetOrderBy = (sortBy, sortType) => {
   const order = parseSortOrder(sortType, "desc");
   const key = normalizeText(sortBy).toLowerCase();
-  if (key === "relevance") return [{ likes: { _count: "desc" } }, { createdAt: "desc" }];
+  if (key === "relevance") return [{ likes: { _count: "desc" } }, { publishedAt: "desc" }];
   if (key === "likes") return { likes: { _count: order } };
   if (key === "comments") return { comments: { _count: order } };
-  return { createdAt: order };
+  return { publishedAt: order };
 };
 
 const resolvePlaylistOrderBy = (sortBy, sortType) => {
@@ -700,6 +704,7 @@ const findVideos = async ({
     views: true,
     isShort: true,
     createdAt: true,
+    publishedAt: true,
     owner: {
       select: {
         id: true,
@@ -763,7 +768,7 @@ const findVideos = async ({
     const fallbackTotal = await prisma.video.count({ where: fallbackBaseWhere });
     const fallbackRows = await prisma.video.findMany({
       where: addNotInIds(fallbackBaseWhere, items.map((item) => item.id)),
-      orderBy: [{ createdAt: "desc" }],
+      orderBy: [{ publishedAt: "desc" }],
       skip: resolveBackfillSkip({
         skip,
         primaryTotal: totalItems,
@@ -896,6 +901,7 @@ const findTweets = async ({ q, skip = 0, take = 10, sortBy, sortType }) => {
     content: true,
     image: true,
     createdAt: true,
+    publishedAt: true,
     owner: {
       select: {
         id: true,
@@ -956,7 +962,7 @@ const findTweets = async ({ q, skip = 0, take = 10, sortBy, sortType }) => {
     const fallbackTotal = await prisma.tweet.count({ where: fallbackBaseWhere });
     const fallbackRows = await prisma.tweet.findMany({
       where: addNotInIds(fallbackBaseWhere, items.map((item) => item.id)),
-      orderBy: [{ createdAt: "desc" }],
+      orderBy: [{ publishedAt: "desc" }],
       skip: resolveBackfillSkip({
         skip,
         primaryTotal: totalItems,
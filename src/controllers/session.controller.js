@@ -0,0 +1,75 @@
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  SESSION_REVOKE_REASONS,
+  listActiveUserSessions,
+  revokeAllUserSessions,
+  revokeUserSession,
+} from "../services/session.service.js";
+
+/*
+  GET /auth/sessions
+*/
+export const getMySessions = asyncHandler(async (req, res) => {
+  const sessions = await listActiveUserSessions(req.user.id);
+  const currentSessionId = req.authSessionId || null;
+
+  const items = sessions.map((session) => ({
+    ...session,
+    isCurrent: session.id === currentSessionId,
+  }));
+
+  return res.status(200).json(
+    new ApiResponse(200, { items, currentSessionId }, "Sessions fetched")
+  );
+});
+
+/*
+  DELETE /auth/sessions/:sessionId
+*/
+export const revokeMySession = asyncHandler(async (req, res) => {
+  const sessionId = String(req.params.sessionId || "").trim();
+  if (!sessionId) {
+    throw new ApiError(400, "sessionId is required");
+  }
+
+  if (sessionId === req.authSessionId) {
+    throw new ApiError(400, "Use logout to end the current session");
+  }
+
+  const revoked = await revokeUserSession({
+    userId: req.user.id,
+    sessionId,
+    reason: SESSION_REVOKE_REASONS.USER_REVOKED,
+    req,
+  });
+
+  if (!revoked) {
+    throw new ApiError(404, "Session not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { sessionId }, "Session revoked"));
+});
+
+/*
+  POST /auth/sessions/revoke-others
+*/
+export const revokeMyOtherSessions = asyncHandler(async (req, res) => {
+  if (!req.authSessionId) {
+    throw new ApiError(401, "Session expired. Login again.");
+  }
+
+  const revokedCount = await revokeAllUserSessions({
+    userId: req.user.id,
+    exceptSessionId: req.authSessionId,
+    reason: SESSION_REVOKE_REASONS.LOGOUT_OTHERS,
+    req,
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { revokedCount }, "Logged out of other sessions"));
+});
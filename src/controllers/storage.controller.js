@@ -0,0 +1,94 @@
+import path from "path";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import {
+  readLocalObjectMeta,
+  verifyLocalDownloadToken,
+  verifyLocalUploadToken,
+  writeLocalObject,
+} from "../storage/local.storage.js";
+import {
+  contentTypeMatchesResourceType,
+  isInlineSafeContentType,
+} from "../storage/storage.utils.js";
+
+/*
+  PUT /storage/local/:token
+  Direct-upload target for the local disk backend; the signed token from
+  /upload/signature pins the public id, resource type and size limit.
+*/
+export const uploadLocalObject = asyncHandler(async (req, res) => {
+  const target = verifyLocalUploadToken(req.params.token);
+
+  if (target.uid !== req.user.id) {
+    throw new ApiError(403, "Not allowed");
+  }
+
+  const contentType = String(req.headers["content-type"] || "").trim().toLowerCase();
+  if (!contentTypeMatchesResourceType(contentType, target.rt)) {
+    throw new ApiError(415, `Expected a ${target.rt} upload`);
+  }
+
+  const declaredLength = Number(req.headers["content-length"]);
+  if (target.max && Number.isFinite(declaredLength) && declaredLength > target.max) {
+    throw new ApiError(413, "Uploaded file is larger than allowed");
+  }
+
+  const stored = await writeLocalObject({
+    publicId: target.key,
+    stream: req,
+    contentType,
+    maxBytes: target.max,
+  });
+
+  return res.status(201).json(
+    new ApiResponse(
+      201,
+      { publicId: stored.publicId, bytes: stored.bytes, resourceType: target.rt },
+      "File uploaded"
+    )
+  );
+});
+
+/*
+  GET /storage/local/download/:token
+*/
+export const downloadLocalObject = asyncHandler(async (req, res) => {
+  const { key } = verifyLocalDownloadToken(req.params.token);
+
+  const meta = await readLocalObjectMeta(key);
+  if (!meta) throw new ApiError(404, "File not found");
+
+  return res.download(meta.filePath, path.basename(key), {
+    headers: { "Content-Type": meta.contentType, "X-Content-Type-Options": "nosniff" },
+  });
+});
+
+/*
+  GET /storage/*publicId
+  Public media for the local backend. Private objects (data exports) are only
+  reachable through a signed download link.
+*/
+export const serveLocalObject = asyncHandler(async (req, res) => {
+  const segments = [].concat(req.params.publicId || []);
+  const meta = await readLocalObjectMeta(segments.join("/"));
+
+  if (!meta || meta.isPrivate) throw new ApiError(404, "File not found");
+
+  // Stored content types come from the uploader, so nothing here may render
+  // as a document on the API origin.
+  const inlineSafe = isInlineSafeContentType(meta.contentType);
+
+  return res.sendFile(meta.filePath, {
+    maxAge: "7d",
+    headers: {
+      "Content-Type": inlineSafe ? meta.contentType : "application/octet-stream",
+      "X-Content-Type-Options": "nosniff",
+      "Content-Security-Policy": "sandbox",
+      ...(inlineSafe ? {} : { "Content-Disposition": "attachment" }),
+      // Media is embedded by the web app on another origin.
+      "Cross-Origin-Resource-Policy": "cross-origin",
+    },
+  });
+});
@@ -13,6 +13,7 @@ export const updateChannelVideoScores = async (channelId) => {
         where: { 
             ownerId: channelId,
             isPublished: true,
+            visibility: "PUBLIC",
             isDeleted: false,
             processingStatus: "COMPLETED",
             isHlsReady: true
@@ -264,12 +265,13 @@ export const getSubscribedVideos = asyncHandler(async (req, res) => {
         where: {
             ownerId: { in: channelIds },
             isPublished: true,
+            visibility: "PUBLIC",
             isDeleted: false,
             processingStatus: "COMPLETED",
             isHlsReady: true,
         },
         orderBy: {
-            createdAt: "desc"
+            publishedAt: "desc"
         },
         skip,
         take: safeLimit,
@@ -280,6 +282,7 @@ export const getSubscribedVideos = asyncHandler(async (req, res) => {
             views: true,
             duration: true,
             createdAt: true,
+            publishedAt: true,
             owner: {
                 select: {
                     id: true,
@@ -294,6 +297,7 @@ export const getSubscribedVideos = asyncHandler(async (req, res) => {
         where: {
             ownerId: { in: channelIds },
             isPublished: true,
+            visibility: "PUBLIC",
             isDeleted: false,
             processingStatus: "COMPLETED",
             isHlsReady: true,
@@ -2,16 +2,17 @@ import prisma from "../db/prisma.js"
 import ApiError from "../utils/ApiError.js"
 import ApiResponse from "../utils/ApiResponse.js"
 import asyncHandler from "../utils/asyncHandler.js"
-import { deleteImageOnCloudinary } from "../utils/cloudinary.js";
-import { verifyCloudinaryAssetOwnership } from "../utils/verifyCloudinaryAsset.js";
+import { deleteStoredAsset, getDefaultStorage } from "../storage/index.js";
 import { sanitizePagination } from "../utils/pagination.js";
 import { sanitizeSort } from "../utils/sanitizeSort.js";
 import { buildPaginatedListData } from "../utils/listResponse.js";
 import { getCachedValue, setCachedValue } from "../utils/cache.js";
+import { ChannelNotificationAudience } from "../services/notification.service.js";
+import { enqueueBackgroundJob } from "../services/backgroundJob.service.js";
 import {
-    ChannelNotificationAudience,
-    dispatchChannelActivityNotification,
-} from "../services/notification.service.js";
+    parsePublishAt,
+    queueScheduledPublish,
+} from "../services/scheduledPublish.service.js";
 
 const MAX_TWEET_CONTENT_LENGTH = 500;
 const MAX_FEED_LIMIT = 100;
@@ -178,7 +179,7 @@ const scoreHotTweet = (tweet) => {
     const likes = Number(tweet?._count?.likes || 0);
     const comments = Number(tweet?._count?.comments || 0);
     const engagement = likes * 1.8 + comments * 2.4;
-    return engagement + scoreRecency(tweet.createdAt);
+    return engagement + scoreRecency(tweet.publishedAt ?? tweet.createdAt);
 };
 
 const scoreForYouTweet = (tweet, profile) => {
@@ -217,6 +218,7 @@ const TWEET_FEED_SELECT = {
     content: true,
     image: true,
     createdAt: true,
+    publishedAt: true,
     ownerId: true,
     owner: {
         select: TWEET_OWNER_SELECT,
@@ -252,7 +254,7 @@ const appendRandomTweetBackfill = async ({
     skip = 0,
     primaryTotal = 0,
     baseWhere = {},
-    orderBy = [{ createdAt: "desc" }],
+    orderBy = [{ publishedAt: "desc" }],
     seedKey = "tweets:feed",
 }) => {
     const safeCurrent = Array.isArray(currentTweets) ? [...currentTweets] : [];
@@ -309,6 +311,7 @@ const formatTweetFeedItem = (tweet, likedTweetIds = null) => ({
     content: tweet.content,
     image: tweet.image,
     createdAt: tweet.createdAt,
+    publishedAt: tweet.publishedAt,
     owner: tweet.owner || null,
     likesCount: tweet?._count?.likes || 0,
     commentsCount: tweet?._count?.comments || 0,
@@ -329,6 +332,7 @@ const getBlockedChannelIds = async (userId) => {
 const buildTweetFeedWhere = ({ topic, blockedChannelIds = [] } = {}) => {
     const where = {
         isDeleted: false,
+        isPublished: true,
         owner: {
             is: buildPublicOwnerWhere(),
         },
@@ -443,6 +447,7 @@ export const createTweet = asyncHandler(async (req, res) => {
 
     const content = String(req.body?.content ?? "").trim();
     const imagePublicId = String(req.body?.imagePublicId ?? "").trim();
+    const publishAt = parsePublishAt(req.body?.publishAt);
 
     if (!content) {
         throw new ApiError(400, "Content required");
@@ -458,16 +463,19 @@ export const createTweet = asyncHandler(async (req, res) => {
 
     let finalImageUrl = null;
     let finalImagePublicId = null;
+    let finalImageStorageProvider = null;
 
     if (imagePublicId) {
 
-        const resource = await verifyCloudinaryAssetOwnership(
-            imagePublicId,
-            `tweets/${req.user.id}`
-        );
+        const storage = getDefaultStorage();
+        const resource = await storage.verifyAsset(imagePublicId, {
+            expectedFolder: `tweets/${req.user.id}`,
+            resourceType: "image",
+        });
 
-        finalImageUrl = resource.secure_url;
-        finalImagePublicId = resource.public_id;
+        finalImageUrl = resource.url;
+        finalImagePublicId = resource.publicId;
+        finalImageStorageProvider = storage.name;
     }
 
 
@@ -476,16 +484,33 @@ export const createTweet = asyncHandler(async (req, res) => {
             content,
             image: finalImageUrl,
             imageId: finalImagePublicId,
-            ownerId: req.user.id
+            imageStorageProvider: finalImageStorageProvider,
+            ownerId: req.user.id,
+            isPublished: !publishAt,
+            publishAt,
+            publishedAt: publishAt ? null : new Date(),
         }
     });
 
+    // Scheduled posts notify subscribers when the publish job runs, not now.
+    if (publishAt) {
+        await queueScheduledPublish({
+            targetType: "TWEET",
+            targetId: tweet.id,
+            publishAt,
+        });
+
+        return res.status(201).json(
+            new ApiResponse(201, tweet, "Tweet scheduled")
+        );
+    }
+
     const channelName =
         req.user?.fullName ||
         req.user?.username ||
         "A channel you follow";
 
-    void dispatchChannelActivityNotification({
+    void enqueueBackgroundJob("NOTIFICATION", {
         channelId: req.user.id,
         senderId: req.user.id,
         activityType: "POST_CREATED",
@@ -497,9 +522,9 @@ export const createTweet = asyncHandler(async (req, res) => {
             tweetId: tweet.id,
             tweetPreview: content.slice(0, 160),
         },
-    }).catch((error) => {
+    }, { correlationId: req.user.id }).catch((error) => {
         console.error(
-            "Notification dispatch failed (tweet):",
+            "Notification could not be queued (tweet):",
             error?.message || error
         );
     });
@@ -582,7 +607,7 @@ export const getTweetFeed = asyncHandler(async (req, res) => {
                 prisma.tweet.findMany({
                     where,
                     orderBy: {
-                        createdAt: sortType,
+                        publishedAt: sortType,
                     },
                     skip,
                     take: limit,
@@ -599,7 +624,7 @@ export const getTweetFeed = asyncHandler(async (req, res) => {
             prisma.tweet.findMany({
                 where: baseWhere,
                 orderBy: {
-                    createdAt: sortType,
+                    publishedAt: sortType,
                 },
                 skip,
                 take: limit,
@@ -618,7 +643,7 @@ export const getTweetFeed = asyncHandler(async (req, res) => {
                 orderBy: [
                     { likes: { _count: "desc" } },
                     { comments: { _count: "desc" } },
-                    { createdAt: "desc" },
+                    { publishedAt: "desc" },
                 ],
                 skip,
                 take: limit,
@@ -639,7 +664,7 @@ export const getTweetFeed = asyncHandler(async (req, res) => {
                 prisma.tweet.findMany({
                     where: baseWhere,
                     orderBy: {
-                        createdAt: "desc",
+                        publishedAt: "desc",
                     },
                     skip,
                     take: limit,
@@ -663,7 +688,7 @@ export const getTweetFeed = asyncHandler(async (req, res) => {
                 prisma.tweet.findMany({
                     where: baseWhere,
                     orderBy: [
-                        { createdAt: "desc" },
+                        { publishedAt: "desc" },
                         { likes: { _count: "desc" } },
                     ],
                     take: candidateTake,
@@ -696,7 +721,7 @@ export const getTweetFeed = asyncHandler(async (req, res) => {
             skip,
             primaryTotal: totalItems,
             baseWhere,
-            orderBy: [{ createdAt: "desc" }],
+            orderBy: [{ publishedAt: "desc" }],
             seedKey: `tweets:feed:${mode}:${userId || "anon"}:${page}:${limit}:${topic || "all"}:${sortType}`,
         });
 
@@ -786,18 +811,19 @@ export const getHotTweetTopics = asyncHandler(async (req, res) => {
 
     const since = new Date(Date.now() - windowHours * 60 * 60 * 1000);
     const where = buildTweetFeedWhere({ blockedChannelIds });
-    where.createdAt = { gte: since };
+    where.publishedAt = { gte: since };
 
     const recentTweets = await prisma.tweet.findMany({
         where,
         orderBy: {
-            createdAt: "desc",
+            publishedAt: "desc",
         },
         take: 1200,
         select: {
             id: true,
             content: true,
             createdAt: true,
+            publishedAt: true,
             _count: {
                 select: {
                     likes: true,
@@ -892,12 +918,20 @@ export const getUserTweets = asyncHandler(async (req, res) => {
     sortType = safeSort.sortType;
 
 
+    // Scheduled posts are only listed to their owner.
+    const visibilityWhere = req.user?.id === userId ? {} : { isPublished: true };
+
     const tweets = await prisma.tweet.findMany({
         where: {
             ownerId: userId,
             isDeleted: false,
+            ...visibilityWhere,
         },
-        orderBy: { [sortBy]: sortType },
+        // Scheduled posts (owner only) have no publishedAt yet and list first.
+        orderBy:
+            sortBy === "createdAt"
+                ? [{ publishedAt: { sort: sortType, nulls: "first" } }, { createdAt: sortType }]
+                : { [sortBy]: sortType },
         skip,
         take: safeLimit,
         select: {
@@ -905,6 +939,7 @@ export const getUserTweets = asyncHandler(async (req, res) => {
             content: true,
             image: true,
             createdAt: true,
+            publishedAt: true,
             owner: {
                 select: {
                     id: true,
@@ -934,6 +969,7 @@ export const getUserTweets = asyncHandler(async (req, res) => {
         where: {
             ownerId: userId,
             isDeleted: false,
+            ...visibilityWhere,
         },
     });
 
@@ -974,7 +1010,10 @@ export const getTweetById = asyncHandler(async (req, res) => {
             content: true,
             image: true,
             createdAt: true,
+            publishedAt: true,
             ownerId: true,
+            isPublished: true,
+            publishAt: true,
             owner: {
                 select: {
                     id: true,
@@ -992,7 +1031,7 @@ export const getTweetById = asyncHandler(async (req, res) => {
         },
     });
 
-    if (!tweet) {
+    if (!tweet || (!tweet.isPublished && tweet.ownerId !== userId)) {
         throw new ApiError(404, "Tweet not found");
     }
 
@@ -1015,6 +1054,9 @@ export const getTweetById = asyncHandler(async (req, res) => {
         content: tweet.content,
         image: tweet.image,
         createdAt: tweet.createdAt,
+        publishedAt: tweet.publishedAt,
+        isPublished: tweet.isPublished,
+        publishAt: tweet.publishAt,
         owner: tweet.owner || null,
         likesCount: tweet?._count?.likes || 0,
         commentsCount: tweet?._count?.comments || 0,
@@ -1080,6 +1122,7 @@ export const deleteTweet = asyncHandler(async (req, res) => {
         select: {
             ownerId: true,
             imageId: true,
+            imageStorageProvider: true,
         },
     });
 
@@ -1093,7 +1136,10 @@ export const deleteTweet = asyncHandler(async (req, res) => {
 
     // Optional cleanup
     if (tweet.imageId) {
-        await deleteImageOnCloudinary(tweet.imageId);
+        await deleteStoredAsset({
+            provider: tweet.imageStorageProvider,
+            publicId: tweet.imageId,
+        });
     }
 
     await prisma.tweet.update({
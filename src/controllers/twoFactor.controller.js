@@ -0,0 +1,268 @@
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { comparePassword } from "../utils/password.js";
+import {
+  buildOtpauthUri,
+  generateTotpSecret,
+  verifyTotp,
+} from "../utils/totp.js";
+import {
+  TWO_FACTOR_ISSUER,
+  assertSecondFactor,
+  decryptTwoFactorSecret,
+  encryptTwoFactorSecret,
+  generateRecoveryCodes,
+  markSessionTwoFactorVerified,
+} from "../services/twoFactor.service.js";
+
+const normalizeCode = (value) => String(value ?? "").replace(/\D/g, "");
+const normalizeRecoveryCodeInput = (value) => String(value ?? "").trim();
+
+const loadTwoFactorUser = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      email: true,
+      username: true,
+      password: true,
+      isDeleted: true,
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: true,
+      twoFactorPendingSecret: true,
+      twoFactorRecoveryCodes: true,
+    },
+  });
+
+  if (!user || user.isDeleted) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return user;
+};
+
+const assertLocalPassword = async (user, password) => {
+  if (!user.password) {
+    throw new ApiError(400, "Set a password before enabling two-factor authentication");
+  }
+
+  if (typeof password !== "string" || !password) {
+    throw new ApiError(400, "password is required");
+  }
+
+  const isPasswordValid = await comparePassword(password, user.password);
+  if (!isPasswordValid) {
+    throw new ApiError(401, "Invalid password");
+  }
+};
+
+/*
+  GET /users/2fa
+*/
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await loadTwoFactorUser(req.user.id);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt,
+        pendingSetup: Boolean(user.twoFactorPendingSecret),
+        recoveryCodesRemaining: user.twoFactorEnabled
+          ? user.twoFactorRecoveryCodes.length
+          : 0,
+      },
+      "Two-factor status fetched"
+    )
+  );
+});
+
+/*
+  POST /users/2fa/setup
+  Generates a pending secret; 2FA is not active until confirmed with a code.
+*/
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await loadTwoFactorUser(req.user.id);
+
+  if (user.twoFactorEnabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  await assertLocalPassword(user, req.body?.password);
+
+  const secret = generateTotpSecret();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorPendingSecret: encryptTwoFactorSecret(secret) },
+  });
+
+  const otpauthUri = buildOtpauthUri({
+    secret,
+    accountName: user.email || user.username || user.id,
+    issuer: TWO_FACTOR_ISSUER,
+  });
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { secret, otpauthUri, issuer: TWO_FACTOR_ISSUER },
+      "Scan the QR code and confirm with a code from your authenticator app"
+    )
+  );
+});
+
+/*
+  POST /users/2fa/enable
+*/
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const code = normalizeCode(req.body?.code);
+  if (!code) {
+    throw new ApiError(400, "code is required");
+  }
+
+  const user = await loadTwoFactorUser(req.user.id);
+
+  if (user.twoFactorEnabled) {
+    throw new ApiError(409, "Two-factor authentication is already enabled");
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    throw new ApiError(400, "Start two-factor setup first");
+  }
+
+  const matchedStep = verifyTotp({
+    secret: decryptTwoFactorSecret(user.twoFactorPendingSecret),
+    token: code,
+  });
+
+  if (matchedStep === null) {
+    throw new ApiError(400, "Invalid two-factor code");
+  }
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorEnabled: true,
+      twoFactorEnabledAt: new Date(),
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorPendingSecret: null,
+      twoFactorLastUsedStep: matchedStep,
+      twoFactorRecoveryCodes: hashes,
+    },
+  });
+
+  if (req.authSessionId) {
+    await markSessionTwoFactorVerified(req.authSessionId);
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { enabled: true, recoveryCodes: codes },
+      "Two-factor authentication enabled. Store your recovery codes safely."
+    )
+  );
+});
+
+/*
+  POST /users/2fa/disable
+*/
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const user = await loadTwoFactorUser(req.user.id);
+
+  if (!user.twoFactorEnabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  await assertLocalPassword(user, req.body?.password);
+  await assertSecondFactor({
+    userId: user.id,
+    code: normalizeCode(req.body?.code),
+    recoveryCode: normalizeRecoveryCodeInput(req.body?.recoveryCode),
+  });
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      twoFactorEnabled: false,
+      twoFactorEnabledAt: null,
+      twoFactorSecret: null,
+      twoFactorPendingSecret: null,
+      twoFactorLastUsedStep: null,
+      twoFactorRecoveryCodes: [],
+    },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { enabled: false }, "Two-factor authentication disabled"));
+});
+
+/*
+  POST /users/2fa/recovery-codes
+*/
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const user = await loadTwoFactorUser(req.user.id);
+
+  if (!user.twoFactorEnabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  await assertSecondFactor({
+    userId: user.id,
+    code: normalizeCode(req.body?.code),
+  });
+
+  const { codes, hashes } = generateRecoveryCodes();
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { twoFactorRecoveryCodes: hashes },
+  });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { recoveryCodes: codes }, "Recovery codes regenerated"));
+});
+
+/*
+  POST /users/2fa/verify
+  Step-up check that unlocks sensitive actions for this session for a short window.
+*/
+export const verifyTwoFactorStepUp = asyncHandler(async (req, res) => {
+  if (!req.user.twoFactorEnabled) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  if (!req.authSessionId) {
+    throw new ApiError(401, "Session expired. Login again.");
+  }
+
+  const result = await assertSecondFactor({
+    userId: req.user.id,
+    code: normalizeCode(req.body?.code),
+    recoveryCode: normalizeRecoveryCodeInput(req.body?.recoveryCode),
+  });
+
+  const session = await markSessionTwoFactorVerified(req.authSessionId);
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        verifiedAt: session.twoFactorVerifiedAt,
+        method: result.method,
+        ...(result.remainingRecoveryCodes !== undefined && {
+          recoveryCodesRemaining: result.remainingRecoveryCodes,
+        }),
+      },
+      "Two-factor verification successful"
+    )
+  );
+});
@@ -1,23 +1,43 @@
 import prisma from "../db/prisma.js"
-import { enqueueVideoProcessing } from "../queue/video.producer.js";
 import ApiError from "../utils/ApiError.js"
 import ApiResponse from "../utils/ApiResponse.js"
 import asyncHandler from "../utils/asyncHandler.js"
 import crypto from "crypto";
-import { verifyCloudinaryAssetOwnership } from "../utils/verifyCloudinaryAsset.js";
-import { generateVideoThumbnail } from "../utils/cloudinaryThumbnail.js";
+import { deleteStoredAsset, getDefaultStorage, getStorageFor } from "../storage/index.js";
+import { buildPublicId } from "../storage/storage.utils.js";
+import {
+    TUS_CHUNK_CONTENT_TYPE,
+    TUS_EXTENSIONS,
+    TUS_VERSION,
+    claimStagedUpload,
+    discardStagedUpload,
+    formatUploadExpires,
+    getStagedSize,
+    getStagingPath,
+    parseUploadLength,
+    parseUploadMetadata,
+    parseUploadOffset,
+    releaseStagedUpload,
+    writeStagedChunk,
+} from "../services/tusUpload.service.js";
 import {
     buildVideoStreamingPayload,
     normalizeAvailableQualities,
 } from "../utils/videoQuality.js";
 import { parseTranscriptInput } from "../utils/transcript.js";
+import { startVideoProcessing } from "../services/videoPipeline.service.js";
+import { parsePublishAt } from "../services/scheduledPublish.service.js";
+import { normalizeVideoVisibility } from "../utils/videoVisibility.js";
+import { resolveChapterUpdate } from "../utils/videoChapters.js";
 import {
-    ChannelNotificationAudience,
-    dispatchChannelActivityNotification,
-} from "../services/notification.service.js";
-import { metrics } from "../observability/usage.metrics.js";
+    UNDETERMINED_LANGUAGE,
+    normalizeCaptionLabel,
+    normalizeCaptionLanguage,
+    saveCaptionTrack,
+} from "../services/captionTrack.service.js";
 
 const MAX_UPLOAD_FILE_SIZE_BYTES = 5 * 1024 * 1024 * 1024;
+const MAX_IMAGE_UPLOAD_FILE_SIZE_BYTES = 20 * 1024 * 1024;
 const MAX_UPLOAD_FILENAME_LENGTH = 255;
 const MAX_UPLOAD_MIMETYPE_LENGTH = 100;
 const MAX_VIDEO_TITLE_LENGTH = 120;
@@ -83,6 +103,27 @@ const isUploadSessionExpired = (session) => {
     return Date.now() - createdAtMs > UPLOAD_SESSION_TTL_MS;
 };
 
+const getUploadSessionExpiresAt = (session) =>
+    new Date(new Date(session.createdAt).getTime() + UPLOAD_SESSION_TTL_MS);
+
+/*
+Drops what a resumable upload left behind: the staging file and, when the
+assembled file already reached storage but was never finalized, that object.
+*/
+const discardResumableUpload = async (session) => {
+    if (!session?.publicId) return;
+
+    await discardStagedUpload(session.id).catch(() => null);
+
+    if (session.storedAt && !session.videoId) {
+        await deleteStoredAsset({
+            provider: session.storageProvider,
+            publicId: session.publicId,
+            resourceType: "video",
+        });
+    }
+};
+
 const markSessionExpiredIfNeeded = async (session) => {
     if (!session || !isUploadSessionExpired(session)) return false;
 
@@ -94,6 +135,8 @@ const markSessionExpiredIfNeeded = async (session) => {
                 cancelledAt: new Date(),
             },
         }).catch(() => null);
+
+        await discardResumableUpload(session);
     }
 
     return true;
@@ -264,122 +307,6 @@ const normalizeUploadSessionType = (rawType, normalizedMimeType) => {
     return normalizedType;
 };
 
-const processVideoWithoutQueue = async (videoId) => {
-    try {
-        await prisma.video.update({
-            where: { id: videoId },
-            data: {
-                processingStatus: "PROCESSING",
-                processingStartedAt: new Date(),
-                processingProgress: 20,
-                processingStep: "FALLBACK_PROCESSING",
-            },
-        });
-
-        await prisma.videoAnalyticsSnapshot.create({
-            data: {
-                videoId,
-                views: 0,
-                likes: 0,
-                comments: 0,
-                shares: 0,
-                watchTimeSeconds: 0,
-                snapshotDate: new Date(),
-            },
-        }).catch(() => null);
-
-        const video = await prisma.video.findUnique({
-            where: { id: videoId },
-            select: {
-                thumbnail: true,
-                videoFile: true,
-                playbackUrl: true,
-                availableQualities: true,
-                title: true,
-                isShort: true,
-                ownerId: true,
-                owner: {
-                    select: {
-                        fullName: true,
-                        username: true,
-                    },
-                },
-            },
-        });
-
-        if (!video) {
-            throw new Error("Video not found during fallback processing");
-        }
-
-        if (!video.thumbnail && video.videoFile) {
-            const autoThumbnail = generateVideoThumbnail(video.videoFile);
-            if (autoThumbnail) {
-                await prisma.video.update({
-                    where: { id: videoId },
-                    data: { thumbnail: autoThumbnail },
-                });
-            }
-        }
-
-        const streaming = buildVideoStreamingPayload({
-            sourceUrl: video.videoFile,
-            playbackUrl: video.playbackUrl,
-            availableQualities: video.availableQualities,
-        });
-
-        await prisma.video.update({
-            where: { id: videoId },
-            data: {
-                processingStatus: "COMPLETED",
-                processingCompletedAt: new Date(),
-                processingProgress: 100,
-                processingStep: "DONE",
-                isPublished: true,
-                isHlsReady: true,
-                playbackUrl: streaming.selectedPlaybackUrl,
-                masterPlaylistUrl: streaming.masterPlaylistUrl,
-                availableQualities: streaming.availableQualities,
-            },
-        });
-
-        try {
-            const channelName =
-                video.owner?.fullName ||
-                video.owner?.username ||
-                "A channel you follow";
-
-            await dispatchChannelActivityNotification({
-                channelId: video.ownerId,
-                senderId: video.ownerId,
-                activityType: video.isShort ? "SHORT_PUBLISHED" : "VIDEO_PUBLISHED",
-                audience: ChannelNotificationAudience.ALL_AND_PERSONALIZED,
-                title: video.isShort ? "New short uploaded" : "New video uploaded",
-                message: `${channelName} uploaded "${video.title}"`,
-                videoId,
-                extraData: {
-                    channelName,
-                    isShort: video.isShort,
-                    videoTitle: video.title,
-                },
-            });
-        } catch (notificationError) {
-            console.error(
-                "Notification dispatch failed (fallback):",
-                notificationError?.message || notificationError
-            );
-        }
-    } catch (error) {
-        console.error("Fallback video processing failed:", error?.message || error);
-        await prisma.video.update({
-            where: { id: videoId },
-            data: {
-                processingStatus: "FAILED",
-                processingError: error?.message || "Fallback processing failed",
-            },
-        }).catch(() => null);
-    }
-};
-
 /*
 CREATE UPLOAD SESSION
 */
@@ -473,13 +400,15 @@ export const cancelUploadSession = asyncHandler(async (req, res) => {
         },
     });
 
+    await discardResumableUpload(session);
+
     return res.status(200).json(
         new ApiResponse(200, {}, "Upload cancelled")
     );
 });
 
 /*
-GET CLOUDINARY SIGNATURE
+GET DIRECT UPLOAD TARGET (signature for Cloudinary, signed PUT URL for local/S3)
 */
 export const getUploadSignature = asyncHandler(async (req, res) => {
     const normalizedResourceType = normalizeText(req.query?.resourceType || "video").toLowerCase();
@@ -492,8 +421,6 @@ export const getUploadSignature = asyncHandler(async (req, res) => {
         throw new ApiError(403, "Verify email first");
     }
 
-    const timestamp = Math.floor(Date.now() / 1000);
-
     const folderMap = {
         video: `videos/${req.user.id}`,
         thumbnail: `thumbnails/${req.user.id}`,
@@ -505,23 +432,18 @@ export const getUploadSignature = asyncHandler(async (req, res) => {
     };
 
     const folder = folderMap[normalizedResourceType];
+    const isVideo = normalizedResourceType === "video";
 
-    const publicId = `${folder}/${crypto.randomUUID()}`;
-
-    const signature = crypto
-        .createHash("sha1")
-        .update(
-            `public_id=${publicId}&timestamp=${timestamp}${process.env.CLOUDINARY_API_SECRET}`
-        )
-        .digest("hex");
+    const target = await getDefaultStorage().createUploadTarget({
+        publicId: buildPublicId(folder),
+        resourceType: isVideo ? "video" : "image",
+        userId: req.user.id,
+        maxBytes: isVideo ? MAX_UPLOAD_FILE_SIZE_BYTES : MAX_IMAGE_UPLOAD_FILE_SIZE_BYTES,
+    });
 
     return res.status(200).json(
         new ApiResponse(200, {
-            timestamp,
-            signature,
-            publicId,
-            cloudName: process.env.CLOUDINARY_CLOUD_NAME,
-            api_key: process.env.CLOUDINARY_API_KEY,
+            ...target,
             resourceType: normalizedResourceType,
         })
     );
@@ -611,6 +533,277 @@ export const updateUploadProgress = asyncHandler(async (req, res) => {
 });
 
 
+/*
+RESUMABLE UPLOADS (tus 1.0.0)
+Clients either create a fresh session here or pass the id from POST /session
+as the `sessionId` metadata entry. Once the last chunk lands the file is moved
+to storage and the session can be finalized without a publicId.
+*/
+const setTusExpiresHeader = (res, session) => {
+    res.set("Upload-Expires", formatUploadExpires(getUploadSessionExpiresAt(session)));
+};
+
+const findResumableSession = async (sessionId, userId) => {
+    const session = await prisma.uploadSession.findUnique({
+        where: { id: sessionId },
+    });
+
+    if (!session || !session.publicId) throw new ApiError(404, "Upload not found");
+
+    if (session.userId !== userId) {
+        throw new ApiError(403, "Not allowed");
+    }
+
+    const expired = await markSessionExpiredIfNeeded(session);
+    if (expired || session.status === "FAILED") {
+        throw new ApiError(410, "Upload is no longer available. Create a new upload.");
+    }
+
+    return session;
+};
+
+/*
+Hands the assembled staging file to the storage backend. A failed hand-off
+fails the session: the staging file is consumed by the upload attempt.
+*/
+const storeResumableUpload = async (session) => {
+    const storage = getDefaultStorage();
+
+    try {
+        await storage.uploadFile(getStagingPath(session.id), {
+            publicId: session.publicId,
+            resourceType: "video",
+            contentType: session.mimeType,
+        });
+    } catch (error) {
+        console.error("Resumable upload storage failed:", error?.message || error);
+        await prisma.uploadSession.update({
+            where: { id: session.id },
+            data: { status: "FAILED", cancelledAt: new Date() },
+        }).catch(() => null);
+        throw new ApiError(502, "Upload could not be stored. Create a new upload.");
+    }
+
+    await prisma.uploadSession.update({
+        where: { id: session.id },
+        data: {
+            storageProvider: storage.name,
+            storedAt: new Date(),
+        },
+    });
+};
+
+/*
+POST /upload/tus
+*/
+export const createResumableUpload = asyncHandler(async (req, res) => {
+    if (!req.user.emailVerified) {
+        throw new ApiError(403, "Verify email first");
+    }
+
+    const uploadLength = parseUploadLength(req.headers["upload-length"]);
+    if (uploadLength <= 0) {
+        throw new ApiError(400, "Invalid file size");
+    }
+
+    if (uploadLength > MAX_UPLOAD_FILE_SIZE_BYTES) {
+        res.set("Tus-Max-Size", String(MAX_UPLOAD_FILE_SIZE_BYTES));
+        throw new ApiError(413, "Upload-Length exceeds the maximum upload size");
+    }
+
+    const metadata = parseUploadMetadata(req.headers["upload-metadata"]);
+    const fileName = normalizeText(metadata.filename ?? metadata.name);
+    const mimeType = normalizeText(metadata.filetype ?? metadata.type).toLowerCase();
+    const existingSessionId = normalizeText(metadata.sessionId);
+
+    if (!fileName || fileName.length > MAX_UPLOAD_FILENAME_LENGTH) {
+        throw new ApiError(400, "Invalid fileName");
+    }
+
+    if (!mimeType.startsWith("video/") || mimeType.length > MAX_UPLOAD_MIMETYPE_LENGTH) {
+        throw new ApiError(400, "Resumable uploads are only supported for videos");
+    }
+
+    const sessionId = existingSessionId || crypto.randomUUID();
+    const data = {
+        status: "INITIATED",
+        totalSize: BigInt(uploadLength),
+        uploadedSize: 0n,
+        uploadedChunks: 0,
+        uploadType: "VIDEO",
+        uploadUrl: `${req.baseUrl}/tus/${sessionId}`,
+        fileName,
+        mimeType,
+        publicId: buildPublicId(`videos/${req.user.id}`),
+    };
+
+    let session;
+    if (existingSessionId) {
+        const existing = await prisma.uploadSession.findUnique({
+            where: { id: existingSessionId },
+        });
+
+        if (!existing) throw new ApiError(404, "Session not found");
+
+        if (existing.userId !== req.user.id) {
+            throw new ApiError(403, "Not allowed");
+        }
+
+        const expired = await markSessionExpiredIfNeeded(existing);
+        if (expired) {
+            throw new ApiError(
+                410,
+                `Upload session expired after ${UPLOAD_SESSION_TTL_MINUTES} minutes. Create a new session.`
+            );
+        }
+
+        if (
+            existing.status !== "INITIATED" ||
+            existing.uploadType !== "VIDEO" ||
+            existing.publicId
+        ) {
+            throw new ApiError(409, "Upload session cannot accept a resumable upload");
+        }
+
+        session = await prisma.uploadSession.update({
+            where: { id: existingSessionId },
+            data,
+        });
+    } else {
+        session = await prisma.uploadSession.create({
+            data: {
+                id: sessionId,
+                userId: req.user.id,
+                ...data,
+            },
+        });
+    }
+
+    res.set("Location", session.uploadUrl);
+    setTusExpiresHeader(res, session);
+    return res.status(201).end();
+});
+
+/*
+HEAD /upload/tus/:sessionId
+*/
+export const getResumableUploadOffset = asyncHandler(async (req, res) => {
+    const session = await findResumableSession(req.params.sessionId, req.user.id);
+
+    res.set({
+        "Upload-Offset": String(session.uploadedSize ?? 0n),
+        "Upload-Length": String(session.totalSize),
+        "Cache-Control": "no-store",
+    });
+    setTusExpiresHeader(res, session);
+    return res.status(200).end();
+});
+
+/*
+PATCH /upload/tus/:sessionId
+*/
+export const appendResumableUploadChunk = asyncHandler(async (req, res) => {
+    const contentType = normalizeText(req.headers["content-type"]).toLowerCase();
+    if (contentType !== TUS_CHUNK_CONTENT_TYPE) {
+        throw new ApiError(415, `Content-Type must be ${TUS_CHUNK_CONTENT_TYPE}`);
+    }
+
+    const offset = parseUploadOffset(req.headers["upload-offset"]);
+    const session = await findResumableSession(req.params.sessionId, req.user.id);
+    const totalSize = Number(session.totalSize);
+
+    if (session.storedAt || offset !== Number(session.uploadedSize ?? 0n) || offset >= totalSize) {
+        throw new ApiError(409, "Upload-Offset does not match the current upload offset");
+    }
+
+    if (!claimStagedUpload(session.id)) {
+        throw new ApiError(423, "Another request is already writing to this upload");
+    }
+
+    try {
+        if ((await getStagedSize(session.id)) < offset) {
+            await prisma.uploadSession.update({
+                where: { id: session.id },
+                data: { status: "FAILED", cancelledAt: new Date() },
+            });
+            throw new ApiError(410, "Upload data is no longer available. Create a new upload.");
+        }
+
+        const { bytesWritten, error } = await writeStagedChunk({
+            sessionId: session.id,
+            stream: req,
+            offset,
+            maxBytes: totalSize - offset,
+        });
+
+        const nextOffset = offset + bytesWritten;
+        await prisma.uploadSession.update({
+            where: { id: session.id },
+            data: {
+                status: "UPLOADING",
+                uploadedSize: BigInt(nextOffset),
+                uploadedChunks: { increment: 1 },
+            },
+        });
+
+        if (nextOffset === totalSize) {
+            await storeResumableUpload(session);
+        } else if (error) {
+            throw error;
+        }
+
+        res.set("Upload-Offset", String(nextOffset));
+        setTusExpiresHeader(res, session);
+        return res.status(204).end();
+    } finally {
+        releaseStagedUpload(session.id);
+    }
+});
+
+/*
+DELETE /upload/tus/:sessionId
+*/
+export const terminateResumableUpload = asyncHandler(async (req, res) => {
+    const session = await findResumableSession(req.params.sessionId, req.user.id);
+
+    if (session.status === "COMPLETED") throw new ApiError(400, "Already finalized");
+
+    if (!claimStagedUpload(session.id)) {
+        throw new ApiError(423, "Another request is already writing to this upload");
+    }
+
+    try {
+        await prisma.uploadSession.update({
+            where: { id: session.id },
+            data: {
+                status: "FAILED",
+                cancelledAt: new Date(),
+            },
+        });
+
+        await discardResumableUpload(session);
+    } finally {
+        releaseStagedUpload(session.id);
+    }
+
+    return res.status(204).end();
+});
+
+/*
+OPTIONS is answered by the CORS middleware, so capabilities are advertised
+on a plain GET instead.
+*/
+export const getResumableUploadCapabilities = (req, res) => {
+    res.set({
+        "Tus-Resumable": TUS_VERSION,
+        "Tus-Version": TUS_VERSION,
+        "Tus-Extension": TUS_EXTENSIONS,
+        "Tus-Max-Size": String(MAX_UPLOAD_FILE_SIZE_BYTES),
+    });
+    return res.status(204).end();
+};
+
+
 /*
 FINALIZE UPLOAD → CREATE VIDEO + START PROCESSING
 */
@@ -619,7 +812,7 @@ export const finalizeUpload = asyncHandler(async (req, res) => {
 
     const rawTitle = normalizeText(req.body?.title);
     const rawDescription = normalizeText(req.body?.description);
-    const publicId = normalizeText(req.body?.publicId);
+    const requestedPublicId = normalizeText(req.body?.publicId);
     const thumbnailPublicId = normalizeText(req.body?.thumbnailPublicId);
     const duration = normalizeNumberOrNull(req.body?.duration);
     const width = normalizeNumberOrNull(req.body?.width);
@@ -637,17 +830,21 @@ export const finalizeUpload = asyncHandler(async (req, res) => {
     const transcriptInput = req.body?.transcript ?? req.body?.transcriptText ?? "";
     const transcriptCuesInput =
         req.body?.transcriptCues ?? req.body?.cues ?? req.body?.segments ?? null;
-    const transcriptLanguage = normalizeText(
-        req.body?.transcriptLanguage ?? req.body?.language ?? ""
-    ) || null;
+    const transcriptLanguage = normalizeCaptionLanguage(
+        req.body?.transcriptLanguage ?? req.body?.language,
+        UNDETERMINED_LANGUAGE
+    );
+    const transcriptLabel = normalizeCaptionLabel(req.body?.transcriptLabel);
     const transcriptSource = normalizeTranscriptSource(
         req.body?.transcriptSource ?? req.body?.source
     );
+    // Optional: the video stays unpublished after processing until this time.
+    const publishAt = parsePublishAt(req.body?.publishAt);
+    const visibility = normalizeVideoVisibility(req.body?.visibility, "PUBLIC");
 
     if (
         !rawTitle ||
         !rawDescription ||
-        !publicId ||
         !thumbnailPublicId
     ) {
         throw new ApiError(400, "Missing required fields");
@@ -661,7 +858,14 @@ export const finalizeUpload = asyncHandler(async (req, res) => {
         throw new ApiError(400, `description too long (max ${MAX_VIDEO_DESCRIPTION_LENGTH})`);
     }
 
-    if (publicId.length > 300 || thumbnailPublicId.length > 300) {
+    // Explicit chapters win; otherwise timestamp lines in the description are used.
+    const chapterUpdate = resolveChapterUpdate({
+        chaptersInput: req.body?.chapters,
+        description: rawDescription,
+        durationSeconds: duration && duration > 0 ? duration : null,
+    });
+
+    if (requestedPublicId.length > 300 || thumbnailPublicId.length > 300) {
         throw new ApiError(400, "Invalid public ID length");
     }
 
@@ -698,6 +902,19 @@ export const finalizeUpload = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid upload state");
     }
 
+    // Resumable uploads already know their object; direct uploads name it in the body.
+    if (session.publicId && !session.storedAt) {
+        throw new ApiError(409, "Resumable upload is not complete");
+    }
+
+    const publicId = session.storedAt ? session.publicId : requestedPublicId;
+
+    if (!publicId) throw new ApiError(400, "Missing required fields");
+
+    if (session.storedAt && requestedPublicId && requestedPublicId !== session.publicId) {
+        throw new ApiError(400, "publicId does not match the resumable upload");
+    }
+
     let normalizedIsShort = false;
     if (typeof isShort === "boolean") {
         normalizedIsShort = isShort;
@@ -712,29 +929,30 @@ export const finalizeUpload = asyncHandler(async (req, res) => {
 
 
 
-    /* ---------- CLOUDINARY OWNERSHIP VERIFY ---------- */
+    /* ---------- STORAGE OWNERSHIP VERIFY ---------- */
 
+    const storage = session.storedAt
+        ? getStorageFor(session.storageProvider)
+        : getDefaultStorage();
     const videoFolder = `videos/${req.user.id}`;
     const thumbnailFolder = `thumbnails/${req.user.id}`;
 
-    const videoResource = await verifyCloudinaryAssetOwnership(
-        publicId,
-        videoFolder,
-        { resourceTypes: ["video"] }
-    );
-    const thumbResource = await verifyCloudinaryAssetOwnership(
-        thumbnailPublicId,
-        thumbnailFolder,
-        { resourceTypes: ["image"] }
-    );
+    const videoResource = await storage.verifyAsset(publicId, {
+        expectedFolder: videoFolder,
+        resourceType: "video",
+    });
+    const thumbResource = await storage.verifyAsset(thumbnailPublicId, {
+        expectedFolder: thumbnailFolder,
+        resourceType: "image",
+    });
 
-    // ✅ TRUST CLOUDINARY RESPONSE ONLY
-    const safeVideoUrl = videoResource.secure_url;
-    const safeThumbUrl = thumbResource.secure_url;
+    // ✅ TRUST STORAGE RESPONSE ONLY
+    const safeVideoUrl = videoResource.url;
+    const safeThumbUrl = thumbResource.url;
     const sourceHeight = Number(videoResource?.height || height || 0);
 
     if (!safeVideoUrl || !safeThumbUrl) {
-        throw new ApiError(500, "Cloudinary returned invalid media metadata");
+        throw new ApiError(500, "Storage returned invalid media metadata");
     }
 
 
@@ -828,7 +1046,7 @@ export const finalizeUpload = asyncHandler(async (req, res) => {
 
         /* ---------- SAFE PLAYBACK URL ---------- */
 
-        const cloudinaryPlaybackUrl =
+        const safePlaybackUrl =
             buildVideoStreamingPayload({
                 sourceUrl: safeVideoUrl,
                 playbackUrl: null,
@@ -849,19 +1067,25 @@ export const finalizeUpload = asyncHandler(async (req, res) => {
                         : null,
 
                 videoFile: safeVideoUrl,
-                playbackUrl: cloudinaryPlaybackUrl,
-                masterPlaylistUrl: cloudinaryPlaybackUrl,
+                playbackUrl: safePlaybackUrl,
+                masterPlaylistUrl: safePlaybackUrl,
                 availableQualities,
 
                 videoPublicId: publicId,
 
                 thumbnail: safeThumbUrl,
                 thumbnailPublicId: thumbnailPublicId,
+                storageProvider: storage.name,
+                storageRegion: storage.region,
 
                 ownerId: req.user.id,
                 isShort: normalizedIsShort,
 
                 isPublished: false,
+                publishAt,
+                visibility,
+                chapters: chapterUpdate.chapters,
+                chaptersSource: chapterUpdate.chaptersSource,
                 processingStatus: "PENDING",
                 isHlsReady: false,
             }
@@ -889,26 +1113,17 @@ export const finalizeUpload = asyncHandler(async (req, res) => {
                 );
             }
 
-            await tx.videoTranscript.upsert({
-                where: { videoId: newVideo.id },
-                update: {
-                    transcript: parsedTranscript.transcriptText,
-                    segments: parsedTranscript.segments,
-                    language: transcriptLanguage,
-                    source: transcriptSource,
-                    wordCount: parsedTranscript.wordCount,
-                    generatedAt: new Date(),
-                },
-                create: {
+            await saveCaptionTrack(
+                {
                     videoId: newVideo.id,
-                    transcript: parsedTranscript.transcriptText,
-                    segments: parsedTranscript.segments,
                     language: transcriptLanguage,
+                    label: transcriptLabel,
                     source: transcriptSource,
-                    wordCount: parsedTranscript.wordCount,
-                    generatedAt: new Date(),
+                    isDefault: true,
+                    parsedTranscript,
                 },
-            });
+                { tx }
+            );
         }
 
         if (tagRecords.length > 0) {
@@ -949,27 +1164,19 @@ export const finalizeUpload = asyncHandler(async (req, res) => {
 
     /* ---------- START BACKGROUND PROCESS ---------- */
 
-    let queued = null;
-    try {
-        queued = await enqueueVideoProcessing({
-            videoId: video.id,
-            userId: req.user.id,
-            videoUrl: safeVideoUrl
-        });
-    } catch (error) {
-        console.error("Queue enqueue failed. Falling back to direct processing:", error?.message || error);
-    }
-
-    if (!queued) {
-        metrics.recordQueueEvent("fallbackDirectProcessing");
-        processVideoWithoutQueue(video.id);
-    }
+    await startVideoProcessing({
+        videoId: video.id,
+        userId: req.user.id,
+        videoUrl: safeVideoUrl
+    });
 
     return res.status(200).json(
         new ApiResponse(
             200,
             video,
-            "Upload finalized. Processing started."
+            publishAt
+                ? "Upload finalized. Processing started; the video will publish at the scheduled time."
+                : "Upload finalized. Processing started."
         )
     );
 });
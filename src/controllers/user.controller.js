@@ -1,24 +1,74 @@
 import asyncHandler from "../utils/asyncHandler.js";
 import ApiError from "../utils/ApiError.js";
 import prisma from "../db/prisma.js";
-import { deleteImageOnCloudinary } from "../utils/cloudinary.js";
+import { deleteStoredAsset, getDefaultStorage } from "../storage/index.js";
 import { createUserSchema } from "../schemas/createUserSchema.js";
 import { comparePassword, hashPassword } from "../utils/password.js";
 import ApiResponse from "../utils/ApiResponse.js";
-import { generateAccessToken } from "../utils/jwt.js";
-import { generateRefreshToken } from "../utils/jwt.js";
 import jwt from 'jsonwebtoken'
 import userSafeSelect from '../utils/userSafeSelect.js'
 import { sendEmail } from "../utils/email.js";
+import { enqueueBackgroundJob } from "../services/backgroundJob.service.js";
 import { restoreOtpTemplate, emailVerificationOtpTemplate, welcomeEmailTemplate, forgotPasswordOtpTemplate, emailChangeOtpTemplate, emailChangedNotificationTemplate } from "../utils/emailTemplates.js";
 import { getSecurityContext } from "../utils/securityContext.js";
 import { getCookieOptions } from "../utils/cookieOptions.js";
-import { verifyCloudinaryAssetOwnership } from "../utils/verifyCloudinaryAsset.js";
+import { sanitizePagination } from "../utils/pagination.js";
+import { buildPaginatedListData } from "../utils/listResponse.js";
 import {
-    createAccountSwitchToken,
-    isAccountSwitchTokenValidForRefreshToken,
+    isAccountSwitchTokenValidForSession,
     verifyAccountSwitchToken,
 } from "../utils/accountSwitch.js";
+import {
+    buildAccountSwitchPayload,
+    buildSafeUserForAuthResponse,
+    respondWithNewLoginSession,
+} from "../utils/loginResponse.js";
+import {
+    REFRESH_TOKEN_STATES,
+    SESSION_AUTH_METHODS,
+    SESSION_REVOKE_REASONS,
+    createUserSession,
+    findSessionById,
+    inspectRefreshToken,
+    isSessionActive,
+    revokeAllUserSessions,
+    revokeSessionFamily,
+    revokeUserSession,
+    rotateUserSession,
+} from "../services/session.service.js";
+import {
+    listSecurityActivity,
+    parseSecurityEventTypes,
+    recordSecurityEvent,
+} from "../services/securityEvent.service.js";
+import { revokeAllPersonalAccessTokens } from "../services/personalAccessToken.service.js";
+import { consumeLoginAlertToken } from "../services/loginRisk.service.js";
+import { consumeMagicLink, issueMagicLink } from "../services/magicLink.service.js";
+import {
+    LOGIN_LOCKOUT_RESET_DATA,
+    assertAccountNotLocked,
+    clearLoginFailures,
+    recordFailedLogin,
+} from "../services/loginLockout.service.js";
+import {
+    ACCOUNT_RESTORE_WINDOW_DAYS,
+    isWithinRestoreWindow,
+} from "../services/accountPurge.service.js";
+import {
+    changeUsername,
+    isUsernameTaken,
+    resolveChannelByUsername,
+} from "../services/username.service.js";
+import {
+    getDataExportDownload,
+    listDataExports,
+    requestDataExport,
+} from "../services/dataExport.service.js";
+import {
+    assertSecondFactor,
+    createTwoFactorChallengeToken,
+    verifyTwoFactorChallengeToken,
+} from "../services/twoFactor.service.js";
 
 const normalizeEmail = (value) => String(value ?? "").trim().toLowerCase();
 const normalizeUsername = (value) => String(value ?? "").trim();
@@ -59,30 +109,6 @@ const getActiveOtpRemainingSeconds = (user) => {
     return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
 };
 
-const buildSafeUserForAuthResponse = (user) => ({
-    id: user.id,
-    fullName: user.fullName,
-    email: user.email,
-    username: user.username,
-    avatar: user.avatar,
-    coverImage: user.coverImage,
-    createdAt: user.createdAt,
-});
-
-const buildAccountSwitchPayload = ({ user, refreshToken }) => ({
-    accountSwitchToken: createAccountSwitchToken({
-        userId: user.id,
-        refreshToken,
-    }),
-    account: {
-        id: user.id,
-        fullName: user.fullName,
-        email: user.email,
-        username: user.username,
-        avatar: user.avatar,
-    }
-});
-
 const throwIfActiveOtpExists = (user) => {
     const remaining = getActiveOtpRemainingSeconds(user);
     if (remaining > 0) {
@@ -283,34 +309,6 @@ const normalizeChannelLinks = (value) => {
 };
 
 
-export const generateAccessAndRefreshToken = async (userId) => {
-    try {
-        const user = await prisma.user.findUnique({
-            where: {
-                id: userId
-            }
-        })
-
-        const accessToken = generateAccessToken(user)
-        const refreshToken = generateRefreshToken(user)
-
-        // user.refreshToken = refreshToken
-        await prisma.user.update({
-            where: {
-                id: userId
-            },
-            data: {
-                refreshToken
-            }
-        })
-
-        return { accessToken, refreshToken }
-
-    } catch {
-        throw new ApiError(400, "Something went wrong while genrating refresh and access token")
-    }
-}
-
 export const registerUser = asyncHandler(async (req, res) => {
 
     const parsed = createUserSchema.safeParse(req.body);
@@ -333,6 +331,10 @@ export const registerUser = asyncHandler(async (req, res) => {
         throw new ApiError(409, "User already exists");
     }
 
+    if (!existingUser && await isUsernameTaken(username)) {
+        throw new ApiError(409, "Username is not available");
+    }
+
     // 🟡 Exists but not verified -> resend OTP (with cooldown to avoid OTP churn)
     if (existingUser && !existingUser.emailVerified) {
         throwIfActiveOtpExists(existingUser);
@@ -358,14 +360,14 @@ export const registerUser = asyncHandler(async (req, res) => {
 
         // Send email using template
         try {
-            await sendEmail({
+            await enqueueBackgroundJob("EMAIL", {
                 to: existingUser.email,
                 subject: mailContent.subject,
                 html: mailContent.html,
                 text: `Your OTP is ${otp}`,
-            });
+            }, { correlationId: existingUser.id });
         } catch (err) {
-            console.warn("Verification email failed:", err.message);
+            console.warn("Verification email could not be queued:", err.message);
         }
 
         return res.status(200).json(
@@ -413,14 +415,14 @@ export const registerUser = asyncHandler(async (req, res) => {
 
     // Send email using template
     try {
-        await sendEmail({
+        await enqueueBackgroundJob("EMAIL", {
             to: createdUser.email,
             subject: mailContent.subject,
             html: mailContent.html,
             text: `Your OTP is ${otp}`,
-        });
+        }, { correlationId: createdUser.id });
     } catch (err) {
-        console.warn("Verification email failed:", err.message);
+        console.warn("Verification email could not be queued:", err.message);
     }
 
     return res.status(201).json(
@@ -513,14 +515,14 @@ export const verifyEmail = asyncHandler(async (req, res) => {
     });
 
     try {
-        await sendEmail({
+        await enqueueBackgroundJob("EMAIL", {
             to: user.email,
             subject: mail.subject,
             html: mail.html,
             text: "Welcome to Vixora",
-        });
+        }, { correlationId: user.id });
     } catch (err) {
-        console.warn("Welcome email failed:", err.message);
+        console.warn("Welcome email could not be queued:", err.message);
     }
 
     return res.status(200).json(
@@ -577,14 +579,14 @@ export const resendOtp = asyncHandler(async (req, res) => {
     });
 
     try {
-        await sendEmail({
+        await enqueueBackgroundJob("EMAIL", {
             to: user.email,
             subject: mailContent.subject,
             html: mailContent.html,
             text: `Your OTP is ${otp}`,
-        });
+        }, { correlationId: user.id });
     } catch (err) {
-        console.warn("Verification email failed:", err.message);
+        console.warn("Verification email could not be queued:", err.message);
     }
 
     return res.status(200).json(
@@ -638,65 +640,175 @@ export const loginUser = asyncHandler(async (req, res) => {
         throw new ApiError(403, "Email not verified. Verify OTP first.");
     }
 
-    if (user.authProvider !== "LOCAL") {
+    // OAuth-only accounts have no password until one is set from settings.
+    if (!user.password) {
         throw new ApiError(401, "Invalid credentials");
     }
 
+    // Checked before the password so a locked account cannot be probed.
+    assertAccountNotLocked(user);
+
     const isPasswordValid = await comparePassword(password, user.password)
 
     if (!isPasswordValid) {
+        const lockout = await recordFailedLogin({ user, req });
+        if (lockout?.isLocked) {
+            assertAccountNotLocked(lockout);
+        }
         throw new ApiError(401, "Invalid credentials")
     }
 
-    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user.id)
+    if (user.twoFactorEnabled) {
+        // Password is correct but no session is issued until the second factor passes.
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                {
+                    twoFactorRequired: true,
+                    challengeToken: createTwoFactorChallengeToken(user),
+                    methods: ["TOTP", "RECOVERY_CODE"],
+                },
+                "Two-factor authentication required"
+            )
+        );
+    }
 
-    const loggedInUser = await prisma.user.findUnique({
-        where: {
-            id: user.id,
-        },
-        select: {
-            id: true,
-            fullName: true,
-            email: true,
-            username: true,
-            avatar: true,
-            coverImage: true,
-            createdAt: true,
-        },
+    await clearLoginFailures(user.id);
+
+    return respondWithNewLoginSession({
+        req,
+        res,
+        user,
+        authMethod: SESSION_AUTH_METHODS.PASSWORD,
+        message: "User Logged In Successfully",
     });
+})
 
-    const accountSwitch = buildAccountSwitchPayload({
-        user: loggedInUser,
-        refreshToken,
+export const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const challenge = verifyTwoFactorChallengeToken(req.body?.challengeToken);
+
+    const user = await prisma.user.findUnique({
+        where: { id: challenge.uid },
     });
 
-    const options = getCookieOptions();
+    if (!user || user.isDeleted) {
+        throw new ApiError(401, "Invalid credentials");
+    }
 
-    return res.
-        status(200).
-        cookie("accessToken", accessToken, options).
-        cookie("refreshToken", refreshToken, options).
-        json(
-            new ApiResponse
-                (
-                    200,
-                    {
-                        user: loggedInUser,
-                        accountSwitch,
-                    },
-                    "User Logged In Successfully"
-                )
-        )
+    if (!user.twoFactorEnabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled");
+    }
+
+    assertAccountNotLocked(user);
+
+    try {
+        await assertSecondFactor({
+            userId: user.id,
+            code: normalizeOtp(req.body?.code),
+            recoveryCode: String(req.body?.recoveryCode ?? "").trim(),
+        });
+    } catch (error) {
+        // Wrong codes count toward the same per-account lockout as wrong passwords.
+        if (error?.statusCode === 401) {
+            await recordFailedLogin({ user, req });
+        }
+        throw error;
+    }
+
+    await clearLoginFailures(user.id);
+
+    const firstFactor = Object.values(SESSION_AUTH_METHODS).includes(challenge.amr)
+        ? challenge.amr
+        : SESSION_AUTH_METHODS.PASSWORD;
+
+    return respondWithNewLoginSession({
+        req,
+        res,
+        user,
+        authMethod: firstFactor,
+        twoFactorVerified: true,
+        message: "User Logged In Successfully",
+    });
+})
+
+/* ---------- MAGIC LINK SIGN-IN ---------- */
+
+export const requestMagicLink = asyncHandler(async (req, res) => {
+    const email = normalizeEmail(req.body?.email);
+
+    if (!email) {
+        throw new ApiError(400, "Email is required");
+    }
+
+    const genericSuccessResponse = () =>
+        res.status(200).json(
+            new ApiResponse(
+                200,
+                {},
+                "If an account exists for this email, a sign-in link has been sent."
+            )
+        );
+
+    const user = await prisma.user.findUnique({
+        where: { email },
+    });
+
+    if (!user || user.isDeleted || !user.emailVerified) {
+        return genericSuccessResponse();
+    }
+
+    try {
+        await issueMagicLink({ user, req });
+    } catch (error) {
+        // Keep response generic to avoid mail/provider leakage.
+        console.warn("Magic link email could not be queued:", error?.message || error);
+    }
+
+    return genericSuccessResponse();
+})
+
+export const verifyMagicLink = asyncHandler(async (req, res) => {
+    const userId = await consumeMagicLink(req.body?.token);
+
+    const user = await prisma.user.findUnique({
+        where: { id: userId },
+    });
+
+    if (!user || user.isDeleted || !user.emailVerified) {
+        throw new ApiError(400, "This sign-in link is invalid or has expired");
+    }
+
+    if (user.twoFactorEnabled) {
+        return res.status(200).json(
+            new ApiResponse(
+                200,
+                {
+                    twoFactorRequired: true,
+                    challengeToken: createTwoFactorChallengeToken(user, {
+                        authMethod: SESSION_AUTH_METHODS.MAGIC_LINK,
+                    }),
+                    methods: ["TOTP", "RECOVERY_CODE"],
+                },
+                "Two-factor authentication required"
+            )
+        );
+    }
+
+    return respondWithNewLoginSession({
+        req,
+        res,
+        user,
+        authMethod: SESSION_AUTH_METHODS.MAGIC_LINK,
+        message: "User Logged In Successfully",
+    });
 })
 
 export const logOutUser = asyncHandler(async (req, res) => {
-    await prisma.user.update({
-        where: {
-            id: req.user.id
-        },
-        data: {
-            refreshToken: null
-        }
+    await revokeUserSession({
+        userId: req.user.id,
+        sessionId: req.authSessionId,
+        reason: SESSION_REVOKE_REASONS.LOGOUT,
+        req,
     })
 
     const options = getCookieOptions();
@@ -726,6 +838,16 @@ export const refreshAccessToken = asyncHandler(async (req, res) => {
         });
     }
 
+    const rejectRefresh = (message = "Invalid refresh token") =>
+        res
+            .status(401)
+            .clearCookie("accessToken", cookieOptions)
+            .clearCookie("refreshToken", cookieOptions)
+            .json({
+                success: false,
+                message,
+            });
+
     try {
         const decodedToken = jwt.verify(
             incomingRefreshToken,
@@ -733,38 +855,73 @@ export const refreshAccessToken = asyncHandler(async (req, res) => {
         );
 
         if (!decodedToken?.id || typeof decodedToken.id !== "string") {
-            return res
-                .status(401)
-                .clearCookie("accessToken", cookieOptions)
-                .clearCookie("refreshToken", cookieOptions)
-                .json({
-                    success: false,
-                    message: "Invalid refresh token",
-                });
+            return rejectRefresh();
         }
 
-        const user = await prisma.user.findUnique({
-            where: { id: decodedToken.id },
+        const [user, session] = await Promise.all([
+            prisma.user.findUnique({
+                where: { id: decodedToken.id },
+            }),
+            findSessionById(decodedToken.sid),
+        ]);
+
+        if (!user || user.isDeleted) {
+            return rejectRefresh();
+        }
+
+        const tokenState = inspectRefreshToken({
+            session,
+            userId: user.id,
+            refreshToken: incomingRefreshToken,
         });
 
-        if (!user || !user.refreshToken || incomingRefreshToken !== user.refreshToken) {
-            return res
-                .status(401)
-                .clearCookie("accessToken", cookieOptions)
-                .clearCookie("refreshToken", cookieOptions)
-                .json({
-                    success: false,
-                    message: "Invalid refresh token",
-                });
+        if (tokenState === REFRESH_TOKEN_STATES.REUSED) {
+            // A rotated token came back: either the client or an attacker holds a
+            // stolen copy, so the whole family is killed and both must log in again.
+            await revokeSessionFamily({
+                session,
+                reason: SESSION_REVOKE_REASONS.TOKEN_REUSE,
+            });
+            await recordSecurityEvent({
+                userId: user.id,
+                eventType: "REFRESH_TOKEN_REUSE",
+                sessionId: session.id,
+                req,
+                metadata: {
+                    rotationCount: session.rotationCount,
+                    lastRotatedAt: session.rotatedAt,
+                },
+            });
+            return rejectRefresh("Refresh token reuse detected. Please login again.");
+        }
+
+        if (tokenState === REFRESH_TOKEN_STATES.SUPERSEDED) {
+            // Parallel refresh from the same device; keep cookies from the winner.
+            return res.status(409).json({
+                success: false,
+                message: "Refresh token already rotated. Retry with the latest token.",
+            });
+        }
+
+        if (tokenState !== REFRESH_TOKEN_STATES.VALID) {
+            return rejectRefresh();
+        }
+
+        const rotation = await rotateUserSession({ user, session, req });
+
+        if (!rotation) {
+            return res.status(409).json({
+                success: false,
+                message: "Refresh token already rotated. Retry with the latest token.",
+            });
         }
 
-        const { accessToken, refreshToken } =
-            await generateAccessAndRefreshToken(user.id);
+        const { accessToken, refreshToken, session: rotatedSession } = rotation;
 
         const safeUser = buildSafeUserForAuthResponse(user);
         const accountSwitch = buildAccountSwitchPayload({
             user: safeUser,
-            refreshToken,
+            session: rotatedSession,
         });
 
         return res
@@ -782,14 +939,7 @@ export const refreshAccessToken = asyncHandler(async (req, res) => {
                 )
             );
     } catch {
-        return res
-            .status(401)
-            .clearCookie("accessToken", cookieOptions)
-            .clearCookie("refreshToken", cookieOptions)
-            .json({
-                success: false,
-                message: "Invalid refresh token",
-            });
+        return rejectRefresh();
     }
 })
 
@@ -834,6 +984,14 @@ export const changeCurrentPassword = asyncHandler(async (req, res) => {
         },
     });
 
+    await recordSecurityEvent({
+        userId: user.id,
+        eventType: "PASSWORD_CHANGED",
+        sessionId: req.authSessionId,
+        req,
+        metadata: { method: "CHANGE" },
+    });
+
     return res.
         status(200).
         json(
@@ -842,36 +1000,13 @@ export const changeCurrentPassword = asyncHandler(async (req, res) => {
 
 })
 
-export const forgotPasswordRequest = asyncHandler(async (req, res) => {
-    const normalizedEmail = normalizeEmail(req.body?.email);
-
-    if (!normalizedEmail) {
-        throw new ApiError(400, "Email is required");
-    }
-
-    const user = await prisma.user.findUnique({
-        where: { email: normalizedEmail },
-    });
-
-    const genericSuccessResponse = () =>
-        res.status(200).json(
-            new ApiResponse(
-                200,
-                {},
-                "If an account with that email exists, an OTP has been sent."
-            )
-        );
-
-    // Do not reveal user existence/deleted/verification state.
-    if (!user || user.isDeleted || !user.emailVerified) {
-        return genericSuccessResponse();
-    }
-
+// Returns false when an OTP is still active or the email could not be sent.
+const issuePasswordResetOtp = async (user) => {
     try {
         // Do not overwrite active OTP; otherwise users often submit previous email code.
         throwIfActiveOtpExists(user);
     } catch {
-        return genericSuccessResponse();
+        return false;
     }
 
     const otp = Math.floor(100000 + Math.random() * 900000).toString();
@@ -893,12 +1028,14 @@ export const forgotPasswordRequest = asyncHandler(async (req, res) => {
     });
 
     try {
+        // Sent inline, not queued: a failed send has to clear the OTP right away.
         await sendEmail({
             to: user.email,
             subject: mail.subject,
             html: mail.html,
             text: `Your reset OTP is ${otp}`,
         });
+        return true;
     } catch {
         // Keep response generic to avoid mail/provider leakage.
         // Also clear stored OTP so user is not locked out until expiry when mail provider fails.
@@ -913,11 +1050,89 @@ export const forgotPasswordRequest = asyncHandler(async (req, res) => {
                 },
             })
             .catch(() => null);
+        return false;
     }
+};
+
+export const forgotPasswordRequest = asyncHandler(async (req, res) => {
+    const normalizedEmail = normalizeEmail(req.body?.email);
+
+    if (!normalizedEmail) {
+        throw new ApiError(400, "Email is required");
+    }
+
+    const user = await prisma.user.findUnique({
+        where: { email: normalizedEmail },
+    });
+
+    const genericSuccessResponse = () =>
+        res.status(200).json(
+            new ApiResponse(
+                200,
+                {},
+                "If an account with that email exists, an OTP has been sent."
+            )
+        );
+
+    // Do not reveal user existence/deleted/verification state.
+    if (!user || user.isDeleted || !user.emailVerified) {
+        return genericSuccessResponse();
+    }
+
+    await issuePasswordResetOtp(user);
 
     return genericSuccessResponse();
 })
 
+/*
+  "This wasn't me" from a login alert: sign out everywhere, kill API tokens
+  and send a password reset code to the account email.
+*/
+export const reportUnrecognizedLogin = asyncHandler(async (req, res) => {
+    const payload = await consumeLoginAlertToken(req.body?.token);
+
+    const user = await prisma.user.findUnique({
+        where: { id: payload.uid },
+    });
+
+    if (!user || user.isDeleted) {
+        throw new ApiError(400, "This link is invalid or has expired");
+    }
+
+    await revokeAllUserSessions({
+        userId: user.id,
+        reason: SESSION_REVOKE_REASONS.SUSPICIOUS_LOGIN,
+        req,
+    });
+    await revokeAllPersonalAccessTokens(user.id);
+
+    await recordSecurityEvent({
+        userId: user.id,
+        eventType: "SUSPICIOUS_LOGIN_REPORTED",
+        sessionId: payload.sid,
+        req,
+    });
+
+    const canResetPassword = Boolean(user.email && user.emailVerified);
+    if (canResetPassword) {
+        await issuePasswordResetOtp(user);
+    }
+
+    const cookieOptions = getCookieOptions();
+
+    return res
+        .status(200)
+        .clearCookie("accessToken", cookieOptions)
+        .clearCookie("refreshToken", cookieOptions)
+        .json(
+            new ApiResponse(
+                200,
+                { passwordResetStarted: canResetPassword },
+                "All devices signed out. Check your email for a password reset code."
+            )
+        );
+})
+
 export const forgotPasswordVerify = asyncHandler(async (req, res) => {
     const email = normalizeEmail(req.body?.email);
     const otp = normalizeOtp(req.body?.otp);
@@ -1065,10 +1280,25 @@ export const resetPassword = asyncHandler(async (req, res) => {
             otpExpiresAt: null,
             otpAttempts: 0,
             otpLastSentAt: null,
-            refreshToken: null, // 🔥 invalidate sessions
+            ...LOGIN_LOCKOUT_RESET_DATA,
         },
     });
 
+    await recordSecurityEvent({
+        userId: user.id,
+        eventType: "PASSWORD_CHANGED",
+        req,
+        metadata: { method: "RESET" },
+    });
+
+    // 🔥 invalidate sessions on every device (and API tokens minted from them)
+    await revokeAllUserSessions({
+        userId: user.id,
+        reason: SESSION_REVOKE_REASONS.PASSWORD_RESET,
+        req,
+    });
+    await revokeAllPersonalAccessTokens(user.id);
+
     return res
         .status(200)
         .clearCookie(PASSWORD_RESET_TOKEN_COOKIE, cookieOptions)
@@ -1097,7 +1327,6 @@ export const getAccountSwitchToken = asyncHandler(async (req, res) => {
             createdAt: true,
             isDeleted: true,
             emailVerified: true,
-            refreshToken: true,
         },
     });
 
@@ -1109,14 +1338,16 @@ export const getAccountSwitchToken = asyncHandler(async (req, res) => {
         throw new ApiError(403, "Email not verified");
     }
 
-    if (!user.refreshToken) {
+    const session = await findSessionById(req.authSessionId);
+
+    if (!session || session.userId !== user.id || !isSessionActive(session)) {
         throw new ApiError(401, "Session expired. Login again.");
     }
 
     const safeUser = buildSafeUserForAuthResponse(user);
     const accountSwitch = buildAccountSwitchPayload({
         user: safeUser,
-        refreshToken: user.refreshToken,
+        session,
     });
 
     return res.status(200).json(
@@ -1154,7 +1385,7 @@ export const switchAccount = asyncHandler(async (req, res) => {
             createdAt: true,
             isDeleted: true,
             emailVerified: true,
-            refreshToken: true,
+            authProvider: true,
         },
     });
 
@@ -1166,24 +1397,47 @@ export const switchAccount = asyncHandler(async (req, res) => {
         throw new ApiError(403, "Target account email is not verified");
     }
 
-    if (!targetUser.refreshToken) {
+    const targetSession = await findSessionById(decodedToken.sid);
+
+    if (!isSessionActive(targetSession)) {
         throw new ApiError(401, "Target account session expired. Login that account again.");
     }
 
-    const matches = isAccountSwitchTokenValidForRefreshToken({
+    const matches = isAccountSwitchTokenValidForSession({
         tokenPayload: decodedToken,
-        refreshToken: targetUser.refreshToken,
+        session: targetSession,
     });
 
     if (!matches) {
         throw new ApiError(401, "Account switch token expired");
     }
 
-    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(targetUser.id);
+    // Switching reuses the device session the target account already owns here,
+    // so other devices signed into that account stay logged in.
+    const rotation = await rotateUserSession({
+        user: targetUser,
+        session: targetSession,
+        req,
+    });
+
+    if (!rotation) {
+        throw new ApiError(409, "Account session was refreshed elsewhere. Try again.");
+    }
+
+    const { accessToken, refreshToken, session } = rotation;
+
+    await recordSecurityEvent({
+        userId: targetUser.id,
+        eventType: "ACCOUNT_SWITCHED",
+        sessionId: session.id,
+        req,
+        metadata: { fromUserId: req.user?.id || null },
+    });
+
     const safeUser = buildSafeUserForAuthResponse(targetUser);
     const accountSwitch = buildAccountSwitchPayload({
         user: safeUser,
-        refreshToken,
+        session,
     });
 
     const options = getCookieOptions();
@@ -1249,20 +1503,37 @@ export const resolveAccountSwitchTokens = asyncHandler(async (req, res) => {
             email: true,
             username: true,
             avatar: true,
-            refreshToken: true,
         },
     });
 
+    const sessionIds = [
+        ...new Set(
+            decodedEntries
+                .map((entry) => String(entry.decoded?.sid || "").trim())
+                .filter(Boolean)
+        ),
+    ];
+    const sessions = sessionIds.length
+        ? await prisma.userSession.findMany({
+            where: {
+                id: { in: sessionIds },
+                userId: { in: userIds },
+            },
+        })
+        : [];
+
     const userMap = new Map(users.map((user) => [user.id, user]));
+    const sessionMap = new Map(sessions.map((session) => [session.id, session]));
     const accounts = [];
 
     for (const entry of decodedEntries) {
         const user = userMap.get(entry.uid);
-        if (!user || !user.refreshToken) continue;
+        const session = sessionMap.get(entry.decoded?.sid);
+        if (!user || !isSessionActive(session)) continue;
 
-        const valid = isAccountSwitchTokenValidForRefreshToken({
+        const valid = isAccountSwitchTokenValidForSession({
             tokenPayload: entry.decoded,
-            refreshToken: user.refreshToken,
+            session,
         });
 
         if (!valid) continue;
@@ -1276,6 +1547,7 @@ export const resolveAccountSwitchTokens = asyncHandler(async (req, res) => {
                 username: user.username,
                 avatar: user.avatar,
             },
+            authMethod: session.authMethod || null,
         });
     }
 
@@ -1349,12 +1621,12 @@ export const changeEmailRequest = asyncHandler(async (req, res) => {
     });
 
 
-    await sendEmail({
+    await enqueueBackgroundJob("EMAIL", {
         to: email,
         subject: mail.subject,
         html: mail.html,
         text: `Your OTP is ${otp}`
-    });
+    }, { correlationId: userId });
 
     return res.status(200).json(
         new ApiResponse(200, {}, "OTP sent to new email")
@@ -1434,12 +1706,24 @@ export const confirmEmailChange = asyncHandler(async (req, res) => {
 
             otpAttempts: 0,
             otpLastSentAt: null,
-
-            refreshToken: null
         },
         select: userSafeSelect
     });
 
+    await recordSecurityEvent({
+        userId,
+        eventType: "EMAIL_CHANGED",
+        sessionId: req.authSessionId,
+        req,
+        metadata: { previousEmail: oldEmail, newEmail: updatedUser.email },
+    });
+
+    await revokeAllUserSessions({
+        userId,
+        reason: SESSION_REVOKE_REASONS.EMAIL_CHANGED,
+        req,
+    });
+
     const securityContext = getSecurityContext(req);
 
     // Send notification to OLD email
@@ -1450,11 +1734,11 @@ export const confirmEmailChange = asyncHandler(async (req, res) => {
         securityContext
     });
 
-    await sendEmail({
+    await enqueueBackgroundJob("EMAIL", {
         to: oldEmail,
         subject: mail.subject,
         html: mail.html
-    });
+    }, { correlationId: userId });
 
 
     return res.status(200).json(
@@ -1481,22 +1765,24 @@ export const cancelEmailChange = asyncHandler(async (req, res) => {
 });
 
 export const updateAccountDetails = asyncHandler(async (req, res) => {
-    let { fullName } = req.body;
+    const fullName =
+        req.body?.fullName === undefined ? undefined : String(req.body.fullName).trim();
+    const username = req.body?.username;
 
-    if (!fullName) {
-        throw new ApiError(400, "Full name is required");
+    if (!fullName && username === undefined) {
+        throw new ApiError(400, "Full name or username is required");
     }
 
-    fullName = fullName.trim();
+    if (username !== undefined) {
+        await changeUsername({ userId: req.user.id, username });
+    }
 
     try {
         const updatedUser = await prisma.user.update({
             where: {
                 id: req.user.id,
             },
-            data: {
-                fullName,
-            },
+            data: fullName ? { fullName } : {},
             select: {
                 id: true,
                 fullName: true,
@@ -1535,26 +1821,31 @@ export const updateUserAvatar = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Avatar public ID missing");
     }
 
-    const resource = await verifyCloudinaryAssetOwnership(
-        avatarPublicId,
-        `avatars/${req.user.id}`
-    );
+    const storage = getDefaultStorage();
+    const resource = await storage.verifyAsset(avatarPublicId, {
+        expectedFolder: `avatars/${req.user.id}`,
+        resourceType: "image",
+    });
 
 
     const existingUser = await prisma.user.findUnique({
         where: { id: req.user.id },
-        select: { avatarPublicId: true }
+        select: { avatarPublicId: true, avatarStorageProvider: true }
     });
 
     if (existingUser?.avatarPublicId) {
-        await deleteImageOnCloudinary(existingUser.avatarPublicId);
+        await deleteStoredAsset({
+            provider: existingUser.avatarStorageProvider,
+            publicId: existingUser.avatarPublicId,
+        });
     }
 
     const updatedUser = await prisma.user.update({
         where: { id: req.user.id },
         data: {
-            avatar: resource.secure_url,
-            avatarPublicId: resource.public_id
+            avatar: resource.url,
+            avatarPublicId: resource.publicId,
+            avatarStorageProvider: storage.name
         },
         select: userSafeSelect
     });
@@ -1578,26 +1869,31 @@ export const updateUserCoverImage = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Cover image public ID missing");
     }
 
-    const resource = await verifyCloudinaryAssetOwnership(
-        coverImagePublicId,
-        `covers/${req.user.id}`
-    );
+    const storage = getDefaultStorage();
+    const resource = await storage.verifyAsset(coverImagePublicId, {
+        expectedFolder: `covers/${req.user.id}`,
+        resourceType: "image",
+    });
 
 
     const existingUser = await prisma.user.findUnique({
         where: { id: req.user.id },
-        select: { coverImagePublicId: true }
+        select: { coverImagePublicId: true, coverImageStorageProvider: true }
     });
 
     if (existingUser?.coverImagePublicId) {
-        await deleteImageOnCloudinary(existingUser.coverImagePublicId);
+        await deleteStoredAsset({
+            provider: existingUser.coverImageStorageProvider,
+            publicId: existingUser.coverImagePublicId,
+        });
     }
 
     const updatedUser = await prisma.user.update({
         where: { id: req.user.id },
         data: {
-            coverImage: resource.secure_url,
-            coverImagePublicId: resource.public_id
+            coverImage: resource.url,
+            coverImagePublicId: resource.publicId,
+            coverImageStorageProvider: storage.name
         },
         select: userSafeSelect
     });
@@ -1609,8 +1905,7 @@ export const updateUserCoverImage = asyncHandler(async (req, res) => {
 
 export const getUserChannelProfile = asyncHandler(async (req, res) => {
     const { username } = req.params;
-    const channel = await prisma.user.findUnique({
-        where: { username: username.toLowerCase() },
+    const resolved = await resolveChannelByUsername(username, {
         select: {
             id: true,
             fullName: true,
@@ -1621,9 +1916,11 @@ export const getUserChannelProfile = asyncHandler(async (req, res) => {
         },
     });
 
-    if (!channel) {
+    if (!resolved) {
         throw new ApiError(404, "channel does not exist");
     }
+
+    const { channel, redirectedFrom } = resolved;
     if (channel.isDeleted) {
         throw new ApiError(404, "channel has been deleted");
     }
@@ -1659,6 +1956,9 @@ export const getUserChannelProfile = asyncHandler(async (req, res) => {
                 subscribersCount,
                 channelsSubscribedToCount,
                 isSubscribed: isSubscribedCount > 0,
+                // Set when an old handle was used; clients should replace the URL.
+                canonicalUsername: channel.username,
+                redirectedFrom,
             },
             "User channel fetched successfully"
         )
@@ -1765,18 +2065,27 @@ export const deleteAccount = asyncHandler(async (req, res) => {
         where: { id: userId },
         data: {
             isDeleted: true,
-            refreshToken: null,
             deletedAt: new Date(),
         }
     });
 
+    await revokeAllUserSessions({
+        userId,
+        reason: SESSION_REVOKE_REASONS.ACCOUNT_DELETED,
+        req,
+    });
+
     const cookieOptions = getCookieOptions();
 
     res.clearCookie("accessToken", cookieOptions);
     res.clearCookie("refreshToken", cookieOptions);
 
     return res.status(200).json(
-        new ApiResponse(200, {}, "Account deleted successfully. You can restore it within 7 days.")
+        new ApiResponse(
+            200,
+            {},
+            `Account deleted successfully. You can restore it within ${ACCOUNT_RESTORE_WINDOW_DAYS} days.`
+        )
     );
 })
 
@@ -1802,11 +2111,7 @@ export const restoreAccountRequest = asyncHandler(async (req, res) => {
         throw new ApiError(404, "No deleted account found with this email or username");
     }
 
-    const restoreDeadline =
-        user.deletedAt.getTime() +
-        7 * 24 * 60 * 60 * 1000;
-
-    if (Date.now() > restoreDeadline) {
+    if (!isWithinRestoreWindow(user.deletedAt)) {
         throw new ApiError(403, "Restore window expired. Account cannot be recovered.");
     }
 
@@ -1834,11 +2139,11 @@ export const restoreAccountRequest = asyncHandler(async (req, res) => {
         otp,
     });
 
-    await sendEmail({
+    await enqueueBackgroundJob("EMAIL", {
         to: user.email,
         subject: mail.subject,
         html: mail.html,
-    });
+    }, { correlationId: user.id });
 
 
     return res.status(200).json(
@@ -1882,6 +2187,11 @@ export const restoreAccountConfirm = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Deleted account not found");
     }
 
+    // The purge job may already be removing this account.
+    if (!isWithinRestoreWindow(user.deletedAt)) {
+        throw new ApiError(403, "Restore window expired. Account cannot be recovered.");
+    }
+
     if (!user.otpHash || !user.otpExpiresAt) {
         throw new ApiError(400, "OTP not requested");
     }
@@ -1924,13 +2234,10 @@ export const restoreAccountConfirm = asyncHandler(async (req, res) => {
     });
 
     // issue fresh tokens
-    const accessToken = generateAccessToken(restoredUser);
-    const refreshToken = generateRefreshToken(restoredUser);
-
-    const refreshedUser = await prisma.user.update({
-        where: { id: user.id },
-        data: { refreshToken },
-        select: userSafeSelect
+    const { accessToken, refreshToken } = await createUserSession({
+        user: restoredUser,
+        req,
+        authMethod: SESSION_AUTH_METHODS.EMAIL_OTP,
     });
 
     const cookieOptions = getCookieOptions();
@@ -1942,7 +2249,7 @@ export const restoreAccountConfirm = asyncHandler(async (req, res) => {
         .json(
             new ApiResponse(
                 200,
-                refreshedUser,
+                restoredUser,
                 "Account restored successfully"
             )
         );
@@ -1956,11 +2263,14 @@ export const updateDefaultAvatar = asyncHandler(async (req, res) => {
 
     const user = await prisma.user.findUnique({
         where: { id: req.user.id },
-        select: { username: true, avatarPublicId: true }
+        select: { username: true, avatarPublicId: true, avatarStorageProvider: true }
     });
 
     if (user.avatarPublicId) {
-        await deleteImageOnCloudinary(user.avatarPublicId);
+        await deleteStoredAsset({
+            provider: user.avatarStorageProvider,
+            publicId: user.avatarPublicId,
+        });
     }
 
     const avatarUrl = `https://api.dicebear.com/7.x/${type}/svg?seed=${user.username}`;
@@ -1969,7 +2279,8 @@ export const updateDefaultAvatar = asyncHandler(async (req, res) => {
         where: { id: req.user.id },
         data: {
             avatar: avatarUrl,
-            avatarPublicId: null
+            avatarPublicId: null,
+            avatarStorageProvider: null
         },
         select: userSafeSelect
     });
@@ -1987,11 +2298,14 @@ export const updateDefaultCoverImage = asyncHandler(async (req, res) => {
 
     const user = await prisma.user.findUnique({
         where: { id: req.user.id },
-        select: { username: true, coverImagePublicId: true }
+        select: { username: true, coverImagePublicId: true, coverImageStorageProvider: true }
     });
 
     if (user.coverImagePublicId) {
-        await deleteImageOnCloudinary(user.coverImagePublicId);
+        await deleteStoredAsset({
+            provider: user.coverImageStorageProvider,
+            publicId: user.coverImagePublicId,
+        });
     }
 
     const coverUrl = `https://api.dicebear.com/7.x/${type}/svg?seed=${user.username}cover&backgroundColor=b6e3f4,c0aede,d1d4f9,ffd5dc,ffdfbf`;
@@ -2000,7 +2314,8 @@ export const updateDefaultCoverImage = asyncHandler(async (req, res) => {
         where: { id: req.user.id },
         data: {
             coverImage: coverUrl,
-            coverImagePublicId: null
+            coverImagePublicId: null,
+            coverImageStorageProvider: null
         },
         select: userSafeSelect
     });
@@ -2009,3 +2324,67 @@ export const updateDefaultCoverImage = asyncHandler(async (req, res) => {
         new ApiResponse(200, updatedUser, "Default cover image updated successfully")
     );
 });
+
+
+/* ---------- SECURITY ACTIVITY ---------- */
+
+export const getMySecurityActivity = asyncHandler(async (req, res) => {
+    const { page, limit, skip } = sanitizePagination(req.query.page, req.query.limit, 50);
+
+    const { items, total } = await listSecurityActivity({
+        userId: req.user.id,
+        types: parseSecurityEventTypes(req.query.type),
+        from: req.query.from,
+        to: req.query.to,
+        skip,
+        take: limit,
+        currentSessionId: req.authSessionId,
+    });
+
+    return res.status(200).json(
+        new ApiResponse(
+            200,
+            buildPaginatedListData({
+                items,
+                currentPage: page,
+                limit,
+                totalItems: total,
+            }),
+            "Security activity fetched"
+        )
+    );
+})
+
+
+/* ---------- DATA EXPORT (TAKEOUT) ---------- */
+
+export const requestMyDataExport = asyncHandler(async (req, res) => {
+    const dataExport = await requestDataExport(req.user.id);
+
+    return res.status(202).json(
+        new ApiResponse(
+            202,
+            dataExport,
+            "Data export started. We'll notify you when it's ready."
+        )
+    );
+})
+
+export const getMyDataExports = asyncHandler(async (req, res) => {
+    const exports = await listDataExports(req.user.id);
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { items: exports }, "Data exports fetched"));
+})
+
+export const downloadMyDataExport = asyncHandler(async (req, res) => {
+    const download = await getDataExportDownload({
+        userId: req.user.id,
+        exportId: req.params.exportId,
+    });
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, download, "Download link created"));
+})
@@ -6,18 +6,32 @@ import { getCachedValue, setCachedValue } from "../utils/cache.js";
 import { buildPaginatedListData } from "../utils/listResponse.js";
 import { buildVideoStreamingPayload } from "../utils/videoQuality.js";
 import {
-    ChannelNotificationAudience,
-    dispatchChannelActivityNotification,
-} from "../services/notification.service.js";
+    canViewerOpenVideo,
+    normalizeVideoVisibility,
+} from "../utils/videoVisibility.js";
+import { ChannelNotificationAudience } from "../services/notification.service.js";
+import { enqueueBackgroundJob } from "../services/backgroundJob.service.js";
+import {
+    parsePublishAt,
+    queueScheduledPublish,
+} from "../services/scheduledPublish.service.js";
+import { resolveChapterUpdate } from "../utils/videoChapters.js";
+import {
+    CAPTION_TRACK_ORDER,
+    buildCaptionTrackList,
+    pickDefaultCaptionTrack,
+} from "../services/captionTrack.service.js";
 
 const VIDEO_DETAIL_CACHE_TTL_SECONDS = 20;
 const MAX_VIDEO_TITLE_LENGTH = 120;
 const MAX_VIDEO_DESCRIPTION_LENGTH = 5000;
 
 const dispatchNotificationInBackground = (payload) => {
-    void dispatchChannelActivityNotification(payload).catch((error) => {
+    void enqueueBackgroundJob("NOTIFICATION", payload, {
+        correlationId: payload.channelId,
+    }).catch((error) => {
         console.error(
-            "Notification dispatch failed:",
+            "Notification could not be queued:",
             error?.message || error
         );
     });
@@ -74,6 +88,7 @@ export const getAllVideos = asyncHandler(async (req, res) => {
 
     const whereClause = {
         isPublished: true,
+        visibility: "PUBLIC",
         processingStatus: "COMPLETED",
         isHlsReady: true,
         isDeleted: false,
@@ -305,6 +320,8 @@ export const getVideoById = asyncHandler(async (req, res) => {
             isHlsReady: true,
             isDeleted: true,
             isPublished: true,
+            visibility: true,
+            ownerId: true,
             owner: {
                 select: {
                     id: true,
@@ -335,9 +352,13 @@ export const getVideoById = asyncHandler(async (req, res) => {
                     }
                 }
             },
-            transcript: {
+            transcripts: {
+                orderBy: CAPTION_TRACK_ORDER,
                 select: {
                     language: true,
+                    label: true,
+                    isDefault: true,
+                    source: true,
                     wordCount: true,
                     updatedAt: true,
                 },
@@ -361,6 +382,10 @@ export const getVideoById = asyncHandler(async (req, res) => {
         throw new ApiError(403, "This video is not published");
     }
 
+    if (!(await canViewerOpenVideo(video, userId))) {
+        throw new ApiError(403, "This video is private");
+    }
+
     // Check if user is subscribed to channel
     let isSubscribed = false;
     if (userId && !isOwner) {
@@ -383,6 +408,8 @@ export const getVideoById = asyncHandler(async (req, res) => {
         });
     }
 
+    const defaultTranscript = pickDefaultCaptionTrack(video.transcripts);
+
     // Format response with interaction data
     const formattedVideo = {
         ...video,
@@ -398,11 +425,13 @@ export const getVideoById = asyncHandler(async (req, res) => {
         },
         tags: video.tags.map(t => t.tag.name),
         transcript: {
-            hasTranscript: Boolean(video.transcript),
-            language: video.transcript?.language || null,
-            wordCount: video.transcript?.wordCount || 0,
-            updatedAt: video.transcript?.updatedAt || null,
+            hasTranscript: Boolean(defaultTranscript),
+            language: defaultTranscript?.language || null,
+            wordCount: defaultTranscript?.wordCount || 0,
+            updatedAt: defaultTranscript?.updatedAt || null,
         },
+        captions: buildCaptionTrackList(video.id, video.transcripts),
+        transcripts: undefined,
         _count: undefined,
         likes: undefined,
     };
@@ -452,9 +481,12 @@ export const updateVideo = asyncHandler(async (req, res) => {
 
     const hasTitle = title !== undefined;
     const hasDescription = description !== undefined;
+    const publishAt = parsePublishAt(req.body?.publishAt);
+    const visibility = normalizeVideoVisibility(req.body?.visibility);
+    const hasChapters = req.body?.chapters !== undefined;
 
     // Metadata-only updates.
-    if (!hasTitle && !hasDescription) {
+    if (!hasTitle && !hasDescription && !publishAt && !visibility && !hasChapters) {
         throw new ApiError(400, "At least one field is required");
     }
 
@@ -485,11 +517,16 @@ export const updateVideo = asyncHandler(async (req, res) => {
             id: true,
             ownerId: true,
             title: true,
+            description: true,
+            duration: true,
+            chaptersSource: true,
             isShort: true,
             processingStatus: true,
+            processingStep: true,
             isHlsReady: true,
             isDeleted: true,
             isPublished: true,
+            visibility: true,
         }
     });
 
@@ -511,6 +548,32 @@ export const updateVideo = asyncHandler(async (req, res) => {
 
     if (normalizedTitle !== undefined) updateData.title = normalizedTitle;
     if (normalizedDescription !== undefined) updateData.description = normalizedDescription;
+    if (visibility) updateData.visibility = visibility;
+
+    // Description edits re-parse chapters unless the creator set them by hand.
+    const chapterUpdate = resolveChapterUpdate({
+        chaptersInput: req.body?.chapters,
+        description: normalizedDescription ?? existingVideo.description,
+        descriptionChanged: hasDescription,
+        durationSeconds: existingVideo.duration || null,
+        currentSource: existingVideo.chaptersSource,
+    });
+
+    if (chapterUpdate) {
+        updateData.chapters = chapterUpdate.chapters;
+        updateData.chaptersSource = chapterUpdate.chaptersSource;
+    }
+
+    if (publishAt) {
+        if (existingVideo.isPublished) {
+            throw new ApiError(400, "Unpublish the video before scheduling it");
+        }
+
+        updateData.publishAt = publishAt;
+        if (existingVideo.processingStep !== "HELD_FOR_REVIEW") {
+            updateData.processingStep = "SCHEDULED";
+        }
+    }
 
     // 🖼️ Thumbnail update
     const updatedVideo = await prisma.video.update({
@@ -531,6 +594,9 @@ export const updateVideo = asyncHandler(async (req, res) => {
             availableQualities: true,
             processingStatus: true,
             processingProgress: true,
+            publishAt: true,
+            visibility: true,
+            chapters: true,
             owner: {
                 select: {
                     id: true,
@@ -542,7 +608,19 @@ export const updateVideo = asyncHandler(async (req, res) => {
         }
     });
 
-    if (existingVideo.isPublished) {
+    if (publishAt) {
+        await queueScheduledPublish({
+            targetType: "VIDEO",
+            targetId: updatedVideo.id,
+            publishAt,
+        });
+    }
+
+    if (
+        existingVideo.isPublished &&
+        existingVideo.visibility === "PUBLIC" &&
+        updatedVideo.visibility === "PUBLIC"
+    ) {
         const channelName =
             updatedVideo.owner?.fullName ||
             updatedVideo.owner?.username ||
@@ -778,7 +856,10 @@ export const togglePublishStatus = asyncHandler(async (req, res) => {
             isShort: true,
             isDeleted: true,
             isPublished: true,
+            publishedAt: true,
+            visibility: true,
             processingStatus: true,
+            processingStep: true,
             isHlsReady: true,
             owner: {
                 select: {
@@ -805,11 +886,19 @@ export const togglePublishStatus = asyncHandler(async (req, res) => {
 
     const updated = await prisma.video.update({
         where: { id: videoId },
-        data: { isPublished: !video.isPublished },
+        // Publishing or unpublishing by hand drops any pending schedule.
+        data: {
+            isPublished: !video.isPublished,
+            // Feeds order by the first publish, so unpublishing and
+            // republishing does not bump a video back to the top.
+            ...(!video.isPublished && { publishedAt: video.publishedAt ?? new Date() }),
+            publishAt: null,
+            ...(video.processingStep === "SCHEDULED" && { processingStep: "DONE" }),
+        },
         select: { id: true, isPublished: true }
     });
 
-    if (updated.isPublished) {
+    if (updated.isPublished && video.visibility === "PUBLIC") {
         const channelName =
             video.owner?.fullName ||
             video.owner?.username ||
@@ -860,6 +949,7 @@ export const getUserVideos = asyncHandler(async (req, res) => {
     const whereClause = {
         ownerId: userId,
         isPublished: true,
+        visibility: "PUBLIC",
         isDeleted: false,
         isHlsReady: true,
         processingStatus: "COMPLETED",
@@ -1021,6 +1111,7 @@ export const getMyVideos = asyncHandler(async (req, res) => {
             views: true,
             duration: true,
             isPublished: true,
+            visibility: true,
             createdAt: true,
             playbackUrl: true,
             availableQualities: true,
@@ -3,6 +3,10 @@ import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import asyncHandler from "../utils/asyncHandler.js";
 import { getVideoQueue } from "../queue/video.queue.js";
+import {
+  orderPipelineSteps,
+  retryFailedVideoProcessing,
+} from "../services/videoPipeline.service.js";
 
 
 export const getVideoProcessingStatus = asyncHandler(async (req, res) => {
@@ -25,8 +29,28 @@ export const getVideoProcessingStatus = asyncHandler(async (req, res) => {
 
   if (!video) throw new ApiError(404, "Video not found");
 
+  const stepJobs = await prisma.videoProcessingJob.findMany({
+    where: { videoId, step: { not: null } },
+    select: {
+      step: true,
+      status: true,
+      progress: true,
+      currentStep: true,
+      attempts: true,
+      maxAttempts: true,
+      error: true,
+      result: true,
+      startedAt: true,
+      completedAt: true,
+    },
+  });
+
   return res.status(200).json(
-    new ApiResponse(200, video, "Processing status fetched")
+    new ApiResponse(
+      200,
+      { ...video, steps: orderPipelineSteps(stepJobs) },
+      "Processing status fetched"
+    )
   );
 });
 
@@ -74,9 +98,40 @@ export const cancelVideoProcessing = asyncHandler(async (req, res) => {
     },
   });
 
+  // The running step marks itself cancelled when the pipeline notices.
+  await prisma.videoProcessingJob.updateMany({
+    where: { videoId, step: { not: null }, status: "PENDING" },
+    data: { status: "CANCELLED" },
+  });
+
   return res.status(200).json(
     new ApiResponse(200, {}, "Processing cancelled")
   );
 });
 
 
+
+
+export const retryVideoProcessing = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+
+  const video = await prisma.video.findUnique({
+    where: { id: videoId },
+    select: { ownerId: true, isDeleted: true },
+  });
+
+  if (!video || video.isDeleted) throw new ApiError(404, "Video not found");
+
+  if (video.ownerId !== req.user.id) {
+    throw new ApiError(403, "Not allowed");
+  }
+
+  const outcome = await retryFailedVideoProcessing({
+    videoId,
+    retriedBy: req.user.id,
+  });
+
+  return res.status(200).json(
+    new ApiResponse(200, outcome, "Processing restarted")
+  );
+});
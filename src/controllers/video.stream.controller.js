@@ -3,12 +3,24 @@ import ApiError from "../utils/ApiError.js";
 import ApiResponse from "../utils/ApiResponse.js";
 import asyncHandler from "../utils/asyncHandler.js";
 import { buildVideoStreamingPayload } from "../utils/videoQuality.js";
+import { canViewerOpenVideo } from "../utils/videoVisibility.js";
+import { buildChaptersWebVtt, resolveVideoChapters } from "../utils/videoChapters.js";
+import {
+  buildTranscriptSrt,
+  buildTranscriptWebVtt,
+  resolveTranscriptForRead,
+} from "../utils/transcript.js";
+import {
+  CAPTION_TRACK_ORDER,
+  buildCaptionTrackList,
+} from "../services/captionTrack.service.js";
 
-export const getVideoStreamingData = asyncHandler(async (req, res) => {
-  const { videoId } = req.params;
-  const { quality } = req.query;
-  const viewerId = req.user?.id || null;
+const CAPTION_FORMATS = Object.freeze({
+  vtt: { contentType: "text/vtt", render: buildTranscriptWebVtt },
+  srt: { contentType: "application/x-subrip", render: buildTranscriptSrt },
+});
 
+const loadStreamableVideo = async (videoId, viewerId) => {
   const video = await prisma.video.findUnique({
     where: { id: videoId },
     select: {
@@ -18,6 +30,7 @@ export const getVideoStreamingData = asyncHandler(async (req, res) => {
       duration: true,
       ownerId: true,
       isPublished: true,
+      visibility: true,
       isDeleted: true,
       processingStatus: true,
       isHlsReady: true,
@@ -25,6 +38,16 @@ export const getVideoStreamingData = asyncHandler(async (req, res) => {
       playbackUrl: true,
       masterPlaylistUrl: true,
       availableQualities: true,
+      chapters: true,
+      transcripts: {
+        orderBy: CAPTION_TRACK_ORDER,
+        select: {
+          language: true,
+          label: true,
+          isDefault: true,
+          source: true,
+        },
+      },
     },
   });
 
@@ -44,6 +67,18 @@ export const getVideoStreamingData = asyncHandler(async (req, res) => {
     throw new ApiError(403, "This video is not published");
   }
 
+  if (!(await canViewerOpenVideo(video, viewerId))) {
+    throw new ApiError(403, "This video is private");
+  }
+
+  return { video, isOwner };
+};
+
+export const getVideoStreamingData = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { quality } = req.query;
+  const { video, isOwner } = await loadStreamableVideo(videoId, req.user?.id || null);
+
   const streaming = buildVideoStreamingPayload({
     sourceUrl: video.videoFile,
     playbackUrl: video.masterPlaylistUrl || video.playbackUrl,
@@ -62,9 +97,58 @@ export const getVideoStreamingData = asyncHandler(async (req, res) => {
       thumbnail: video.thumbnail,
       title: video.title,
       duration: video.duration,
+      chapters: resolveVideoChapters({
+        chapters: video.chapters,
+        durationSeconds: video.duration,
+      }),
+      captions: buildCaptionTrackList(video.id, video.transcripts),
       viewerContext: {
         isOwner,
       },
     })
   );
 });
+
+// WebVTT chapters track for players that render chapter markers natively.
+export const getVideoChaptersVtt = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const { video } = await loadStreamableVideo(videoId, req.user?.id || null);
+
+  const chapters = resolveVideoChapters({
+    chapters: video.chapters,
+    durationSeconds: video.duration,
+  });
+
+  if (chapters.length === 0) throw new ApiError(404, "This video has no chapters");
+
+  res.type("text/vtt");
+  return res.send(buildChaptersWebVtt(chapters));
+});
+
+const sendCaptionTrack = (format) =>
+  asyncHandler(async (req, res) => {
+    const { videoId, lang } = req.params;
+    const { video } = await loadStreamableVideo(videoId, req.user?.id || null);
+
+    const track = await prisma.videoTranscript.findFirst({
+      where: {
+        videoId: video.id,
+        language: { equals: String(lang || "").trim(), mode: "insensitive" },
+      },
+      select: { transcript: true, segments: true },
+    });
+
+    if (!track) throw new ApiError(404, "Caption track not found");
+
+    const { segments } = resolveTranscriptForRead({
+      transcript: track.transcript,
+      segments: track.segments,
+      durationSeconds: video.duration,
+    });
+
+    res.type(CAPTION_FORMATS[format].contentType);
+    return res.send(CAPTION_FORMATS[format].render(segments));
+  });
+
+export const getCaptionTrackVtt = sendCaptionTrack("vtt");
+export const getCaptionTrackSrt = sendCaptionTrack("srt");
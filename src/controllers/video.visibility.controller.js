@@ -0,0 +1,129 @@
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { normalizeVideoVisibility } from "../utils/videoVisibility.js";
+
+const MAX_VIDEO_SHARES = 200;
+
+const SHARE_USER_SELECT = Object.freeze({
+  id: true,
+  username: true,
+  fullName: true,
+  avatar: true,
+});
+
+const getOwnedVideoOrThrow = async (videoId, userId) => {
+  const video = await prisma.video.findUnique({
+    where: { id: videoId },
+    select: { id: true, ownerId: true, isDeleted: true, visibility: true },
+  });
+
+  if (!video || video.isDeleted) throw new ApiError(404, "Video not found");
+
+  if (video.ownerId !== userId) {
+    throw new ApiError(403, "Not allowed");
+  }
+
+  return video;
+};
+
+export const updateVideoVisibility = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const visibility = normalizeVideoVisibility(req.body?.visibility);
+
+  if (!visibility) throw new ApiError(400, "visibility is required");
+
+  await getOwnedVideoOrThrow(videoId, req.user.id);
+
+  const updated = await prisma.video.update({
+    where: { id: videoId },
+    data: { visibility },
+    select: { id: true, visibility: true, isPublished: true },
+  });
+
+  return res.json(new ApiResponse(200, updated, "Video visibility updated"));
+});
+
+export const getVideoShares = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const video = await getOwnedVideoOrThrow(videoId, req.user.id);
+
+  const shares = await prisma.videoShare.findMany({
+    where: { videoId },
+    orderBy: { createdAt: "desc" },
+    take: MAX_VIDEO_SHARES,
+    select: {
+      createdAt: true,
+      user: { select: SHARE_USER_SELECT },
+    },
+  });
+
+  return res.json(
+    new ApiResponse(
+      200,
+      { videoId, visibility: video.visibility, shares },
+      "Video shares fetched"
+    )
+  );
+});
+
+/*
+  Shares only matter while the video is PRIVATE, but they are kept across
+  visibility changes so switching back to PRIVATE restores the same audience.
+*/
+export const shareVideo = asyncHandler(async (req, res) => {
+  const { videoId } = req.params;
+  const targetUserId = String(req.body?.userId || "").trim();
+  const targetUsername = String(req.body?.username || "").trim().toLowerCase();
+
+  if (!targetUserId && !targetUsername) {
+    throw new ApiError(400, "userId or username is required");
+  }
+
+  await getOwnedVideoOrThrow(videoId, req.user.id);
+
+  const targetUser = await prisma.user.findFirst({
+    where: {
+      ...(targetUserId ? { id: targetUserId } : { username: targetUsername }),
+      isDeleted: false,
+    },
+    select: SHARE_USER_SELECT,
+  });
+
+  if (!targetUser) throw new ApiError(404, "User not found");
+
+  if (targetUser.id === req.user.id) {
+    throw new ApiError(400, "You cannot share a video with yourself");
+  }
+
+  const shareCount = await prisma.videoShare.count({ where: { videoId } });
+  if (shareCount >= MAX_VIDEO_SHARES) {
+    throw new ApiError(400, `A video can be shared with at most ${MAX_VIDEO_SHARES} users`);
+  }
+
+  const share = await prisma.videoShare.upsert({
+    where: { videoId_userId: { videoId, userId: targetUser.id } },
+    update: {},
+    create: { videoId, userId: targetUser.id },
+    select: { createdAt: true },
+  });
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { ...share, user: targetUser }, "Video shared"));
+});
+
+export const revokeVideoShare = asyncHandler(async (req, res) => {
+  const { videoId, userId } = req.params;
+
+  await getOwnedVideoOrThrow(videoId, req.user.id);
+
+  const deleted = await prisma.videoShare.deleteMany({
+    where: { videoId, userId },
+  });
+
+  if (deleted.count === 0) throw new ApiError(404, "Share not found");
+
+  return res.json(new ApiResponse(200, {}, "Video share revoked"));
+});
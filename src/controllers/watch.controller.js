@@ -4,6 +4,14 @@ import ApiResponse from "../utils/ApiResponse.js";
 import asyncHandler from "../utils/asyncHandler.js";
 import { buildVideoStreamingPayload } from "../utils/videoQuality.js";
 import { buildPaginatedListData } from "../utils/listResponse.js";
+import { canViewerOpenVideo } from "../utils/videoVisibility.js";
+import { resolveVideoChapters } from "../utils/videoChapters.js";
+import {
+    CAPTION_TRACK_ORDER,
+    buildCaptionTrackList,
+    pickDefaultCaptionTrack,
+} from "../services/captionTrack.service.js";
+import { enqueueBackgroundJob } from "../services/backgroundJob.service.js";
 import {
     filterTranscriptSegments,
     parseTimeQueryToMs,
@@ -31,35 +39,6 @@ const VIDEO_SCORE_RECALC_VIEW_INTERVAL = parsePositiveInt(
 const shouldRecalculateVideoScore = (viewCount) =>
     viewCount === 1 || viewCount % VIDEO_SCORE_RECALC_VIEW_INTERVAL === 0;
 
-export const updateVideoScore = async (videoId) => {
-    const [video, likesCount, commentsCount, watchCount] = await Promise.all([
-        prisma.video.findUnique({
-            where: { id: videoId },
-            select: { views: true }
-        }),
-        prisma.like.count({ where: { videoId } }),
-        prisma.comment.count({ where: { videoId, isDeleted: false } }),
-        prisma.watchHistory.count({ where: { videoId } }),
-    ]);
-
-    if (!video) return;
-
-    const score =
-        video.views * 0.3 +
-        likesCount * 0.4 +
-        commentsCount * 0.2 +
-        watchCount * 0.1;
-
-    await prisma.video.update({
-        where: { id: videoId },
-        data: {
-            popularityScore: score,
-            engagementScore: score / 10
-        }
-    });
-};
-
-
 export const watchVideo = asyncHandler(async (req, res) => {
     const { videoId } = req.params;
     const { quality } = req.query;
@@ -79,15 +58,22 @@ export const watchVideo = asyncHandler(async (req, res) => {
             playbackUrl: true,
             masterPlaylistUrl: true,
             availableQualities: true,
+            hlsRenditions: true,
+            chapters: true,
             isShort: true,
             isPublished: true,
+            visibility: true,
             isDeleted: true,
             processingStatus: true,
             isHlsReady: true,
             ownerId: true,
-            transcript: {
+            transcripts: {
+                orderBy: CAPTION_TRACK_ORDER,
                 select: {
                     language: true,
+                    label: true,
+                    isDefault: true,
+                    source: true,
                     wordCount: true,
                     updatedAt: true,
                 },
@@ -113,6 +99,10 @@ export const watchVideo = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Video not found");
     }
 
+    if (!(await canViewerOpenVideo(video, viewerId))) {
+        throw new ApiError(404, "Video not found");
+    }
+
     const isOwner = Boolean(viewerId && viewerId === video.ownerId);
     let resolvedViews = video.views;
     const streaming = buildVideoStreamingPayload({
@@ -120,6 +110,7 @@ export const watchVideo = asyncHandler(async (req, res) => {
         playbackUrl: video.masterPlaylistUrl || video.playbackUrl,
         availableQualities: video.availableQualities,
         requestedQuality: quality,
+        renditions: video.hlsRenditions,
     });
 
     if (!viewerId || viewerId !== video.ownerId) {
@@ -132,12 +123,16 @@ export const watchVideo = asyncHandler(async (req, res) => {
         resolvedViews = updatedVideo.views;
 
         if (shouldRecalculateVideoScore(updatedVideo.views)) {
-            updateVideoScore(videoId).catch((error) => {
-                console.error("Failed to update video score:", error?.message || error);
+            enqueueBackgroundJob("FEED_RECOMPUTE", { videoId }, {
+                correlationId: videoId,
+            }).catch((error) => {
+                console.error("Video score refresh could not be queued:", error?.message || error);
             });
         }
     }
 
+    const defaultTranscript = pickDefaultCaptionTrack(video.transcripts);
+
     return res.status(200).json(
         new ApiResponse(200, {
             id: video.id,
@@ -147,6 +142,10 @@ export const watchVideo = asyncHandler(async (req, res) => {
             duration: video.duration,
             views: resolvedViews,
             createdAt: video.createdAt,
+            chapters: resolveVideoChapters({
+                chapters: video.chapters,
+                durationSeconds: video.duration,
+            }),
             playbackUrl: streaming.selectedPlaybackUrl,
             availableQualities: streaming.availableQualities,
             selectedQuality: streaming.selectedQuality,
@@ -164,11 +163,12 @@ export const watchVideo = asyncHandler(async (req, res) => {
                 isOwner,
             },
             transcript: {
-                hasTranscript: Boolean(video.transcript),
-                language: video.transcript?.language || null,
-                wordCount: video.transcript?.wordCount || 0,
-                updatedAt: video.transcript?.updatedAt || null,
+                hasTranscript: Boolean(defaultTranscript),
+                language: defaultTranscript?.language || null,
+                wordCount: defaultTranscript?.wordCount || 0,
+                updatedAt: defaultTranscript?.updatedAt || null,
             },
+            captions: buildCaptionTrackList(video.id, video.transcripts),
         }, "Video loaded successfully")
     )
 
@@ -178,6 +178,8 @@ export const getVideoTranscript = asyncHandler(async (req, res) => {
     const { videoId } = req.params;
     const viewerId = req.user?.id || null;
     const query = String(req.query?.q || "").trim();
+    // Defaults to the video's default caption track.
+    const language = String(req.query?.language || "").trim();
     const fromMs = parseTimeQueryToMs(req.query?.from) ??
         (parseNonNegativeNumber(req.query?.fromSeconds) !== null
             ? Math.floor(Number(req.query.fromSeconds) * 1000)
@@ -199,14 +201,21 @@ export const getVideoTranscript = asyncHandler(async (req, res) => {
             ownerId: true,
             duration: true,
             isPublished: true,
+            visibility: true,
             isDeleted: true,
             processingStatus: true,
             isHlsReady: true,
-            transcript: {
+            transcripts: {
+                where: language
+                    ? { language: { equals: language, mode: "insensitive" } }
+                    : undefined,
+                orderBy: CAPTION_TRACK_ORDER,
+                take: 1,
                 select: {
                     transcript: true,
                     segments: true,
                     language: true,
+                    label: true,
                     source: true,
                     wordCount: true,
                     updatedAt: true,
@@ -233,7 +242,11 @@ export const getVideoTranscript = asyncHandler(async (req, res) => {
         throw new ApiError(403, "This video is not published");
     }
 
-    const transcriptRecord = video.transcript;
+    if (!(await canViewerOpenVideo(video, viewerId))) {
+        throw new ApiError(403, "This video is private");
+    }
+
+    const transcriptRecord = video.transcripts[0] || null;
 
     if (!transcriptRecord) {
         return res.status(200).json(
@@ -292,6 +305,7 @@ export const getVideoTranscript = asyncHandler(async (req, res) => {
                     hasTranscript: true,
                     transcript: transcriptData.transcriptText,
                     language: transcriptRecord.language || null,
+                    label: transcriptRecord.label || transcriptRecord.language,
                     source: transcriptRecord.source || null,
                     wordCount: transcriptRecord.wordCount ?? transcriptData.wordCount,
                     transcriptUpdatedAt: transcriptRecord.updatedAt,
@@ -5,6 +5,10 @@ import asyncHandler from "../utils/asyncHandler.js";
 import { sanitizePagination } from "../utils/pagination.js";
 import { sanitizeSort } from "../utils/sanitizeSort.js";
 import { buildPaginatedListData } from "../utils/listResponse.js";
+import {
+  buildViewerVisibleVideoWhere,
+  canViewerOpenVideo,
+} from "../utils/videoVisibility.js";
 
 const parseBooleanQuery = (value) => {
   if (value === undefined || value === null || value === "") return undefined;
@@ -60,7 +64,9 @@ export const saveWatchProgress = asyncHandler(async (req, res) => {
       select: {
         id: true,
         duration: true,
+        ownerId: true,
         isPublished: true,
+        visibility: true,
         isDeleted: true,
         processingStatus: true,
         isHlsReady: true,
@@ -81,6 +87,10 @@ export const saveWatchProgress = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Cannot track progress for unavailable video");
   }
 
+  if (!(await canViewerOpenVideo(video, userId))) {
+    throw new ApiError(400, "Cannot track progress for unavailable video");
+  }
+
   const completed = progress >= 95;
   const normalizedDuration = hasDurationInput
     ? requestedDuration
@@ -169,6 +179,8 @@ export const getContinueWatching = asyncHandler(async (req, res) => {
     isDeleted: false,
     processingStatus: "COMPLETED",
     isHlsReady: true,
+    // Drops PRIVATE videos whose share was revoked since they were watched.
+    ...buildViewerVisibleVideoWhere(userId),
     ...(normalizedQuery && {
       title: {
         contains: normalizedQuery,
@@ -22,6 +22,8 @@ async function startServer() {
       process.env.RUN_WORKER,
       process.env.NODE_ENV !== "production"
     );
+    const shouldRunJobRunner = parseBool(process.env.RUN_JOB_RUNNER, true);
+    let stopJobRunner = null;
 
     if (shouldRunScheduler) {
       await import("./jobs/scheduler.js");
@@ -35,6 +37,16 @@ async function startServer() {
       console.log("Video worker disabled by RUN_WORKER.");
     }
 
+    if (shouldRunJobRunner) {
+      const { startBackgroundJobRunner, stopBackgroundJobRunner } = await import(
+        "./jobs/background.worker.js"
+      );
+      startBackgroundJobRunner();
+      stopJobRunner = stopBackgroundJobRunner;
+    } else {
+      console.log("Background job runner disabled by RUN_JOB_RUNNER.");
+    }
+
     await prisma.$connect();
     console.log("Database connected");
 
@@ -52,6 +64,8 @@ async function startServer() {
 
     process.on("SIGTERM", async () => {
       console.log("Shutting down...");
+      // Close workers first so no job is claimed after the database goes away.
+      await stopJobRunner?.();
       await prisma.$disconnect();
       server.close(() => process.exit(0));
     });
@@ -0,0 +1,149 @@
+import { Worker } from "bullmq";
+import { getRedisConnection } from "../queue/redis.connection.js";
+import {
+  closeBackgroundQueues,
+  getBackgroundQueue,
+  getBackgroundQueueName,
+} from "../queue/background.queue.js";
+import {
+  BACKGROUND_JOB_TYPES,
+  findDueBackgroundJobIds,
+  runBackgroundJob,
+  setLocalJobListener,
+} from "../services/backgroundJob.service.js";
+import { BACKGROUND_JOB_HANDLERS } from "./backgroundJob.handlers.js";
+
+const parseBool = (value, defaultValue = false) => {
+  if (value === undefined || value === null || value === "") return defaultValue;
+  return ["1", "true", "yes", "on"].includes(String(value).toLowerCase());
+};
+
+const parsePositiveInt = (value, fallbackValue) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) return fallbackValue;
+  return parsed;
+};
+
+const skipVersionCheck = parseBool(
+  process.env.BULLMQ_SKIP_VERSION_CHECK,
+  process.env.NODE_ENV === "production"
+);
+const pollIntervalMs = parsePositiveInt(process.env.BACKGROUND_JOB_POLL_MS, 5000);
+// With BullMQ delivering, the DB pass only sweeps up rows Redis lost.
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const SWEEP_GRACE_MS = 2 * 60 * 1000;
+const ERROR_LOG_COOLDOWN_MS = 30 * 1000;
+
+let queueWorkers = [];
+let pollTimer = null;
+let polling = false;
+let runnerMode = null;
+let lastErrorLogAt = 0;
+const inFlight = new Map();
+
+const logRunnerError = (label, error) => {
+  const now = Date.now();
+  if (now - lastErrorLogAt < ERROR_LOG_COOLDOWN_MS) return;
+  lastErrorLogAt = now;
+  console.error(label, error?.message || error);
+};
+
+const runTracked = (jobType, jobId) => {
+  inFlight.set(jobType, (inFlight.get(jobType) || 0) + 1);
+
+  return runBackgroundJob(jobId)
+    .catch((error) => logRunnerError("Background job crashed:", error))
+    .finally(() => {
+      inFlight.set(jobType, Math.max(0, (inFlight.get(jobType) || 1) - 1));
+    });
+};
+
+const pollDueJobs = async ({ graceMs = 0 } = {}) => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    for (const jobType of BACKGROUND_JOB_TYPES) {
+      const capacity = BACKGROUND_JOB_HANDLERS[jobType].concurrency - (inFlight.get(jobType) || 0);
+      if (capacity <= 0) continue;
+
+      const jobIds = await findDueBackgroundJobIds({
+        jobType,
+        limit: capacity,
+        dueBefore: new Date(Date.now() - graceMs),
+      });
+
+      for (const jobId of jobIds) {
+        void runTracked(jobType, jobId);
+      }
+    }
+  } catch (error) {
+    logRunnerError("Background job poll failed:", error);
+  } finally {
+    polling = false;
+  }
+};
+
+const startQueueWorkers = () => {
+  const connection = getRedisConnection();
+
+  queueWorkers = BACKGROUND_JOB_TYPES.map((jobType) => {
+    const worker = new Worker(
+      getBackgroundQueueName(jobType),
+      (job) => runBackgroundJob(job.data.backgroundJobId),
+      {
+        connection,
+        concurrency: BACKGROUND_JOB_HANDLERS[jobType].concurrency,
+        skipVersionCheck,
+      }
+    );
+
+    worker.on("error", (error) => logRunnerError(`Background worker (${jobType}) error:`, error));
+    return worker;
+  });
+};
+
+/*
+  Uses one BullMQ worker per job type when the queue is available, and a
+  DB-polling loop over BackgroundJob otherwise. Either way rows are claimed
+  atomically, so several API instances can run the poller side by side.
+*/
+export const startBackgroundJobRunner = () => {
+  if (runnerMode) return runnerMode;
+
+  if (getBackgroundQueue(BACKGROUND_JOB_TYPES[0])) {
+    startQueueWorkers();
+    pollTimer = setInterval(() => {
+      void pollDueJobs({ graceMs: SWEEP_GRACE_MS });
+    }, SWEEP_INTERVAL_MS);
+    runnerMode = "queue";
+  } else {
+    setLocalJobListener(() => {
+      setImmediate(() => void pollDueJobs());
+    });
+    pollTimer = setInterval(() => {
+      void pollDueJobs();
+    }, pollIntervalMs);
+    runnerMode = "polling";
+  }
+
+  pollTimer.unref?.();
+  console.log(`Background job runner started (${runnerMode === "queue" ? "BullMQ" : "DB polling"}).`);
+  return runnerMode;
+};
+
+export const stopBackgroundJobRunner = async () => {
+  if (!runnerMode) return;
+
+  clearInterval(pollTimer);
+  pollTimer = null;
+  setLocalJobListener(null);
+  runnerMode = null;
+
+  const closingWorkers = queueWorkers;
+  queueWorkers = [];
+  await Promise.all(closingWorkers.map((worker) => worker.close()));
+  await closeBackgroundQueues();
+
+  console.log("Background job runner stopped.");
+};
@@ -0,0 +1,65 @@
+import { sendEmail } from "../utils/email.js";
+import { updateVideoScore } from "../utils/updateFeedScrore.js";
+import { dispatchChannelActivityNotification } from "../services/notification.service.js";
+import { publishScheduledItem } from "./scheduledPublish.job.js";
+import { runDataExport } from "./dataExport.job.js";
+
+/*
+  One entry per JobType the generic runner owns. `concurrency` is per
+  process and per type; `backoffMs` doubles on each failed attempt. Types not
+  listed here (video processing, AI usage rows) keep their own
+  lifecycles and are never claimed by the runner.
+*/
+export const BACKGROUND_JOB_HANDLERS = Object.freeze({
+  EMAIL: {
+    concurrency: 4,
+    maxAttempts: 4,
+    backoffMs: 30 * 1000,
+    run: async ({ to, subject, html, text }) => {
+      await sendEmail({ to, subject, html, text });
+      return { deliveredTo: to };
+    },
+    // Bodies can carry OTPs and sign-in links; keep only the envelope once
+    // the job is finished either way (delivered or dead-lettered).
+    redactPayload: ({ to, subject }) => ({ to, subject, redacted: true }),
+  },
+  NOTIFICATION: {
+    concurrency: 2,
+    maxAttempts: 3,
+    backoffMs: 15 * 1000,
+    // Retries are safe: dispatch skips subscribers notified within the dedup window.
+    run: (payload) => dispatchChannelActivityNotification(payload),
+  },
+  FEED_RECOMPUTE: {
+    concurrency: 2,
+    maxAttempts: 2,
+    backoffMs: 60 * 1000,
+    coalesce: true,
+    run: async ({ videoId }) => {
+      await updateVideoScore(videoId);
+      return { videoId };
+    },
+  },
+  SCHEDULED_PUBLISH: {
+    concurrency: 2,
+    maxAttempts: 5,
+    backoffMs: 30 * 1000,
+    // No-ops when the item was rescheduled or cancelled after this job was queued.
+    run: (payload) => publishScheduledItem(payload),
+  },
+  DATA_EXPORT: {
+    // Reads every table the user touches; one at a time per process.
+    concurrency: 1,
+    maxAttempts: 2,
+    backoffMs: 5 * 60 * 1000,
+    run: (payload, job) => runDataExport(payload, job),
+  },
+});
+
+export const getBackgroundJobHandler = (jobType) => BACKGROUND_JOB_HANDLERS[jobType] || null;
+
+// Idempotent, so rows redacted at rest can be passed through again on read.
+export const redactJobPayload = (jobType, payload) => {
+  const redact = getBackgroundJobHandler(jobType)?.redactPayload;
+  return redact && payload ? redact(payload) : payload;
+};
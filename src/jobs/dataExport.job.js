@@ -0,0 +1,448 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { once } from "events";
+import { finished } from "stream/promises";
+import { ZipArchive } from "archiver";
+import prisma from "../db/prisma.js";
+import { getDefaultStorage } from "../storage/index.js";
+import { getCsvColumns, toCsvHeader, toCsvRows } from "../utils/csv.js";
+import { createSystemNotification } from "../services/notification.service.js";
+
+/*
+  Runs a DATA_EXPORT job. Each section is read a page at a time and written
+  straight to JSON and CSV files in a temp directory, so memory stays flat no
+  matter how much history the user has; the files are then zipped and
+  uploaded as a private object.
+*/
+
+const PAGE_SIZE = 1000;
+
+const toPositiveInt = (value, fallback) => {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 1) return fallback;
+  return Math.floor(parsed);
+};
+
+export const DATA_EXPORT_ARCHIVE_TTL_HOURS = toPositiveInt(process.env.DATA_EXPORT_TTL_HOURS, 72);
+
+/* ---------- SECTIONS ---------- */
+
+async function* findPages(delegate, args, mapRow = null) {
+  for (let skip = 0; ; skip += PAGE_SIZE) {
+    const page = await delegate.findMany({ ...args, skip, take: PAGE_SIZE });
+    if (page.length > 0) yield mapRow ? page.map(mapRow) : page;
+    if (page.length < PAGE_SIZE) return;
+  }
+}
+
+const byOldest = [{ createdAt: "asc" }, { id: "asc" }];
+
+/*
+  Every section is exported twice: as JSON (exact shape) and as CSV
+  (flattened rows). `load` yields pages of rows; `toRows` is only needed
+  when the JSON is nested.
+*/
+const EXPORT_SECTIONS = [
+  {
+    name: "profile",
+    async *load(userId) {
+      const profile = await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+          id: true,
+          username: true,
+          email: true,
+          fullName: true,
+          avatar: true,
+          coverImage: true,
+          channelDescription: true,
+          channelLinks: true,
+          authProvider: true,
+          emailVerified: true,
+          twoFactorEnabled: true,
+          createdAt: true,
+          updatedAt: true,
+        },
+      });
+      if (profile) yield [profile];
+    },
+  },
+  {
+    name: "settings",
+    async *load(userId) {
+      const settings = await prisma.userSettings.findUnique({
+        where: { userId },
+        omit: { id: true, userId: true },
+      });
+      if (settings) yield [settings];
+    },
+  },
+  {
+    name: "videos",
+    load: (userId) =>
+      findPages(prisma.video, {
+        where: { ownerId: userId },
+        orderBy: byOldest,
+        select: {
+          id: true,
+          title: true,
+          description: true,
+          duration: true,
+          views: true,
+          isPublished: true,
+          isShort: true,
+          videoFile: true,
+          thumbnail: true,
+          isDeleted: true,
+          deletedAt: true,
+          createdAt: true,
+          updatedAt: true,
+        },
+      }),
+  },
+  {
+    name: "playlists",
+    load: (userId) =>
+      findPages(
+        prisma.playlist,
+        {
+          where: { ownerId: userId },
+          orderBy: byOldest,
+          select: {
+            id: true,
+            name: true,
+            description: true,
+            isPublic: true,
+            isSystem: true,
+            isDeleted: true,
+            createdAt: true,
+            updatedAt: true,
+            videos: {
+              orderBy: { createdAt: "asc" },
+              select: { videoId: true, createdAt: true },
+            },
+          },
+        },
+        ({ videos, ...playlist }) => ({
+          ...playlist,
+          videos: videos.map((item) => ({
+            videoId: item.videoId,
+            addedAt: item.createdAt,
+          })),
+        })
+      ),
+    toRows: (playlists) =>
+      playlists.map(({ videos, ...playlist }) => ({
+        ...playlist,
+        videoIds: videos.map((item) => item.videoId).join(" "),
+      })),
+  },
+  {
+    name: "comments",
+    load: (userId) =>
+      findPages(prisma.comment, {
+        where: { ownerId: userId },
+        orderBy: byOldest,
+        select: {
+          id: true,
+          content: true,
+          videoId: true,
+          tweetId: true,
+          parentId: true,
+          isDeleted: true,
+          createdAt: true,
+          updatedAt: true,
+        },
+      }),
+  },
+  {
+    name: "tweets",
+    load: (userId) =>
+      findPages(prisma.tweet, {
+        where: { ownerId: userId },
+        orderBy: byOldest,
+        select: {
+          id: true,
+          content: true,
+          image: true,
+          isDeleted: true,
+          createdAt: true,
+          updatedAt: true,
+        },
+      }),
+  },
+  {
+    name: "likes",
+    load: (userId) =>
+      findPages(prisma.like, {
+        where: { likedById: userId },
+        orderBy: byOldest,
+        select: {
+          id: true,
+          videoId: true,
+          commentId: true,
+          tweetId: true,
+          createdAt: true,
+        },
+      }),
+  },
+  {
+    name: "subscriptions",
+    load: (userId) =>
+      findPages(
+        prisma.subscription,
+        {
+          where: { subscriberId: userId },
+          orderBy: byOldest,
+          select: {
+            channelId: true,
+            notificationLevel: true,
+            createdAt: true,
+            channel: { select: { username: true, fullName: true } },
+          },
+        },
+        ({ channel, ...item }) => ({
+          ...item,
+          channelUsername: channel?.username || null,
+          channelName: channel?.fullName || null,
+        })
+      ),
+  },
+  {
+    name: "watch_history",
+    load: (userId) =>
+      findPages(
+        prisma.watchHistory,
+        {
+          where: { userId },
+          orderBy: byOldest,
+          select: {
+            videoId: true,
+            progress: true,
+            duration: true,
+            completed: true,
+            watchCount: true,
+            lastWatchedAt: true,
+            createdAt: true,
+            video: { select: { title: true } },
+          },
+        },
+        ({ video, ...item }) => ({ ...item, videoTitle: video?.title || null })
+      ),
+  },
+  {
+    name: "search_history",
+    load: (userId) =>
+      findPages(prisma.searchHistory, {
+        where: { userId },
+        orderBy: byOldest,
+        select: { query: true, createdAt: true },
+      }),
+  },
+  {
+    name: "ai_chat_sessions",
+    load: (userId) =>
+      findPages(prisma.aIChatSession, {
+        where: { userId },
+        orderBy: byOldest,
+        select: {
+          id: true,
+          title: true,
+          videoId: true,
+          createdAt: true,
+          messages: {
+            orderBy: { createdAt: "asc" },
+            select: { role: true, content: true, createdAt: true },
+          },
+        },
+      }),
+    // One CSV row per message reads better in a spreadsheet than nested JSON.
+    toRows: (sessions) =>
+      sessions.flatMap((session) =>
+        session.messages.map((message) => ({
+          sessionId: session.id,
+          sessionTitle: session.title,
+          videoId: session.videoId,
+          role: message.role,
+          content: message.content,
+          createdAt: message.createdAt,
+        }))
+      ),
+  },
+  {
+    name: "notifications",
+    load: (userId) =>
+      findPages(prisma.notification, {
+        where: { userId },
+        orderBy: byOldest,
+        select: {
+          id: true,
+          type: true,
+          title: true,
+          message: true,
+          isRead: true,
+          videoId: true,
+          createdAt: true,
+        },
+      }),
+  },
+];
+
+export const DATA_EXPORT_SECTIONS = EXPORT_SECTIONS.map((section) => section.name);
+
+/* ---------- ARCHIVE ---------- */
+
+const writeChunk = async (stream, chunk) => {
+  if (!stream.write(chunk)) await once(stream, "drain");
+};
+
+// Same text JSON.stringify(rows, null, 2) would produce for the whole array.
+const toJsonArrayItems = (rows, isFirst) =>
+  rows
+    .map((row, index) => {
+      const separator = isFirst && index === 0 ? "\n" : ",\n";
+      return `${separator}  ${JSON.stringify(row, null, 2).replace(/\n/g, "\n  ")}`;
+    })
+    .join("");
+
+/*
+  Every section selects a fixed shape, so the CSV header is taken from the
+  first rows instead of a union over the whole table.
+*/
+const writeSectionFiles = async ({ section, pages, workDir }) => {
+  const jsonPath = path.join(workDir, `${section.name}.json`);
+  const csvPath = path.join(workDir, `${section.name}.csv`);
+  const json = fs.createWriteStream(jsonPath);
+  const csv = fs.createWriteStream(csvPath);
+
+  let count = 0;
+  let columns = null;
+
+  try {
+    await writeChunk(json, "[");
+    for await (const page of pages) {
+      await writeChunk(json, toJsonArrayItems(page, count === 0));
+      count += page.length;
+
+      const rows = section.toRows ? section.toRows(page) : page;
+      if (rows.length === 0) continue;
+      if (!columns) {
+        columns = getCsvColumns(rows);
+        await writeChunk(csv, toCsvHeader(columns));
+      }
+      await writeChunk(csv, toCsvRows(rows, columns));
+    }
+    await writeChunk(json, count > 0 ? "\n]" : "]");
+  } finally {
+    json.end();
+    csv.end();
+    await Promise.all([finished(json), finished(csv)]);
+  }
+
+  return {
+    count,
+    entries: [
+      { name: `json/${section.name}.json`, path: jsonPath },
+      { name: `csv/${section.name}.csv`, path: csvPath },
+    ],
+  };
+};
+
+/*
+  Writes every section plus a manifest into `workDir` and returns the archive
+  entries, manifest first. `readPages(section)` supplies the rows, which
+  keeps the layout checkable without a database.
+*/
+export const writeDataExportFiles = async ({ workDir, readPages, exportedAt = new Date() }) => {
+  const entries = [];
+  const counts = {};
+
+  for (const section of EXPORT_SECTIONS) {
+    const written = await writeSectionFiles({
+      section,
+      pages: readPages(section),
+      workDir,
+    });
+    counts[section.name] = written.count;
+    entries.push(...written.entries);
+  }
+
+  const manifestPath = path.join(workDir, "manifest.json");
+  await fs.promises.writeFile(
+    manifestPath,
+    JSON.stringify({ exportedAt: exportedAt.toISOString(), format: 1, sections: counts }, null, 2)
+  );
+  entries.unshift({ name: "manifest.json", path: manifestPath });
+
+  return { entries, counts };
+};
+
+const writeZipArchive = (filePath, entries) =>
+  new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = new ZipArchive({ zlib: { level: 9 } });
+
+    output.on("close", () => resolve(archive.pointer()));
+    output.on("error", reject);
+    archive.on("error", reject);
+
+    archive.pipe(output);
+    for (const entry of entries) {
+      archive.file(entry.path, { name: entry.name });
+    }
+    archive.finalize();
+  });
+
+/* ---------- JOB ---------- */
+
+export const runDataExport = async (_payload, job) => {
+  const userId = job.correlationId;
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "vixora-export-"));
+
+  try {
+    const { entries, counts } = await writeDataExportFiles({
+      workDir,
+      readPages: (section) => section.load(userId),
+    });
+
+    const archivePath = path.join(workDir, `${job.id}.zip`);
+    const sizeBytes = await writeZipArchive(archivePath, entries);
+
+    const storage = getDefaultStorage();
+    const upload = await storage.uploadFile(archivePath, {
+      publicId: `data-exports/${userId}/${job.id}.zip`,
+      resourceType: "raw",
+      isPrivate: true,
+    });
+
+    const expiresAt = new Date(Date.now() + DATA_EXPORT_ARCHIVE_TTL_HOURS * 60 * 60 * 1000);
+
+    await createSystemNotification({
+      userId,
+      title: "Your data export is ready",
+      message: `Download your archive before ${expiresAt.toUTCString()}.`,
+      targetUrl: "/settings/privacy",
+      extraData: {
+        kind: "DATA_EXPORT",
+        exportId: job.id,
+        downloadUrl: await storage.getDownloadUrl(upload.publicId, {
+          expiresAt,
+        }),
+        expiresAt: expiresAt.toISOString(),
+      },
+    }).catch((error) => {
+      console.error("Data export notification failed:", error?.message || error);
+    });
+
+    return {
+      publicId: upload.publicId,
+      storageProvider: storage.name,
+      sizeBytes,
+      sections: counts,
+      expiresAt: expiresAt.toISOString(),
+    };
+  } finally {
+    await fs.promises.rm(workDir, { recursive: true, force: true });
+  }
+};
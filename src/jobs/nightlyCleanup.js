@@ -1,10 +1,19 @@
 import prisma from "../db/prisma.js";
+import { deleteStoredAsset, deleteStoredFolder } from "../storage/index.js";
+import { purgeStaleSessions } from "../services/session.service.js";
+import { purgeExpiredWebAuthnChallenges } from "../services/passkey.service.js";
+import { purgeExpiredDataExports } from "../services/dataExport.service.js";
+import { purgeExpiredMagicLinks } from "../services/magicLink.service.js";
+import { purgeExpiredLoginAlertTokens } from "../services/loginRisk.service.js";
+import { purgeStaleStagedUploads } from "../services/tusUpload.service.js";
+import { purgeFinishedBackgroundJobs } from "../services/backgroundJob.service.js";
 import {
-  deleteVideoOnCloudinary,
-  deleteImageOnCloudinary
-} from "../utils/cloudinary.js";
+  enqueueExpiredAccountPurges,
+  runAccountPurges
+} from "../services/accountPurge.service.js";
 
 const SEVEN_DAYS = 7 * 24 * 60 * 60 * 1000;
+const THIRTY_DAYS = 30 * 24 * 60 * 60 * 1000;
 
 /* ---------- SAFE BATCH LIMIT ---------- */
 const RAW_BATCH = Number(process.env.NIGHT_BATCH_LIMIT);
@@ -28,6 +37,8 @@ async function runNightlyCleanup() {
       id: true,
       videoPublicId: true,
       thumbnailPublicId: true,
+      hlsStoragePrefix: true,
+      storageProvider: true,
     },
     take: BATCH_LIMIT,
   });
@@ -43,14 +54,18 @@ async function runNightlyCleanup() {
         where: { id: video.id },
       });
 
-      /* ---------- STEP 2: DELETE CLOUDINARY (BEST EFFORT) ---------- */
+      /* ---------- STEP 2: DELETE FROM STORAGE (BEST EFFORT) ---------- */
 
       if (video.videoPublicId) {
         try {
-          await deleteVideoOnCloudinary(video.videoPublicId);
+          await deleteStoredAsset({
+            provider: video.storageProvider,
+            publicId: video.videoPublicId,
+            resourceType: "video",
+          });
         } catch (err) {
           console.error(
-            `⚠️ Cloudinary video delete failed for ${video.id}:`,
+            `⚠️ Storage video delete failed for ${video.id}:`,
             err.message
           );
         }
@@ -58,15 +73,28 @@ async function runNightlyCleanup() {
 
       if (video.thumbnailPublicId) {
         try {
-          await deleteImageOnCloudinary(video.thumbnailPublicId);
+          await deleteStoredAsset({
+            provider: video.storageProvider,
+            publicId: video.thumbnailPublicId,
+          });
         } catch (err) {
           console.error(
-            `⚠️ Cloudinary thumbnail delete failed for ${video.id}:`,
+            `⚠️ Storage thumbnail delete failed for ${video.id}:`,
             err.message
           );
         }
       }
 
+      if (video.hlsStoragePrefix) {
+        const deleted = await deleteStoredFolder({
+          provider: video.storageProvider,
+          folder: video.hlsStoragePrefix,
+        });
+        if (!deleted) {
+          console.error(`⚠️ Storage HLS delete failed for ${video.id}`);
+        }
+      }
+
       console.log(`✅ Deleted video ${video.id}`);
 
     } catch (error) {
@@ -77,6 +105,79 @@ async function runNightlyCleanup() {
     }
   }
 
+  /* ---------- ACCOUNTS PAST THE RESTORE WINDOW ---------- */
+  try {
+    const queuedPurges = await enqueueExpiredAccountPurges({ limit: BATCH_LIMIT });
+    const { completed, failed } = await runAccountPurges({ limit: BATCH_LIMIT });
+    console.log(
+      `🧹 Account purge: ${queuedPurges} queued, ${completed} completed, ${failed} failed`
+    );
+  } catch (error) {
+    console.error("❌ Account purge run failed:", error.message);
+  }
+
+  /* ---------- EXPIRED / REVOKED LOGIN SESSIONS ---------- */
+  try {
+    const purgedSessions = await purgeStaleSessions({
+      olderThan: new Date(Date.now() - THIRTY_DAYS),
+    });
+    console.log(`🔑 Purged ${purgedSessions} stale sessions`);
+  } catch (error) {
+    console.error("❌ Failed to purge stale sessions:", error.message);
+  }
+
+  /* ---------- EXPIRED PASSKEY CHALLENGES ---------- */
+  try {
+    const purgedChallenges = await purgeExpiredWebAuthnChallenges();
+    console.log(`🔑 Purged ${purgedChallenges} expired passkey challenges`);
+  } catch (error) {
+    console.error("❌ Failed to purge passkey challenges:", error.message);
+  }
+
+  /* ---------- EXPIRED MAGIC SIGN-IN LINKS ---------- */
+  try {
+    const purgedLinks = await purgeExpiredMagicLinks();
+    console.log(`🔑 Purged ${purgedLinks} expired magic links`);
+  } catch (error) {
+    console.error("❌ Failed to purge magic links:", error.message);
+  }
+
+  /* ---------- EXPIRED LOGIN ALERT LINKS ---------- */
+  try {
+    const purgedAlerts = await purgeExpiredLoginAlertTokens();
+    console.log(`🔑 Purged ${purgedAlerts} expired login alert links`);
+  } catch (error) {
+    console.error("❌ Failed to purge login alert links:", error.message);
+  }
+
+  /* ---------- EXPIRED DATA EXPORT ARCHIVES ---------- */
+  try {
+    const purgedExports = await purgeExpiredDataExports();
+    console.log(`📦 Purged ${purgedExports} expired data exports`);
+  } catch (error) {
+    console.error("❌ Failed to purge data exports:", error.message);
+  }
+
+  /* ---------- ABANDONED RESUMABLE UPLOAD CHUNKS ---------- */
+  try {
+    const purgedUploads = await purgeStaleStagedUploads({
+      olderThan: new Date(Date.now() - SEVEN_DAYS),
+    });
+    console.log(`📦 Purged ${purgedUploads} abandoned resumable uploads`);
+  } catch (error) {
+    console.error("❌ Failed to purge resumable uploads:", error.message);
+  }
+
+  /* ---------- FINISHED BACKGROUND JOBS ---------- */
+  try {
+    const purgedJobs = await purgeFinishedBackgroundJobs({
+      olderThan: new Date(Date.now() - SEVEN_DAYS),
+    });
+    console.log(`🧹 Purged ${purgedJobs} finished background jobs`);
+  } catch (error) {
+    console.error("❌ Failed to purge background jobs:", error.message);
+  }
+
   console.log("🌙 Nightly cleanup finished");
 }
 
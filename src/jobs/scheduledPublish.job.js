@@ -0,0 +1,152 @@
+import prisma from "../db/prisma.js";
+import {
+  ChannelNotificationAudience,
+  dispatchChannelActivityNotification,
+} from "../services/notification.service.js";
+
+/*
+  Runs a SCHEDULED_PUBLISH job. The payload's `publishAt` is the time the job
+  was queued for; a row that no longer holds it was rescheduled or cancelled,
+  and the job does nothing.
+*/
+
+const isSameInstant = (left, right) =>
+  Boolean(left && right) && new Date(left).getTime() === new Date(right).getTime();
+
+/*
+  Visibility flips first and `publishAt` is cleared last, so a retry after a
+  failed notification still matches the row and only re-sends the
+  notification (dispatch skips subscribers already notified).
+*/
+const publishScheduledVideo = async (videoId, publishAt) => {
+  const video = await prisma.video.findUnique({
+    where: { id: videoId },
+    select: {
+      id: true,
+      ownerId: true,
+      title: true,
+      isShort: true,
+      visibility: true,
+      isDeleted: true,
+      publishAt: true,
+      publishedAt: true,
+      processingStatus: true,
+      processingStep: true,
+      owner: { select: { fullName: true, username: true } },
+    },
+  });
+
+  if (!video || video.isDeleted) return { skipped: "NOT_FOUND" };
+  if (!isSameInstant(video.publishAt, publishAt)) return { skipped: "RESCHEDULED" };
+
+  // The pipeline queues the publish again once processing finishes.
+  if (video.processingStatus !== "COMPLETED" || video.processingStep === "HELD_FOR_REVIEW") {
+    return { skipped: "NOT_READY" };
+  }
+
+  const published = await prisma.video.updateMany({
+    where: { id: videoId, publishAt: video.publishAt },
+    data: {
+      isPublished: true,
+      processingStep: "DONE",
+      publishedAt: video.publishedAt ?? new Date(),
+    },
+  });
+
+  if (published.count !== 1) return { skipped: "RESCHEDULED" };
+
+  if (video.visibility !== "PUBLIC") {
+    await prisma.video.updateMany({
+      where: { id: videoId, publishAt: video.publishAt },
+      data: { publishAt: null },
+    });
+
+    return { published: true, videoId };
+  }
+
+  const channelName =
+    video.owner?.fullName ||
+    video.owner?.username ||
+    "A channel you follow";
+
+  await dispatchChannelActivityNotification({
+    channelId: video.ownerId,
+    senderId: video.ownerId,
+    activityType: video.isShort ? "SHORT_PUBLISHED" : "VIDEO_PUBLISHED",
+    audience: ChannelNotificationAudience.ALL_AND_PERSONALIZED,
+    title: video.isShort ? "New short uploaded" : "New video uploaded",
+    message: `${channelName} uploaded "${video.title}"`,
+    videoId,
+    extraData: {
+      channelName,
+      isShort: video.isShort,
+      videoTitle: video.title,
+    },
+  });
+
+  await prisma.video.updateMany({
+    where: { id: videoId, publishAt: video.publishAt },
+    data: { publishAt: null },
+  });
+
+  return { published: true, videoId };
+};
+
+const publishScheduledTweet = async (tweetId, publishAt) => {
+  const tweet = await prisma.tweet.findUnique({
+    where: { id: tweetId },
+    select: {
+      id: true,
+      ownerId: true,
+      content: true,
+      isDeleted: true,
+      publishAt: true,
+      publishedAt: true,
+      owner: { select: { fullName: true, username: true } },
+    },
+  });
+
+  if (!tweet || tweet.isDeleted) return { skipped: "NOT_FOUND" };
+  if (!isSameInstant(tweet.publishAt, publishAt)) return { skipped: "RESCHEDULED" };
+
+  const published = await prisma.tweet.updateMany({
+    where: { id: tweetId, publishAt: tweet.publishAt },
+    data: { isPublished: true, publishedAt: tweet.publishedAt ?? new Date() },
+  });
+
+  if (published.count !== 1) return { skipped: "RESCHEDULED" };
+
+  const channelName =
+    tweet.owner?.fullName ||
+    tweet.owner?.username ||
+    "A channel you follow";
+  const { content } = tweet;
+
+  await dispatchChannelActivityNotification({
+    channelId: tweet.ownerId,
+    senderId: tweet.ownerId,
+    activityType: "POST_CREATED",
+    audience: ChannelNotificationAudience.ALL_ONLY,
+    title: "New post",
+    message: `${channelName} posted: "${content.slice(0, 80)}${content.length > 80 ? "..." : ""}"`,
+    extraData: {
+      channelName,
+      tweetId,
+      tweetPreview: content.slice(0, 160),
+    },
+  });
+
+  await prisma.tweet.updateMany({
+    where: { id: tweetId, publishAt: tweet.publishAt },
+    data: { publishAt: null },
+  });
+
+  return { published: true, tweetId };
+};
+
+export const publishScheduledItem = ({ targetType, targetId, publishAt }) => {
+  if (targetType === "VIDEO") return publishScheduledVideo(targetId, publishAt);
+  if (targetType === "TWEET") return publishScheduledTweet(targetId, publishAt);
+
+  throw new Error(`Unknown scheduled publish target: ${targetType}`);
+};
@@ -6,14 +6,15 @@ import {
   isTransientRedisError,
 } from "../queue/redis.connection.js";
 import { closeVideoQueue } from "../queue/video.queue.js";
-import prisma from "../db/prisma.js";
 import { metrics } from "../observability/usage.metrics.js";
-import { generateVideoThumbnail } from "../utils/cloudinaryThumbnail.js";
-import { buildVideoStreamingPayload } from "../utils/videoQuality.js";
 import {
-  ChannelNotificationAudience,
-  dispatchChannelActivityNotification,
-} from "../services/notification.service.js";
+  isFinalQueueAttempt,
+  recordDeadLetter,
+} from "../services/deadLetter.service.js";
+import {
+  markVideoProcessingFailed,
+  runVideoPipeline,
+} from "../services/videoPipeline.service.js";
 
 const parseBool = (value, defaultValue = false) => {
   if (value === undefined || value === null || value === "") return defaultValue;
@@ -69,155 +70,51 @@ const shouldLogWorkerError = () => {
   return true;
 };
 
-const checkIfCancelled = async (videoId) => {
-  const video = await prisma.video.findUnique({
-    where: { id: videoId },
-    select: { processingStatus: true },
-  });
-
-  if (!video) throw new Error("VIDEO_NOT_FOUND");
-  if (video.processingStatus === "CANCELLED") throw new Error("PROCESSING_CANCELLED");
-};
-
 const processJob = async (job) => {
-      const { videoId } = job.data;
-
-      console.log("Background processing started:", videoId);
+  const { videoId } = job.data;
 
-      try {
-        await checkIfCancelled(videoId);
+  console.log("Background processing started:", videoId);
 
-        await prisma.video.update({
-          where: { id: videoId },
-          data: {
-            processingStatus: "PROCESSING",
-            processingStartedAt: new Date(),
-            processingProgress: 10,
-            processingStep: "BACKGROUND_TASKS",
-          },
-        });
-
-        await checkIfCancelled(videoId);
-
-        await prisma.videoAnalyticsSnapshot.create({
-          data: {
-            videoId,
-            views: 0,
-            likes: 0,
-            comments: 0,
-            shares: 0,
-            watchTimeSeconds: 0,
-            snapshotDate: new Date(),
-          },
-        });
+  try {
+    await runVideoPipeline(videoId);
 
-        await checkIfCancelled(videoId);
-
-        const video = await prisma.video.findUnique({
-          where: { id: videoId },
-          select: {
-            thumbnail: true,
-            videoFile: true,
-            playbackUrl: true,
-            availableQualities: true,
-            title: true,
-            isShort: true,
-            ownerId: true,
-            owner: {
-              select: {
-                fullName: true,
-                username: true,
-              },
-            },
-          },
-        });
-
-        if (!video) {
-          throw new Error("VIDEO_DELETED_DURING_PROCESSING");
-        }
-
-        if (!video.thumbnail && video.videoFile) {
-          const autoThumbnail = generateVideoThumbnail(video.videoFile);
-          await prisma.video.update({
-            where: { id: videoId },
-            data: { thumbnail: autoThumbnail },
-          });
-        }
-
-        const streaming = buildVideoStreamingPayload({
-          sourceUrl: video.videoFile,
-          playbackUrl: video.playbackUrl,
-          availableQualities: video.availableQualities,
-        });
+    console.log("Background processing completed:", videoId);
+    return true;
+  } catch (error) {
+    if (error.message === "VIDEO_DELETED_DURING_PROCESSING") {
+      console.log("Video deleted during processing:", videoId);
+      return;
+    }
 
-        await prisma.video.update({
-          where: { id: videoId },
-          data: {
-            processingStatus: "COMPLETED",
-            processingCompletedAt: new Date(),
-            processingProgress: 100,
-            processingStep: "DONE",
-            isPublished: true,
-            isHlsReady: true,
-            playbackUrl: streaming.selectedPlaybackUrl,
-            masterPlaylistUrl: streaming.masterPlaylistUrl,
-            availableQualities: streaming.availableQualities,
-          },
-        });
+    if (error.message === "PROCESSING_CANCELLED") {
+      console.log("Processing cancelled:", videoId);
+      return;
+    }
 
-        try {
-          const channelName =
-            video.owner?.fullName ||
-            video.owner?.username ||
-            "A channel you follow";
-
-          await dispatchChannelActivityNotification({
-            channelId: video.ownerId,
-            senderId: video.ownerId,
-            activityType: video.isShort ? "SHORT_PUBLISHED" : "VIDEO_PUBLISHED",
-            audience: ChannelNotificationAudience.ALL_AND_PERSONALIZED,
-            title: video.isShort ? "New short uploaded" : "New video uploaded",
-            message: `${channelName} uploaded "${video.title}"`,
-            videoId,
-            extraData: {
-              channelName,
-              isShort: video.isShort,
-              videoTitle: video.title,
-            },
-          });
-        } catch (notificationError) {
-          console.error(
-            "Notification dispatch failed (worker):",
-            notificationError?.message || notificationError
-          );
-        }
-
-        console.log("Background processing completed:", videoId);
-        return true;
-      } catch (error) {
-        if (error.message === "VIDEO_DELETED_DURING_PROCESSING") {
-          console.log("Video deleted during processing:", videoId);
-          return;
-        }
-
-        if (error.message === "PROCESSING_CANCELLED") {
-          console.log("Processing cancelled:", videoId);
-          return;
-        }
-
-        console.error("Worker error:", error);
-
-        await prisma.video.update({
-          where: { id: videoId },
-          data: {
-            processingStatus: "FAILED",
-            processingError: error.message,
-          },
-        });
+    console.error("Worker error:", error);
+
+    // Completed steps are kept, so a BullMQ retry resumes at error.step.
+    await markVideoProcessingFailed(videoId, error);
+
+    if (isFinalQueueAttempt(job)) {
+      await recordDeadLetter({
+        jobType: "VIDEO_PROCESSING",
+        correlationId: videoId,
+        payload: {
+          queue: job.queueName,
+          jobId: job.id,
+          jobName: job.name,
+          data: job.data,
+        },
+        error,
+        attempts: job.attemptsMade + 1,
+        maxAttempts: job.opts?.attempts ?? 1,
+      });
+    }
 
-        throw error;
-      }
-    };
+    throw error;
+  }
+};
 
 const scheduleIdleShutdown = () => {
   if (!shouldAutoShutdown || !workerInstance || !shouldRunWorkerOnDemand) return;
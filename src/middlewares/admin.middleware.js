@@ -10,6 +10,7 @@ const SAFE_WRITE_PATHS_FOR_RESTRICTED_USERS = new Set([
   "/api/v1/users/logout",
   "/api/v1/users/switch-account",
   "/api/v1/users/switch-account/resolve",
+  "/api/v1/auth/sessions/revoke-others",
 ]);
 
 const isWriteMethod = (method) => !["GET", "HEAD", "OPTIONS"].includes(String(method || "").toUpperCase());
@@ -4,6 +4,12 @@ import jwt from "jsonwebtoken";
 import userSafeSelect from "../utils/userSafeSelect.js";
 import prisma from "../db/prisma.js";
 import { writeAccessGuard } from "./admin.middleware.js";
+import { findSessionById, isSessionActive } from "../services/session.service.js";
+import {
+    authenticatePersonalAccessToken,
+    isPersonalAccessToken,
+    resolveRequiredTokenScope,
+} from "../services/personalAccessToken.service.js";
 
 const parseBearerToken = (authorizationHeader) => {
     const raw = String(authorizationHeader || "").trim();
@@ -14,11 +20,70 @@ const parseBearerToken = (authorizationHeader) => {
     return token || "";
 };
 
+// Access tokens carry the device session id (`sid`); a revoked or expired
+// session invalidates its access tokens immediately instead of at expiry.
+const isTokenSessionValid = async (decodedToken) => {
+    if (!decodedToken?.sid) return true;
+    const session = await findSessionById(decodedToken.sid);
+    return isSessionActive(session) && session.userId === decodedToken.id;
+};
+
+/*
+  Personal access tokens are opaque `vxp_` bearer tokens. They never carry a
+  session and can only reach routes mapped to one of their scopes.
+*/
+const resolveTokenAuth = async (req, rawToken) => {
+    const result = await authenticatePersonalAccessToken(rawToken, { ip: req.ip });
+    if (!result) {
+        return { status: 401, message: "Invalid or expired access token" };
+    }
+
+    if (result.user.isDeleted) {
+        return {
+            status: 403,
+            message: "Account deleted. Please restore your account to continue.",
+        };
+    }
+
+    const requiredScope = resolveRequiredTokenScope(req.method, req.originalUrl);
+    if (!requiredScope) {
+        return {
+            status: 403,
+            message: "Personal access tokens cannot access this endpoint",
+        };
+    }
+
+    if (!result.token.scopes.includes(requiredScope)) {
+        return { status: 403, message: `Token is missing required scope: ${requiredScope}` };
+    }
+
+    return result;
+};
+
+const applyTokenAuth = (req, { user, token }) => {
+    req.user = user;
+    req.authSessionId = null;
+    req.personalAccessToken = { id: token.id, scopes: token.scopes };
+};
+
 export const verifyJwt = asyncHandler(async (req, res, next) => {
     try {
-        const token =
-            req.cookies?.accessToken ||
-            parseBearerToken(req.header("Authorization"));
+        const bearerToken = parseBearerToken(req.header("Authorization"));
+
+        if (isPersonalAccessToken(bearerToken)) {
+            const result = await resolveTokenAuth(req, bearerToken);
+            if (result.status) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.message,
+                });
+            }
+
+            applyTokenAuth(req, result);
+            return writeAccessGuard(req, res, next);
+        }
+
+        const token = req.cookies?.accessToken || bearerToken;
 
         if (!token) {
             return res.status(401).json({
@@ -36,12 +101,15 @@ export const verifyJwt = asyncHandler(async (req, res, next) => {
             });
         }
 
-        const user = await prisma.user.findUnique({
-            where: {
-                id: decodedToken.id,
-            },
-            select: userSafeSelect,
-        });
+        const [user, sessionValid] = await Promise.all([
+            prisma.user.findUnique({
+                where: {
+                    id: decodedToken.id,
+                },
+                select: userSafeSelect,
+            }),
+            isTokenSessionValid(decodedToken),
+        ]);
 
         if (!user) {
             return res.status(401).json({
@@ -50,6 +118,13 @@ export const verifyJwt = asyncHandler(async (req, res, next) => {
             });
         }
 
+        if (!sessionValid) {
+            return res.status(401).json({
+                success: false,
+                message: "Session expired. Login again.",
+            });
+        }
+
         if (user.isDeleted) {
             return res.status(403).json({
                 success: false,
@@ -58,6 +133,7 @@ export const verifyJwt = asyncHandler(async (req, res, next) => {
         }
 
         req.user = user;
+        req.authSessionId = decodedToken.sid || null;
         return writeAccessGuard(req, res, next);
     } catch (error) {
         if (error instanceof ApiError) {
@@ -89,9 +165,21 @@ export const verifyJwt = asyncHandler(async (req, res, next) => {
 });
 
 export const optionalJwt = asyncHandler(async (req, res, next) => {
-    const token =
-        req.cookies?.accessToken ||
-        parseBearerToken(req.header("Authorization"));
+    const bearerToken = parseBearerToken(req.header("Authorization"));
+
+    if (isPersonalAccessToken(bearerToken)) {
+        try {
+            const result = await resolveTokenAuth(req, bearerToken);
+            if (!result.status) {
+                applyTokenAuth(req, result);
+            }
+        } catch {
+            // Fall through as an anonymous request.
+        }
+        return next();
+    }
+
+    const token = req.cookies?.accessToken || bearerToken;
 
     if (!token) {
         return next();
@@ -104,16 +192,20 @@ export const optionalJwt = asyncHandler(async (req, res, next) => {
             return next();
         }
 
-        const user = await prisma.user.findUnique({
-            where: { id: decodedToken.id },
-            select: userSafeSelect,
-        });
+        const [user, sessionValid] = await Promise.all([
+            prisma.user.findUnique({
+                where: { id: decodedToken.id },
+                select: userSafeSelect,
+            }),
+            isTokenSessionValid(decodedToken),
+        ]);
 
-        if (!user || user.isDeleted) {
+        if (!user || user.isDeleted || !sessionValid) {
             return next();
         }
 
         req.user = user;
+        req.authSessionId = decodedToken.sid || null;
         return next();
     } catch {
         return next();
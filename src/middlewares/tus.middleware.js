@@ -0,0 +1,18 @@
+import ApiError from "../utils/ApiError.js";
+import { TUS_VERSION } from "../services/tusUpload.service.js";
+
+/*
+  Every tus response carries Tus-Resumable; requests from a client speaking
+  another protocol version are turned away with 412 and the version we do
+  support.
+*/
+export const requireTusResumable = (req, res, next) => {
+  res.set("Tus-Resumable", TUS_VERSION);
+
+  if (req.headers["tus-resumable"] !== TUS_VERSION) {
+    res.set("Tus-Version", TUS_VERSION);
+    return next(new ApiError(412, "Unsupported tus protocol version"));
+  }
+
+  return next();
+};
@@ -0,0 +1,78 @@
+import ApiError from "../utils/ApiError.js";
+import asyncHandler from "../utils/asyncHandler.js";
+import { findSessionById } from "../services/session.service.js";
+import {
+  assertSecondFactor,
+  isTwoFactorFresh,
+  markSessionTwoFactorVerified,
+} from "../services/twoFactor.service.js";
+
+// Wrong inline codes allowed per user inside the window, whatever the route or IP.
+const INLINE_CODE_MAX_FAILURES = 5;
+const INLINE_CODE_WINDOW_MS = 15 * 60 * 1000;
+
+const inlineCodeFailures = new Map();
+
+const readInlineCodeFailures = (userId, now) => {
+  const entry = inlineCodeFailures.get(userId);
+  if (!entry) return 0;
+  if (entry.resetAt <= now) {
+    inlineCodeFailures.delete(userId);
+    return 0;
+  }
+  return entry.count;
+};
+
+const recordInlineCodeFailure = (userId, now) => {
+  for (const [key, entry] of inlineCodeFailures) {
+    if (entry.resetAt <= now) inlineCodeFailures.delete(key);
+  }
+
+  const count = readInlineCodeFailures(userId, now) + 1;
+  inlineCodeFailures.set(userId, {
+    count,
+    resetAt: inlineCodeFailures.get(userId)?.resetAt ?? now + INLINE_CODE_WINDOW_MS,
+  });
+};
+
+/*
+  Guards sensitive account actions for users with 2FA enabled. Passes when the
+  current session completed a 2FA check recently; otherwise a code can be sent
+  inline via the X-Two-Factor-Code header (handy for DELETE requests). Failed
+  inline codes are throttled per user here, so a stolen access token cannot
+  guess codes across routes even where a route forgets otpLimiter.
+*/
+export const requireFreshTwoFactor = asyncHandler(async (req, _res, next) => {
+  if (!req.user?.twoFactorEnabled) {
+    return next();
+  }
+
+  const session = await findSessionById(req.authSessionId);
+  if (session?.userId === req.user.id && isTwoFactorFresh(session)) {
+    return next();
+  }
+
+  const inlineCode = String(req.header("X-Two-Factor-Code") || "").trim();
+  if (!inlineCode) {
+    throw new ApiError(403, "Two-factor verification required");
+  }
+
+  const now = Date.now();
+  if (readInlineCodeFailures(req.user.id, now) >= INLINE_CODE_MAX_FAILURES) {
+    throw new ApiError(429, "Too many invalid two-factor codes. Try again later.");
+  }
+
+  try {
+    await assertSecondFactor({ userId: req.user.id, code: inlineCode });
+  } catch (error) {
+    if (error?.statusCode === 401) recordInlineCodeFailure(req.user.id, now);
+    throw error;
+  }
+  inlineCodeFailures.delete(req.user.id);
+
+  if (session?.userId === req.user.id) {
+    await markSessionTwoFactorVerified(session.id);
+  }
+
+  return next();
+});
@@ -0,0 +1,76 @@
+import { Queue } from "bullmq";
+import { getRedisConnection } from "./redis.connection.js";
+
+const parseBool = (value, defaultValue = false) => {
+  if (value === undefined || value === null || value === "") return defaultValue;
+  return ["1", "true", "yes", "on"].includes(String(value).toLowerCase());
+};
+
+const shouldRunWorker = parseBool(
+  process.env.RUN_WORKER,
+  process.env.NODE_ENV !== "production"
+);
+const shouldRunWorkerOnDemand = parseBool(
+  process.env.RUN_WORKER_ON_DEMAND,
+  process.env.NODE_ENV === "production"
+);
+const queueEnabled = parseBool(
+  process.env.QUEUE_ENABLED,
+  shouldRunWorker || shouldRunWorkerOnDemand
+);
+/*
+  Background jobs only go through Redis when some process runs BullMQ
+  workers for them (by default: where RUN_WORKER is on). Everywhere else they
+  stay in BackgroundJob and the DB-polling runner picks them up.
+*/
+const useQueueForBackgroundJobs = parseBool(
+  process.env.BACKGROUND_JOBS_USE_QUEUE,
+  shouldRunWorker
+);
+
+const skipVersionCheck = parseBool(
+  process.env.BULLMQ_SKIP_VERSION_CHECK,
+  process.env.NODE_ENV === "production"
+);
+
+const backgroundQueues = new Map();
+
+export const getBackgroundQueueName = (jobType) =>
+  `background-${String(jobType).toLowerCase().replace(/_/g, "-")}`;
+
+export const getBackgroundQueue = (jobType) => {
+  if (!queueEnabled || !useQueueForBackgroundJobs) {
+    return null;
+  }
+
+  const redisConnection = getRedisConnection();
+
+  if (!redisConnection) {
+    return null;
+  }
+
+  if (!backgroundQueues.has(jobType)) {
+    backgroundQueues.set(
+      jobType,
+      new Queue(getBackgroundQueueName(jobType), {
+        connection: redisConnection,
+        skipVersionCheck,
+        // Retries and failure history live in BackgroundJob, not in Redis.
+        defaultJobOptions: {
+          attempts: 1,
+          removeOnComplete: true,
+          removeOnFail: true,
+        },
+      })
+    );
+  }
+
+  return backgroundQueues.get(jobType);
+};
+
+export const closeBackgroundQueues = async () => {
+  const queues = [...backgroundQueues.values()];
+  backgroundQueues.clear();
+
+  await Promise.all(queues.map((queue) => queue.close()));
+};
@@ -20,6 +20,7 @@ import {
   getAdminUsers,
   restoreAdminUser,
   softDeleteAdminUser,
+  unlockAdminUserLogin,
   updateAdminUserRole,
   updateAdminUserStatus,
   verifyAdminPendingEmail,
@@ -49,6 +50,12 @@ import {
   getAdminAuditLogs,
 } from "../controllers/admin/admin.audit.controller.js";
 import { seedAdminFeedTopics } from "../controllers/admin/admin.feed.controller.js";
+import {
+  discardAdminDeadLetterJob,
+  getAdminDeadLetterJobById,
+  getAdminDeadLetterJobs,
+  retryAdminDeadLetterJob,
+} from "../controllers/admin/admin.jobs.controller.js";
 
 const router = Router();
 
@@ -70,6 +77,7 @@ router.patch("/users/:userId/status", getModeratorOrAbove(), updateAdminUserStat
 router.patch("/users/:userId/verify-pending-email", getAdminOrAbove(), verifyAdminPendingEmail);
 router.patch("/users/:userId/soft-delete", getAdminOrAbove(), softDeleteAdminUser);
 router.patch("/users/:userId/restore", getAdminOrAbove(), restoreAdminUser);
+router.patch("/users/:userId/unlock-login", getModeratorOrAbove(), unlockAdminUserLogin);
 router.patch("/users/:userId/role", requireAdminRole("SUPER_ADMIN"), updateAdminUserRole);
 
 router.get("/videos", getAdminVideos);
@@ -94,6 +102,11 @@ router.get("/playlists/:playlistId", getAdminPlaylistById);
 router.patch("/playlists/:playlistId/soft-delete", getModeratorOrAbove(), softDeleteAdminPlaylist);
 router.patch("/playlists/:playlistId/restore", getModeratorOrAbove(), restoreAdminPlaylist);
 
+router.get("/jobs/dead-letter", getAdminOrAbove(), getAdminDeadLetterJobs);
+router.get("/jobs/dead-letter/:jobId", getAdminOrAbove(), getAdminDeadLetterJobById);
+router.post("/jobs/dead-letter/:jobId/retry", getAdminOrAbove(), retryAdminDeadLetterJob);
+router.delete("/jobs/dead-letter/:jobId", getAdminOrAbove(), discardAdminDeadLetterJob);
+
 router.get("/audit-logs", getAdminOrAbove(), getAdminAuditLogs);
 router.get("/audit-logs/:logId", getAdminOrAbove(), getAdminAuditLogById);
 
@@ -1,18 +1,80 @@
 import { Router } from 'express';
 import {
+    githubAuth,
+    githubAuthCallback,
+    githubLink,
     googleAuth,
     googleAuthCallback,
+    googleLink,
 } from "../controllers/auth.controller.js"
+import {
+    getMyIdentities,
+    setAccountPassword,
+    unlinkMyIdentity,
+} from "../controllers/identity.controller.js"
+import {
+    deleteMyPasskey,
+    finishPasskeyLogin,
+    finishPasskeyRegistration,
+    getMyPasskeys,
+    renameMyPasskey,
+    startPasskeyLogin,
+    startPasskeyRegistration,
+} from "../controllers/passkey.controller.js"
+import {
+    createMyAccessToken,
+    getMyAccessTokens,
+    revokeMyAccessToken,
+} from "../controllers/personalAccessToken.controller.js"
+import {
+    getMySessions,
+    revokeMyOtherSessions,
+    revokeMySession,
+} from "../controllers/session.controller.js"
+import { verifyJwt } from "../middlewares/auth.middleware.js";
+import { requireFreshTwoFactor } from "../middlewares/twoFactor.middleware.js";
+import { otpLimiter } from "../middlewares/rateLimit.middleware.js";
 import rateLimit from "express-rate-limit";
 
 const router = Router();
 
-const googleAuthLimiter = rateLimit({
+const oauthLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 50,
 });
 
-router.get("/google", googleAuthLimiter, googleAuth);
-router.get("/google/callback", googleAuthLimiter, googleAuthCallback);
+const passkeyLoginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+});
+
+router.get("/google", oauthLimiter, googleAuth);
+router.get("/google/callback", oauthLimiter, googleAuthCallback);
+
+router.get("/github", oauthLimiter, githubAuth);
+router.get("/github/callback", oauthLimiter, githubAuthCallback);
+
+router.get("/google/link", verifyJwt, oauthLimiter, googleLink);
+router.get("/github/link", verifyJwt, oauthLimiter, githubLink);
+
+router.get("/identities", verifyJwt, getMyIdentities);
+router.delete("/identities/:provider", verifyJwt, otpLimiter, requireFreshTwoFactor, unlinkMyIdentity);
+router.post("/password", verifyJwt, otpLimiter, requireFreshTwoFactor, setAccountPassword);
+
+router.post("/passkeys/login/options", passkeyLoginLimiter, startPasskeyLogin);
+router.post("/passkeys/login/verify", passkeyLoginLimiter, finishPasskeyLogin);
+router.get("/passkeys", verifyJwt, getMyPasskeys);
+router.post("/passkeys/register/options", verifyJwt, otpLimiter, requireFreshTwoFactor, startPasskeyRegistration);
+router.post("/passkeys/register/verify", verifyJwt, finishPasskeyRegistration);
+router.patch("/passkeys/:passkeyId", verifyJwt, renameMyPasskey);
+router.delete("/passkeys/:passkeyId", verifyJwt, otpLimiter, requireFreshTwoFactor, deleteMyPasskey);
+
+router.get("/tokens", verifyJwt, getMyAccessTokens);
+router.post("/tokens", verifyJwt, otpLimiter, requireFreshTwoFactor, createMyAccessToken);
+router.delete("/tokens/:tokenId", verifyJwt, revokeMyAccessToken);
+
+router.get("/sessions", verifyJwt, getMySessions);
+router.post("/sessions/revoke-others", verifyJwt, revokeMyOtherSessions);
+router.delete("/sessions/:sessionId", verifyJwt, revokeMySession);
 
 export default router
\ No newline at end of file
@@ -6,7 +6,10 @@ import {
     getAnalytics,
     getTopVideos,
     getGrowthStats,
-    getInsights
+    getInsights,
+    getScheduledItems,
+    rescheduleScheduledItem,
+    cancelScheduledPublish
 } from "../controllers/dashboard.controller.js";
 
 const router = express.Router();
@@ -20,4 +23,8 @@ router.get("/top-videos", getTopVideos);
 router.get("/growth", getGrowthStats);
 router.get("/insights", getInsights);
 
+router.get("/scheduled", getScheduledItems);
+router.patch("/scheduled/:type/:id", rescheduleScheduledItem);
+router.delete("/scheduled/:type/:id", cancelScheduledPublish);
+
 export default router;
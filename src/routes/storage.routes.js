@@ -0,0 +1,19 @@
+import { Router } from "express";
+import { verifyJwt } from "../middlewares/auth.middleware.js";
+import {
+  downloadLocalObject,
+  serveLocalObject,
+  uploadLocalObject,
+} from "../controllers/storage.controller.js";
+
+const router = Router();
+
+router.put("/local/:token", verifyJwt, uploadLocalObject);
+router.get("/local/download/:token", downloadLocalObject);
+
+// Public file serving for the local disk backend, mounted outside /api.
+export const localFileRouter = Router();
+
+localFileRouter.get("/*publicId", serveLocalObject);
+
+export default router;
@@ -5,9 +5,15 @@ import {
   getUploadSignature,
   updateUploadProgress,
   finalizeUpload,
+  getResumableUploadCapabilities,
+  createResumableUpload,
+  getResumableUploadOffset,
+  appendResumableUploadChunk,
+  terminateResumableUpload,
 } from "../controllers/upload.controller.js";
 
 import { verifyJwt } from "../middlewares/auth.middleware.js";
+import { requireTusResumable } from "../middlewares/tus.middleware.js";
 
 const router = Router();
 
@@ -17,5 +23,12 @@ router.get("/signature", verifyJwt, getUploadSignature);
 router.patch("/progress/:sessionId", verifyJwt, updateUploadProgress);
 router.post("/finalize/:sessionId", verifyJwt, finalizeUpload);
 
+// Resumable uploads (tus 1.0.0)
+router.get("/tus", getResumableUploadCapabilities);
+router.post("/tus", verifyJwt, requireTusResumable, createResumableUpload);
+router.head("/tus/:sessionId", verifyJwt, requireTusResumable, getResumableUploadOffset);
+router.patch("/tus/:sessionId", verifyJwt, requireTusResumable, appendResumableUploadChunk);
+router.delete("/tus/:sessionId", verifyJwt, requireTusResumable, terminateResumableUpload);
+
 
 export default router;
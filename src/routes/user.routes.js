@@ -16,6 +16,7 @@ import {
     restoreAccountConfirm,
     forgotPasswordRequest,
     forgotPasswordVerify,
+    reportUnrecognizedLogin,
     verifyEmail,
     resetPassword,
     resendOtp,
@@ -26,9 +27,25 @@ import {
     switchAccount,
     resolveAccountSwitchTokens,
     updateDefaultAvatar,
-    updateDefaultCoverImage
+    updateDefaultCoverImage,
+    verifyTwoFactorLogin,
+    requestMagicLink,
+    verifyMagicLink,
+    requestMyDataExport,
+    getMyDataExports,
+    getMySecurityActivity,
+    downloadMyDataExport
 } from "../controllers/user.controller.js";
+import {
+    disableTwoFactor,
+    enableTwoFactor,
+    getTwoFactorStatus,
+    regenerateRecoveryCodes,
+    setupTwoFactor,
+    verifyTwoFactorStepUp
+} from "../controllers/twoFactor.controller.js";
 import { verifyJwt } from "../middlewares/auth.middleware.js";
+import { requireFreshTwoFactor } from "../middlewares/twoFactor.middleware.js";
 import { authLimiter, otpLimiter } from "../middlewares/rateLimit.middleware.js";
 const router = Router();
 
@@ -37,6 +54,9 @@ router.route("/verify-email").post(otpLimiter, verifyEmail)
 router.route("/resend-otp").post(otpLimiter, resendOtp)
 
 router.route("/login").post(authLimiter, loginUser)
+router.route("/login/2fa").post(otpLimiter, verifyTwoFactorLogin)
+router.route("/login/magic-link").post(otpLimiter, requestMagicLink)
+router.route("/login/magic-link/verify").post(otpLimiter, verifyMagicLink)
 router.route("/logout").post(verifyJwt, logOutUser)
 router.route("/refresh-token").post(authLimiter, refreshAccessToken);
 
@@ -48,9 +68,18 @@ router.route("/switch-account/resolve").post(verifyJwt, resolveAccountSwitchToke
 
 router.route("/forgot-password").post(otpLimiter, forgotPasswordRequest)
 router.route("/forgot-password/verify").post(otpLimiter, forgotPasswordVerify)
+router.route("/security/not-me").post(otpLimiter, reportUnrecognizedLogin)
+router.route("/security-activity").get(verifyJwt, getMySecurityActivity)
 router.route("/reset-password").post(authLimiter, resetPassword)
 
-router.route("/change-password").post(verifyJwt, changeCurrentPassword)
+router.route("/change-password").post(verifyJwt, otpLimiter, requireFreshTwoFactor, changeCurrentPassword)
+
+router.route("/2fa").get(verifyJwt, getTwoFactorStatus)
+router.route("/2fa/setup").post(verifyJwt, authLimiter, setupTwoFactor)
+router.route("/2fa/enable").post(verifyJwt, otpLimiter, enableTwoFactor)
+router.route("/2fa/disable").post(verifyJwt, otpLimiter, disableTwoFactor)
+router.route("/2fa/recovery-codes").post(verifyJwt, otpLimiter, regenerateRecoveryCodes)
+router.route("/2fa/verify").post(verifyJwt, otpLimiter, verifyTwoFactorStepUp)
 
 router.route("/update-account").patch(verifyJwt, updateAccountDetails)
 router.route("/update-avatar").patch(verifyJwt, updateUserAvatar)
@@ -62,14 +91,19 @@ router.route("/update-description").patch(verifyJwt, updateChannelDescription)
 router.route("/u/:username").get(verifyJwt, getUserChannelProfile)
 router.route("/id/:userId").get(verifyJwt, getUserById)
 
-router.route("/delete-account").delete(verifyJwt, deleteAccount)
+router.route("/delete-account").delete(verifyJwt, otpLimiter, requireFreshTwoFactor, deleteAccount)
 router.route("/restore-account/request").patch(otpLimiter, restoreAccountRequest)
 router.route("/restore-account/confirm").patch(otpLimiter, restoreAccountConfirm)
 
-router.route("/change-email/request").post(verifyJwt, otpLimiter, changeEmailRequest)
+router.route("/change-email/request").post(verifyJwt, otpLimiter, requireFreshTwoFactor, changeEmailRequest)
 router.route("/change-email/confirm").post(verifyJwt, otpLimiter, confirmEmailChange)
 router.route("/change-email/cancel").post(verifyJwt, cancelEmailChange) // optional
 
+router.route("/data-export")
+    .get(verifyJwt, getMyDataExports)
+    .post(verifyJwt, otpLimiter, requireFreshTwoFactor, requestMyDataExport)
+router.route("/data-export/:exportId/download").get(verifyJwt, downloadMyDataExport)
+
 
 export default router;
 
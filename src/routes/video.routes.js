@@ -11,7 +11,17 @@ import {
     getAllDeletedVideos,
     restoreVideo,
 } from "../controllers/video.controller.js";
-import { cancelVideoProcessing, getVideoProcessingStatus } from "../controllers/video.processing.controller.js";
+import {
+    cancelVideoProcessing,
+    getVideoProcessingStatus,
+    retryVideoProcessing,
+} from "../controllers/video.processing.controller.js";
+import {
+    getVideoShares,
+    revokeVideoShare,
+    shareVideo,
+    updateVideoVisibility,
+} from "../controllers/video.visibility.controller.js";
 
 const router = Router();
 
@@ -26,11 +36,19 @@ router.route("/trash/me").get(getAllDeletedVideos);
 // ---------- VIDEO PROCESSING ----------
 router.get("/:videoId/processing-status", getVideoProcessingStatus);
 router.patch("/:videoId/cancel-processing", cancelVideoProcessing);
+router.post("/:videoId/retry-processing", retryVideoProcessing);
 
 // ---------- ACTION ROUTES ----------
 router.route("/:videoId/publish").patch(togglePublishStatus);
 router.route("/:videoId/restore").patch(restoreVideo);
 
+// ---------- VISIBILITY & SHARING ----------
+router.patch("/:videoId/visibility", updateVideoVisibility);
+router.route("/:videoId/shares")
+    .get(getVideoShares)
+    .post(shareVideo);
+router.delete("/:videoId/shares/:userId", revokeVideoShare);
+
 // ---------- MAIN DYNAMIC ROUTE LAST ----------
 router.route("/:videoId")
     .get(getVideoById)
@@ -1,12 +1,20 @@
 import express from "express";
 import { getVideoTranscript, watchVideo } from "../controllers/watch.controller.js";
-import { getVideoStreamingData } from "../controllers/video.stream.controller.js";
+import {
+    getCaptionTrackSrt,
+    getCaptionTrackVtt,
+    getVideoChaptersVtt,
+    getVideoStreamingData,
+} from "../controllers/video.stream.controller.js";
 import { optionalJwt } from "../middlewares/auth.middleware.js";
 
 const router = express.Router();
 
 router.get("/:videoId/transcript", optionalJwt, getVideoTranscript);
 router.get("/:videoId/stream", optionalJwt, getVideoStreamingData);
+router.get("/:videoId/chapters.vtt", optionalJwt, getVideoChaptersVtt);
+router.get("/:videoId/captions/:lang.vtt", optionalJwt, getCaptionTrackVtt);
+router.get("/:videoId/captions/:lang.srt", optionalJwt, getCaptionTrackSrt);
 router.get("/:videoId", optionalJwt, watchVideo);
 
 export default router;
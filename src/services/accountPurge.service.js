@@ -0,0 +1,362 @@
+import crypto from "crypto";
+import prisma from "../db/prisma.js";
+import { deleteStoredAsset, deleteStoredFolder } from "../storage/index.js";
+import { SECURITY_EVENT_TYPES } from "./securityEvent.service.js";
+
+export const ACCOUNT_RESTORE_WINDOW_DAYS = 7;
+const ACCOUNT_RESTORE_WINDOW_MS = ACCOUNT_RESTORE_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+const BATCH_SIZE = 200;
+const MAX_ATTEMPTS = 5;
+const STUCK_PURGE_MS = 60 * 60 * 1000;
+
+/*
+  Stages run in order and each one is safe to re-run, so a purge interrupted
+  by a crash or a storage outage resumes from the stage it was in.
+*/
+export const ACCOUNT_PURGE_STAGES = Object.freeze(["MEDIA", "CONTENT", "ANONYMIZE", "ACCOUNT"]);
+
+export const getNextPurgeStage = (stage) => {
+  const index = ACCOUNT_PURGE_STAGES.indexOf(stage);
+  if (index === -1) return ACCOUNT_PURGE_STAGES[0];
+  return ACCOUNT_PURGE_STAGES[index + 1] || null;
+};
+
+export const getRestoreDeadline = (deletedAt) =>
+  new Date(new Date(deletedAt).getTime() + ACCOUNT_RESTORE_WINDOW_MS);
+
+export const isWithinRestoreWindow = (deletedAt, now = Date.now()) =>
+  Boolean(deletedAt) && now <= getRestoreDeadline(deletedAt).getTime();
+
+const hashEmail = (email) =>
+  email
+    ? crypto.createHash("sha256").update(String(email).trim().toLowerCase()).digest("hex")
+    : null;
+
+/*
+  Every stored asset owned by the account, tagged with the backend it lives
+  on. Public ids are collected up front because the rows that reference them
+  are deleted in a later stage. HLS output is removed as one folder.
+*/
+export const collectUserMediaAssets = ({ user, videos = [], tweets = [], exports = [] }) => {
+  const assets = [];
+  const add = (publicId, provider, resourceType, isPrivate = false) => {
+    if (publicId) assets.push({ publicId, provider: provider || null, resourceType, isPrivate });
+  };
+
+  add(user?.avatarPublicId, user?.avatarStorageProvider, "image");
+  add(user?.coverImagePublicId, user?.coverImageStorageProvider, "image");
+
+  for (const video of videos) {
+    add(video.videoPublicId, video.storageProvider, "video");
+    add(video.thumbnailPublicId, video.storageProvider, "image");
+    if (video.hlsStoragePrefix) {
+      assets.push({ folder: video.hlsStoragePrefix, provider: video.storageProvider || null });
+    }
+  }
+  for (const tweet of tweets) {
+    add(tweet.imageId, tweet.imageStorageProvider, "image");
+  }
+  for (const job of exports) {
+    if (!job.result?.purgedAt) {
+      add(job.result?.publicId, job.result?.storageProvider, "raw", true);
+    }
+  }
+
+  return assets;
+};
+
+const deleteInBatches = async (delegate, where) => {
+  let total = 0;
+  for (;;) {
+    const rows = await delegate.findMany({ where, select: { id: true }, take: BATCH_SIZE });
+    if (rows.length === 0) return total;
+
+    const result = await delegate.deleteMany({
+      where: { id: { in: rows.map((row) => row.id) } },
+    });
+    total += result.count;
+  }
+};
+
+/* ---------- STAGES ---------- */
+
+const purgeMedia = async (userId) => {
+  const [user, videos, tweets, exports] = await Promise.all([
+    prisma.user.findUnique({
+      where: { id: userId },
+      select: {
+        avatarPublicId: true,
+        avatarStorageProvider: true,
+        coverImagePublicId: true,
+        coverImageStorageProvider: true,
+      },
+    }),
+    prisma.video.findMany({
+      where: { ownerId: userId },
+      select: {
+        videoPublicId: true,
+        thumbnailPublicId: true,
+        hlsStoragePrefix: true,
+        storageProvider: true,
+      },
+    }),
+    prisma.tweet.findMany({
+      where: { ownerId: userId, imageId: { not: null } },
+      select: { imageId: true, imageStorageProvider: true },
+    }),
+    prisma.backgroundJob.findMany({
+      where: { jobType: "DATA_EXPORT", correlationId: userId, status: "COMPLETED" },
+      select: { result: true },
+    }),
+  ]);
+
+  const assets = collectUserMediaAssets({ user, videos, tweets, exports });
+  let failed = 0;
+  for (const asset of assets) {
+    const deleted = asset.folder
+      ? await deleteStoredFolder(asset)
+      : await deleteStoredAsset(asset);
+    if (!deleted) failed += 1;
+  }
+
+  // "not found" counts as deleted, so a retry only repeats what actually failed.
+  if (failed > 0) {
+    throw new Error(`${failed} of ${assets.length} media assets could not be deleted`);
+  }
+
+  return { mediaAssets: assets.length };
+};
+
+const purgeContent = async (userId) => ({
+  videos: await deleteInBatches(prisma.video, { ownerId: userId }),
+  tweets: await deleteInBatches(prisma.tweet, { ownerId: userId }),
+  comments: await deleteInBatches(prisma.comment, { ownerId: userId }),
+  playlists: await deleteInBatches(prisma.playlist, { ownerId: userId }),
+  aiChatSessions: await deleteInBatches(prisma.aIChatSession, { userId }),
+  notifications: await deleteInBatches(prisma.notification, { userId }),
+});
+
+/*
+  Rows other features aggregate over (search trends, view events) lose their
+  link to the person instead of disappearing.
+*/
+const anonymizeActivity = async (userId) => {
+  const securityEvents = await prisma.userEvent.deleteMany({
+    where: { userId, eventType: { in: [...SECURITY_EVENT_TYPES] } },
+  });
+  const events = await prisma.userEvent.updateMany({
+    where: { userId },
+    data: { userId: null, sessionId: null },
+  });
+  const searches = await prisma.searchHistory.updateMany({
+    where: { userId },
+    data: { userId: null },
+  });
+  const shares = await prisma.shareEvent.updateMany({
+    where: { userId },
+    data: { userId: null },
+  });
+  await prisma.notInterested.deleteMany({ where: { userId } });
+  await prisma.blockedChannel.deleteMany({
+    where: { OR: [{ userId }, { channelId: userId }] },
+  });
+  await prisma.backgroundJob.updateMany({
+    where: { correlationId: userId },
+    data: { correlationId: null },
+  });
+
+  return {
+    securityEventsDeleted: securityEvents.count,
+    eventsAnonymized: events.count,
+    searchesAnonymized: searches.count,
+    sharesAnonymized: shares.count,
+  };
+};
+
+/*
+  Remaining rows (sessions, likes, subscriptions, watch history, settings...)
+  cascade with the user. Admin audit entries must outlive their actor, so a
+  former admin is scrubbed to a tombstone instead of deleted.
+*/
+const purgeAccountRow = async (userId) => {
+  const auditEntries = await prisma.adminAuditLog.count({ where: { actorId: userId } });
+
+  if (auditEntries === 0) {
+    await prisma.user.delete({ where: { id: userId } });
+    return { outcome: "DELETED" };
+  }
+
+  await prisma.$transaction(async (tx) => {
+    await tx.userSession.deleteMany({ where: { userId } });
+    await tx.userIdentity.deleteMany({ where: { userId } });
+    await tx.userPasskey.deleteMany({ where: { userId } });
+    await tx.personalAccessToken.deleteMany({ where: { userId } });
+    await tx.userKnownDevice.deleteMany({ where: { userId } });
+    await tx.user.update({
+      where: { id: userId },
+      data: {
+        username: null,
+        email: null,
+        pendingEmail: null,
+        fullName: "Deleted user",
+        avatar: null,
+        avatarPublicId: null,
+        avatarStorageProvider: null,
+        coverImage: null,
+        coverImagePublicId: null,
+        coverImageStorageProvider: null,
+        channelDescription: null,
+        channelLinks: null,
+        password: null,
+        providerId: null,
+        otpHash: null,
+        pendingEmailOtpHash: null,
+        twoFactorEnabled: false,
+        twoFactorSecret: null,
+        twoFactorPendingSecret: null,
+        twoFactorRecoveryCodes: [],
+      },
+    });
+  });
+
+  return { outcome: "ANONYMIZED", auditEntries };
+};
+
+const STAGE_HANDLERS = {
+  MEDIA: purgeMedia,
+  CONTENT: purgeContent,
+  ANONYMIZE: anonymizeActivity,
+  ACCOUNT: purgeAccountRow,
+};
+
+/* ---------- RUNNER ---------- */
+
+/*
+  Creates a purge record for every account whose restore window has closed.
+  Accounts already queued, and former admins left as tombstones, are skipped
+  so they never crowd newer candidates out of the batch.
+*/
+export const enqueueExpiredAccountPurges = async ({ limit = 20, now = Date.now() } = {}) => {
+  const tracked = await prisma.accountPurge.findMany({
+    where: {
+      OR: [{ status: { in: ["PENDING", "RUNNING", "FAILED"] } }, { outcome: "ANONYMIZED" }],
+    },
+    select: { userId: true },
+  });
+
+  const candidates = await prisma.user.findMany({
+    where: {
+      isDeleted: true,
+      deletedAt: { not: null, lt: new Date(now - ACCOUNT_RESTORE_WINDOW_MS) },
+      id: { notIn: tracked.map((item) => item.userId) },
+    },
+    select: { id: true, email: true, deletedAt: true },
+    orderBy: { deletedAt: "asc" },
+    take: limit,
+  });
+
+  if (candidates.length === 0) return 0;
+
+  const result = await prisma.accountPurge.createMany({
+    data: candidates.map((user) => ({
+      userId: user.id,
+      emailHash: hashEmail(user.email),
+      deletedAt: user.deletedAt,
+      stage: ACCOUNT_PURGE_STAGES[0],
+    })),
+  });
+
+  return result.count;
+};
+
+const runPurge = async (purge) => {
+  let stage = STAGE_HANDLERS[purge.stage] ? purge.stage : null;
+  let stats = purge.stats || {};
+
+  while (stage) {
+    const user = await prisma.user.findUnique({
+      where: { id: purge.userId },
+      select: { isDeleted: true },
+    });
+
+    // Gone already: the ACCOUNT stage ran but its progress write did not.
+    if (!user) break;
+
+    // Never purge an account that was restored after the record was queued.
+    if (!user.isDeleted) {
+      return prisma.accountPurge.update({
+        where: { id: purge.id },
+        data: { status: "DEAD", error: "Account was restored", completedAt: new Date() },
+      });
+    }
+
+    const result = await STAGE_HANDLERS[stage](purge.userId);
+    stats = { ...stats, ...result };
+    stage = getNextPurgeStage(stage);
+
+    await prisma.accountPurge.update({
+      where: { id: purge.id },
+      data: { stage: stage || "DONE", stats, error: null },
+    });
+  }
+
+  return prisma.accountPurge.update({
+    where: { id: purge.id },
+    data: {
+      status: "COMPLETED",
+      stage: "DONE",
+      outcome: stats.outcome || "DELETED",
+      stats,
+      completedAt: new Date(),
+    },
+  });
+};
+
+/*
+  Processes queued purges one account at a time. Failures keep the stage so
+  the next run resumes there; after MAX_ATTEMPTS the record is parked as
+  FAILED for someone to look at.
+*/
+export const runAccountPurges = async ({ limit = 10 } = {}) => {
+  await prisma.accountPurge.updateMany({
+    where: { status: "RUNNING", updatedAt: { lt: new Date(Date.now() - STUCK_PURGE_MS) } },
+    data: { status: "PENDING" },
+  });
+
+  const queued = await prisma.accountPurge.findMany({
+    where: { status: "PENDING" },
+    orderBy: { createdAt: "asc" },
+    take: limit,
+  });
+
+  const summary = { completed: 0, failed: 0 };
+
+  for (const purge of queued) {
+    const claimed = await prisma.accountPurge.updateMany({
+      where: { id: purge.id, status: "PENDING" },
+      data: { status: "RUNNING", attempts: { increment: 1 } },
+    });
+    if (claimed.count !== 1) continue;
+
+    try {
+      const finished = await runPurge(purge);
+      if (finished.status === "COMPLETED") summary.completed += 1;
+      console.log(`🧹 Account purge ${purge.id} ${finished.status} at ${finished.stage}`);
+    } catch (error) {
+      summary.failed += 1;
+      const attempts = purge.attempts + 1;
+      console.error(`❌ Account purge ${purge.id} failed:`, error?.message || error);
+
+      await prisma.accountPurge.update({
+        where: { id: purge.id },
+        data: {
+          status: attempts >= MAX_ATTEMPTS ? "FAILED" : "PENDING",
+          error: String(error?.message || error).slice(0, 500),
+        },
+      });
+    }
+  }
+
+  return summary;
+};
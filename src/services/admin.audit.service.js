@@ -30,6 +30,9 @@ const sanitizeSnapshot = (value) => {
     "refreshToken",
     "otpHash",
     "pendingEmailOtpHash",
+    "twoFactorSecret",
+    "twoFactorPendingSecret",
+    "twoFactorRecoveryCodes",
     "accessToken",
     "resetToken",
   ]) {
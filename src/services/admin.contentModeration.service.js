@@ -52,6 +52,7 @@ export const runAdminVideoPublish = async ({ req, actor, videoId, reason }) => {
       id: true,
       title: true,
       isPublished: true,
+      publishedAt: true,
       isDeleted: true,
       processingStatus: true,
       isHlsReady: true,
@@ -67,7 +68,7 @@ export const runAdminVideoPublish = async ({ req, actor, videoId, reason }) => {
 
   const updated = await prisma.video.update({
     where: { id: video.id },
-    data: { isPublished: true },
+    data: { isPublished: true, publishedAt: video.publishedAt ?? new Date() },
     select: {
       id: true,
       title: true,
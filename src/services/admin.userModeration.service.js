@@ -2,6 +2,12 @@ import prisma from "../db/prisma.js";
 import ApiError from "../utils/ApiError.js";
 import { writeAdminAuditLog } from "./admin.audit.service.js";
 import { adminBaseUserSelect } from "./admin.selects.js";
+import { SESSION_REVOKE_REASONS, revokeAllUserSessions } from "./session.service.js";
+import {
+  LOGIN_LOCKOUT_RESET_DATA,
+  getLockoutStatus,
+  loginLockoutSelect,
+} from "./loginLockout.service.js";
 import {
   assertActorCanManageUser,
   assertWithinRestoreWindow,
@@ -94,7 +100,6 @@ export const runAdminUserSoftDelete = async ({ req, actor, userId, reason }) =>
     data: {
       isDeleted: true,
       deletedAt: new Date(),
-      refreshToken: null,
       moderationStatus: "SUSPENDED",
       moderationReason: reason,
       moderatedAt: new Date(),
@@ -105,6 +110,11 @@ export const runAdminUserSoftDelete = async ({ req, actor, userId, reason }) =>
     },
   });
 
+  await revokeAllUserSessions({
+    userId: target.id,
+    reason: SESSION_REVOKE_REASONS.ADMIN_ACTION,
+  });
+
   await writeAdminAuditLog({
     req,
     actor,
@@ -256,3 +266,48 @@ export const runAdminVerifyPendingEmail = async ({ req, actor, userId, reason })
 
   return updated;
 };
+
+export const runAdminUserLoginUnlock = async ({ req, actor, userId, reason }) => {
+  const target = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      role: true,
+      ...loginLockoutSelect,
+    },
+  });
+
+  if (!target) throw new ApiError(404, "User not found");
+
+  assertActorCanManageUser({ actor, target, allowSelf: false });
+
+  const before = getLockoutStatus(target);
+
+  await prisma.user.update({
+    where: { id: target.id },
+    data: LOGIN_LOCKOUT_RESET_DATA,
+  });
+
+  const after = getLockoutStatus(LOGIN_LOCKOUT_RESET_DATA);
+
+  await writeAdminAuditLog({
+    req,
+    actor,
+    action: "ADMIN_USER_LOGIN_UNLOCK",
+    targetType: "USER",
+    targetId: target.id,
+    reason,
+    before: {
+      lockedUntil: before.lockedUntil,
+      failedLoginAttempts: before.failedLoginAttempts,
+      lockoutCount: before.lockoutCount,
+    },
+    after: {
+      lockedUntil: after.lockedUntil,
+      failedLoginAttempts: after.failedLoginAttempts,
+      lockoutCount: after.lockoutCount,
+    },
+  });
+
+  return { userId: target.id, loginLockout: after };
+};
@@ -0,0 +1,279 @@
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+import { getBackgroundQueue } from "../queue/background.queue.js";
+import {
+  BACKGROUND_JOB_HANDLERS,
+  getBackgroundJobHandler,
+  redactJobPayload,
+} from "../jobs/backgroundJob.handlers.js";
+
+/*
+  BackgroundJob is the source of truth for generic jobs: BullMQ (when
+  enabled) only delivers `{ backgroundJobId }`, and every run claims the row
+  first, so a job delivered twice — by Redis and by the DB sweeper — still
+  runs once. Exhausted jobs are left DEAD for the dead-letter console.
+
+  A claim is a lease on `startedAt`: the run renews it while the handler
+  works, and every final write is fenced on the claimed value. A run whose
+  lease was taken over after a stall drops its outcome instead of
+  overwriting the newer run's.
+*/
+
+const parsePositiveInt = (value, fallbackValue) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) return fallbackValue;
+  return parsed;
+};
+
+// A RUNNING row older than this belongs to a process that died mid-run.
+const BACKGROUND_JOB_LEASE_MS = parsePositiveInt(
+  process.env.BACKGROUND_JOB_LEASE_MS,
+  10 * 60 * 1000
+);
+const LEASE_RENEW_INTERVAL_MS = Math.max(1000, Math.floor(BACKGROUND_JOB_LEASE_MS / 3));
+const MAX_JOB_ERROR_LENGTH = 1000;
+
+export const BACKGROUND_JOB_TYPES = Object.freeze(Object.keys(BACKGROUND_JOB_HANDLERS));
+
+let localJobListener = null;
+
+// The DB-polling runner registers here to pick up new rows without waiting a full tick.
+export const setLocalJobListener = (listener) => {
+  localJobListener = listener;
+};
+
+export const getRetryDelayMs = (jobType, attempts) => {
+  const handler = getBackgroundJobHandler(jobType);
+  if (!handler) return 0;
+  return handler.backoffMs * 2 ** (Math.max(1, attempts) - 1);
+};
+
+const deliverJob = async (job, delayMs = 0) => {
+  const queue = getBackgroundQueue(job.jobType);
+
+  if (queue) {
+    try {
+      await queue.add(
+        job.jobType,
+        { backgroundJobId: job.id },
+        { jobId: `${job.id}-${job.attempts}`, delay: delayMs }
+      );
+      return true;
+    } catch (error) {
+      // The row stays PENDING; the runner's sweeper delivers it later.
+      console.error("Background job enqueue failed:", error?.message || error);
+      return false;
+    }
+  }
+
+  if (delayMs === 0) localJobListener?.(job.jobType);
+  return false;
+};
+
+export const enqueueBackgroundJob = async (
+  jobType,
+  payload,
+  { correlationId = null, runAt = null } = {}
+) => {
+  const handler = getBackgroundJobHandler(jobType);
+  if (!handler) {
+    throw new Error(`No background job handler registered for ${jobType}`);
+  }
+
+  // Coalescing types need one pending run per subject, not one per trigger.
+  if (handler.coalesce && correlationId) {
+    const pending = await prisma.backgroundJob.findFirst({
+      where: { jobType, correlationId, status: "PENDING" },
+    });
+    if (pending) return pending;
+  }
+
+  const job = await prisma.backgroundJob.create({
+    data: {
+      jobType,
+      payload,
+      correlationId,
+      maxAttempts: handler.maxAttempts,
+      scheduledFor: runAt,
+    },
+  });
+
+  await deliverJob(job, runAt ? Math.max(0, runAt.getTime() - Date.now()) : 0);
+  return job;
+};
+
+const buildRunnableWhere = (now) => ({
+  jobType: { in: BACKGROUND_JOB_TYPES },
+  OR: [
+    {
+      status: "PENDING",
+      OR: [{ scheduledFor: null }, { scheduledFor: { lte: now } }],
+    },
+    {
+      status: "RUNNING",
+      startedAt: { lt: new Date(now.getTime() - BACKGROUND_JOB_LEASE_MS) },
+    },
+  ],
+});
+
+export const findDueBackgroundJobIds = async ({ jobType, limit, dueBefore = new Date() }) => {
+  const rows = await prisma.backgroundJob.findMany({
+    where: {
+      ...buildRunnableWhere(new Date()),
+      jobType,
+      updatedAt: { lte: dueBefore },
+    },
+    orderBy: { createdAt: "asc" },
+    take: limit,
+    select: { id: true },
+  });
+
+  return rows.map((row) => row.id);
+};
+
+const claimBackgroundJob = async (jobId) => {
+  const now = new Date();
+  const claimed = await prisma.backgroundJob.updateMany({
+    where: { id: jobId, ...buildRunnableWhere(now) },
+    data: {
+      status: "RUNNING",
+      startedAt: now,
+      attempts: { increment: 1 },
+    },
+  });
+
+  if (claimed.count !== 1) return null;
+  return prisma.backgroundJob.findUnique({ where: { id: jobId } });
+};
+
+/*
+  Pushes `startedAt` forward while the handler runs. `lease.startedAt` always
+  holds the value this run last wrote, which is what the final writes match on.
+*/
+const startLeaseRenewal = (job) => {
+  const lease = { startedAt: job.startedAt };
+  let renewing = Promise.resolve();
+
+  const timer = setInterval(() => {
+    const renewedAt = new Date();
+    renewing = prisma.backgroundJob
+      .updateMany({
+        where: { id: job.id, status: "RUNNING", startedAt: lease.startedAt },
+        data: { startedAt: renewedAt },
+      })
+      .then(({ count }) => {
+        if (count === 1) lease.startedAt = renewedAt;
+        else clearInterval(timer);
+      })
+      .catch((error) => {
+        console.error(`Background job ${job.id} lease renewal failed:`, error?.message || error);
+      });
+  }, LEASE_RENEW_INTERVAL_MS);
+  timer.unref?.();
+
+  // Waits out a renewal already in flight so the fence sees its result.
+  const stop = async () => {
+    clearInterval(timer);
+    await renewing;
+  };
+
+  return { lease, stop };
+};
+
+const finishClaimedJob = async (job, lease, data) => {
+  const { count } = await prisma.backgroundJob.updateMany({
+    where: { id: job.id, status: "RUNNING", startedAt: lease.startedAt },
+    data,
+  });
+
+  if (count !== 1) {
+    console.warn(
+      `Background job ${job.id} (${job.jobType}) lost its lease; dropping this run's outcome.`
+    );
+    return null;
+  }
+
+  return prisma.backgroundJob.findUnique({ where: { id: job.id } });
+};
+
+export const runBackgroundJob = async (jobId) => {
+  const job = await claimBackgroundJob(jobId);
+  if (!job) return null;
+
+  const handler = getBackgroundJobHandler(job.jobType);
+  const payload = job.payload ?? {};
+  const { lease, stop } = startLeaseRenewal(job);
+
+  let result;
+  try {
+    result = await handler.run(payload, job);
+  } catch (error) {
+    await stop();
+    const message = String(error?.message || error).slice(0, MAX_JOB_ERROR_LENGTH);
+
+    if (job.attempts >= job.maxAttempts) {
+      console.error(`Background job ${job.id} (${job.jobType}) is dead:`, message);
+      return finishClaimedJob(job, lease, {
+        status: "DEAD",
+        completedAt: new Date(),
+        error: message,
+        payload: redactJobPayload(job.jobType, payload),
+      });
+    }
+
+    const delayMs = getRetryDelayMs(job.jobType, job.attempts);
+    const retrying = await finishClaimedJob(job, lease, {
+      status: "PENDING",
+      error: message,
+      scheduledFor: new Date(Date.now() + delayMs),
+    });
+
+    if (retrying) await deliverJob(retrying, delayMs);
+    return retrying;
+  }
+
+  await stop();
+  return finishClaimedJob(job, lease, {
+    status: "COMPLETED",
+    completedAt: new Date(),
+    error: null,
+    result: result ?? {},
+    payload: redactJobPayload(job.jobType, payload),
+  });
+};
+
+export const requeueDeadBackgroundJob = async (jobId) => {
+  const requeued = await prisma.backgroundJob.updateMany({
+    where: { id: jobId, status: "DEAD", jobType: { in: BACKGROUND_JOB_TYPES } },
+    data: {
+      status: "PENDING",
+      attempts: 0,
+      error: null,
+      scheduledFor: null,
+      startedAt: null,
+      completedAt: null,
+    },
+  });
+
+  if (requeued.count !== 1) {
+    throw new ApiError(409, "Job is no longer in the dead-letter store");
+  }
+
+  const job = await prisma.backgroundJob.findUnique({ where: { id: jobId } });
+  const queued = await deliverJob(job);
+
+  return { jobId, queued };
+};
+
+// Only completed runs; DEAD rows stay until someone retries or discards them.
+export const purgeFinishedBackgroundJobs = async ({ olderThan }) => {
+  const deleted = await prisma.backgroundJob.deleteMany({
+    where: {
+      jobType: { in: BACKGROUND_JOB_TYPES },
+      status: "COMPLETED",
+      completedAt: { lt: olderThan },
+    },
+  });
+
+  return deleted.count;
+};
@@ -0,0 +1,147 @@
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+
+/*
+  Each VideoTranscript row is one caption track, unique per (video, language).
+  A video with tracks always has exactly one default: the first track saved
+  becomes it, and deleting it promotes the oldest remaining track. The default
+  track is also what AI context, moderation and the transcript panel read.
+*/
+export const CAPTION_SOURCES = Object.freeze(["MANUAL", "AUTO", "IMPORTED"]);
+export const UNDETERMINED_LANGUAGE = "und";
+
+const MAX_CAPTION_LABEL_LENGTH = 60;
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})*$/i;
+
+// Default track first, so `take: 1` on the relation yields it.
+export const CAPTION_TRACK_ORDER = Object.freeze([
+  { isDefault: "desc" },
+  { createdAt: "asc" },
+]);
+
+// "en", "pt_br" -> "pt-BR", "zh-hant"; regions upper-case, scripts and variants lower-case.
+export const normalizeCaptionLanguage = (value, fallback = null) => {
+  const raw = String(value ?? "").trim().replace(/_/g, "-");
+  if (!raw) return fallback;
+
+  if (!LANGUAGE_CODE_PATTERN.test(raw)) {
+    throw new ApiError(400, "language must be a language code such as en or pt-BR");
+  }
+
+  const [primary, ...subtags] = raw.split("-");
+  return [
+    primary.toLowerCase(),
+    ...subtags.map((part) => (part.length === 2 ? part.toUpperCase() : part.toLowerCase())),
+  ].join("-");
+};
+
+export const normalizeCaptionSource = (value, fallback = "MANUAL") => {
+  const source = String(value ?? "").trim().toUpperCase();
+  return CAPTION_SOURCES.includes(source) ? source : fallback;
+};
+
+export const normalizeCaptionLabel = (value) =>
+  String(value ?? "").replace(/\s+/g, " ").trim().slice(0, MAX_CAPTION_LABEL_LENGTH) || null;
+
+export const pickDefaultCaptionTrack = (tracks) => {
+  if (!Array.isArray(tracks) || tracks.length === 0) return null;
+  return tracks.find((track) => track.isDefault) || tracks[0];
+};
+
+export const buildCaptionTrackList = (videoId, tracks) =>
+  (Array.isArray(tracks) ? tracks : []).map((track) => {
+    const basePath = `/api/v1/watch/${videoId}/captions/${encodeURIComponent(track.language)}`;
+
+    return {
+      language: track.language,
+      label: track.label || track.language,
+      source: track.source || null,
+      isDefault: Boolean(track.isDefault),
+      vttUrl: `${basePath}.vtt`,
+      srtUrl: `${basePath}.srt`,
+    };
+  });
+
+const runInTransaction = (tx, work) => (tx ? work(tx) : prisma.$transaction(work));
+
+/*
+  Upserts the track for `language`. Pass `isDefault: true` to move the default
+  flag to it; otherwise it only becomes the default when the video has none.
+*/
+export const saveCaptionTrack = (
+  { videoId, language, label, source, isDefault = false, parsedTranscript },
+  { tx = null } = {}
+) =>
+  runInTransaction(tx, async (client) => {
+    const currentDefault = await client.videoTranscript.findFirst({
+      where: { videoId, isDefault: true },
+      select: { language: true },
+    });
+
+    const makeDefault =
+      isDefault === true || !currentDefault || currentDefault.language === language;
+
+    if (makeDefault && currentDefault && currentDefault.language !== language) {
+      await client.videoTranscript.updateMany({
+        where: { videoId, isDefault: true },
+        data: { isDefault: false },
+      });
+    }
+
+    const fields = {
+      transcript: parsedTranscript.transcriptText,
+      segments: parsedTranscript.segments,
+      source,
+      wordCount: parsedTranscript.wordCount,
+      generatedAt: new Date(),
+      isDefault: makeDefault,
+      ...(label !== undefined ? { label } : {}),
+    };
+
+    return client.videoTranscript.upsert({
+      where: { videoId_language: { videoId, language } },
+      update: fields,
+      create: { videoId, language, ...fields },
+      select: {
+        id: true,
+        videoId: true,
+        language: true,
+        label: true,
+        isDefault: true,
+        source: true,
+        wordCount: true,
+        segments: true,
+        createdAt: true,
+        updatedAt: true,
+      },
+    });
+  });
+
+// Deletes one track, or all of them when `language` is omitted.
+export const deleteCaptionTracks = ({ videoId, language = null }) =>
+  prisma.$transaction(async (tx) => {
+    const deleted = await tx.videoTranscript.deleteMany({
+      where: { videoId, ...(language ? { language } : {}) },
+    });
+
+    const hasDefault = await tx.videoTranscript.count({
+      where: { videoId, isDefault: true },
+    });
+
+    if (!hasDefault) {
+      const nextDefault = await tx.videoTranscript.findFirst({
+        where: { videoId },
+        orderBy: { createdAt: "asc" },
+        select: { id: true },
+      });
+
+      if (nextDefault) {
+        await tx.videoTranscript.update({
+          where: { id: nextDefault.id },
+          data: { isDefault: true },
+        });
+      }
+    }
+
+    return deleted.count;
+  });
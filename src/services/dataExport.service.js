@@ -0,0 +1,168 @@
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+import { deleteStoredAsset, getStorageFor } from "../storage/index.js";
+import { DATA_EXPORT_ARCHIVE_TTL_HOURS, DATA_EXPORT_SECTIONS } from "../jobs/dataExport.job.js";
+import { enqueueBackgroundJob } from "./backgroundJob.service.js";
+
+const DATA_EXPORT_JOB_TYPE = "DATA_EXPORT";
+// Fresh links handed out from the API are short-lived; the one in the
+// notification lives as long as the archive itself.
+const DOWNLOAD_LINK_TTL_MS = 15 * 60 * 1000;
+const PURGE_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+const toPositiveInt = (value, fallback) => {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 1) return fallback;
+  return Math.floor(parsed);
+};
+
+const COOLDOWN_HOURS = toPositiveInt(process.env.DATA_EXPORT_COOLDOWN_HOURS, 24);
+
+/* ---------- JOB LIFECYCLE ---------- */
+
+const toPublicExport = (job) => {
+  const result = job.result || {};
+  const expiresAt = result.expiresAt ? new Date(result.expiresAt) : null;
+  const isExpired = Boolean(expiresAt && expiresAt <= new Date()) || Boolean(result.purgedAt);
+
+  // The runner dead-letters exports that used up their attempts.
+  const isFailed = job.status === "FAILED" || job.status === "DEAD";
+
+  return {
+    id: job.id,
+    status: isFailed ? "FAILED" : job.status,
+    requestedAt: job.createdAt,
+    completedAt: job.completedAt,
+    expiresAt,
+    isExpired,
+    sizeBytes: result.sizeBytes ?? null,
+    sections: result.sections ?? null,
+    error: isFailed ? "Export failed. Please request a new one." : null,
+  };
+};
+
+export const listDataExports = async (userId) => {
+  const jobs = await prisma.backgroundJob.findMany({
+    where: { jobType: DATA_EXPORT_JOB_TYPE, correlationId: userId },
+    orderBy: { createdAt: "desc" },
+    take: 5,
+  });
+  return jobs.map(toPublicExport);
+};
+
+/*
+  One export in flight per user, and at most one finished export per
+  cooldown window; building the archive reads every table the user touches.
+*/
+export const requestDataExport = async (userId) => {
+  const cooldownStart = new Date(Date.now() - COOLDOWN_HOURS * 60 * 60 * 1000);
+
+  const existing = await prisma.backgroundJob.findFirst({
+    where: {
+      jobType: DATA_EXPORT_JOB_TYPE,
+      correlationId: userId,
+      OR: [
+        { status: { in: ["PENDING", "RUNNING"] } },
+        { status: "COMPLETED", createdAt: { gte: cooldownStart } },
+      ],
+    },
+    orderBy: { createdAt: "desc" },
+  });
+
+  if (existing?.status === "PENDING" || existing?.status === "RUNNING") {
+    throw new ApiError(409, "A data export is already being prepared");
+  }
+  if (existing) {
+    throw new ApiError(
+      429,
+      `You can request a new data export ${COOLDOWN_HOURS} hours after the last one`
+    );
+  }
+
+  // Built by the background job runner; the user is notified when it is ready.
+  const job = await enqueueBackgroundJob(
+    DATA_EXPORT_JOB_TYPE,
+    { sections: DATA_EXPORT_SECTIONS },
+    { correlationId: userId }
+  );
+
+  return toPublicExport(job);
+};
+
+export const getDataExportDownload = async ({ userId, exportId }) => {
+  const job = await prisma.backgroundJob.findFirst({
+    where: { id: exportId, jobType: DATA_EXPORT_JOB_TYPE, correlationId: userId },
+  });
+
+  if (!job) {
+    throw new ApiError(404, "Data export not found");
+  }
+  if (job.status !== "COMPLETED") {
+    throw new ApiError(409, "Data export is not ready yet");
+  }
+
+  const summary = toPublicExport(job);
+  if (summary.isExpired) {
+    throw new ApiError(410, "This data export has expired. Please request a new one.");
+  }
+
+  const linkExpiresAt = new Date(
+    Math.min(summary.expiresAt.getTime(), Date.now() + DOWNLOAD_LINK_TTL_MS)
+  );
+
+  return {
+    downloadUrl: await getStorageFor(job.result.storageProvider).getDownloadUrl(
+      job.result.publicId,
+      { expiresAt: linkExpiresAt }
+    ),
+    expiresAt: linkExpiresAt,
+  };
+};
+
+/*
+  Nightly: delete archives past their expiry. The runner renews a running
+  export's lease, so only an export whose process died is picked up again.
+*/
+export const purgeExpiredDataExports = async ({ limit = 50 } = {}) => {
+  // Purged jobs stay COMPLETED for the history list, so only look at the
+  // window where archives can have expired since the last few runs.
+  const now = new Date();
+  const ttlMs = DATA_EXPORT_ARCHIVE_TTL_HOURS * 60 * 60 * 1000;
+  const completed = await prisma.backgroundJob.findMany({
+    where: {
+      jobType: DATA_EXPORT_JOB_TYPE,
+      status: "COMPLETED",
+      completedAt: {
+        gte: new Date(now.getTime() - ttlMs - PURGE_LOOKBACK_MS),
+        lte: new Date(now.getTime() - ttlMs),
+      },
+    },
+    orderBy: { completedAt: "asc" },
+  });
+
+  const expired = completed
+    .filter((job) => {
+      const result = job.result || {};
+      return !result.purgedAt && result.expiresAt && new Date(result.expiresAt) <= now;
+    })
+    .slice(0, limit);
+
+  let purged = 0;
+  for (const job of expired) {
+    const deleted = await deleteStoredAsset({
+      provider: job.result.storageProvider,
+      publicId: job.result.publicId,
+      resourceType: "raw",
+      isPrivate: true,
+    });
+    if (!deleted) continue;
+
+    await prisma.backgroundJob.update({
+      where: { id: job.id },
+      data: { result: { ...job.result, purgedAt: now.toISOString() } },
+    });
+    purged += 1;
+  }
+
+  return purged;
+};
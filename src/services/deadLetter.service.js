@@ -0,0 +1,102 @@
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+
+/*
+  Jobs that exhausted their retries land here as BackgroundJob rows with
+  status DEAD. Retrying resolves the row (COMPLETED, with who retried it in
+  `result`); a retry that fails again dead-letters a fresh row, so each row
+  is one exhausted run.
+*/
+
+const MAX_DEAD_LETTER_ERROR_LENGTH = 2000;
+const MAX_DEAD_LETTER_STACK_LENGTH = 4000;
+
+export const DEAD_LETTER_SUMMARY_SELECT = Object.freeze({
+  id: true,
+  jobType: true,
+  status: true,
+  attempts: true,
+  maxAttempts: true,
+  error: true,
+  correlationId: true,
+  createdAt: true,
+  updatedAt: true,
+});
+
+// BullMQ counts failures before the current run in `attemptsMade`.
+export const isFinalQueueAttempt = (job) =>
+  Number(job?.attemptsMade || 0) + 1 >= Number(job?.opts?.attempts || 1);
+
+export const buildDeadLetterRecord = ({
+  jobType,
+  correlationId = null,
+  payload = {},
+  error,
+  attempts = 1,
+  maxAttempts = attempts,
+}) => {
+  const message = error?.message || String(error || "Job failed");
+
+  return {
+    jobType,
+    status: "DEAD",
+    correlationId,
+    attempts,
+    maxAttempts,
+    completedAt: new Date(),
+    error: (error?.step ? `${error.step}: ${message}` : message).slice(
+      0,
+      MAX_DEAD_LETTER_ERROR_LENGTH
+    ),
+    payload: {
+      ...payload,
+      failedStep: error?.step ?? null,
+      errorStack: error?.stack
+        ? String(error.stack).slice(0, MAX_DEAD_LETTER_STACK_LENGTH)
+        : null,
+    },
+  };
+};
+
+export const recordDeadLetter = async (entry) => {
+  try {
+    return await prisma.backgroundJob.create({
+      data: buildDeadLetterRecord(entry),
+    });
+  } catch (recordError) {
+    // Losing the dead-letter row must not mask the original failure.
+    console.error("Dead-letter record failed:", recordError?.message || recordError);
+    return null;
+  }
+};
+
+export const getDeadLetterOrThrow = async (jobId) => {
+  const job = await prisma.backgroundJob.findFirst({
+    where: { id: jobId, status: "DEAD" },
+  });
+
+  if (!job) throw new ApiError(404, "Dead-letter job not found");
+  return job;
+};
+
+export const resolveDeadLetters = ({ jobType, correlationId, retriedBy }) =>
+  prisma.backgroundJob.updateMany({
+    where: { jobType, correlationId, status: "DEAD" },
+    data: {
+      status: "COMPLETED",
+      completedAt: new Date(),
+      result: {
+        resolution: "RETRIED",
+        retriedBy: retriedBy ?? null,
+        retriedAt: new Date().toISOString(),
+      },
+    },
+  });
+
+export const discardDeadLetter = async (jobId) => {
+  const deleted = await prisma.backgroundJob.deleteMany({
+    where: { id: jobId, status: "DEAD" },
+  });
+
+  if (deleted.count !== 1) throw new ApiError(404, "Dead-letter job not found");
+};
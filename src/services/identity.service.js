@@ -0,0 +1,168 @@
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+
+export const OAUTH_PROVIDER_LABELS = Object.freeze({
+  GOOGLE: "Google",
+  GITHUB: "GitHub",
+  FACEBOOK: "Facebook",
+});
+
+export const identityPublicSelect = {
+  provider: true,
+  email: true,
+  createdAt: true,
+  lastUsedAt: true,
+};
+
+export const getProviderLabel = (provider) => OAUTH_PROVIDER_LABELS[provider] || provider;
+
+export const findIdentity = async ({ provider, providerId }) => {
+  if (!provider || !providerId) return null;
+  return prisma.userIdentity.findUnique({
+    where: { provider_providerId: { provider, providerId: String(providerId) } },
+    include: { user: true },
+  });
+};
+
+export const touchIdentity = async (identityId) =>
+  prisma.userIdentity.update({
+    where: { id: identityId },
+    data: { lastUsedAt: new Date() },
+  });
+
+export const listUserIdentities = async (userId) =>
+  prisma.userIdentity.findMany({
+    where: { userId },
+    orderBy: { createdAt: "asc" },
+    select: identityPublicSelect,
+  });
+
+/*
+  Attaches an OAuth identity to an already signed-in user. Returns the same
+  { user, info } shape as the login resolver so passport can hand it through.
+*/
+export const linkOAuthIdentity = async ({ userId, identity }) => {
+  const { provider, providerId, email } = identity;
+  const providerLabel = getProviderLabel(provider);
+
+  const user = await prisma.user.findUnique({ where: { id: userId } });
+  if (!user || user.isDeleted) {
+    return { user: false, info: { message: "Account not available" } };
+  }
+
+  const existing = await findIdentity({ provider, providerId });
+  if (existing) {
+    if (existing.userId !== userId) {
+      return {
+        user: false,
+        info: { message: `This ${providerLabel} account is linked to another user` },
+      };
+    }
+    await touchIdentity(existing.id);
+    return { user };
+  }
+
+  const sameProvider = await prisma.userIdentity.findUnique({
+    where: { userId_provider: { userId, provider } },
+    select: { id: true },
+  });
+  if (sameProvider) {
+    return {
+      user: false,
+      info: {
+        message: `Another ${providerLabel} account is already linked. Unlink it first.`,
+      },
+    };
+  }
+
+  await prisma.userIdentity.create({
+    data: {
+      userId,
+      provider,
+      providerId: String(providerId),
+      email: email || null,
+      lastUsedAt: new Date(),
+    },
+  });
+
+  return { user };
+};
+
+export const LAST_LOGIN_METHOD_MESSAGE =
+  "Cannot remove your last sign-in method. Set a password or link another provider first.";
+
+// Password, linked OAuth identities and passkeys each count as a way back in.
+export const countLoginMethods = async (userId, client = prisma) => {
+  const user = await client.user.findUnique({
+    where: { id: userId },
+    select: {
+      password: true,
+      _count: { select: { identities: true, passkeys: true } },
+    },
+  });
+
+  if (!user) return 0;
+  return (user.password ? 1 : 0) + user._count.identities + user._count.passkeys;
+};
+
+/*
+  Call first inside any transaction that removes a sign-in method. The no-op
+  write holds the user row lock until commit, so an unlink and a passkey
+  delete racing each other run one after the other and the second one counts
+  what the first left. Returns false when the user does not exist.
+*/
+export const lockUserForLoginMethodChange = async (tx, userId) => {
+  const locked = await tx.user.updateMany({
+    where: { id: userId },
+    data: { updatedAt: new Date() },
+  });
+  return locked.count === 1;
+};
+
+/*
+  Removes a linked provider. The last remaining way to sign in can never be
+  removed, otherwise the account is locked out.
+*/
+export const unlinkIdentity = async ({ userId, provider }) =>
+  prisma.$transaction(async (tx) => {
+    if (!(await lockUserForLoginMethodChange(tx, userId))) {
+      throw new ApiError(404, "User not found");
+    }
+
+    const user = await tx.user.findUnique({
+      where: { id: userId },
+      select: {
+        id: true,
+        authProvider: true,
+        identities: { select: { id: true, provider: true, providerId: true } },
+      },
+    });
+
+    if (!user) {
+      throw new ApiError(404, "User not found");
+    }
+
+    const target = user.identities.find((item) => item.provider === provider);
+    if (!target) {
+      throw new ApiError(404, `${getProviderLabel(provider)} is not linked`);
+    }
+
+    if ((await countLoginMethods(userId, tx)) <= 1) {
+      throw new ApiError(400, LAST_LOGIN_METHOD_MESSAGE);
+    }
+
+    await tx.userIdentity.delete({ where: { id: target.id } });
+
+    // Keep the legacy primary provider columns pointing at something that still exists.
+    if (user.authProvider === provider) {
+      const fallback = user.identities.find((item) => item.id !== target.id);
+      await tx.user.update({
+        where: { id: user.id },
+        data: fallback
+          ? { authProvider: fallback.provider, providerId: fallback.providerId }
+          : { authProvider: "LOCAL", providerId: null },
+      });
+    }
+
+    return { provider };
+  });
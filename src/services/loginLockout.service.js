@@ -0,0 +1,176 @@
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+import { enqueueBackgroundJob } from "./backgroundJob.service.js";
+import { accountLockedTemplate } from "../utils/emailTemplates.js";
+import { getSecurityContext } from "../utils/securityContext.js";
+import { recordSecurityEvent } from "./securityEvent.service.js";
+
+const MINUTE_MS = 60 * 1000;
+
+const parsePositiveInt = (value, fallbackValue) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) return fallbackValue;
+  return parsed;
+};
+
+// Failures allowed inside the window before the account locks.
+const FAILURE_THRESHOLD = parsePositiveInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 5);
+const FAILURE_WINDOW_MS =
+  parsePositiveInt(process.env.LOGIN_LOCKOUT_WINDOW_MINUTES, 15) * MINUTE_MS;
+const BASE_LOCKOUT_MS =
+  parsePositiveInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES, 5) * MINUTE_MS;
+const MAX_LOCKOUT_MS =
+  parsePositiveInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES, 24 * 60) * MINUTE_MS;
+// A quiet day forgets earlier lockouts so the backoff starts small again.
+const LOCKOUT_STREAK_RESET_MS = 24 * 60 * MINUTE_MS;
+
+export const LOGIN_LOCKOUT_RESET_DATA = Object.freeze({
+  failedLoginAttempts: 0,
+  lastFailedLoginAt: null,
+  lockedUntil: null,
+  lockoutCount: 0,
+});
+
+export const loginLockoutSelect = {
+  failedLoginAttempts: true,
+  lastFailedLoginAt: true,
+  lockedUntil: true,
+  lockoutCount: true,
+};
+
+// 5m, 10m, 20m, ... capped at the configured maximum.
+export const computeLockoutDuration = (lockoutCount) =>
+  Math.min(BASE_LOCKOUT_MS * 2 ** Math.max(0, lockoutCount - 1), MAX_LOCKOUT_MS);
+
+export const getLockoutStatus = (state, now = Date.now()) => {
+  const lockedUntil = state?.lockedUntil ? new Date(state.lockedUntil) : null;
+  const isLocked = Boolean(lockedUntil && lockedUntil.getTime() > now);
+
+  return {
+    isLocked,
+    lockedUntil: isLocked ? lockedUntil : null,
+    retryAfterSeconds: isLocked ? Math.ceil((lockedUntil.getTime() - now) / 1000) : 0,
+    failedLoginAttempts: state?.failedLoginAttempts || 0,
+    lastFailedLoginAt: state?.lastFailedLoginAt || null,
+    lockoutCount: state?.lockoutCount || 0,
+  };
+};
+
+const readFailureWindow = (state, now) => {
+  const lastFailure = state?.lastFailedLoginAt ? new Date(state.lastFailedLoginAt).getTime() : 0;
+  return {
+    withinWindow: Boolean(lastFailure && now - lastFailure <= FAILURE_WINDOW_MS),
+    streakAlive: Boolean(lastFailure && now - lastFailure <= LOCKOUT_STREAK_RESET_MS),
+  };
+};
+
+export const assertAccountNotLocked = (user) => {
+  const status = getLockoutStatus(user);
+  if (!status.isLocked) return;
+
+  const minutes = Math.max(1, Math.ceil(status.retryAfterSeconds / 60));
+  throw new ApiError(
+    429,
+    `Account temporarily locked after too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? "" : "s"} or reset your password.`
+  );
+};
+
+const sendLockoutEmail = async ({ user, lockedUntil, req }) => {
+  if (!user.email) return;
+
+  const mail = accountLockedTemplate({
+    fullName: user.fullName,
+    lockedUntil,
+    securityContext: getSecurityContext(req),
+  });
+
+  await enqueueBackgroundJob("EMAIL", {
+    to: user.email,
+    subject: mail.subject,
+    html: mail.html,
+    text: `Your Vixora account was temporarily locked until ${lockedUntil.toUTCString()} after repeated failed sign-in attempts.`,
+  }, { correlationId: user.id }).catch((error) => {
+    console.error("Lockout email could not be queued:", error?.message || error);
+  });
+};
+
+/*
+  Records a wrong password or second factor for an existing account.
+  Concurrent failures must all count, so the counter only moves through an
+  atomic increment, resets are conditional on the stored failure time, and
+  the lock is a compare-and-set on the incremented count: exactly one
+  request trips it and sends the email.
+*/
+export const recordFailedLogin = async ({ user, req }) => {
+  const now = Date.now();
+  const current = await prisma.user.findUnique({
+    where: { id: user.id },
+    select: loginLockoutSelect,
+  });
+  if (!current) return null;
+
+  const { withinWindow, streakAlive } = readFailureWindow(current, now);
+  if (!withinWindow) {
+    await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { lastFailedLoginAt: null },
+          { lastFailedLoginAt: { lt: new Date(now - FAILURE_WINDOW_MS) } },
+        ],
+      },
+      data: { failedLoginAttempts: 0, ...(!streakAlive && { lockoutCount: 0 }) },
+    });
+  }
+
+  const counted = await prisma.user.update({
+    where: { id: user.id },
+    data: {
+      failedLoginAttempts: { increment: 1 },
+      lastFailedLoginAt: new Date(now),
+    },
+    select: loginLockoutSelect,
+  });
+
+  if (counted.failedLoginAttempts < FAILURE_THRESHOLD) {
+    return getLockoutStatus(counted, now);
+  }
+
+  const lockoutCount = (counted.lockoutCount || 0) + 1;
+  const lockedUntil = new Date(now + computeLockoutDuration(lockoutCount));
+
+  const { count } = await prisma.user.updateMany({
+    where: { id: user.id, failedLoginAttempts: { gte: FAILURE_THRESHOLD } },
+    data: { failedLoginAttempts: 0, lockedUntil, lockoutCount },
+  });
+
+  if (count === 0) {
+    // A concurrent failure already took the lock.
+    const latest = await prisma.user.findUnique({
+      where: { id: user.id },
+      select: loginLockoutSelect,
+    });
+    return getLockoutStatus(latest, now);
+  }
+
+  await recordSecurityEvent({
+    userId: user.id,
+    eventType: "ACCOUNT_LOCKED",
+    req,
+    metadata: { lockedUntil: lockedUntil.toISOString(), lockoutCount },
+  });
+  void sendLockoutEmail({ user, lockedUntil, req });
+
+  return getLockoutStatus({ ...counted, failedLoginAttempts: 0, lockedUntil, lockoutCount }, now);
+};
+
+export const clearLoginFailures = async (userId) => {
+  if (!userId) return null;
+  return prisma.user.updateMany({
+    where: {
+      id: userId,
+      OR: [{ failedLoginAttempts: { gt: 0 } }, { lockedUntil: { not: null } }, { lockoutCount: { gt: 0 } }],
+    },
+    data: LOGIN_LOCKOUT_RESET_DATA,
+  });
+};
@@ -0,0 +1,247 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+import { enqueueBackgroundJob } from "./backgroundJob.service.js";
+import { newLoginAlertTemplate } from "../utils/emailTemplates.js";
+import { getSecurityContext } from "../utils/securityContext.js";
+import { createSystemNotification } from "./notification.service.js";
+import { recordSecurityEvent } from "./securityEvent.service.js";
+
+const LOGIN_ALERT_PURPOSE = "LOGIN_ALERT";
+
+const cleanEnv = (value) => String(value ?? "").trim();
+
+const LOGIN_ALERT_SECRET =
+  cleanEnv(process.env.LOGIN_ALERT_SECRET) || cleanEnv(process.env.REFRESH_TOKEN_SECRET);
+const LOGIN_ALERT_TOKEN_EXPIRY = cleanEnv(process.env.LOGIN_ALERT_TOKEN_EXPIRY) || "7d";
+
+export const LOGIN_RISK_REASONS = Object.freeze({
+  NEW_DEVICE: "NEW_DEVICE",
+  NEW_COUNTRY: "NEW_COUNTRY",
+});
+
+const REASON_COPY = {
+  [LOGIN_RISK_REASONS.NEW_DEVICE]: "a device we haven't seen before",
+  [LOGIN_RISK_REASONS.NEW_COUNTRY]: "a new country",
+};
+
+const normalizePart = (value) => cleanEnv(value).toLowerCase();
+
+// Coarse on purpose: browser + OS + device model survives browser updates and
+// IP changes, so only a genuinely different device reads as new.
+export const buildDeviceFingerprint = ({ browser, os, device }) =>
+  crypto
+    .createHash("sha256")
+    .update([browser, os, device].map(normalizePart).join("|"))
+    .digest("hex");
+
+/*
+  Pure risk decision. The very first recorded login only seeds the known
+  device list; alerting on it would fire for every new account.
+*/
+export const evaluateLoginRisk = ({ knownDevices = [], fingerprint, country }) => {
+  if (knownDevices.length === 0) {
+    return { isFirstLogin: true, shouldAlert: false, reasons: [] };
+  }
+
+  const knownCountries = new Set(knownDevices.flatMap((item) => item.countries || []));
+  const reasons = [];
+
+  if (!knownDevices.some((item) => item.fingerprint === fingerprint)) {
+    reasons.push(LOGIN_RISK_REASONS.NEW_DEVICE);
+  }
+
+  if (country && knownCountries.size > 0 && !knownCountries.has(country)) {
+    reasons.push(LOGIN_RISK_REASONS.NEW_COUNTRY);
+  }
+
+  return { isFirstLogin: false, shouldAlert: reasons.length > 0, reasons };
+};
+
+const rememberDevice = async ({ userId, fingerprint, context, existing }) => {
+  const now = new Date();
+  const label = [context.browser, context.device].filter(Boolean).join(" on ").slice(0, 120);
+  const countries = existing?.countries || [];
+  const nextCountries =
+    context.country && !countries.includes(context.country)
+      ? [...countries, context.country]
+      : countries;
+
+  return prisma.userKnownDevice.upsert({
+    where: { userId_fingerprint: { userId, fingerprint } },
+    create: {
+      userId,
+      fingerprint,
+      label,
+      countries: nextCountries,
+      lastIp: cleanEnv(context.ip).slice(0, 128) || null,
+      firstSeenAt: now,
+      lastSeenAt: now,
+    },
+    update: {
+      label,
+      countries: nextCountries,
+      lastIp: cleanEnv(context.ip).slice(0, 128) || null,
+      lastSeenAt: now,
+    },
+  });
+};
+
+const INVALID_ALERT_LINK_MESSAGE = "This link is invalid or has expired";
+
+/*
+  The link signs every device out, so it works once: the jti points at a
+  LoginAlertToken row that is marked used on the first report.
+*/
+export const createLoginAlertToken = async ({ userId, sessionId }) => {
+  const alertId = crypto.randomUUID();
+  const token = jwt.sign(
+    { uid: userId, sid: sessionId || null, jti: alertId, purpose: LOGIN_ALERT_PURPOSE },
+    LOGIN_ALERT_SECRET,
+    { expiresIn: LOGIN_ALERT_TOKEN_EXPIRY }
+  );
+
+  await prisma.loginAlertToken.create({
+    data: {
+      id: alertId,
+      userId,
+      sessionId: sessionId || null,
+      expiresAt: new Date(jwt.decode(token).exp * 1000),
+    },
+  });
+
+  return token;
+};
+
+export const verifyLoginAlertToken = (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token ?? ""), LOGIN_ALERT_SECRET);
+  } catch {
+    throw new ApiError(400, INVALID_ALERT_LINK_MESSAGE);
+  }
+
+  if (payload?.purpose !== LOGIN_ALERT_PURPOSE || !payload?.uid || !payload?.jti) {
+    throw new ApiError(400, INVALID_ALERT_LINK_MESSAGE);
+  }
+
+  return payload;
+};
+
+// Marks the alert used in one conditional write so a replayed link does nothing.
+export const consumeLoginAlertToken = async (token) => {
+  const payload = verifyLoginAlertToken(token);
+
+  const consumed = await prisma.loginAlertToken.updateMany({
+    where: {
+      id: payload.jti,
+      userId: payload.uid,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    data: { usedAt: new Date() },
+  });
+
+  if (consumed.count !== 1) {
+    throw new ApiError(400, INVALID_ALERT_LINK_MESSAGE);
+  }
+
+  return payload;
+};
+
+export const purgeExpiredLoginAlertTokens = async () => {
+  const result = await prisma.loginAlertToken.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+  return result.count;
+};
+
+const buildNotMeUrl = (token) => {
+  const frontend = cleanEnv(process.env.FRONTEND_URL).replace(/\/$/, "");
+  return `${frontend}/security/not-me?token=${encodeURIComponent(token)}`;
+};
+
+const sendLoginAlert = async ({ user, session, context, reasons }) => {
+  const token = await createLoginAlertToken({ userId: user.id, sessionId: session?.id });
+  const notMeUrl = buildNotMeUrl(token);
+  const reasonCopy = reasons.map((reason) => REASON_COPY[reason]).filter(Boolean);
+
+  if (user.email) {
+    const mail = newLoginAlertTemplate({
+      fullName: user.fullName,
+      securityContext: context,
+      reasons: reasonCopy,
+      notMeUrl,
+    });
+
+    await enqueueBackgroundJob("EMAIL", {
+      to: user.email,
+      subject: mail.subject,
+      html: mail.html,
+      text: `New sign-in from ${context.device} (${context.location}). Not you? ${notMeUrl}`,
+    }, { correlationId: user.id }).catch((error) => {
+      console.error("Login alert email could not be queued:", error?.message || error);
+    });
+  }
+
+  await createSystemNotification({
+    userId: user.id,
+    title: "New sign-in to your account",
+    message: `${context.browser} on ${context.device} · ${context.location}`,
+    targetUrl: "/settings/security",
+    extraData: {
+      kind: "LOGIN_ALERT",
+      reasons,
+      sessionId: session?.id || null,
+      notMeUrl,
+    },
+  });
+};
+
+/*
+  Runs after a login session is issued. Never throws: a failed check must not
+  turn a successful login into an error.
+*/
+export const assessLogin = async ({ user, req, session }) => {
+  if (!user?.id || !req?.headers) return null;
+
+  try {
+    const context = getSecurityContext(req);
+    const fingerprint = buildDeviceFingerprint(context);
+
+    const knownDevices = await prisma.userKnownDevice.findMany({
+      where: { userId: user.id },
+      select: { fingerprint: true, countries: true },
+    });
+
+    const risk = evaluateLoginRisk({
+      knownDevices,
+      fingerprint,
+      country: context.country,
+    });
+
+    await rememberDevice({
+      userId: user.id,
+      fingerprint,
+      context,
+      existing: knownDevices.find((item) => item.fingerprint === fingerprint),
+    });
+
+    if (risk.shouldAlert) {
+      await recordSecurityEvent({
+        userId: user.id,
+        eventType: "NEW_DEVICE_LOGIN",
+        sessionId: session?.id,
+        req,
+        metadata: { reasons: risk.reasons, country: context.country },
+      });
+      await sendLoginAlert({ user, session, context, reasons: risk.reasons });
+    }
+
+    return risk;
+  } catch (error) {
+    console.error("Login risk assessment failed:", error?.message || error);
+    return null;
+  }
+};
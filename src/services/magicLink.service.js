@@ -0,0 +1,153 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+import { magicLinkTemplate } from "../utils/emailTemplates.js";
+import { getSecurityContext } from "../utils/securityContext.js";
+import { enqueueBackgroundJob } from "./backgroundJob.service.js";
+
+const MAGIC_LINK_PURPOSE = "MAGIC_LINK";
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const INVALID_LINK_MESSAGE = "This sign-in link is invalid or has expired";
+
+const cleanEnv = (value) => String(value ?? "").trim();
+
+const parsePositiveInt = (value, fallbackValue) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) return fallbackValue;
+  return parsed;
+};
+
+const MAGIC_LINK_SECRET =
+  cleanEnv(process.env.MAGIC_LINK_SECRET) || cleanEnv(process.env.REFRESH_TOKEN_SECRET);
+
+export const MAGIC_LINK_EXPIRY_MINUTES = parsePositiveInt(
+  process.env.MAGIC_LINK_EXPIRY_MINUTES,
+  15
+);
+
+const requireSecret = () => {
+  if (!MAGIC_LINK_SECRET) {
+    throw new ApiError(500, "MAGIC_LINK_SECRET or REFRESH_TOKEN_SECRET is required");
+  }
+  return MAGIC_LINK_SECRET;
+};
+
+export const createMagicLinkToken = ({ userId, linkId }) =>
+  jwt.sign({ uid: userId, jti: linkId, purpose: MAGIC_LINK_PURPOSE }, requireSecret(), {
+    expiresIn: `${MAGIC_LINK_EXPIRY_MINUTES}m`,
+  });
+
+export const verifyMagicLinkToken = (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token ?? ""), requireSecret());
+  } catch {
+    throw new ApiError(400, INVALID_LINK_MESSAGE);
+  }
+
+  if (payload?.purpose !== MAGIC_LINK_PURPOSE || !payload?.uid || !payload?.jti) {
+    throw new ApiError(400, INVALID_LINK_MESSAGE);
+  }
+
+  return payload;
+};
+
+/*
+  The emailed link opens the frontend, which POSTs the token back. A plain
+  GET endpoint would be burned by mail scanners that prefetch links.
+*/
+const buildMagicLinkUrl = (token) => {
+  const frontend = cleanEnv(process.env.FRONTEND_URL).replace(/\/$/, "");
+  return `${frontend}/auth/magic-link?token=${encodeURIComponent(token)}`;
+};
+
+/*
+  Queues a fresh link and retires any outstanding ones, so only the newest
+  email works. Returns false when a link was sent moments ago. Delivery goes
+  through the EMAIL job so known and unknown addresses answer equally fast.
+*/
+export const issueMagicLink = async ({ user, req }) => {
+  const now = Date.now();
+
+  const recent = await prisma.magicLinkToken.findFirst({
+    where: {
+      userId: user.id,
+      usedAt: null,
+      createdAt: { gt: new Date(now - RESEND_COOLDOWN_MS) },
+    },
+    select: { id: true },
+  });
+  if (recent) return false;
+
+  await prisma.magicLinkToken.deleteMany({
+    where: { userId: user.id, usedAt: null },
+  });
+
+  const securityContext = getSecurityContext(req);
+  const link = await prisma.magicLinkToken.create({
+    data: {
+      id: crypto.randomUUID(),
+      userId: user.id,
+      expiresAt: new Date(now + MAGIC_LINK_EXPIRY_MINUTES * 60 * 1000),
+      requestedIp: cleanEnv(securityContext.ip).slice(0, 128) || null,
+    },
+  });
+
+  const magicLinkUrl = buildMagicLinkUrl(
+    createMagicLinkToken({ userId: user.id, linkId: link.id })
+  );
+  const mail = magicLinkTemplate({
+    fullName: user.fullName,
+    magicLinkUrl,
+    expiresInMinutes: MAGIC_LINK_EXPIRY_MINUTES,
+    securityContext,
+  });
+
+  try {
+    await enqueueBackgroundJob(
+      "EMAIL",
+      {
+        to: user.email,
+        subject: mail.subject,
+        html: mail.html,
+        text: `Sign in to Vixora: ${magicLinkUrl} (expires in ${MAGIC_LINK_EXPIRY_MINUTES} minutes)`,
+      },
+      { correlationId: user.id }
+    );
+  } catch (error) {
+    // Drop the row so the cooldown does not block a retry.
+    await prisma.magicLinkToken.delete({ where: { id: link.id } }).catch(() => null);
+    throw error;
+  }
+
+  return true;
+};
+
+// Marks the link used in one conditional write so two clicks cannot both win.
+export const consumeMagicLink = async (token) => {
+  const payload = verifyMagicLinkToken(token);
+
+  const consumed = await prisma.magicLinkToken.updateMany({
+    where: {
+      id: payload.jti,
+      userId: payload.uid,
+      usedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    data: { usedAt: new Date() },
+  });
+
+  if (consumed.count !== 1) {
+    throw new ApiError(400, INVALID_LINK_MESSAGE);
+  }
+
+  return payload.uid;
+};
+
+export const purgeExpiredMagicLinks = async () => {
+  const result = await prisma.magicLinkToken.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+  return result.count;
+};
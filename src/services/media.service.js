@@ -1,8 +1,6 @@
 import prisma from "../db/prisma.js";
 import ApiError from "../utils/ApiError.js";
-import {
-  deleteImageOnCloudinary
-} from "../utils/cloudinary.js";
+import { deleteStoredAsset } from "../storage/index.js";
 
 export const normalizeImageType = (rawType) => {
   const normalized = String(rawType ?? "").trim().toLowerCase();
@@ -22,7 +20,8 @@ export const updateUserImage = async ({
   userId,
   type,
   url,
-  publicId
+  publicId,
+  storageProvider
 }) => {
 
   const normalizedType = normalizeImageType(type);
@@ -35,7 +34,9 @@ export const updateUserImage = async ({
     where: { id: userId },
     select: {
       avatarPublicId: true,
-      coverImagePublicId: true
+      avatarStorageProvider: true,
+      coverImagePublicId: true,
+      coverImageStorageProvider: true
     }
   });
 
@@ -47,10 +48,14 @@ export const updateUserImage = async ({
     normalizedType === "avatar"
       ? user.avatarPublicId
       : user.coverImagePublicId;
+  const oldProvider =
+    normalizedType === "avatar"
+      ? user.avatarStorageProvider
+      : user.coverImageStorageProvider;
 
   if (oldPublicId) {
-    await deleteImageOnCloudinary(oldPublicId).catch((error) => {
-      console.error("Failed to delete previous image on Cloudinary:", error?.message || error);
+    await deleteStoredAsset({ provider: oldProvider, publicId: oldPublicId }).catch((error) => {
+      console.error("Failed to delete previous image from storage:", error?.message || error);
     });
   }
 
@@ -62,11 +67,13 @@ export const updateUserImage = async ({
       normalizedType === "avatar"
         ? {
           avatar: url,
-          avatarPublicId: publicId
+          avatarPublicId: publicId,
+          avatarStorageProvider: storageProvider
         }
         : {
           coverImage: url,
-          coverImagePublicId: publicId
+          coverImagePublicId: publicId,
+          coverImageStorageProvider: storageProvider
         },
     select: {
       id: true,
@@ -95,7 +102,9 @@ export const deleteUserImage = async ({
     where: { id: userId },
     select: {
       avatarPublicId: true,
-      coverImagePublicId: true
+      avatarStorageProvider: true,
+      coverImagePublicId: true,
+      coverImageStorageProvider: true
     }
   });
 
@@ -105,10 +114,14 @@ export const deleteUserImage = async ({
     normalizedType === "avatar"
       ? user.avatarPublicId
       : user.coverImagePublicId;
+  const provider =
+    normalizedType === "avatar"
+      ? user.avatarStorageProvider
+      : user.coverImageStorageProvider;
 
   if (publicId) {
-    await deleteImageOnCloudinary(publicId).catch((error) => {
-      console.error("Failed to delete image on Cloudinary:", error?.message || error);
+    await deleteStoredAsset({ provider, publicId }).catch((error) => {
+      console.error("Failed to delete image from storage:", error?.message || error);
     });
   }
 
@@ -116,8 +129,8 @@ export const deleteUserImage = async ({
     where: { id: userId },
     data:
       normalizedType === "avatar"
-        ? { avatar: null, avatarPublicId: null }
-        : { coverImage: null, coverImagePublicId: null },
+        ? { avatar: null, avatarPublicId: null, avatarStorageProvider: null }
+        : { coverImage: null, coverImagePublicId: null, coverImageStorageProvider: null },
     select: {
       id: true,
       avatar: true,
@@ -486,4 +486,55 @@ export const dispatchChannelActivityNotification = async ({
   };
 };
 
+/*
+  Direct SYSTEM notification for a single user (security alerts, job results).
+  Skips channel fan-out, bell levels and dedup on purpose.
+*/
+export const createSystemNotification = async ({
+  userId,
+  title,
+  message,
+  targetUrl = null,
+  extraData = {},
+}) => {
+  if (!userId || !normalizeText(title) || !normalizeText(message)) return null;
+
+  const target = createTarget({ type: "SYSTEM", url: targetUrl });
+  const data = {
+    ...(isPlainObject(extraData) ? extraData : {}),
+    target,
+    targetType: target.type,
+    targetId: target.id,
+    targetUrl: target.url,
+  };
+
+  const notification = await prisma.notification.create({
+    data: {
+      userId,
+      title: truncateText(title, 120),
+      message: truncateText(message, 500),
+      type: "SYSTEM",
+      data,
+    },
+  });
+
+  emitToUser(userId, SOCKET_EVENT_NOTIFICATION_NEW, {
+    title: notification.title,
+    message: notification.message,
+    type: notification.type,
+    senderId: null,
+    videoId: null,
+    data,
+    target,
+    targetType: target.type,
+    targetId: target.id,
+    targetUrl: target.url,
+    isClickable: target.isClickable,
+    createdAt: notification.createdAt.toISOString(),
+    requiresSync: true,
+  });
+
+  return notification;
+};
+
 export const ChannelNotificationAudience = CHANNEL_ACTIVITY_AUDIENCE;
@@ -0,0 +1,340 @@
+import {
+  generateAuthenticationOptions,
+  generateRegistrationOptions,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse,
+} from "@simplewebauthn/server";
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+import {
+  LAST_LOGIN_METHOD_MESSAGE,
+  countLoginMethods,
+  lockUserForLoginMethodChange,
+} from "./identity.service.js";
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const MAX_PASSKEYS_PER_USER = 10;
+const PASSKEY_NAME_MAX_LENGTH = 60;
+
+export const WEBAUTHN_CHALLENGE_TYPES = Object.freeze({
+  REGISTRATION: "REGISTRATION",
+  AUTHENTICATION: "AUTHENTICATION",
+});
+
+export const passkeyPublicSelect = {
+  id: true,
+  name: true,
+  deviceType: true,
+  backedUp: true,
+  transports: true,
+  createdAt: true,
+  lastUsedAt: true,
+};
+
+const cleanEnv = (value) => String(value ?? "").trim();
+
+const toOrigin = (value) => {
+  try {
+    return new URL(value).origin;
+  } catch {
+    return "";
+  }
+};
+
+/*
+  Read on every call so tests and hot config reloads see current env.
+  Origins default to FRONTEND_URL and the RP ID to its hostname.
+*/
+export const getWebAuthnConfig = () => {
+  const origins = (cleanEnv(process.env.WEBAUTHN_ORIGINS) || cleanEnv(process.env.FRONTEND_URL))
+    .split(",")
+    .map((item) => toOrigin(cleanEnv(item)))
+    .filter(Boolean);
+
+  const rpID =
+    cleanEnv(process.env.WEBAUTHN_RP_ID) ||
+    (origins[0] ? new URL(origins[0]).hostname : "localhost");
+
+  return {
+    rpID,
+    rpName: cleanEnv(process.env.WEBAUTHN_RP_NAME) || "Vixora",
+    origins: origins.length ? origins : ["http://localhost:5173"],
+  };
+};
+
+export const normalizePasskeyName = (value) => {
+  const normalized = String(value ?? "").trim().replace(/\s+/g, " ");
+  if (!normalized) return null;
+  return normalized.slice(0, PASSKEY_NAME_MAX_LENGTH);
+};
+
+const storeChallenge = async ({ challenge, type, userId = null }) =>
+  prisma.webAuthnChallenge.create({
+    data: {
+      challenge,
+      type,
+      userId,
+      expiresAt: new Date(Date.now() + CHALLENGE_TTL_MS),
+    },
+    select: { id: true },
+  });
+
+// Challenges are single use: the delete is the consume, so a replayed
+// ceremony response finds nothing.
+const consumeChallenge = async ({ challengeId, type, userId = null }) => {
+  const id = String(challengeId ?? "").trim();
+  if (!id) {
+    throw new ApiError(400, "challengeId is required");
+  }
+
+  const record = await prisma.webAuthnChallenge.findUnique({ where: { id } });
+  const result = await prisma.webAuthnChallenge.deleteMany({ where: { id } });
+
+  if (
+    !record ||
+    result.count === 0 ||
+    record.type !== type ||
+    record.expiresAt <= new Date() ||
+    (userId && record.userId !== userId)
+  ) {
+    throw new ApiError(400, "Passkey challenge expired. Try again.");
+  }
+
+  return record.challenge;
+};
+
+/*
+  Pure wrappers around the WebAuthn ceremonies so they can be exercised with a
+  software authenticator without a database.
+*/
+export const verifyPasskeyRegistrationResponse = async ({ response, expectedChallenge }) => {
+  const { rpID, origins } = getWebAuthnConfig();
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      requireUserVerification: true,
+    });
+  } catch (error) {
+    throw new ApiError(400, error?.message || "Passkey registration failed");
+  }
+
+  if (!verification.verified) {
+    throw new ApiError(400, "Passkey registration failed");
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp, aaguid } =
+    verification.registrationInfo;
+
+  return {
+    credentialId: credential.id,
+    publicKey: Buffer.from(credential.publicKey),
+    counter: credential.counter,
+    transports: credential.transports || response?.response?.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    aaguid: aaguid || null,
+  };
+};
+
+export const verifyPasskeyAssertion = async ({ response, expectedChallenge, passkey }) => {
+  const { rpID, origins } = getWebAuthnConfig();
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge,
+      expectedOrigin: origins,
+      expectedRPID: rpID,
+      credential: {
+        id: passkey.credentialId,
+        publicKey: new Uint8Array(passkey.publicKey),
+        counter: passkey.counter,
+        transports: passkey.transports,
+      },
+      requireUserVerification: true,
+    });
+  } catch {
+    throw new ApiError(401, "Passkey verification failed");
+  }
+
+  if (!verification.verified) {
+    throw new ApiError(401, "Passkey verification failed");
+  }
+
+  return verification.authenticationInfo;
+};
+
+export const createPasskeyRegistrationOptions = async (user) => {
+  const existing = await prisma.userPasskey.findMany({
+    where: { userId: user.id },
+    select: { credentialId: true, transports: true },
+  });
+
+  if (existing.length >= MAX_PASSKEYS_PER_USER) {
+    throw new ApiError(400, `You can register up to ${MAX_PASSKEYS_PER_USER} passkeys`);
+  }
+
+  const { rpID, rpName } = getWebAuthnConfig();
+  const options = await generateRegistrationOptions({
+    rpName,
+    rpID,
+    userID: Buffer.from(user.id),
+    userName: user.email || user.username || user.id,
+    userDisplayName: user.fullName || user.username || "",
+    attestationType: "none",
+    excludeCredentials: existing.map((item) => ({
+      id: item.credentialId,
+      transports: item.transports,
+    })),
+    authenticatorSelection: {
+      residentKey: "required",
+      userVerification: "required",
+    },
+  });
+
+  const challenge = await storeChallenge({
+    challenge: options.challenge,
+    type: WEBAUTHN_CHALLENGE_TYPES.REGISTRATION,
+    userId: user.id,
+  });
+
+  return { challengeId: challenge.id, options };
+};
+
+export const registerPasskey = async ({ userId, challengeId, response, name }) => {
+  const expectedChallenge = await consumeChallenge({
+    challengeId,
+    type: WEBAUTHN_CHALLENGE_TYPES.REGISTRATION,
+    userId,
+  });
+
+  const credential = await verifyPasskeyRegistrationResponse({
+    response,
+    expectedChallenge,
+  });
+
+  const duplicate = await prisma.userPasskey.findUnique({
+    where: { credentialId: credential.credentialId },
+    select: { id: true },
+  });
+  if (duplicate) {
+    throw new ApiError(409, "Passkey already registered");
+  }
+
+  return prisma.userPasskey.create({
+    data: {
+      userId,
+      ...credential,
+      name: normalizePasskeyName(name),
+    },
+    select: passkeyPublicSelect,
+  });
+};
+
+// Empty allowCredentials: the browser offers any discoverable passkey for this site.
+export const createPasskeyAuthenticationOptions = async () => {
+  const { rpID } = getWebAuthnConfig();
+  const options = await generateAuthenticationOptions({
+    rpID,
+    userVerification: "required",
+    allowCredentials: [],
+  });
+
+  const challenge = await storeChallenge({
+    challenge: options.challenge,
+    type: WEBAUTHN_CHALLENGE_TYPES.AUTHENTICATION,
+  });
+
+  return { challengeId: challenge.id, options };
+};
+
+export const authenticateWithPasskey = async ({ challengeId, response }) => {
+  const expectedChallenge = await consumeChallenge({
+    challengeId,
+    type: WEBAUTHN_CHALLENGE_TYPES.AUTHENTICATION,
+  });
+
+  const credentialId = String(response?.id ?? "").trim();
+  const passkey = credentialId
+    ? await prisma.userPasskey.findUnique({
+      where: { credentialId },
+      include: { user: true },
+    })
+    : null;
+
+  if (!passkey) {
+    throw new ApiError(401, "Passkey not recognized");
+  }
+
+  const info = await verifyPasskeyAssertion({ response, expectedChallenge, passkey });
+
+  await prisma.userPasskey.update({
+    where: { id: passkey.id },
+    data: {
+      counter: info.newCounter,
+      backedUp: info.credentialBackedUp,
+      lastUsedAt: new Date(),
+    },
+  });
+
+  return { user: passkey.user, userVerified: info.userVerified };
+};
+
+export const listUserPasskeys = async (userId) =>
+  prisma.userPasskey.findMany({
+    where: { userId },
+    orderBy: { createdAt: "asc" },
+    select: passkeyPublicSelect,
+  });
+
+export const renameUserPasskey = async ({ userId, passkeyId, name }) => {
+  const normalizedName = normalizePasskeyName(name);
+  if (!normalizedName) {
+    throw new ApiError(400, "name is required");
+  }
+
+  const result = await prisma.userPasskey.updateMany({
+    where: { id: passkeyId, userId },
+    data: { name: normalizedName },
+  });
+
+  if (result.count === 0) {
+    throw new ApiError(404, "Passkey not found");
+  }
+
+  return { id: passkeyId, name: normalizedName };
+};
+
+export const deleteUserPasskey = async ({ userId, passkeyId }) =>
+  prisma.$transaction(async (tx) => {
+    await lockUserForLoginMethodChange(tx, userId);
+
+    const passkey = await tx.userPasskey.findFirst({
+      where: { id: passkeyId, userId },
+      select: { id: true },
+    });
+
+    if (!passkey) {
+      throw new ApiError(404, "Passkey not found");
+    }
+
+    if ((await countLoginMethods(userId, tx)) <= 1) {
+      throw new ApiError(400, LAST_LOGIN_METHOD_MESSAGE);
+    }
+
+    await tx.userPasskey.delete({ where: { id: passkey.id } });
+    return { id: passkey.id };
+  });
+
+export const purgeExpiredWebAuthnChallenges = async () => {
+  const result = await prisma.webAuthnChallenge.deleteMany({
+    where: { expiresAt: { lt: new Date() } },
+  });
+  return result.count;
+};
@@ -0,0 +1,186 @@
+import crypto from "crypto";
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+import userSafeSelect from "../utils/userSafeSelect.js";
+
+export const PERSONAL_ACCESS_TOKEN_PREFIX = "vxp_";
+const MAX_TOKENS_PER_USER = 25;
+const MAX_EXPIRY_DAYS = 365;
+const TOKEN_NAME_MAX_LENGTH = 80;
+// Avoid a write on every API call; last-used is informational.
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+export const TOKEN_SCOPES = Object.freeze({
+  VIDEOS_READ: "videos:read",
+  VIDEOS_WRITE: "videos:write",
+  PLAYLISTS_READ: "playlists:read",
+  PLAYLISTS_WRITE: "playlists:write",
+  ANALYTICS_READ: "analytics:read",
+});
+
+const ALL_SCOPES = new Set(Object.values(TOKEN_SCOPES));
+const READ_METHODS = new Set(["GET", "HEAD", "OPTIONS"]);
+
+/*
+  Routes a personal access token may call, first match wins. Anything not
+  listed (auth, settings, admin, token management itself) is denied so new
+  endpoints are cookie-only until they are added here on purpose.
+*/
+const TOKEN_ROUTE_SCOPES = [
+  { prefix: "/api/v1/videos", read: TOKEN_SCOPES.VIDEOS_READ, write: TOKEN_SCOPES.VIDEOS_WRITE },
+  { prefix: "/api/v1/upload", read: TOKEN_SCOPES.VIDEOS_WRITE, write: TOKEN_SCOPES.VIDEOS_WRITE },
+  {
+    prefix: "/api/v1/playlists",
+    read: TOKEN_SCOPES.PLAYLISTS_READ,
+    write: TOKEN_SCOPES.PLAYLISTS_WRITE,
+  },
+  { prefix: "/api/v1/dashboard", read: TOKEN_SCOPES.ANALYTICS_READ, write: null },
+];
+
+export const tokenPublicSelect = {
+  id: true,
+  name: true,
+  tokenPrefix: true,
+  scopes: true,
+  expiresAt: true,
+  lastUsedAt: true,
+  createdAt: true,
+};
+
+export const hashPersonalAccessToken = (token) =>
+  crypto
+    .createHash("sha256")
+    .update(String(token ?? ""))
+    .digest("hex");
+
+export const isPersonalAccessToken = (token) =>
+  typeof token === "string" && token.startsWith(PERSONAL_ACCESS_TOKEN_PREFIX);
+
+export const normalizeTokenScopes = (value) => {
+  const scopes = Array.isArray(value) ? value : [];
+  const normalized = [...new Set(scopes.map((scope) => String(scope ?? "").trim()))];
+
+  if (normalized.length === 0) {
+    throw new ApiError(400, "At least one scope is required");
+  }
+
+  const unknown = normalized.filter((scope) => !ALL_SCOPES.has(scope));
+  if (unknown.length > 0) {
+    throw new ApiError(400, `Unknown scopes: ${unknown.join(", ")}`);
+  }
+
+  return normalized.sort();
+};
+
+export const resolveTokenExpiry = (expiresInDays, now = Date.now()) => {
+  if (expiresInDays === undefined || expiresInDays === null || expiresInDays === "") {
+    return null;
+  }
+
+  const days = Number(expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    throw new ApiError(400, `expiresInDays must be between 1 and ${MAX_EXPIRY_DAYS}`);
+  }
+
+  return new Date(now + days * 24 * 60 * 60 * 1000);
+};
+
+export const resolveRequiredTokenScope = (method, originalUrl) => {
+  const path = String(originalUrl ?? "").split("?")[0];
+  const rule = TOKEN_ROUTE_SCOPES.find(
+    (item) => path === item.prefix || path.startsWith(`${item.prefix}/`)
+  );
+  if (!rule) return null;
+
+  return READ_METHODS.has(String(method).toUpperCase()) ? rule.read : rule.write;
+};
+
+export const createPersonalAccessToken = async ({ userId, name, scopes, expiresInDays }) => {
+  const normalizedName = String(name ?? "").trim().slice(0, TOKEN_NAME_MAX_LENGTH);
+  if (!normalizedName) {
+    throw new ApiError(400, "name is required");
+  }
+
+  const normalizedScopes = normalizeTokenScopes(scopes);
+  const expiresAt = resolveTokenExpiry(expiresInDays);
+
+  const activeCount = await prisma.personalAccessToken.count({
+    where: { userId, revokedAt: null },
+  });
+  if (activeCount >= MAX_TOKENS_PER_USER) {
+    throw new ApiError(400, `You can have up to ${MAX_TOKENS_PER_USER} active tokens`);
+  }
+
+  const token = `${PERSONAL_ACCESS_TOKEN_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+  const record = await prisma.personalAccessToken.create({
+    data: {
+      userId,
+      name: normalizedName,
+      tokenHash: hashPersonalAccessToken(token),
+      tokenPrefix: token.slice(0, PERSONAL_ACCESS_TOKEN_PREFIX.length + 6),
+      scopes: normalizedScopes,
+      expiresAt,
+    },
+    select: tokenPublicSelect,
+  });
+
+  // The raw token is only ever returned here.
+  return { ...record, token };
+};
+
+export const listPersonalAccessTokens = async (userId) =>
+  prisma.personalAccessToken.findMany({
+    where: { userId, revokedAt: null },
+    orderBy: { createdAt: "desc" },
+    select: tokenPublicSelect,
+  });
+
+export const revokePersonalAccessToken = async ({ userId, tokenId }) => {
+  const result = await prisma.personalAccessToken.updateMany({
+    where: { id: tokenId, userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return result.count;
+};
+
+export const revokeAllPersonalAccessTokens = async (userId) => {
+  if (!userId) return 0;
+  const result = await prisma.personalAccessToken.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return result.count;
+};
+
+/*
+  Resolves a raw bearer token to { token, user } or null when unknown,
+  revoked or expired.
+*/
+export const authenticatePersonalAccessToken = async (rawToken, { ip } = {}) => {
+  if (!isPersonalAccessToken(rawToken)) return null;
+
+  const token = await prisma.personalAccessToken.findUnique({
+    where: { tokenHash: hashPersonalAccessToken(rawToken) },
+    include: { user: { select: userSafeSelect } },
+  });
+
+  const now = new Date();
+  if (!token || token.revokedAt || (token.expiresAt && token.expiresAt <= now)) {
+    return null;
+  }
+
+  if (!token.lastUsedAt || now - token.lastUsedAt > LAST_USED_WRITE_INTERVAL_MS) {
+    prisma.personalAccessToken
+      .update({
+        where: { id: token.id },
+        data: { lastUsedAt: now, lastUsedIp: ip ? String(ip).slice(0, 128) : null },
+      })
+      .catch((error) => {
+        console.error("Failed to update token last-used:", error?.message || error);
+      });
+  }
+
+  const { user, ...tokenRecord } = token;
+  return { token: tokenRecord, user };
+};
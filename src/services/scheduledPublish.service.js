@@ -0,0 +1,207 @@
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+import { enqueueBackgroundJob } from "./backgroundJob.service.js";
+
+/*
+  A scheduled video or post keeps its own `publishAt`. The SCHEDULED_PUBLISH
+  job carries the time it was queued for and only publishes while the row
+  still holds that time, so rescheduling or cancelling never has to chase a
+  job already sitting in Redis. Jobs are BackgroundJob rows with
+  `scheduledFor`, so a restart only delays them until the runner is back.
+  The job itself lives in jobs/scheduledPublish.job.js.
+*/
+
+export const SCHEDULED_PUBLISH_TARGETS = Object.freeze(["VIDEO", "TWEET"]);
+
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const MAX_SCHEDULED_ITEMS = 100;
+
+const SCHEDULED_VIDEO_SELECT = Object.freeze({
+  id: true,
+  title: true,
+  thumbnail: true,
+  isShort: true,
+  publishAt: true,
+  processingStatus: true,
+  processingStep: true,
+  createdAt: true,
+});
+
+const SCHEDULED_TWEET_SELECT = Object.freeze({
+  id: true,
+  content: true,
+  image: true,
+  publishAt: true,
+  createdAt: true,
+});
+
+export const parsePublishAt = (value, { now = new Date() } = {}) => {
+  if (value === undefined || value === null || value === "") return null;
+
+  const publishAt = new Date(value);
+
+  if (Number.isNaN(publishAt.getTime())) {
+    throw new ApiError(400, "publishAt must be a valid date");
+  }
+
+  if (publishAt.getTime() <= now.getTime()) {
+    throw new ApiError(400, "publishAt must be in the future");
+  }
+
+  if (publishAt.getTime() - now.getTime() > MAX_SCHEDULE_AHEAD_MS) {
+    throw new ApiError(400, "publishAt cannot be more than a year ahead");
+  }
+
+  return publishAt;
+};
+
+export const normalizeScheduledTargetType = (value) => {
+  const targetType = String(value || "").trim().toUpperCase();
+
+  if (!SCHEDULED_PUBLISH_TARGETS.includes(targetType)) {
+    throw new ApiError(400, "Scheduled item type must be VIDEO or TWEET");
+  }
+
+  return targetType;
+};
+
+const getScheduleCorrelationId = (targetType, targetId) => `${targetType}:${targetId}`;
+
+// Older jobs would no-op anyway; retiring them keeps the job table honest.
+const supersedePendingPublishJobs = (targetType, targetId) =>
+  prisma.backgroundJob.updateMany({
+    where: {
+      jobType: "SCHEDULED_PUBLISH",
+      correlationId: getScheduleCorrelationId(targetType, targetId),
+      status: "PENDING",
+    },
+    data: {
+      status: "COMPLETED",
+      completedAt: new Date(),
+      result: { resolution: "SUPERSEDED" },
+    },
+  });
+
+export const queueScheduledPublish = async ({ targetType, targetId, publishAt }) => {
+  await supersedePendingPublishJobs(targetType, targetId);
+
+  return enqueueBackgroundJob(
+    "SCHEDULED_PUBLISH",
+    { targetType, targetId, publishAt: publishAt.toISOString() },
+    {
+      correlationId: getScheduleCorrelationId(targetType, targetId),
+      runAt: publishAt,
+    }
+  );
+};
+
+/*
+  Lists everything still waiting to go live: videos with a publish time, and
+  every unpublished post. A post whose schedule was cancelled stays here with
+  `publishAt: null` until it is rescheduled or deleted.
+*/
+export const listScheduledItems = async (ownerId) => {
+  const [videos, tweets] = await Promise.all([
+    prisma.video.findMany({
+      where: { ownerId, isDeleted: false, publishAt: { not: null } },
+      orderBy: { publishAt: "asc" },
+      take: MAX_SCHEDULED_ITEMS,
+      select: SCHEDULED_VIDEO_SELECT,
+    }),
+    prisma.tweet.findMany({
+      where: { ownerId, isDeleted: false, isPublished: false },
+      orderBy: { publishAt: "asc" },
+      take: MAX_SCHEDULED_ITEMS,
+      select: SCHEDULED_TWEET_SELECT,
+    }),
+  ]);
+
+  const items = [
+    ...videos.map((video) => ({ type: "VIDEO", ...video })),
+    ...tweets.map((tweet) => ({ type: "TWEET", ...tweet })),
+  ];
+
+  // Cancelled posts (no publishAt) sort last.
+  return items.sort((left, right) => {
+    const leftTime = left.publishAt ? new Date(left.publishAt).getTime() : Infinity;
+    const rightTime = right.publishAt ? new Date(right.publishAt).getTime() : Infinity;
+    return leftTime - rightTime;
+  });
+};
+
+const getOwnedUnpublishedItem = async ({ ownerId, targetType, targetId }) => {
+  const item = targetType === "VIDEO"
+    ? await prisma.video.findFirst({
+      where: { id: targetId, ownerId, isDeleted: false, isPublished: false },
+      select: SCHEDULED_VIDEO_SELECT,
+    })
+    : await prisma.tweet.findFirst({
+      where: { id: targetId, ownerId, isDeleted: false, isPublished: false },
+      select: SCHEDULED_TWEET_SELECT,
+    });
+
+  if (!item) throw new ApiError(404, "Scheduled item not found");
+  return item;
+};
+
+export const rescheduleItem = async ({ ownerId, targetType, targetId, publishAt }) => {
+  const item = await getOwnedUnpublishedItem({ ownerId, targetType, targetId });
+
+  if (targetType === "VIDEO" && !item.publishAt) {
+    throw new ApiError(400, "Video is not scheduled; publish it from the video settings");
+  }
+
+  const updated = targetType === "VIDEO"
+    ? await prisma.video.update({
+      where: { id: targetId },
+      data: { publishAt },
+      select: SCHEDULED_VIDEO_SELECT,
+    })
+    : await prisma.tweet.update({
+      where: { id: targetId },
+      data: { publishAt },
+      select: SCHEDULED_TWEET_SELECT,
+    });
+
+  // Videos still processing are queued by the pipeline's publish step.
+  if (targetType === "TWEET" || updated.processingStatus === "COMPLETED") {
+    await queueScheduledPublish({ targetType, targetId, publishAt });
+  }
+
+  return { type: targetType, ...updated };
+};
+
+/*
+  Cancelling keeps the item unpublished: videos can still be published by
+  hand, posts wait in the scheduled list for a new time.
+*/
+export const cancelScheduledItem = async ({ ownerId, targetType, targetId }) => {
+  const item = await getOwnedUnpublishedItem({ ownerId, targetType, targetId });
+
+  if (!item.publishAt) throw new ApiError(400, "Item is not scheduled");
+
+  // With no publish time the pipeline would publish on completion.
+  if (targetType === "VIDEO" && item.processingStatus !== "COMPLETED") {
+    throw new ApiError(409, "Video is still processing; reschedule it instead");
+  }
+
+  const updated = targetType === "VIDEO"
+    ? await prisma.video.update({
+      where: { id: targetId },
+      data: {
+        publishAt: null,
+        // Leave HELD_FOR_REVIEW alone; only the scheduled marker goes.
+        ...(item.processingStep === "SCHEDULED" && { processingStep: "DONE" }),
+      },
+      select: SCHEDULED_VIDEO_SELECT,
+    })
+    : await prisma.tweet.update({
+      where: { id: targetId },
+      data: { publishAt: null },
+      select: SCHEDULED_TWEET_SELECT,
+    });
+
+  await supersedePendingPublishJobs(targetType, targetId);
+
+  return { type: targetType, ...updated };
+};
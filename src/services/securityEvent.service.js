@@ -0,0 +1,180 @@
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+import { getSecurityContext } from "../utils/securityContext.js";
+
+/*
+  Event types that describe the account's own sign-ins and credential
+  changes. These make up the user's security timeline and are deleted, not
+  anonymized, when the account is purged.
+*/
+export const SECURITY_EVENT_TYPES = Object.freeze([
+  "LOGIN",
+  "LOGOUT",
+  "REFRESH_TOKEN_REUSE",
+  "NEW_DEVICE_LOGIN",
+  "SUSPICIOUS_LOGIN_REPORTED",
+  "ACCOUNT_LOCKED",
+  "PASSWORD_CHANGED",
+  "EMAIL_CHANGED",
+  "ACCOUNT_SWITCHED",
+  "SESSION_REVOKED",
+]);
+
+const REQUEST_METADATA_KEYS = new Set(["ip", "device", "browser", "location", "userAgent"]);
+
+const trimTo = (value, maxLength) => {
+  const normalized = String(value ?? "").trim();
+  if (!normalized) return null;
+  return normalized.length > maxLength ? normalized.slice(0, maxLength) : normalized;
+};
+
+const buildRequestMetadata = (req) => {
+  if (!req?.headers) return {};
+
+  const context = getSecurityContext(req);
+  return {
+    ip: trimTo(context.ip, 128),
+    device: trimTo(context.device, 120),
+    browser: trimTo(context.browser, 120),
+    location: trimTo(context.location, 200),
+    userAgent: trimTo(req.headers["user-agent"], 500),
+  };
+};
+
+export const recordSecurityEvent = async ({
+  userId,
+  eventType,
+  sessionId = null,
+  req = null,
+  metadata = {},
+}) => {
+  if (!userId || !eventType) return null;
+
+  try {
+    return await prisma.userEvent.create({
+      data: {
+        userId,
+        sessionId: sessionId || null,
+        eventType,
+        entityType: "USER",
+        entityId: userId,
+        metadata: {
+          ...buildRequestMetadata(req),
+          ...metadata,
+        },
+      },
+    });
+  } catch (error) {
+    // Security trail must never block the auth flow that produced it.
+    console.error("Security event write failed:", error?.message || error);
+    return null;
+  }
+};
+
+/* ---------- READ ---------- */
+
+// Accepts "LOGIN,LOGOUT" or a repeated query param; empty means every type.
+export const parseSecurityEventTypes = (value) => {
+  const raw = Array.isArray(value) ? value.join(",") : String(value ?? "");
+  const types = [
+    ...new Set(
+      raw
+        .split(",")
+        .map((item) => item.trim().toUpperCase())
+        .filter(Boolean)
+    ),
+  ];
+
+  const invalid = types.filter((type) => !SECURITY_EVENT_TYPES.includes(type));
+  if (invalid.length > 0) {
+    throw new ApiError(400, `Unknown security event type: ${invalid.join(", ")}`);
+  }
+
+  return types;
+};
+
+const parseDateFilter = (value, name) => {
+  const raw = String(value ?? "").trim();
+  if (!raw) return null;
+
+  const date = new Date(raw);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${name} must be a valid date`);
+  }
+  return date;
+};
+
+export const buildSecurityActivityWhere = ({ userId, types = [], from, to }) => {
+  const fromDate = parseDateFilter(from, "from");
+  const toDate = parseDateFilter(to, "to");
+
+  if (fromDate && toDate && fromDate > toDate) {
+    throw new ApiError(400, "from must be before to");
+  }
+
+  return {
+    userId,
+    eventType: { in: types.length > 0 ? types : [...SECURITY_EVENT_TYPES] },
+    ...((fromDate || toDate) && {
+      createdAt: {
+        ...(fromDate && { gte: fromDate }),
+        ...(toDate && { lte: toDate }),
+      },
+    }),
+  };
+};
+
+// The raw user agent stays server-side; device and browser are already parsed from it.
+export const toSecurityActivityItem = (event, { currentSessionId = null } = {}) => {
+  const metadata = event.metadata && typeof event.metadata === "object" ? event.metadata : {};
+  const details = Object.fromEntries(
+    Object.entries(metadata).filter(([key]) => !REQUEST_METADATA_KEYS.has(key))
+  );
+
+  return {
+    id: event.id,
+    type: event.eventType,
+    occurredAt: event.createdAt,
+    sessionId: event.sessionId || null,
+    isCurrentSession: Boolean(currentSessionId && event.sessionId === currentSessionId),
+    ip: metadata.ip || null,
+    device: metadata.device || null,
+    browser: metadata.browser || null,
+    location: metadata.location || null,
+    details,
+  };
+};
+
+export const listSecurityActivity = async ({
+  userId,
+  types,
+  from,
+  to,
+  skip = 0,
+  take = 20,
+  currentSessionId = null,
+}) => {
+  const where = buildSecurityActivityWhere({ userId, types, from, to });
+
+  const [events, total] = await Promise.all([
+    prisma.userEvent.findMany({
+      where,
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      skip,
+      take,
+      select: {
+        id: true,
+        eventType: true,
+        sessionId: true,
+        metadata: true,
+        createdAt: true,
+      },
+    }),
+    prisma.userEvent.count({ where }),
+  ]);
+
+  return {
+    items: events.map((event) => toSecurityActivityItem(event, { currentSessionId })),
+    total,
+  };
+};
@@ -0,0 +1,323 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import prisma from "../db/prisma.js";
+import { generateAccessToken, generateRefreshToken } from "../utils/jwt.js";
+import { getSecurityContext } from "../utils/securityContext.js";
+import { recordSecurityEvent } from "./securityEvent.service.js";
+
+const FALLBACK_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_REUSE_GRACE_SECONDS = 10;
+
+const parseNonNegativeInt = (value, fallbackValue) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) return fallbackValue;
+  return parsed;
+};
+
+const REFRESH_TOKEN_REUSE_GRACE_MS =
+  parseNonNegativeInt(
+    process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS,
+    DEFAULT_REUSE_GRACE_SECONDS
+  ) * 1000;
+
+export const SESSION_REVOKE_REASONS = Object.freeze({
+  LOGOUT: "LOGOUT",
+  USER_REVOKED: "USER_REVOKED",
+  LOGOUT_OTHERS: "LOGOUT_OTHERS",
+  PASSWORD_RESET: "PASSWORD_RESET",
+  EMAIL_CHANGED: "EMAIL_CHANGED",
+  ACCOUNT_DELETED: "ACCOUNT_DELETED",
+  ADMIN_ACTION: "ADMIN_ACTION",
+  TOKEN_REUSE: "TOKEN_REUSE",
+  SUSPICIOUS_LOGIN: "SUSPICIOUS_LOGIN",
+});
+
+// How the session was opened; shown in the session list and account switcher.
+export const SESSION_AUTH_METHODS = Object.freeze({
+  PASSWORD: "PASSWORD",
+  OAUTH: "OAUTH",
+  PASSKEY: "PASSKEY",
+  EMAIL_OTP: "EMAIL_OTP",
+  MAGIC_LINK: "MAGIC_LINK",
+});
+
+export const REFRESH_TOKEN_STATES = Object.freeze({
+  VALID: "VALID",
+  INVALID: "INVALID",
+  // Previous token presented right after a rotation (parallel tabs/requests).
+  SUPERSEDED: "SUPERSEDED",
+  // Already-rotated token replayed outside the grace window.
+  REUSED: "REUSED",
+});
+
+export const sessionPublicSelect = {
+  id: true,
+  device: true,
+  browser: true,
+  location: true,
+  ip: true,
+  authMethod: true,
+  createdAt: true,
+  lastUsedAt: true,
+  expiresAt: true,
+};
+
+const trimTo = (value, maxLength) => {
+  const normalized = String(value ?? "").trim();
+  if (!normalized) return null;
+  return normalized.length > maxLength ? normalized.slice(0, maxLength) : normalized;
+};
+
+export const hashRefreshToken = (refreshToken) =>
+  crypto
+    .createHash("sha256")
+    .update(String(refreshToken ?? ""))
+    .digest("hex");
+
+const resolveTokenExpiry = (token) => {
+  const decoded = jwt.decode(token);
+  if (decoded?.exp) return new Date(decoded.exp * 1000);
+  return new Date(Date.now() + FALLBACK_SESSION_TTL_MS);
+};
+
+const buildDeviceSnapshot = (req) => {
+  if (!req?.headers) return {};
+
+  const context = getSecurityContext(req);
+
+  return {
+    userAgent: trimTo(req.headers["user-agent"], 500),
+    ip: trimTo(context.ip, 128),
+    device: trimTo(context.device, 120),
+    browser: trimTo(context.browser, 120),
+    location: trimTo(context.location, 200),
+  };
+};
+
+const issueSessionTokens = (user, sessionId) => {
+  const accessToken = generateAccessToken(user, { sessionId });
+  const refreshToken = generateRefreshToken(user, { sessionId });
+  return { accessToken, refreshToken };
+};
+
+export const isSessionActive = (session, now = new Date()) =>
+  Boolean(session) && !session.revokedAt && session.expiresAt > now;
+
+/*
+  One session per device login. The refresh token itself is never stored,
+  only its sha256 hash, so a leaked DB row cannot be replayed.
+*/
+export const createUserSession = async ({
+  user,
+  req,
+  authMethod = null,
+  twoFactorVerified = false,
+}) => {
+  const sessionId = crypto.randomUUID();
+  const { accessToken, refreshToken } = issueSessionTokens(user, sessionId);
+
+  const session = await prisma.userSession.create({
+    data: {
+      id: sessionId,
+      userId: user.id,
+      refreshTokenHash: hashRefreshToken(refreshToken),
+      expiresAt: resolveTokenExpiry(refreshToken),
+      authMethod,
+      twoFactorVerifiedAt: twoFactorVerified ? new Date() : null,
+      ...buildDeviceSnapshot(req),
+    },
+  });
+
+  await recordSecurityEvent({
+    userId: user.id,
+    eventType: "LOGIN",
+    sessionId,
+    req,
+    metadata: { authMethod, twoFactorVerified },
+  });
+
+  return { accessToken, refreshToken, session };
+};
+
+/*
+  Each session is a refresh token family: every rotation replaces the
+  current hash and remembers the one it replaced. A signed token for this
+  session that matches neither has already been rotated away and is treated
+  as stolen.
+*/
+export const inspectRefreshToken = ({ session, userId, refreshToken, now = new Date() }) => {
+  if (!session || session.userId !== userId || !isSessionActive(session, now)) {
+    return REFRESH_TOKEN_STATES.INVALID;
+  }
+
+  const presentedHash = hashRefreshToken(refreshToken);
+  if (presentedHash === session.refreshTokenHash) {
+    return REFRESH_TOKEN_STATES.VALID;
+  }
+
+  const rotatedAtMs = session.rotatedAt ? session.rotatedAt.getTime() : 0;
+  if (
+    presentedHash === session.previousTokenHash &&
+    now.getTime() - rotatedAtMs <= REFRESH_TOKEN_REUSE_GRACE_MS
+  ) {
+    return REFRESH_TOKEN_STATES.SUPERSEDED;
+  }
+
+  return REFRESH_TOKEN_STATES.REUSED;
+};
+
+/*
+  Compare-and-swap on the current hash so two concurrent refreshes with the
+  same token cannot both win. Returns null when another request rotated first.
+*/
+export const rotateUserSession = async ({ user, session, req }) => {
+  const { accessToken, refreshToken } = issueSessionTokens(user, session.id);
+  const now = new Date();
+
+  const result = await prisma.userSession.updateMany({
+    where: {
+      id: session.id,
+      refreshTokenHash: session.refreshTokenHash,
+      revokedAt: null,
+    },
+    data: {
+      refreshTokenHash: hashRefreshToken(refreshToken),
+      previousTokenHash: session.refreshTokenHash,
+      rotatedAt: now,
+      rotationCount: { increment: 1 },
+      expiresAt: resolveTokenExpiry(refreshToken),
+      lastUsedAt: now,
+      ...buildDeviceSnapshot(req),
+    },
+  });
+
+  if (result.count === 0) return null;
+
+  const updatedSession = await prisma.userSession.findUnique({
+    where: { id: session.id },
+  });
+
+  return { accessToken, refreshToken, session: updatedSession };
+};
+
+export const findSessionById = async (sessionId) => {
+  const id = String(sessionId ?? "").trim();
+  if (!id) return null;
+  return prisma.userSession.findUnique({ where: { id } });
+};
+
+export const listActiveUserSessions = async (userId) =>
+  prisma.userSession.findMany({
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    orderBy: { lastUsedAt: "desc" },
+    select: sessionPublicSelect,
+  });
+
+/*
+  Revocations land on the user's security timeline. Ending your own session
+  is a LOGOUT; everything else (another device, password reset, admin) is a
+  SESSION_REVOKED with the reason.
+*/
+const recordRevocation = ({ userId, reason, sessionId = null, revokedCount, req }) =>
+  recordSecurityEvent({
+    userId,
+    eventType: reason === SESSION_REVOKE_REASONS.LOGOUT ? "LOGOUT" : "SESSION_REVOKED",
+    sessionId,
+    req,
+    metadata: { reason, revokedCount },
+  });
+
+export const revokeUserSession = async ({ userId, sessionId, reason, req = null }) => {
+  if (!userId || !sessionId) return 0;
+
+  const result = await prisma.userSession.updateMany({
+    where: {
+      id: sessionId,
+      userId,
+      revokedAt: null,
+    },
+    data: {
+      revokedAt: new Date(),
+      revokedReason: reason || SESSION_REVOKE_REASONS.USER_REVOKED,
+    },
+  });
+
+  if (result.count > 0) {
+    await recordRevocation({
+      userId,
+      reason: reason || SESSION_REVOKE_REASONS.USER_REVOKED,
+      sessionId,
+      revokedCount: result.count,
+      req,
+    });
+  }
+
+  return result.count;
+};
+
+export const revokeAllUserSessions = async ({
+  userId,
+  reason,
+  exceptSessionId = null,
+  req = null,
+}) => {
+  if (!userId) return 0;
+
+  const result = await prisma.userSession.updateMany({
+    where: {
+      userId,
+      revokedAt: null,
+      ...(exceptSessionId && { id: { not: exceptSessionId } }),
+    },
+    data: {
+      revokedAt: new Date(),
+      revokedReason: reason || SESSION_REVOKE_REASONS.USER_REVOKED,
+    },
+  });
+
+  if (result.count > 0) {
+    await recordRevocation({
+      userId,
+      reason: reason || SESSION_REVOKE_REASONS.USER_REVOKED,
+      sessionId: exceptSessionId,
+      revokedCount: result.count,
+      req,
+    });
+  }
+
+  return result.count;
+};
+
+export const revokeSessionFamily = async ({ session, reason }) => {
+  if (!session?.id) return 0;
+
+  const result = await prisma.userSession.updateMany({
+    where: {
+      id: session.id,
+      revokedAt: null,
+    },
+    data: {
+      revokedAt: new Date(),
+      revokedReason: reason || SESSION_REVOKE_REASONS.TOKEN_REUSE,
+    },
+  });
+
+  return result.count;
+};
+
+export const purgeStaleSessions = async ({ olderThan }) => {
+  const result = await prisma.userSession.deleteMany({
+    where: {
+      OR: [
+        { expiresAt: { lt: olderThan } },
+        { revokedAt: { lt: olderThan } },
+      ],
+    },
+  });
+
+  return result.count;
+};
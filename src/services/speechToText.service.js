@@ -0,0 +1,241 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import prisma from "../db/prisma.js";
+import {
+  SPEECH_TO_TEXT_DAILY_LIMIT,
+  SPEECH_TO_TEXT_GLOBAL_DAILY_LIMIT,
+  SPEECH_TO_TEXT_LANGUAGE,
+} from "../config/speech.config.js";
+import { getSpeechToTextProvider } from "../speech/index.js";
+import { formatMsToTimestamp, parseTranscriptInput } from "../utils/transcript.js";
+import {
+  UNDETERMINED_LANGUAGE,
+  normalizeCaptionLanguage,
+  saveCaptionTrack,
+} from "./captionTrack.service.js";
+import { extractAudioTrack } from "./videoTranscode.service.js";
+
+/*
+  Automatic transcripts for uploads that arrive without one. Every provider
+  call is logged as a COMPLETED `SPEECH_TO_TEXT` BackgroundJob row keyed by
+  the video owner, the same ledger AI summaries and chat use for quotas.
+  The row is written before the provider runs, under an idempotency key per
+  video, so a retried TRANSCRIPT step never charges the creator twice.
+  Nothing here throws for quota or provider trouble: a video without a
+  transcript still publishes, and the creator can add one by hand.
+*/
+export const SPEECH_TO_TEXT_JOB_TYPE = "SPEECH_TO_TEXT";
+
+const MAX_USAGE_ERROR_CHARS = 500;
+
+const startOfDay = (now) => {
+  const dayStart = new Date(now);
+  dayStart.setHours(0, 0, 0, 0);
+  return dayStart;
+};
+
+export const evaluateSpeechToTextQuota = ({
+  used,
+  globalUsed = null,
+  limit = SPEECH_TO_TEXT_DAILY_LIMIT,
+  globalLimit = SPEECH_TO_TEXT_GLOBAL_DAILY_LIMIT,
+}) => {
+  if (limit > 0 && used >= limit) return { allowed: false, reason: "USER_QUOTA_EXCEEDED" };
+  if (globalLimit > 0 && globalUsed >= globalLimit) {
+    return { allowed: false, reason: "GLOBAL_QUOTA_EXCEEDED" };
+  }
+  return { allowed: true, reason: null };
+};
+
+const countSpeechToTextUsage = async (userId, now) => {
+  const dayStart = startOfDay(now);
+
+  const [used, globalUsed] = await Promise.all([
+    prisma.backgroundJob.count({
+      where: {
+        correlationId: userId,
+        jobType: SPEECH_TO_TEXT_JOB_TYPE,
+        createdAt: { gte: dayStart },
+      },
+    }),
+    SPEECH_TO_TEXT_GLOBAL_DAILY_LIMIT > 0
+      ? prisma.backgroundJob.count({
+          where: {
+            jobType: SPEECH_TO_TEXT_JOB_TYPE,
+            createdAt: { gte: dayStart },
+          },
+        })
+      : Promise.resolve(null),
+  ]);
+
+  return { used, globalUsed };
+};
+
+/*
+  Claims this video's usage row, or finds the one an earlier attempt
+  claimed. A new row is counted together with everyone else's, so two
+  uploads racing for the last slot cannot both get it: the loser deletes
+  its row and skips.
+*/
+const reserveSpeechToTextUsage = async ({
+  userId,
+  videoId,
+  provider,
+  durationSeconds,
+  now = new Date(),
+}) => {
+  const idempotencyKey = `${SPEECH_TO_TEXT_JOB_TYPE}:${videoId}`;
+
+  let usage;
+  try {
+    usage = await prisma.backgroundJob.create({
+      data: {
+        jobType: SPEECH_TO_TEXT_JOB_TYPE,
+        status: "COMPLETED",
+        correlationId: userId,
+        idempotencyKey,
+        payload: { videoId, provider, durationSeconds },
+        result: { trackedAt: now.toISOString() },
+        completedAt: now,
+      },
+      select: { id: true },
+    });
+  } catch (error) {
+    if (error?.code !== "P2002") throw error;
+    const existing = await prisma.backgroundJob.findUnique({
+      where: { idempotencyKey },
+      select: { id: true },
+    });
+    return { allowed: true, reason: null, usageId: existing?.id ?? null };
+  }
+
+  const { used, globalUsed } = await countSpeechToTextUsage(userId, now);
+  const quota = evaluateSpeechToTextQuota({
+    used: used - 1,
+    globalUsed: globalUsed === null ? null : globalUsed - 1,
+  });
+
+  if (!quota.allowed) {
+    await prisma.backgroundJob.delete({ where: { id: usage.id } });
+    return { ...quota, usageId: null };
+  }
+
+  return { ...quota, usageId: usage.id };
+};
+
+const recordSpeechToTextFailure = async (usageId, error) => {
+  if (!usageId) return;
+  await prisma.backgroundJob.update({
+    where: { id: usageId },
+    data: {
+      result: {
+        trackedAt: new Date().toISOString(),
+        error: String(error).slice(0, MAX_USAGE_ERROR_CHARS),
+      },
+    },
+  });
+};
+
+/*
+  Provider cues go through the same normalizer as uploaded ones. Timestamps
+  are handed over as clock strings because bare numbers under 1000 would be
+  read as seconds.
+*/
+export const toTranscriptFromSpeech = (output, durationSeconds = null) =>
+  parseTranscriptInput({
+    cues: (Array.isArray(output?.segments) ? output.segments : []).map((segment) => ({
+      startTime: formatMsToTimestamp(segment.startMs),
+      endTime: formatMsToTimestamp(segment.endMs),
+      text: segment.text,
+    })),
+    durationSeconds,
+  });
+
+const resolveSpeechLanguage = (value) => {
+  try {
+    return normalizeCaptionLanguage(value, UNDETERMINED_LANGUAGE);
+  } catch {
+    return UNDETERMINED_LANGUAGE;
+  }
+};
+
+const withExtractedAudio = async (video, work) => {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "vixora-speech-"));
+  try {
+    const audioPath = await extractAudioTrack({
+      sourceUrl: video.videoFile,
+      outputPath: path.join(workDir, "audio.flac"),
+    });
+    return await work(audioPath);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/*
+  Called by the pipeline's TRANSCRIPT step. `source` is the PROBE result,
+  which says whether ffmpeg ran and whether the file has an audio stream.
+*/
+export const transcribeVideoAudio = async ({ video, source, reportProgress }) => {
+  const provider = getSpeechToTextProvider();
+  if (!provider) return { skipped: "NO_PROVIDER" };
+
+  if (provider.requiresAudio) {
+    if (!source || source.skipped) return { skipped: "NO_AUDIO_EXTRACTION" };
+    if (source.hasAudio === false) return { skipped: "NO_AUDIO" };
+  }
+
+  const durationSeconds = video.duration || source?.durationSeconds || null;
+  const usage = await reserveSpeechToTextUsage({
+    userId: video.ownerId,
+    videoId: video.id,
+    provider: provider.name,
+    durationSeconds,
+  });
+  if (!usage.allowed) return { skipped: usage.reason };
+
+  await reportProgress(10, "TRANSCRIBING");
+
+  let output;
+  try {
+    const transcribe = (audioPath = null) =>
+      provider.transcribe({
+        audioPath,
+        durationSeconds,
+        language: SPEECH_TO_TEXT_LANGUAGE,
+        videoId: video.id,
+      });
+
+    output = provider.requiresAudio
+      ? await withExtractedAudio(video, transcribe)
+      : await transcribe();
+  } catch (error) {
+    await recordSpeechToTextFailure(usage.usageId, error?.message || error);
+    console.warn(
+      `Speech-to-text failed for video ${video.id}:`,
+      error?.message || error
+    );
+    return { skipped: "PROVIDER_FAILED", provider: provider.name };
+  }
+
+  const parsedTranscript = toTranscriptFromSpeech(output, durationSeconds);
+  if (!parsedTranscript.transcriptText) {
+    return { skipped: "NO_SPEECH", provider: provider.name };
+  }
+
+  const language = resolveSpeechLanguage(output?.language);
+  await saveCaptionTrack({
+    videoId: video.id,
+    language,
+    source: "AUTO",
+    parsedTranscript,
+  });
+
+  return {
+    provider: provider.name,
+    language,
+    segmentCount: parsedTranscript.segmentCount,
+    wordCount: parsedTranscript.wordCount,
+  };
+};
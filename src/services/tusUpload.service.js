@@ -0,0 +1,165 @@
+import { createWriteStream } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { pipeline } from "stream/promises";
+import ApiError from "../utils/ApiError.js";
+import { TUS_STAGING_DIR } from "../config/storage.config.js";
+import { createByteLimit } from "../storage/storage.utils.js";
+
+/*
+  Server side of the tus 1.0.0 resumable upload protocol (core, creation,
+  termination and expiration). Chunks are appended to a staging file on this
+  instance; once the last byte arrives the file is handed to the configured
+  storage backend. Behind a load balancer, tus routes need sticky sessions.
+*/
+
+export const TUS_VERSION = "1.0.0";
+export const TUS_EXTENSIONS = "creation,termination,expiration";
+export const TUS_CHUNK_CONTENT_TYPE = "application/offset+octet-stream";
+
+// Browsers only let tus clients read these when CORS exposes them.
+export const TUS_EXPOSED_HEADERS = Object.freeze([
+  "Location",
+  "Upload-Offset",
+  "Upload-Length",
+  "Upload-Expires",
+  "Tus-Resumable",
+  "Tus-Version",
+  "Tus-Extension",
+  "Tus-Max-Size",
+]);
+
+const METADATA_KEY_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+const MAX_METADATA_HEADER_LENGTH = 4096;
+
+const activeUploads = new Set();
+
+const parseHeaderInteger = (value, headerName) => {
+  const raw = String(value ?? "").trim();
+  if (!/^\d{1,15}$/.test(raw)) {
+    throw new ApiError(400, `Invalid ${headerName} header`);
+  }
+  return Number(raw);
+};
+
+export const parseUploadLength = (value) => parseHeaderInteger(value, "Upload-Length");
+
+export const parseUploadOffset = (value) => parseHeaderInteger(value, "Upload-Offset");
+
+/*
+  Upload-Metadata: "key base64value,key2 base64value2"; a key may appear
+  without a value.
+*/
+export const parseUploadMetadata = (header) => {
+  const raw = String(header ?? "").trim();
+  if (!raw) return {};
+
+  if (raw.length > MAX_METADATA_HEADER_LENGTH) {
+    throw new ApiError(400, "Upload-Metadata header is too large");
+  }
+
+  const metadata = {};
+  for (const pair of raw.split(",")) {
+    const [key, encoded, ...rest] = pair.trim().split(" ");
+
+    if (!METADATA_KEY_PATTERN.test(key || "") || rest.length > 0 || key in metadata) {
+      throw new ApiError(400, "Invalid Upload-Metadata header");
+    }
+
+    if (encoded && !/^[A-Za-z0-9+/]*={0,2}$/.test(encoded)) {
+      throw new ApiError(400, "Invalid Upload-Metadata header");
+    }
+
+    metadata[key] = encoded ? Buffer.from(encoded, "base64").toString("utf8") : "";
+  }
+
+  return metadata;
+};
+
+export const formatUploadExpires = (expiresAt) => new Date(expiresAt).toUTCString();
+
+/* ---------- STAGING FILES ---------- */
+
+export const getStagingPath = (sessionId) => {
+  const fileName = `${sessionId}.part`;
+  if (path.basename(fileName) !== fileName) {
+    throw new ApiError(400, "Invalid upload id");
+  }
+  return path.join(TUS_STAGING_DIR, fileName);
+};
+
+export const getStagedSize = async (sessionId) => {
+  try {
+    const { size } = await fs.stat(getStagingPath(sessionId));
+    return size;
+  } catch (error) {
+    if (error?.code === "ENOENT") return 0;
+    throw error;
+  }
+};
+
+// One writer per upload; a second PATCH for the same upload gets a 423.
+export const claimStagedUpload = (sessionId) => {
+  if (activeUploads.has(sessionId)) return false;
+  activeUploads.add(sessionId);
+  return true;
+};
+
+export const releaseStagedUpload = (sessionId) => {
+  activeUploads.delete(sessionId);
+};
+
+/*
+  Writes one PATCH body at `offset`. Bytes that made it to disk before the
+  client dropped are kept, so the next HEAD resumes from there instead of
+  from the start of the chunk.
+*/
+export const writeStagedChunk = async ({ sessionId, stream, offset, maxBytes }) => {
+  await fs.mkdir(TUS_STAGING_DIR, { recursive: true });
+
+  const stagingPath = getStagingPath(sessionId);
+  const writer = createWriteStream(stagingPath, {
+    flags: offset === 0 ? "w" : "r+",
+    start: offset,
+  });
+
+  let error = null;
+  try {
+    await pipeline(stream, createByteLimit(maxBytes), writer);
+  } catch (pipelineError) {
+    error = pipelineError;
+  }
+
+  const bytesWritten = writer.bytesWritten;
+  await fs.truncate(stagingPath, offset + bytesWritten).catch(() => null);
+
+  return { bytesWritten, error };
+};
+
+export const discardStagedUpload = async (sessionId) => {
+  await fs.rm(getStagingPath(sessionId), { force: true });
+};
+
+export const purgeStaleStagedUploads = async ({ olderThan }) => {
+  let entries;
+  try {
+    entries = await fs.readdir(TUS_STAGING_DIR, { withFileTypes: true });
+  } catch (error) {
+    if (error?.code === "ENOENT") return 0;
+    throw error;
+  }
+
+  let purged = 0;
+  for (const entry of entries) {
+    if (!entry.isFile() || !entry.name.endsWith(".part")) continue;
+
+    const filePath = path.join(TUS_STAGING_DIR, entry.name);
+    const stats = await fs.stat(filePath).catch(() => null);
+    if (!stats || stats.mtime >= olderThan) continue;
+
+    await fs.rm(filePath, { force: true });
+    purged += 1;
+  }
+
+  return purged;
+};
@@ -0,0 +1,225 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+import { verifyTotp } from "../utils/totp.js";
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const TWO_FACTOR_CHALLENGE_PURPOSE = "TWO_FACTOR_LOGIN";
+const DEFAULT_STEP_UP_WINDOW_MINUTES = 10;
+
+const cleanEnv = (value) => String(value ?? "").trim();
+
+const TWO_FACTOR_SECRET =
+  cleanEnv(process.env.TWO_FACTOR_SECRET) ||
+  cleanEnv(process.env.REFRESH_TOKEN_SECRET);
+const TWO_FACTOR_CHALLENGE_EXPIRY =
+  cleanEnv(process.env.TWO_FACTOR_CHALLENGE_EXPIRY) || "5m";
+
+const parsePositiveInt = (value, fallbackValue) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) return fallbackValue;
+  return parsed;
+};
+
+const STEP_UP_WINDOW_MS =
+  parsePositiveInt(
+    process.env.TWO_FACTOR_STEP_UP_WINDOW_MINUTES,
+    DEFAULT_STEP_UP_WINDOW_MINUTES
+  ) *
+  60 *
+  1000;
+
+export const TWO_FACTOR_ISSUER = cleanEnv(process.env.TWO_FACTOR_ISSUER) || "Vixora";
+
+const requireSecret = () => {
+  if (!TWO_FACTOR_SECRET) {
+    throw new ApiError(500, "TWO_FACTOR_SECRET or REFRESH_TOKEN_SECRET is required");
+  }
+  return TWO_FACTOR_SECRET;
+};
+
+const getEncryptionKey = () =>
+  crypto.createHash("sha256").update(`totp:${requireSecret()}`).digest();
+
+/*
+  TOTP secrets are stored AES-256-GCM encrypted as iv.tag.ciphertext (base64url)
+  so a database dump alone is not enough to mint codes.
+*/
+export const encryptTwoFactorSecret = (plainSecret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(String(plainSecret), "utf8"),
+    cipher.final(),
+  ]);
+  const tag = cipher.getAuthTag();
+
+  return [iv, tag, encrypted].map((part) => part.toString("base64url")).join(".");
+};
+
+export const decryptTwoFactorSecret = (storedSecret) => {
+  const [iv, tag, encrypted] = String(storedSecret ?? "")
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+
+  if (!iv?.length || !tag?.length || !encrypted?.length) {
+    throw new ApiError(500, "Stored two-factor secret is corrupted");
+  }
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+const normalizeRecoveryCode = (value) =>
+  String(value ?? "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "");
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(`${requireSecret()}:${normalizeRecoveryCode(code)}`)
+    .digest("hex");
+
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  const codes = [];
+
+  for (let i = 0; i < count; i += 1) {
+    const bytes = crypto.randomBytes(10);
+    const raw = [...bytes]
+      .map((byte) => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length])
+      .join("");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashes: codes.map(hashRecoveryCode),
+  };
+};
+
+/*
+  Verifies a TOTP code or a one-time recovery code for a user with 2FA
+  enabled. Successful TOTP steps and recovery codes are consumed atomically
+  so the same value cannot be replayed.
+*/
+export const verifyUserSecondFactor = async ({ userId, code, recoveryCode }) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: {
+      id: true,
+      twoFactorEnabled: true,
+      twoFactorSecret: true,
+      twoFactorLastUsedStep: true,
+      twoFactorRecoveryCodes: true,
+    },
+  });
+
+  if (!user?.twoFactorEnabled || !user.twoFactorSecret) {
+    throw new ApiError(400, "Two-factor authentication is not enabled");
+  }
+
+  if (code) {
+    const matchedStep = verifyTotp({
+      secret: decryptTwoFactorSecret(user.twoFactorSecret),
+      token: code,
+    });
+
+    if (matchedStep === null) return { verified: false };
+    if (user.twoFactorLastUsedStep !== null && matchedStep <= user.twoFactorLastUsedStep) {
+      return { verified: false, replay: true };
+    }
+
+    const result = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        OR: [
+          { twoFactorLastUsedStep: null },
+          { twoFactorLastUsedStep: { lt: matchedStep } },
+        ],
+      },
+      data: { twoFactorLastUsedStep: matchedStep },
+    });
+
+    return { verified: result.count > 0, method: "TOTP" };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!user.twoFactorRecoveryCodes.includes(hash)) {
+      return { verified: false };
+    }
+
+    const remainingCodes = user.twoFactorRecoveryCodes.filter((item) => item !== hash);
+    const result = await prisma.user.updateMany({
+      where: {
+        id: user.id,
+        twoFactorRecoveryCodes: { has: hash },
+      },
+      data: { twoFactorRecoveryCodes: remainingCodes },
+    });
+
+    return {
+      verified: result.count > 0,
+      method: "RECOVERY_CODE",
+      remainingRecoveryCodes: remainingCodes.length,
+    };
+  }
+
+  return { verified: false };
+};
+
+export const assertSecondFactor = async ({ userId, code, recoveryCode }) => {
+  if (!code && !recoveryCode) {
+    throw new ApiError(400, "Two-factor code or recovery code is required");
+  }
+
+  const result = await verifyUserSecondFactor({ userId, code, recoveryCode });
+  if (!result.verified) {
+    throw new ApiError(401, "Invalid two-factor code");
+  }
+
+  return result;
+};
+
+// `authMethod` is the first factor, carried so the session records how it began.
+export const createTwoFactorChallengeToken = (user, { authMethod = null } = {}) =>
+  jwt.sign(
+    {
+      uid: user.id,
+      amr: authMethod,
+      purpose: TWO_FACTOR_CHALLENGE_PURPOSE,
+    },
+    requireSecret(),
+    { expiresIn: TWO_FACTOR_CHALLENGE_EXPIRY }
+  );
+
+export const verifyTwoFactorChallengeToken = (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token ?? ""), requireSecret());
+  } catch {
+    throw new ApiError(401, "Two-factor challenge expired. Login again.");
+  }
+
+  if (payload?.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE || !payload?.uid) {
+    throw new ApiError(401, "Invalid two-factor challenge");
+  }
+
+  return payload;
+};
+
+export const markSessionTwoFactorVerified = async (sessionId) => {
+  if (!sessionId) return null;
+  return prisma.userSession.update({
+    where: { id: sessionId },
+    data: { twoFactorVerifiedAt: new Date() },
+  });
+};
+
+export const isTwoFactorFresh = (session, now = Date.now()) =>
+  Boolean(session?.twoFactorVerifiedAt) &&
+  now - session.twoFactorVerifiedAt.getTime() <= STEP_UP_WINDOW_MS;
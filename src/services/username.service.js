@@ -0,0 +1,146 @@
+import prisma from "../db/prisma.js";
+import ApiError from "../utils/ApiError.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USERNAME_PATTERN = /^[a-z0-9_]{3,30}$/;
+
+const toPositiveInt = (value, fallback) => {
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 1) return fallback;
+  return Math.floor(parsed);
+};
+
+// How long an old handle stays reserved for its previous owner.
+export const USERNAME_HOLD_DAYS = toPositiveInt(process.env.USERNAME_HOLD_DAYS, 30);
+// Minimum gap between two handle changes by the same user.
+export const USERNAME_CHANGE_COOLDOWN_DAYS = toPositiveInt(
+  process.env.USERNAME_CHANGE_COOLDOWN_DAYS,
+  14
+);
+
+export const normalizeUsernameInput = (value) => {
+  const username = String(value ?? "").trim().replace(/^@/, "").toLowerCase();
+
+  if (!USERNAME_PATTERN.test(username)) {
+    throw new ApiError(
+      400,
+      "Username must be 3-30 characters using letters, numbers or underscores"
+    );
+  }
+
+  return username;
+};
+
+export const getNextUsernameChangeAt = (lastChangedAt) =>
+  lastChangedAt
+    ? new Date(new Date(lastChangedAt).getTime() + USERNAME_CHANGE_COOLDOWN_DAYS * DAY_MS)
+    : null;
+
+/*
+  A handle is taken when a user has it now, or when someone gave it up
+  within the hold window. The previous owner can always take it back.
+*/
+export const isUsernameTaken = async (username, { exceptUserId = null, client = prisma } = {}) => {
+  const owner = await client.user.findUnique({ where: { username }, select: { id: true } });
+  if (owner && owner.id !== exceptUserId) return true;
+
+  const hold = await client.usernameHistory.findFirst({
+    where: {
+      username,
+      releasedAt: { gt: new Date() },
+      ...(exceptUserId ? { userId: { not: exceptUserId } } : {}),
+    },
+    select: { id: true },
+  });
+  return Boolean(hold);
+};
+
+export const changeUsername = async ({ userId, username }) => {
+  const nextUsername = normalizeUsernameInput(username);
+
+  try {
+    return await prisma.$transaction(async (tx) => {
+      const user = await tx.user.findUnique({
+        where: { id: userId },
+        select: { username: true },
+      });
+
+      if (!user) {
+        throw new ApiError(404, "User not found");
+      }
+      if (user.username === nextUsername) {
+        throw new ApiError(400, "This is already your username");
+      }
+
+      const lastChange = await tx.usernameHistory.findFirst({
+        where: { userId },
+        orderBy: { changedAt: "desc" },
+        select: { changedAt: true },
+      });
+      const nextChangeAt = getNextUsernameChangeAt(lastChange?.changedAt);
+      if (nextChangeAt && nextChangeAt > new Date()) {
+        throw new ApiError(
+          429,
+          `You can change your username again after ${nextChangeAt.toISOString()}`
+        );
+      }
+
+      if (await isUsernameTaken(nextUsername, { exceptUserId: userId, client: tx })) {
+        throw new ApiError(409, "Username is not available");
+      }
+
+      const now = new Date();
+      if (user.username) {
+        await tx.usernameHistory.create({
+          data: {
+            userId,
+            username: user.username,
+            changedAt: now,
+            releasedAt: new Date(now.getTime() + USERNAME_HOLD_DAYS * DAY_MS),
+          },
+        });
+      }
+
+      // Reclaiming an old handle ends its hold.
+      await tx.usernameHistory.updateMany({
+        where: { userId, username: nextUsername, releasedAt: { gt: now } },
+        data: { releasedAt: now },
+      });
+
+      return tx.user.update({
+        where: { id: userId },
+        data: { username: nextUsername },
+        select: { id: true, username: true },
+      });
+    });
+  } catch (error) {
+    if (error?.code === "P2002") {
+      throw new ApiError(409, "Username is not available");
+    }
+    throw error;
+  }
+};
+
+/*
+  Resolves a handle to its current channel. Old handles keep working and
+  report the handle they came from so clients can redirect to the canonical
+  URL.
+*/
+export const resolveChannelByUsername = async (handle, { select }) => {
+  const username = String(handle ?? "").trim().replace(/^@/, "").toLowerCase();
+  if (!username) return null;
+
+  const channel = await prisma.user.findUnique({ where: { username }, select });
+  if (channel) {
+    return { channel, redirectedFrom: null };
+  }
+
+  const previous = await prisma.usernameHistory.findFirst({
+    where: { username, user: { isDeleted: false } },
+    orderBy: { changedAt: "desc" },
+    select: { user: { select } },
+  });
+
+  if (!previous?.user) return null;
+  return { channel: previous.user, redirectedFrom: username };
+};
@@ -0,0 +1,615 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import prisma from "../db/prisma.js";
+import { metrics } from "../observability/usage.metrics.js";
+import { enqueueVideoProcessing } from "../queue/video.producer.js";
+import { getVideoQueue } from "../queue/video.queue.js";
+import { getStorageFor } from "../storage/index.js";
+import ApiError from "../utils/ApiError.js";
+import { generateVideoThumbnail } from "../utils/cloudinaryThumbnail.js";
+import {
+  buildVideoStreamingPayload,
+  normalizeAvailableQualities,
+} from "../utils/videoQuality.js";
+import { enqueueBackgroundJob } from "./backgroundJob.service.js";
+import { ChannelNotificationAudience } from "./notification.service.js";
+import { recordDeadLetter, resolveDeadLetters } from "./deadLetter.service.js";
+import { queueScheduledPublish } from "./scheduledPublish.service.js";
+import { transcribeVideoAudio } from "./speechToText.service.js";
+import {
+  TRANSCODER_UNAVAILABLE,
+  extractVideoFrame,
+  isTranscodingEnabled,
+  probeVideo,
+  transcodeVideoToHls,
+} from "./videoTranscode.service.js";
+
+/*
+  Video processing runs as ordered steps, each with its own
+  VideoProcessingJob row (keyed `<videoId>:<step>`). A rerun — BullMQ retry,
+  stalled job, manual requeue — skips steps that already completed and feeds
+  their stored results to the remaining ones, so a crash while publishing
+  never repeats the transcode.
+*/
+
+export const VIDEO_PIPELINE_STEPS = Object.freeze([
+  "PROBE",
+  "TRANSCODE",
+  "THUMBNAILS",
+  "TRANSCRIPT",
+  "MODERATION_SCAN",
+  "PUBLISH",
+]);
+
+// `weight` is the step's share of Video.processingProgress; weights sum to 100.
+export const VIDEO_PIPELINE_POLICIES = Object.freeze({
+  PROBE: { maxAttempts: 3, backoffMs: 2000, weight: 5 },
+  TRANSCODE: { maxAttempts: 2, backoffMs: 10000, weight: 65 },
+  THUMBNAILS: { maxAttempts: 3, backoffMs: 2000, weight: 5 },
+  TRANSCRIPT: { maxAttempts: 3, backoffMs: 5000, weight: 15 },
+  MODERATION_SCAN: { maxAttempts: 2, backoffMs: 1000, weight: 5 },
+  PUBLISH: { maxAttempts: 5, backoffMs: 1000, weight: 5 },
+});
+
+const PROCESSING_CANCELLED = "PROCESSING_CANCELLED";
+const VIDEO_DELETED_DURING_PROCESSING = "VIDEO_DELETED_DURING_PROCESSING";
+const MAX_STEP_ERROR_LENGTH = 1000;
+
+const parseTermList = (value) =>
+  String(value ?? "")
+    .split(",")
+    .map((term) => term.trim().toLowerCase())
+    .filter(Boolean);
+
+const MODERATION_BLOCKED_TERMS = parseTermList(process.env.MODERATION_BLOCKED_TERMS);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const clampProgress = (value) => Math.min(100, Math.max(0, Number(value) || 0));
+
+export const toOverallProgress = (step, stepProgress = 0) => {
+  let completedWeight = 0;
+  for (const candidate of VIDEO_PIPELINE_STEPS) {
+    if (candidate === step) break;
+    completedWeight += VIDEO_PIPELINE_POLICIES[candidate].weight;
+  }
+
+  const stepWeight = VIDEO_PIPELINE_POLICIES[step]?.weight ?? 0;
+  return Math.round(completedWeight + (stepWeight * clampProgress(stepProgress)) / 100);
+};
+
+export const orderPipelineSteps = (records) =>
+  [...records]
+    .filter((record) => VIDEO_PIPELINE_STEPS.includes(record.step))
+    .sort(
+      (a, b) => VIDEO_PIPELINE_STEPS.indexOf(a.step) - VIDEO_PIPELINE_STEPS.indexOf(b.step)
+    );
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+export const scanForBlockedTerms = (texts, terms = MODERATION_BLOCKED_TERMS) => {
+  const haystack = texts.filter(Boolean).join("\n").toLowerCase();
+  if (!haystack || terms.length === 0) return [];
+
+  return [...new Set(terms)].filter((term) =>
+    new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, "u").test(haystack)
+  );
+};
+
+export const assertProcessingActive = async (videoId) => {
+  const video = await prisma.video.findUnique({
+    where: { id: videoId },
+    select: { processingStatus: true },
+  });
+
+  if (!video) throw new Error(VIDEO_DELETED_DURING_PROCESSING);
+  if (video.processingStatus === "CANCELLED") throw new Error(PROCESSING_CANCELLED);
+};
+
+export const isPipelineInterruption = (error) =>
+  [PROCESSING_CANCELLED, VIDEO_DELETED_DURING_PROCESSING].includes(error?.message);
+
+const loadPipelineVideo = (videoId) =>
+  prisma.video.findUnique({
+    where: { id: videoId },
+    select: {
+      id: true,
+      title: true,
+      description: true,
+      thumbnail: true,
+      videoFile: true,
+      playbackUrl: true,
+      availableQualities: true,
+      duration: true,
+      storageProvider: true,
+      isShort: true,
+      ownerId: true,
+      publishAt: true,
+      publishedAt: true,
+      visibility: true,
+      owner: {
+        select: {
+          fullName: true,
+          username: true,
+        },
+      },
+      tags: {
+        select: {
+          tag: { select: { name: true } },
+        },
+      },
+      transcripts: {
+        select: { transcript: true },
+      },
+    },
+  });
+
+/* ---------- STEPS ---------- */
+
+const probeStep = async ({ video }) => {
+  if (!isTranscodingEnabled()) return { skipped: "TRANSCODING_DISABLED" };
+
+  try {
+    return await probeVideo(video.videoFile);
+  } catch (error) {
+    if (error?.code !== TRANSCODER_UNAVAILABLE) throw error;
+    console.warn("Transcoding skipped, ffmpeg is not available:", error.message);
+    return { skipped: TRANSCODER_UNAVAILABLE };
+  }
+};
+
+/*
+  Real HLS output when the probe ran; otherwise the Cloudinary URL
+  transformations stand in for renditions, as before transcoding existed.
+*/
+const transcodeStep = async ({ videoId, video, results, reportProgress }) => {
+  const source = results.PROBE;
+  let update;
+
+  if (source?.skipped) {
+    const streaming = buildVideoStreamingPayload({
+      sourceUrl: video.videoFile,
+      playbackUrl: video.playbackUrl,
+      availableQualities: video.availableQualities,
+    });
+
+    update = {
+      playbackUrl: streaming.selectedPlaybackUrl,
+      masterPlaylistUrl: streaming.masterPlaylistUrl,
+      availableQualities: streaming.availableQualities,
+    };
+  } else {
+    const transcoded = await transcodeVideoToHls({
+      videoId,
+      sourceUrl: video.videoFile,
+      source,
+      storage: getStorageFor(video.storageProvider),
+      onRenditionStart: async (rendition, index, total) => {
+        await assertProcessingActive(videoId);
+        await reportProgress(
+          (index / total) * 100,
+          `TRANSCODING_${rendition.quality.toUpperCase()}`
+        );
+      },
+      onRenditionComplete: (rendition, index, total) =>
+        reportProgress(
+          ((index + 1) / total) * 100,
+          `TRANSCODED_${rendition.quality.toUpperCase()}`
+        ),
+    });
+
+    update = {
+      playbackUrl: transcoded.masterPlaylistUrl,
+      masterPlaylistUrl: transcoded.masterPlaylistUrl,
+      availableQualities: normalizeAvailableQualities(
+        transcoded.renditions.map((rendition) => rendition.quality)
+      ),
+      hlsRenditions: transcoded.renditions,
+      hlsStoragePrefix: transcoded.prefix,
+      ...(!video.duration &&
+        source.durationSeconds && { duration: Math.round(source.durationSeconds) }),
+    };
+  }
+
+  await prisma.video.update({
+    where: { id: videoId },
+    data: update,
+  });
+
+  return {
+    availableQualities: update.availableQualities,
+    hls: Boolean(update.hlsStoragePrefix),
+  };
+};
+
+const thumbnailsStep = async ({ videoId, video, results }) => {
+  if (video.thumbnail) return { skipped: "HAS_THUMBNAIL" };
+
+  const source = results.PROBE;
+  if (source && !source.skipped) {
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "vixora-thumbnail-"));
+    try {
+      const framePath = await extractVideoFrame({
+        sourceUrl: video.videoFile,
+        atSeconds: Math.min(3, (source.durationSeconds || 0) / 2),
+        outputPath: path.join(workDir, "frame.jpg"),
+      });
+      const stored = await getStorageFor(video.storageProvider).uploadFile(framePath, {
+        folder: `thumbnails/${video.ownerId}`,
+        resourceType: "image",
+        contentType: "image/jpeg",
+      });
+
+      await prisma.video.update({
+        where: { id: videoId },
+        data: { thumbnail: stored.url, thumbnailPublicId: stored.publicId },
+      });
+      return { source: "FRAME", publicId: stored.publicId };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  const autoThumbnail = generateVideoThumbnail(video.videoFile);
+  if (!autoThumbnail) return { skipped: "NO_FRAME_SOURCE" };
+
+  await prisma.video.update({
+    where: { id: videoId },
+    data: { thumbnail: autoThumbnail },
+  });
+  return { source: "URL_TRANSFORMATION" };
+};
+
+// Uploads that came with a transcript keep it; the rest go to speech-to-text.
+const transcriptStep = async ({ video, results, reportProgress }) => {
+  if (video.transcripts.length > 0) return { skipped: "ALREADY_PRESENT" };
+
+  return transcribeVideoAudio({ video, source: results.PROBE, reportProgress });
+};
+
+const moderationScanStep = async ({ video }) => {
+  const matches = scanForBlockedTerms([
+    video.title,
+    video.description,
+    ...video.tags.map((entry) => entry.tag?.name),
+    ...video.transcripts.map((track) => track.transcript),
+  ]);
+
+  return { flagged: matches.length > 0, matches };
+};
+
+/*
+  Flagged videos finish processing but stay unpublished until a moderator
+  publishes them from the admin panel. Videos with a future `publishAt` stay
+  unpublished too, and the scheduled-publish job takes over from here.
+*/
+const publishStep = async ({ videoId, video, results }) => {
+  const heldForReview = Boolean(results.MODERATION_SCAN?.flagged);
+  const scheduledFor =
+    !heldForReview && video.publishAt && new Date(video.publishAt) > new Date()
+      ? new Date(video.publishAt)
+      : null;
+  const publishNow = !heldForReview && !scheduledFor;
+
+  let processingStep = "DONE";
+  if (heldForReview) processingStep = "HELD_FOR_REVIEW";
+  else if (scheduledFor) processingStep = "SCHEDULED";
+
+  // Retries of this step must not add a second baseline snapshot.
+  const baselineSnapshot = await prisma.videoAnalyticsSnapshot.findFirst({
+    where: { videoId },
+    select: { id: true },
+  });
+
+  if (!baselineSnapshot) {
+    await prisma.videoAnalyticsSnapshot.create({
+      data: {
+        videoId,
+        views: 0,
+        likes: 0,
+        comments: 0,
+        shares: 0,
+        watchTimeSeconds: 0,
+        snapshotDate: new Date(),
+      },
+    });
+  }
+
+  await prisma.video.update({
+    where: { id: videoId },
+    data: {
+      processingStatus: "COMPLETED",
+      processingCompletedAt: new Date(),
+      processingProgress: 100,
+      processingStep,
+      isPublished: publishNow,
+      ...(publishNow && { publishedAt: video.publishedAt ?? new Date() }),
+      isHlsReady: true,
+      // A schedule that lapsed while processing publishes right away.
+      ...(publishNow && video.publishAt && { publishAt: null }),
+    },
+  });
+
+  if (heldForReview) {
+    return { published: false, heldForReview };
+  }
+
+  if (scheduledFor) {
+    await queueScheduledPublish({
+      targetType: "VIDEO",
+      targetId: videoId,
+      publishAt: scheduledFor,
+    });
+
+    return { published: false, heldForReview, scheduledFor: scheduledFor.toISOString() };
+  }
+
+  // Unlisted and private videos go live quietly.
+  if (video.visibility !== "PUBLIC") {
+    return { published: true, heldForReview };
+  }
+
+  try {
+    const channelName =
+      video.owner?.fullName ||
+      video.owner?.username ||
+      "A channel you follow";
+
+    await enqueueBackgroundJob("NOTIFICATION", {
+      channelId: video.ownerId,
+      senderId: video.ownerId,
+      activityType: video.isShort ? "SHORT_PUBLISHED" : "VIDEO_PUBLISHED",
+      audience: ChannelNotificationAudience.ALL_AND_PERSONALIZED,
+      title: video.isShort ? "New short uploaded" : "New video uploaded",
+      message: `${channelName} uploaded "${video.title}"`,
+      videoId,
+      extraData: {
+        channelName,
+        isShort: video.isShort,
+        videoTitle: video.title,
+      },
+    }, { correlationId: video.ownerId });
+  } catch (notificationError) {
+    console.error(
+      "Notification could not be queued (pipeline):",
+      notificationError?.message || notificationError
+    );
+  }
+
+  return { published: true, heldForReview };
+};
+
+const STEP_HANDLERS = Object.freeze({
+  PROBE: probeStep,
+  TRANSCODE: transcodeStep,
+  THUMBNAILS: thumbnailsStep,
+  TRANSCRIPT: transcriptStep,
+  MODERATION_SCAN: moderationScanStep,
+  PUBLISH: publishStep,
+});
+
+/* ---------- RUNNER ---------- */
+
+const runStep = async ({ videoId, step, record, video, results }) => {
+  const policy = VIDEO_PIPELINE_POLICIES[step];
+
+  const reportProgress = async (progress, currentStep = step) => {
+    await prisma.videoProcessingJob.update({
+      where: { id: record.id },
+      data: { progress: clampProgress(progress), currentStep },
+    });
+    await prisma.video.update({
+      where: { id: videoId },
+      data: {
+        processingProgress: toOverallProgress(step, progress),
+        processingStep: currentStep,
+      },
+    });
+  };
+
+  for (let attempt = 1; ; attempt += 1) {
+    await prisma.videoProcessingJob.update({
+      where: { id: record.id },
+      data: {
+        status: "PROCESSING",
+        attempts: { increment: 1 },
+        progress: 0,
+        currentStep: step,
+        error: null,
+        startedAt: new Date(),
+        completedAt: null,
+      },
+    });
+    await reportProgress(0, step);
+
+    try {
+      const result = (await STEP_HANDLERS[step]({ videoId, video, results, reportProgress })) ?? {};
+
+      await prisma.videoProcessingJob.update({
+        where: { id: record.id },
+        data: {
+          status: "COMPLETED",
+          progress: 100,
+          currentStep: null,
+          result,
+          completedAt: new Date(),
+        },
+      });
+      return result;
+    } catch (error) {
+      const interrupted = isPipelineInterruption(error);
+      const exhausted = interrupted || attempt >= policy.maxAttempts;
+
+      await prisma.videoProcessingJob.update({
+        where: { id: record.id },
+        data: {
+          status: error?.message === PROCESSING_CANCELLED ? "CANCELLED" : exhausted ? "FAILED" : "PENDING",
+          error: String(error?.message || error).slice(0, MAX_STEP_ERROR_LENGTH),
+        },
+      }).catch(() => null);
+
+      if (exhausted) {
+        error.step = step;
+        throw error;
+      }
+
+      console.warn(
+        `Video ${videoId} step ${step} failed (attempt ${attempt}/${policy.maxAttempts}), retrying:`,
+        error?.message || error
+      );
+      await sleep(policy.backoffMs * 2 ** (attempt - 1));
+    }
+  }
+};
+
+export const runVideoPipeline = async (videoId) => {
+  await assertProcessingActive(videoId);
+
+  await prisma.videoProcessingJob.createMany({
+    data: VIDEO_PIPELINE_STEPS.map((step) => ({
+      videoId,
+      step,
+      idempotencyKey: `${videoId}:${step}`,
+      maxAttempts: VIDEO_PIPELINE_POLICIES[step].maxAttempts,
+    })),
+    skipDuplicates: true,
+  });
+
+  const records = await prisma.videoProcessingJob.findMany({
+    where: { videoId, step: { not: null } },
+  });
+  const recordsByStep = new Map(records.map((record) => [record.step, record]));
+
+  await prisma.video.update({
+    where: { id: videoId },
+    data: {
+      processingStatus: "PROCESSING",
+      processingStartedAt: new Date(),
+      processingError: null,
+    },
+  });
+
+  const results = {};
+  for (const step of VIDEO_PIPELINE_STEPS) {
+    const record = recordsByStep.get(step);
+
+    if (record.status === "COMPLETED") {
+      results[step] = record.result ?? {};
+      continue;
+    }
+
+    await assertProcessingActive(videoId);
+
+    // Reloaded per step so later steps see what earlier ones wrote.
+    const video = await loadPipelineVideo(videoId);
+    if (!video) throw new Error(VIDEO_DELETED_DURING_PROCESSING);
+
+    results[step] = await runStep({ videoId, step, record, video, results });
+  }
+
+  return results;
+};
+
+export const markVideoProcessingFailed = async (videoId, error) => {
+  const message = error?.message || "Video processing failed";
+
+  await prisma.video.update({
+    where: { id: videoId },
+    data: {
+      processingStatus: "FAILED",
+      processingError: error?.step ? `${error.step}: ${message}` : message,
+    },
+  }).catch(() => null);
+};
+
+/* ---------- DISPATCH ---------- */
+
+// Runs in-process when Redis is unavailable; there is no outer retry here.
+export const processVideoWithoutQueue = async (videoId) => {
+  try {
+    await runVideoPipeline(videoId);
+  } catch (error) {
+    if (isPipelineInterruption(error)) return;
+
+    console.error("Fallback video processing failed:", error?.message || error);
+    await markVideoProcessingFailed(videoId, error);
+    await recordDeadLetter({
+      jobType: "VIDEO_PROCESSING",
+      correlationId: videoId,
+      payload: { queue: null, data: { videoId } },
+      error,
+    });
+  }
+};
+
+export const startVideoProcessing = async ({ videoId, userId, videoUrl }) => {
+  let queued = null;
+  try {
+    queued = await enqueueVideoProcessing({ videoId, userId, videoUrl });
+  } catch (error) {
+    console.error("Queue enqueue failed. Falling back to direct processing:", error?.message || error);
+  }
+
+  if (!queued) {
+    metrics.recordQueueEvent("fallbackDirectProcessing");
+    processVideoWithoutQueue(videoId);
+  }
+
+  return queued;
+};
+
+/*
+  Failed and cancelled steps go back to PENDING; completed ones are kept,
+  so the rerun resumes at the step that failed.
+*/
+export const retryFailedVideoProcessing = async ({ videoId, retriedBy }) => {
+  const video = await prisma.video.findUnique({
+    where: { id: videoId },
+    select: { id: true, ownerId: true, videoFile: true, isDeleted: true },
+  });
+
+  if (!video || video.isDeleted) throw new ApiError(404, "Video not found");
+
+  const claimed = await prisma.video.updateMany({
+    where: { id: videoId, processingStatus: "FAILED" },
+    data: {
+      processingStatus: "PENDING",
+      processingError: null,
+      processingStep: "RETRY_QUEUED",
+    },
+  });
+
+  if (claimed.count !== 1) {
+    throw new ApiError(409, "Only failed video processing can be retried");
+  }
+
+  await prisma.videoProcessingJob.updateMany({
+    where: { videoId, step: { not: null }, status: { in: ["FAILED", "CANCELLED"] } },
+    data: { status: "PENDING", error: null },
+  });
+
+  // BullMQ keeps failed jobs for inspection; the stale one blocks re-adding its jobId.
+  try {
+    const staleJob = await getVideoQueue()?.getJob(`video-${videoId}`);
+    if (staleJob && (await staleJob.getState()) === "failed") {
+      await staleJob.remove();
+    }
+  } catch (error) {
+    console.warn("Could not clear failed queue job:", error?.message || error);
+  }
+
+  await resolveDeadLetters({
+    jobType: "VIDEO_PROCESSING",
+    correlationId: videoId,
+    retriedBy,
+  });
+
+  const queued = await startVideoProcessing({
+    videoId,
+    userId: video.ownerId,
+    videoUrl: video.videoFile,
+  });
+
+  return { videoId, queued: Boolean(queued) };
+};
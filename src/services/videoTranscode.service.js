@@ -0,0 +1,394 @@
+import { spawn } from "child_process";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { QUALITY_HEIGHTS_DESC } from "../utils/videoQuality.js";
+
+const cleanEnv = (value) => String(value ?? "").trim();
+
+const parseBool = (value, defaultValue = false) => {
+  const normalized = cleanEnv(value).toLowerCase();
+  if (!normalized) return defaultValue;
+  return ["1", "true", "yes", "on"].includes(normalized);
+};
+
+const parsePositiveInt = (value, fallbackValue) => {
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 1) return fallbackValue;
+  return parsed;
+};
+
+const FFMPEG_PATH = cleanEnv(process.env.FFMPEG_PATH) || "ffmpeg";
+const FFPROBE_PATH = cleanEnv(process.env.FFPROBE_PATH) || "ffprobe";
+const TRANSCODE_PRESET = cleanEnv(process.env.TRANSCODE_PRESET) || "veryfast";
+const HLS_SEGMENT_SECONDS = parsePositiveInt(process.env.HLS_SEGMENT_SECONDS, 6);
+const HLS_UPLOAD_CONCURRENCY = parsePositiveInt(process.env.HLS_UPLOAD_CONCURRENCY, 4);
+const TRANSCODE_TIMEOUT_MS =
+  parsePositiveInt(process.env.TRANSCODE_TIMEOUT_SECONDS, 3600) * 1000;
+const PROBE_TIMEOUT_MS = 60 * 1000;
+const MAX_PROCESS_ERROR_CHARS = 4000;
+
+/*
+  Uploads are stored without content checks, so ffmpeg is pinned to plain
+  media containers: playlist and list demuxers (hls, concat, ffconcat) would
+  open the URLs written inside a crafted file. Local paths may only use
+  `file`; remote sources only http(s) and the transports under it, which
+  reach no further than the single storage URL being read.
+*/
+const SOURCE_FORMAT_WHITELIST = "mov,matroska,avi,flv,mpegts,mpeg,asf,ogg";
+const LOCAL_SOURCE_PROTOCOLS = "file";
+const REMOTE_SOURCE_PROTOCOLS = "http,https,tcp,tls";
+
+const sourceInputArgs = (source) => [
+  "-protocol_whitelist",
+  /^https?:\/\//i.test(source) ? REMOTE_SOURCE_PROTOCOLS : LOCAL_SOURCE_PROTOCOLS,
+  "-format_whitelist",
+  SOURCE_FORMAT_WHITELIST,
+  "-i",
+  source,
+];
+
+export const TRANSCODER_UNAVAILABLE = "TRANSCODER_UNAVAILABLE";
+
+export const isTranscodingEnabled = () =>
+  parseBool(process.env.VIDEO_TRANSCODING_ENABLED, true);
+
+// Target bitrates per rendition, roughly the usual H.264 ladder.
+const RENDITION_BITRATES_KBPS = Object.freeze({
+  2160: { video: 14000, audio: 192 },
+  1440: { video: 8000, audio: 192 },
+  1080: { video: 5000, audio: 128 },
+  720: { video: 2800, audio: 128 },
+  480: { video: 1400, audio: 96 },
+  360: { video: 800, audio: 96 },
+  240: { video: 400, audio: 64 },
+  144: { video: 200, audio: 64 },
+});
+
+const PLAYLIST_CONTENT_TYPE = "application/vnd.apple.mpegurl";
+const SEGMENT_CONTENT_TYPE = "video/mp2t";
+
+/*
+  A stalled network read or a pathological file would otherwise hold the job
+  lease forever, so the child is killed once `timeoutMs` passes.
+*/
+const runProcess = (command, args, { timeoutMs = TRANSCODE_TIMEOUT_MS } = {}) =>
+  new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: ["ignore", "pipe", "pipe"] });
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+
+    const timer = setTimeout(() => {
+      timedOut = true;
+      child.kill("SIGKILL");
+    }, timeoutMs);
+
+    child.stdout.on("data", (chunk) => {
+      stdout += chunk.toString();
+    });
+    child.stderr.on("data", (chunk) => {
+      stderr = (stderr + chunk.toString()).slice(-MAX_PROCESS_ERROR_CHARS);
+    });
+
+    child.on("error", (error) => {
+      clearTimeout(timer);
+      if (error?.code === "ENOENT") {
+        const unavailable = new Error(`${command} is not installed`);
+        unavailable.code = TRANSCODER_UNAVAILABLE;
+        reject(unavailable);
+        return;
+      }
+      reject(error);
+    });
+
+    child.on("close", (code) => {
+      clearTimeout(timer);
+      if (timedOut) {
+        reject(
+          new Error(`${path.basename(command)} timed out after ${Math.round(timeoutMs / 1000)}s`)
+        );
+        return;
+      }
+      if (code === 0) {
+        resolve(stdout);
+        return;
+      }
+      const lastLine = stderr.trim().split("\n").pop() || "no output";
+      reject(new Error(`${path.basename(command)} exited with code ${code}: ${lastLine}`));
+    });
+  });
+
+const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/*
+  Phones store portrait video as landscape frames plus a rotation flag, so
+  the display size swaps width and height for quarter turns.
+*/
+export const readProbeResult = (probe) => {
+  const streams = Array.isArray(probe?.streams) ? probe.streams : [];
+  const video = streams.find((stream) => stream.codec_type === "video");
+
+  if (!video || !(video.width > 0) || !(video.height > 0)) {
+    throw new Error("Source has no readable video stream");
+  }
+
+  const rotationSource =
+    video.side_data_list?.find((entry) => entry?.rotation !== undefined)?.rotation ??
+    video.tags?.rotate ??
+    0;
+  const isQuarterTurn = Math.abs(Number(rotationSource) || 0) % 180 === 90;
+
+  const duration = Number(probe?.format?.duration ?? video.duration);
+
+  return {
+    width: isQuarterTurn ? video.height : video.width,
+    height: isQuarterTurn ? video.width : video.height,
+    durationSeconds: Number.isFinite(duration) && duration > 0 ? duration : null,
+    hasAudio: streams.some((stream) => stream.codec_type === "audio"),
+  };
+};
+
+export const probeVideo = async (source) => {
+  const output = await runProcess(
+    FFPROBE_PATH,
+    [
+      "-v",
+      "error",
+      "-print_format",
+      "json",
+      "-show_format",
+      "-show_streams",
+      ...sourceInputArgs(source),
+    ],
+    { timeoutMs: PROBE_TIMEOUT_MS }
+  );
+
+  return readProbeResult(JSON.parse(output));
+};
+
+/*
+  Quality labels follow the short side, so a 1080x1920 short is "1080p".
+  Sources are never upscaled; one smaller than the lowest rung still gets
+  a single rendition at its own size.
+*/
+export const planHlsRenditions = ({ width, height }) => {
+  const shortSide = Math.min(width, height);
+  const heights = QUALITY_HEIGHTS_DESC.filter((candidate) => candidate <= shortSide);
+  const targets = heights.length > 0 ? heights : [QUALITY_HEIGHTS_DESC.at(-1)];
+
+  return targets.map((target) => {
+    const ratio = Math.min(target, shortSide) / shortSide;
+    const bitrates = RENDITION_BITRATES_KBPS[target];
+
+    return {
+      quality: `${target}p`,
+      width: toEven(width * ratio),
+      height: toEven(height * ratio),
+      videoKbps: bitrates.video,
+      audioKbps: bitrates.audio,
+      bandwidth: Math.round((bitrates.video * 1.1 + bitrates.audio) * 1000),
+    };
+  });
+};
+
+const buildRenditionArgs = ({ source, workDir, rendition }) => [
+  "-hide_banner",
+  "-nostdin",
+  "-y",
+  ...sourceInputArgs(source),
+  "-map",
+  "0:v:0",
+  "-map",
+  "0:a:0?",
+  "-vf",
+  `scale=${rendition.width}:${rendition.height}`,
+  "-c:v",
+  "libx264",
+  "-preset",
+  TRANSCODE_PRESET,
+  "-profile:v",
+  "main",
+  "-pix_fmt",
+  "yuv420p",
+  "-b:v",
+  `${rendition.videoKbps}k`,
+  "-maxrate",
+  `${Math.round(rendition.videoKbps * 1.1)}k`,
+  "-bufsize",
+  `${rendition.videoKbps * 2}k`,
+  // Keyframes on segment boundaries so every rendition switches cleanly.
+  "-force_key_frames",
+  `expr:gte(t,n_forced*${HLS_SEGMENT_SECONDS})`,
+  "-c:a",
+  "aac",
+  "-b:a",
+  `${rendition.audioKbps}k`,
+  "-ac",
+  "2",
+  "-f",
+  "hls",
+  "-hls_time",
+  String(HLS_SEGMENT_SECONDS),
+  "-hls_playlist_type",
+  "vod",
+  "-hls_segment_filename",
+  path.join(workDir, `${rendition.quality}_%05d.ts`),
+  path.join(workDir, `${rendition.quality}.m3u8`),
+];
+
+export const buildMasterPlaylist = (renditions) =>
+  [
+    "#EXTM3U",
+    "#EXT-X-VERSION:3",
+    ...renditions.flatMap((rendition) => [
+      `#EXT-X-STREAM-INF:BANDWIDTH=${rendition.bandwidth},RESOLUTION=${rendition.width}x${rendition.height}`,
+      rendition.playlistUrl,
+    ]),
+    "",
+  ].join("\n");
+
+const isPlaylistUriLine = (line) => line.trim() !== "" && !line.startsWith("#");
+
+const uploadInBatches = async (items, upload) => {
+  const results = [];
+  for (let index = 0; index < items.length; index += HLS_UPLOAD_CONCURRENCY) {
+    const batch = items.slice(index, index + HLS_UPLOAD_CONCURRENCY);
+    results.push(...(await Promise.all(batch.map(upload))));
+  }
+  return results;
+};
+
+/*
+  Storage backends hand out unrelated URLs per object (Cloudinary adds a
+  version segment), so playlists are rewritten to absolute segment URLs
+  instead of relying on relative paths.
+*/
+const publishRendition = async ({ storage, workDir, prefix, rendition }) => {
+  const playlistPath = path.join(workDir, `${rendition.quality}.m3u8`);
+  const lines = (await fs.readFile(playlistPath, "utf8")).split("\n");
+  const segmentNames = lines.filter(isPlaylistUriLine).map((line) => line.trim());
+
+  const uploaded = await uploadInBatches(segmentNames, async (segmentName) => {
+    const stored = await storage.uploadFile(path.join(workDir, segmentName), {
+      publicId: `${prefix}/${segmentName}`,
+      resourceType: "raw",
+      contentType: SEGMENT_CONTENT_TYPE,
+    });
+    return [segmentName, stored.url];
+  });
+  const segmentUrls = new Map(uploaded);
+
+  const rewritten = lines
+    .map((line) => (isPlaylistUriLine(line) ? segmentUrls.get(line.trim()) : line))
+    .join("\n");
+  await fs.writeFile(playlistPath, rewritten);
+
+  const playlist = await storage.uploadFile(playlistPath, {
+    publicId: `${prefix}/${rendition.quality}.m3u8`,
+    resourceType: "raw",
+    contentType: PLAYLIST_CONTENT_TYPE,
+  });
+
+  return playlist.url;
+};
+
+/*
+  Encodes one HLS rendition per quality rung of the probed `source` and
+  uploads segments, media playlists and a master playlist under
+  `hls/<videoId>`. `onRenditionStart`/`onRenditionComplete` let the caller
+  report progress and abort (by throwing) between renditions. Partial output
+  is removed on failure.
+*/
+export const transcodeVideoToHls = async ({
+  videoId,
+  sourceUrl,
+  source,
+  storage,
+  onRenditionStart,
+  onRenditionComplete,
+}) => {
+  const prefix = `hls/${videoId}`;
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), "vixora-transcode-"));
+
+  try {
+    const plan = planHlsRenditions(source);
+
+    const renditions = [];
+    for (const [index, rendition] of plan.entries()) {
+      await onRenditionStart?.(rendition, index, plan.length);
+
+      await runProcess(FFMPEG_PATH, buildRenditionArgs({ source: sourceUrl, workDir, rendition }));
+      const playlistUrl = await publishRendition({ storage, workDir, prefix, rendition });
+
+      renditions.push({
+        quality: rendition.quality,
+        width: rendition.width,
+        height: rendition.height,
+        bandwidth: rendition.bandwidth,
+        playlistUrl,
+      });
+      await onRenditionComplete?.(rendition, index, plan.length);
+    }
+
+    const masterPath = path.join(workDir, "master.m3u8");
+    await fs.writeFile(masterPath, buildMasterPlaylist(renditions));
+    const master = await storage.uploadFile(masterPath, {
+      publicId: `${prefix}/master.m3u8`,
+      resourceType: "raw",
+      contentType: PLAYLIST_CONTENT_TYPE,
+    });
+
+    return {
+      prefix,
+      renditions,
+      masterPlaylistUrl: master.url,
+    };
+  } catch (error) {
+    await storage.deleteFolder(prefix);
+    throw error;
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+};
+
+/*
+  Grabs a single JPEG frame into `outputPath`, scaled to at most 1280 wide.
+*/
+export const extractVideoFrame = async ({ sourceUrl, atSeconds, outputPath }) => {
+  await runProcess(FFMPEG_PATH, [
+    "-hide_banner",
+    "-nostdin",
+    "-y",
+    "-ss",
+    String(Math.max(0, atSeconds)),
+    ...sourceInputArgs(sourceUrl),
+    "-frames:v",
+    "1",
+    "-vf",
+    "scale='min(1280,iw)':-2",
+    "-q:v",
+    "3",
+    outputPath,
+  ]);
+  return outputPath;
+};
+
+// 16 kHz mono FLAC: what speech-to-text models expect, at a fraction of WAV's size.
+export const extractAudioTrack = async ({ sourceUrl, outputPath }) => {
+  await runProcess(FFMPEG_PATH, [
+    "-hide_banner",
+    "-nostdin",
+    "-y",
+    ...sourceInputArgs(sourceUrl),
+    "-vn",
+    "-ac",
+    "1",
+    "-ar",
+    "16000",
+    "-c:a",
+    "flac",
+    outputPath,
+  ]);
+  return outputPath;
+};
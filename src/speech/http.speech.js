@@ -0,0 +1,74 @@
+import { openAsBlob } from "fs";
+import path from "path";
+import {
+  SPEECH_TO_TEXT_HTTP_API_KEY,
+  SPEECH_TO_TEXT_HTTP_TIMEOUT_MS,
+  SPEECH_TO_TEXT_HTTP_URL,
+  SPEECH_TO_TEXT_PROVIDERS,
+} from "../config/speech.config.js";
+
+const MAX_ERROR_CHARS = 500;
+
+const toMs = (msValue, secondsValue) => {
+  const ms = Number(msValue);
+  if (msValue !== undefined && msValue !== null && Number.isFinite(ms)) return Math.round(ms);
+
+  const seconds = Number(secondsValue);
+  return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null;
+};
+
+// Whisper-style `{ start, end }` in seconds, or explicit `{ startMs, endMs }`.
+export const readHttpSpeechSegments = (payload) =>
+  (Array.isArray(payload?.segments) ? payload.segments : [])
+    .map((segment) => ({
+      startMs: toMs(segment?.startMs, segment?.start),
+      endMs: toMs(segment?.endMs, segment?.end),
+      text: String(segment?.text ?? "").trim(),
+    }))
+    .filter((segment) => segment.text && segment.startMs !== null && segment.endMs !== null);
+
+/*
+  POSTs the extracted audio as multipart `file` (plus `language` when a hint
+  is configured) and expects `{ language, segments: [...] }` back. The file is
+  a disk-backed Blob, so long recordings stream instead of sitting in memory.
+*/
+const httpSpeechToText = {
+  name: SPEECH_TO_TEXT_PROVIDERS.HTTP,
+  requiresAudio: true,
+
+  isConfigured: () => Boolean(SPEECH_TO_TEXT_HTTP_URL),
+
+  async transcribe({ audioPath, language = null }) {
+    const form = new FormData();
+    form.append(
+      "file",
+      await openAsBlob(audioPath, { type: "audio/flac" }),
+      path.basename(audioPath)
+    );
+    if (language) form.append("language", language);
+
+    const response = await fetch(SPEECH_TO_TEXT_HTTP_URL, {
+      method: "POST",
+      headers: SPEECH_TO_TEXT_HTTP_API_KEY
+        ? { authorization: `Bearer ${SPEECH_TO_TEXT_HTTP_API_KEY}` }
+        : {},
+      body: form,
+      signal: AbortSignal.timeout(SPEECH_TO_TEXT_HTTP_TIMEOUT_MS),
+    });
+
+    if (!response.ok) {
+      const detail = (await response.text().catch(() => "")).slice(0, MAX_ERROR_CHARS);
+      throw new Error(
+        `Speech-to-text request failed with status ${response.status}${detail ? `: ${detail}` : ""}`
+      );
+    }
+
+    const payload = await response.json();
+    return {
+      language: payload?.language || language,
+      segments: readHttpSpeechSegments(payload),
+    };
+  },
+};
+
+export default httpSpeechToText;
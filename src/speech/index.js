@@ -0,0 +1,25 @@
+import {
+  SPEECH_TO_TEXT_PROVIDER,
+  normalizeSpeechProviderName,
+} from "../config/speech.config.js";
+import httpSpeechToText from "./http.speech.js";
+import localSpeechToText from "./local.speech.js";
+
+/*
+  Every provider exposes the same surface:
+    name
+    requiresAudio              whether transcribe() reads audioPath
+    isConfigured()
+    transcribe({ audioPath, durationSeconds, language, videoId })
+      -> { language, segments: [{ startMs, endMs, text }] }
+*/
+const SPEECH_TO_TEXT_BACKENDS = Object.freeze({
+  [localSpeechToText.name]: localSpeechToText,
+  [httpSpeechToText.name]: httpSpeechToText,
+});
+
+// Null when speech-to-text is off or the selected provider is missing its settings.
+export const getSpeechToTextProvider = (name = SPEECH_TO_TEXT_PROVIDER) => {
+  const provider = SPEECH_TO_TEXT_BACKENDS[normalizeSpeechProviderName(name)];
+  return provider?.isConfigured() ? provider : null;
+};
@@ -0,0 +1,31 @@
+import { SPEECH_TO_TEXT_PROVIDERS } from "../config/speech.config.js";
+
+const SEGMENT_MS = 5000;
+const MAX_SEGMENTS = 720;
+
+/*
+  Deterministic stand-in: the same duration always yields the same cues, so
+  tests and local setups exercise the full transcript path without audio
+  extraction or a network call.
+*/
+const localSpeechToText = {
+  name: SPEECH_TO_TEXT_PROVIDERS.LOCAL,
+  requiresAudio: false,
+
+  isConfigured: () => true,
+
+  async transcribe({ durationSeconds = null, language = null }) {
+    const totalMs = Math.max(SEGMENT_MS, Math.floor(Number(durationSeconds) * 1000) || 0);
+    const count = Math.min(MAX_SEGMENTS, Math.ceil(totalMs / SEGMENT_MS));
+
+    const segments = Array.from({ length: count }, (_, index) => ({
+      startMs: index * SEGMENT_MS,
+      endMs: Math.min(totalMs, (index + 1) * SEGMENT_MS),
+      text: `Automatic transcript segment ${index + 1}.`,
+    }));
+
+    return { language: language || "en", segments };
+  },
+};
+
+export default localSpeechToText;
@@ -0,0 +1,98 @@
+import crypto from "crypto";
+import uploadOnCloudinary, {
+  deleteImageOnCloudinary,
+  deletePrivateFileOnCloudinary,
+  deleteRawFileOnCloudinary,
+  deleteRawFolderOnCloudinary,
+  deleteVideoOnCloudinary,
+  getPrivateDownloadUrl,
+  uploadLargeOnCloudinary,
+} from "../utils/cloudinary.js";
+import { verifyCloudinaryAssetOwnership } from "../utils/verifyCloudinaryAsset.js";
+import { STORAGE_PROVIDERS } from "../config/storage.config.js";
+import { isRemoteSource } from "./storage.utils.js";
+
+const toStoredAsset = (resource) => ({
+  publicId: resource.public_id,
+  url: resource.secure_url,
+  resourceType: resource.resource_type || null,
+  bytes: resource.bytes ?? null,
+  width: resource.width ?? null,
+  height: resource.height ?? null,
+  duration: resource.duration ?? null,
+  format: resource.format || null,
+});
+
+/*
+  Signed direct upload: the browser posts the file straight to Cloudinary
+  with this signature, pinned to the public id we generated.
+*/
+const createUploadTarget = async ({ publicId }) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const signature = crypto
+    .createHash("sha1")
+    .update(
+      `public_id=${publicId}&timestamp=${timestamp}${process.env.CLOUDINARY_API_SECRET}`
+    )
+    .digest("hex");
+
+  return {
+    provider: STORAGE_PROVIDERS.CLOUDINARY,
+    timestamp,
+    signature,
+    publicId,
+    cloudName: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+  };
+};
+
+const verifyAsset = async (publicId, { expectedFolder, resourceType = "image" } = {}) => {
+  const resource = await verifyCloudinaryAssetOwnership(publicId, expectedFolder, {
+    resourceTypes: [resourceType],
+  });
+  return toStoredAsset(resource);
+};
+
+const uploadFile = async (
+  source,
+  { publicId, folder, resourceType = "image", isPrivate = false } = {}
+) => {
+  // Cloudinary sniffs the content type itself.
+  const upload =
+    resourceType === "video" && !isRemoteSource(source)
+      ? uploadLargeOnCloudinary
+      : uploadOnCloudinary;
+
+  const response = await upload(source, {
+    resource_type: resourceType,
+    ...(folder && !publicId && { folder }),
+    ...(publicId && { public_id: publicId, overwrite: true }),
+    ...(isPrivate && { type: "private" }),
+  });
+
+  return toStoredAsset(response);
+};
+
+const deleteAsset = async (publicId, { resourceType = "image", isPrivate = false } = {}) => {
+  if (isPrivate) return deletePrivateFileOnCloudinary(publicId);
+  if (resourceType === "video") return deleteVideoOnCloudinary(publicId);
+  if (resourceType === "raw") return deleteRawFileOnCloudinary(publicId);
+  return deleteImageOnCloudinary(publicId);
+};
+
+const deleteFolder = async (folder) => deleteRawFolderOnCloudinary(folder);
+
+const getDownloadUrl = async (publicId, { expiresAt } = {}) =>
+  getPrivateDownloadUrl(publicId, { expiresAt });
+
+export default Object.freeze({
+  name: STORAGE_PROVIDERS.CLOUDINARY,
+  region: null,
+  createUploadTarget,
+  verifyAsset,
+  uploadFile,
+  deleteAsset,
+  deleteFolder,
+  getDownloadUrl,
+});
@@ -0,0 +1,47 @@
+import {
+  DEFAULT_STORAGE_PROVIDER,
+  LEGACY_STORAGE_PROVIDER,
+  normalizeStorageProviderName,
+} from "../config/storage.config.js";
+import cloudinaryStorage from "./cloudinary.storage.js";
+import localDiskStorage from "./local.storage.js";
+import s3Storage from "./s3.storage.js";
+
+/*
+  Every backend exposes the same surface:
+    createUploadTarget({ publicId, resourceType, userId, maxBytes })
+    verifyAsset(publicId, { expectedFolder, resourceType })
+    uploadFile(source, { publicId, folder, resourceType, isPrivate, contentType })
+    deleteAsset(publicId, { resourceType, isPrivate })
+    deleteFolder(folder)
+    getDownloadUrl(publicId, { expiresAt })
+  New uploads go to the env-selected backend; existing assets are always
+  handled by the backend recorded next to them.
+*/
+const STORAGE_BACKENDS = Object.freeze({
+  [cloudinaryStorage.name]: cloudinaryStorage,
+  [localDiskStorage.name]: localDiskStorage,
+  [s3Storage.name]: s3Storage,
+});
+
+export const getDefaultStorage = () => STORAGE_BACKENDS[DEFAULT_STORAGE_PROVIDER];
+
+export const getStorageFor = (recordedProvider) =>
+  STORAGE_BACKENDS[normalizeStorageProviderName(recordedProvider) || LEGACY_STORAGE_PROVIDER];
+
+// Best-effort cleanup for an asset whose row is already gone or replaced.
+export const deleteStoredAsset = async ({
+  provider,
+  publicId,
+  resourceType = "image",
+  isPrivate = false,
+}) => {
+  if (!publicId) return true;
+  return getStorageFor(provider).deleteAsset(publicId, { resourceType, isPrivate });
+};
+
+// Removes every object under a folder, e.g. a video's HLS renditions.
+export const deleteStoredFolder = async ({ provider, folder }) => {
+  if (!folder) return true;
+  return getStorageFor(provider).deleteFolder(folder);
+};
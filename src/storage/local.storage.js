@@ -0,0 +1,277 @@
+import { createReadStream, createWriteStream } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import jwt from "jsonwebtoken";
+import ApiError from "../utils/ApiError.js";
+import {
+  LOCAL_STORAGE_PUBLIC_URL,
+  LOCAL_STORAGE_ROOT,
+  STORAGE_PROVIDERS,
+  STORAGE_SIGNING_SECRET,
+  STORAGE_UPLOAD_URL_TTL_SECONDS,
+} from "../config/storage.config.js";
+import {
+  assertAssetInFolder,
+  assertValidPublicId,
+  buildPublicId,
+  contentTypeMatchesResourceType,
+  createByteLimit,
+  getFormatFromContentType,
+  guessContentType,
+  isRemoteSource,
+  removeLocalSource,
+} from "./storage.utils.js";
+
+const UPLOAD_PURPOSE = "LOCAL_STORAGE_UPLOAD";
+const DOWNLOAD_PURPOSE = "LOCAL_STORAGE_DOWNLOAD";
+const META_SUFFIX = ".meta.json";
+
+const requireSecret = () => {
+  if (!STORAGE_SIGNING_SECRET) {
+    throw new ApiError(500, "STORAGE_SIGNING_SECRET or REFRESH_TOKEN_SECRET is required");
+  }
+  return STORAGE_SIGNING_SECRET;
+};
+
+/*
+  Files live at <root>/<publicId> with a JSON sidecar holding the content
+  type, so public ids stay extension-free like Cloudinary's.
+*/
+export const resolveLocalObjectPath = (publicId) => {
+  assertValidPublicId(publicId);
+  if (publicId.endsWith(META_SUFFIX)) {
+    throw new ApiError(400, "Invalid storage public ID");
+  }
+
+  const filePath = path.resolve(LOCAL_STORAGE_ROOT, publicId);
+  if (!filePath.startsWith(`${LOCAL_STORAGE_ROOT}${path.sep}`)) {
+    throw new ApiError(400, "Invalid storage public ID");
+  }
+  return filePath;
+};
+
+export const readLocalObjectMeta = async (publicId) => {
+  const filePath = resolveLocalObjectPath(publicId);
+  try {
+    const raw = await fs.readFile(`${filePath}${META_SUFFIX}`, "utf8");
+    return { filePath, ...JSON.parse(raw) };
+  } catch (error) {
+    if (error?.code === "ENOENT") return null;
+    throw error;
+  }
+};
+
+const getPublicUrl = (publicId) => `${LOCAL_STORAGE_PUBLIC_URL}/storage/${publicId}`;
+
+/*
+  Streams into a temp file and renames it into place, so a cut-off upload
+  never leaves a half-written object behind a valid public id.
+*/
+export const writeLocalObject = async ({
+  publicId,
+  stream,
+  contentType,
+  maxBytes = null,
+  isPrivate = false,
+}) => {
+  const filePath = resolveLocalObjectPath(publicId);
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.part`;
+
+  // A source that fails before the pipeline is attached (missing file, aborted
+  // request) must not crash the process; pipeline still sees it as errored.
+  stream.on("error", () => null);
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+  try {
+    await pipeline(stream, createByteLimit(maxBytes), createWriteStream(tempPath));
+    const { size } = await fs.stat(tempPath);
+    await fs.rename(tempPath, filePath);
+
+    const meta = {
+      contentType: contentType || "application/octet-stream",
+      bytes: size,
+      isPrivate: Boolean(isPrivate),
+      createdAt: new Date().toISOString(),
+    };
+    await fs.writeFile(`${filePath}${META_SUFFIX}`, JSON.stringify(meta));
+
+    return { publicId, ...meta };
+  } catch (error) {
+    await fs.unlink(tempPath).catch(() => null);
+    throw error;
+  }
+};
+
+/* ---------- SIGNED TOKENS ---------- */
+
+export const verifyLocalStorageToken = (token, purpose) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token ?? ""), requireSecret());
+  } catch {
+    throw new ApiError(401, "Storage link is invalid or has expired");
+  }
+
+  if (payload?.purpose !== purpose || !payload?.key) {
+    throw new ApiError(401, "Storage link is invalid or has expired");
+  }
+  return payload;
+};
+
+export const verifyLocalUploadToken = (token) => verifyLocalStorageToken(token, UPLOAD_PURPOSE);
+
+export const verifyLocalDownloadToken = (token) =>
+  verifyLocalStorageToken(token, DOWNLOAD_PURPOSE);
+
+/* ---------- PROVIDER ---------- */
+
+const createUploadTarget = async ({ publicId, resourceType = "image", userId, maxBytes }) => {
+  assertValidPublicId(publicId);
+
+  const token = jwt.sign(
+    {
+      purpose: UPLOAD_PURPOSE,
+      key: publicId,
+      rt: resourceType,
+      uid: userId,
+      max: maxBytes || null,
+    },
+    requireSecret(),
+    { expiresIn: STORAGE_UPLOAD_URL_TTL_SECONDS }
+  );
+
+  return {
+    provider: STORAGE_PROVIDERS.LOCAL,
+    method: "PUT",
+    uploadUrl: `${LOCAL_STORAGE_PUBLIC_URL}/api/v1/storage/local/${token}`,
+    publicId,
+    expiresAt: new Date(Date.now() + STORAGE_UPLOAD_URL_TTL_SECONDS * 1000),
+  };
+};
+
+const verifyAsset = async (publicId, { expectedFolder, resourceType = "image" } = {}) => {
+  const meta = await readLocalObjectMeta(publicId);
+  if (!meta || meta.isPrivate) {
+    throw new ApiError(404, "Storage asset not found");
+  }
+
+  assertAssetInFolder(publicId, expectedFolder);
+
+  if (!contentTypeMatchesResourceType(meta.contentType, resourceType)) {
+    throw new ApiError(400, `Storage asset is not a ${resourceType}`);
+  }
+
+  return {
+    publicId,
+    url: getPublicUrl(publicId),
+    resourceType,
+    bytes: meta.bytes ?? null,
+    width: null,
+    height: null,
+    duration: null,
+    format: getFormatFromContentType(meta.contentType),
+  };
+};
+
+const openSource = async (source, resourceType, contentType) => {
+  if (isRemoteSource(source)) {
+    const response = await fetch(source);
+    if (!response.ok || !response.body) {
+      throw new Error(`Remote file download failed with status ${response.status}`);
+    }
+    return {
+      stream: Readable.fromWeb(response.body),
+      contentType:
+        contentType ||
+        response.headers.get("content-type") ||
+        guessContentType(source, resourceType),
+    };
+  }
+
+  return {
+    stream: createReadStream(source),
+    contentType: contentType || guessContentType(source, resourceType),
+  };
+};
+
+const uploadFile = async (
+  source,
+  { publicId, folder, resourceType = "image", isPrivate = false, contentType = null } = {}
+) => {
+  const targetId = publicId || buildPublicId(folder);
+
+  try {
+    const opened = await openSource(source, resourceType, contentType);
+    await writeLocalObject({
+      publicId: targetId,
+      stream: opened.stream,
+      contentType: opened.contentType,
+      isPrivate,
+    });
+  } finally {
+    await removeLocalSource(source);
+  }
+
+  return {
+    publicId: targetId,
+    url: isPrivate ? null : getPublicUrl(targetId),
+    resourceType,
+  };
+};
+
+const deleteAsset = async (publicId) => {
+  if (!publicId) return true;
+
+  try {
+    const filePath = resolveLocalObjectPath(publicId);
+    await fs.rm(filePath, { force: true });
+    await fs.rm(`${filePath}${META_SUFFIX}`, { force: true });
+    return true;
+  } catch (error) {
+    console.error("❌ Local storage delete failed:", error?.message || error);
+    return false;
+  }
+};
+
+const deleteFolder = async (folder) => {
+  if (!folder) return true;
+
+  try {
+    assertValidPublicId(folder);
+    const folderPath = path.resolve(LOCAL_STORAGE_ROOT, folder);
+    if (!folderPath.startsWith(`${LOCAL_STORAGE_ROOT}${path.sep}`)) {
+      throw new ApiError(400, "Invalid storage folder");
+    }
+    await fs.rm(folderPath, { recursive: true, force: true });
+    return true;
+  } catch (error) {
+    console.error("❌ Local storage folder delete failed:", error?.message || error);
+    return false;
+  }
+};
+
+const getDownloadUrl = async (publicId, { expiresAt } = {}) => {
+  const expiresInSeconds = Math.max(
+    1,
+    Math.floor((new Date(expiresAt || Date.now() + 60 * 60 * 1000).getTime() - Date.now()) / 1000)
+  );
+
+  const token = jwt.sign({ purpose: DOWNLOAD_PURPOSE, key: publicId }, requireSecret(), {
+    expiresIn: expiresInSeconds,
+  });
+
+  return `${LOCAL_STORAGE_PUBLIC_URL}/api/v1/storage/local/download/${token}`;
+};
+
+export default Object.freeze({
+  name: STORAGE_PROVIDERS.LOCAL,
+  region: null,
+  createUploadTarget,
+  verifyAsset,
+  uploadFile,
+  deleteAsset,
+  deleteFolder,
+  getDownloadUrl,
+});
@@ -0,0 +1,271 @@
+import { createReadStream } from "fs";
+import fs from "fs/promises";
+import {
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  S3Client,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import ApiError from "../utils/ApiError.js";
+import {
+  S3_STORAGE_CONFIG,
+  STORAGE_PROVIDERS,
+  STORAGE_UPLOAD_URL_TTL_SECONDS,
+} from "../config/storage.config.js";
+import {
+  assertAssetInFolder,
+  assertValidPublicId,
+  buildPublicId,
+  contentTypeMatchesResourceType,
+  getFormatFromContentType,
+  guessContentType,
+  isRemoteSource,
+  removeLocalSource,
+} from "./storage.utils.js";
+
+// Presigned S3 URLs cannot outlive seven days.
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+let client = null;
+
+const getClient = () => {
+  if (!S3_STORAGE_CONFIG.bucket) {
+    throw new ApiError(500, "S3_BUCKET is required for S3 storage");
+  }
+
+  if (!client) {
+    client = new S3Client({
+      region: S3_STORAGE_CONFIG.region,
+      ...(S3_STORAGE_CONFIG.endpoint && { endpoint: S3_STORAGE_CONFIG.endpoint }),
+      forcePathStyle: S3_STORAGE_CONFIG.forcePathStyle,
+      ...(S3_STORAGE_CONFIG.accessKeyId && {
+        credentials: {
+          accessKeyId: S3_STORAGE_CONFIG.accessKeyId,
+          secretAccessKey: S3_STORAGE_CONFIG.secretAccessKey,
+        },
+      }),
+    });
+  }
+  return client;
+};
+
+export const buildS3PublicUrl = (key, config = S3_STORAGE_CONFIG) => {
+  if (config.publicUrl) return `${config.publicUrl}/${key}`;
+  if (config.endpoint) {
+    return `${config.endpoint.replace(/\/$/, "")}/${config.bucket}/${key}`;
+  }
+  return `https://${config.bucket}.s3.${config.region}.amazonaws.com/${key}`;
+};
+
+const isNotFoundError = (error) =>
+  error?.name === "NotFound" ||
+  error?.name === "NoSuchKey" ||
+  error?.$metadata?.httpStatusCode === 404;
+
+// Signed into the PUT URL, so the uploader cannot change it; verifyAsset reads it back.
+const MAX_BYTES_METADATA_KEY = "max-bytes";
+
+/*
+  A presigned PUT cannot cap the body size, so the limit travels as signed
+  object metadata and verifyAsset rejects anything larger or of the wrong type.
+*/
+const createUploadTarget = async ({ publicId, maxBytes }) => {
+  assertValidPublicId(publicId);
+
+  const uploadUrl = await getSignedUrl(
+    getClient(),
+    new PutObjectCommand({
+      Bucket: S3_STORAGE_CONFIG.bucket,
+      Key: publicId,
+      ...(maxBytes && { Metadata: { [MAX_BYTES_METADATA_KEY]: String(maxBytes) } }),
+    }),
+    { expiresIn: STORAGE_UPLOAD_URL_TTL_SECONDS }
+  );
+
+  return {
+    provider: STORAGE_PROVIDERS.S3,
+    method: "PUT",
+    uploadUrl,
+    publicId,
+    expiresAt: new Date(Date.now() + STORAGE_UPLOAD_URL_TTL_SECONDS * 1000),
+  };
+};
+
+const verifyAsset = async (publicId, { expectedFolder, resourceType = "image" } = {}) => {
+  assertValidPublicId(publicId);
+
+  let head;
+  try {
+    head = await getClient().send(
+      new HeadObjectCommand({ Bucket: S3_STORAGE_CONFIG.bucket, Key: publicId })
+    );
+  } catch (error) {
+    if (isNotFoundError(error)) {
+      throw new ApiError(404, "Storage asset not found");
+    }
+    throw new ApiError(500, `Storage lookup failed: ${error?.message || "Unknown S3 error"}`);
+  }
+
+  assertAssetInFolder(publicId, expectedFolder);
+
+  if (!contentTypeMatchesResourceType(head.ContentType, resourceType)) {
+    throw new ApiError(400, `Storage asset is not a ${resourceType}`);
+  }
+
+  const maxBytes = Number(head.Metadata?.[MAX_BYTES_METADATA_KEY]);
+  if (maxBytes > 0 && Number(head.ContentLength) > maxBytes) {
+    throw new ApiError(413, "Uploaded file is larger than allowed");
+  }
+
+  return {
+    publicId,
+    url: buildS3PublicUrl(publicId),
+    resourceType,
+    bytes: head.ContentLength ?? null,
+    width: null,
+    height: null,
+    duration: null,
+    format: getFormatFromContentType(head.ContentType),
+  };
+};
+
+const readSource = async (source, resourceType, contentType) => {
+  if (isRemoteSource(source)) {
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`Remote file download failed with status ${response.status}`);
+    }
+    const body = Buffer.from(await response.arrayBuffer());
+    return {
+      body,
+      contentLength: body.length,
+      contentType:
+        contentType ||
+        response.headers.get("content-type") ||
+        guessContentType(source, resourceType),
+    };
+  }
+
+  const { size } = await fs.stat(source);
+  return {
+    body: createReadStream(source),
+    contentLength: size,
+    contentType: contentType || guessContentType(source, resourceType),
+  };
+};
+
+const uploadFile = async (
+  source,
+  { publicId, folder, resourceType = "image", isPrivate = false, contentType = null } = {}
+) => {
+  const key = publicId || buildPublicId(folder);
+
+  try {
+    const prepared = await readSource(source, resourceType, contentType);
+    await getClient().send(
+      new PutObjectCommand({
+        Bucket: S3_STORAGE_CONFIG.bucket,
+        Key: key,
+        Body: prepared.body,
+        ContentLength: prepared.contentLength,
+        ContentType: prepared.contentType,
+      })
+    );
+  } catch (error) {
+    console.error("❌ S3 upload failed:", error?.message || error);
+    throw error;
+  } finally {
+    await removeLocalSource(source);
+  }
+
+  return {
+    publicId: key,
+    url: isPrivate ? null : buildS3PublicUrl(key),
+    resourceType,
+  };
+};
+
+const deleteAsset = async (publicId) => {
+  if (!publicId) return true;
+
+  try {
+    // S3 reports success for keys that are already gone.
+    await getClient().send(
+      new DeleteObjectCommand({ Bucket: S3_STORAGE_CONFIG.bucket, Key: publicId })
+    );
+    return true;
+  } catch (error) {
+    console.error("❌ S3 delete failed:", error?.message || error);
+    return false;
+  }
+};
+
+const deleteFolder = async (folder) => {
+  if (!folder) return true;
+
+  try {
+    // Listing pages hold at most 1000 keys, which is also the DeleteObjects limit.
+    let continuationToken;
+    do {
+      const page = await getClient().send(
+        new ListObjectsV2Command({
+          Bucket: S3_STORAGE_CONFIG.bucket,
+          Prefix: `${folder}/`,
+          ContinuationToken: continuationToken,
+        })
+      );
+
+      const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+      if (objects.length > 0) {
+        await getClient().send(
+          new DeleteObjectsCommand({
+            Bucket: S3_STORAGE_CONFIG.bucket,
+            Delete: { Objects: objects, Quiet: true },
+          })
+        );
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return true;
+  } catch (error) {
+    console.error("❌ S3 folder delete failed:", error?.message || error);
+    return false;
+  }
+};
+
+const getDownloadUrl = async (publicId, { expiresAt } = {}) => {
+  const expiresIn = Math.min(
+    MAX_PRESIGN_SECONDS,
+    Math.max(
+      1,
+      Math.floor((new Date(expiresAt || Date.now() + 60 * 60 * 1000).getTime() - Date.now()) / 1000)
+    )
+  );
+
+  return getSignedUrl(
+    getClient(),
+    new GetObjectCommand({
+      Bucket: S3_STORAGE_CONFIG.bucket,
+      Key: publicId,
+      ResponseContentDisposition: "attachment",
+    }),
+    { expiresIn }
+  );
+};
+
+export default Object.freeze({
+  name: STORAGE_PROVIDERS.S3,
+  region: S3_STORAGE_CONFIG.region,
+  createUploadTarget,
+  verifyAsset,
+  uploadFile,
+  deleteAsset,
+  deleteFolder,
+  getDownloadUrl,
+});
@@ -0,0 +1,109 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import { Transform } from "stream";
+import ApiError from "../utils/ApiError.js";
+
+export const STORAGE_RESOURCE_TYPES = Object.freeze(["image", "video", "raw"]);
+
+// Same shape as Cloudinary public ids: slash separated, no extension required.
+const PUBLIC_ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*(\/[A-Za-z0-9][A-Za-z0-9._-]*)*$/;
+const MAX_PUBLIC_ID_LENGTH = 300;
+
+export const isValidPublicId = (publicId) =>
+  typeof publicId === "string" &&
+  publicId.length <= MAX_PUBLIC_ID_LENGTH &&
+  PUBLIC_ID_PATTERN.test(publicId);
+
+export const assertValidPublicId = (publicId) => {
+  if (!isValidPublicId(publicId)) {
+    throw new ApiError(400, "Invalid storage public ID");
+  }
+  return publicId;
+};
+
+export const buildPublicId = (folder) => `${folder}/${crypto.randomUUID()}`;
+
+export const getPublicIdFolder = (publicId) =>
+  String(publicId ?? "").split("/").slice(0, -1).join("/");
+
+export const assertAssetInFolder = (publicId, expectedFolder) => {
+  if (expectedFolder && getPublicIdFolder(publicId) !== expectedFolder) {
+    throw new ApiError(403, "Storage asset folder mismatch");
+  }
+};
+
+/*
+  Local and S3 objects carry no media metadata of their own, so the stored
+  content type is the only proof the client uploaded the kind of file the
+  upload target was issued for.
+*/
+const normalizeMimeType = (contentType) =>
+  String(contentType ?? "").split(";")[0].trim().toLowerCase();
+
+// Raster only: SVG is an image/* type that runs script when opened directly.
+export const IMAGE_UPLOAD_CONTENT_TYPES = Object.freeze([
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+]);
+
+// Types the API origin may render inline; everything else is sent as a download.
+const INLINE_SAFE_CONTENT_TYPES = new Set([
+  ...IMAGE_UPLOAD_CONTENT_TYPES,
+  "video/mp4",
+  "video/webm",
+  "video/quicktime",
+  "video/mp2t",
+  "application/vnd.apple.mpegurl",
+]);
+
+export const isInlineSafeContentType = (contentType) =>
+  INLINE_SAFE_CONTENT_TYPES.has(normalizeMimeType(contentType));
+
+export const contentTypeMatchesResourceType = (contentType, resourceType) => {
+  const normalized = normalizeMimeType(contentType);
+  if (resourceType === "video") return normalized.startsWith("video/");
+  if (resourceType === "image") return IMAGE_UPLOAD_CONTENT_TYPES.includes(normalized);
+  return true;
+};
+
+export const getFormatFromContentType = (contentType) => {
+  const subtype = String(contentType ?? "").split(";")[0].split("/")[1];
+  return subtype ? subtype.trim().toLowerCase() : null;
+};
+
+export const guessContentType = (source, resourceType) => {
+  const lowered = String(source ?? "").toLowerCase();
+  if (lowered.endsWith(".zip")) return "application/zip";
+  if (lowered.endsWith(".json")) return "application/json";
+  if (resourceType === "image") return "image/jpeg";
+  if (resourceType === "video") return "video/mp4";
+  return "application/octet-stream";
+};
+
+// Fails the stream with a 413 once more than maxBytes have passed through.
+export const createByteLimit = (maxBytes) => {
+  let received = 0;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (maxBytes && received > maxBytes) {
+        callback(new ApiError(413, "Uploaded file is larger than allowed"));
+        return;
+      }
+      callback(null, chunk);
+    },
+  });
+};
+
+export const isRemoteSource = (source) => /^https?:\/\//i.test(String(source ?? ""));
+
+// Cloudinary's helper removes the local temp file after upload; every backend does the same.
+export const removeLocalSource = async (source) => {
+  if (!source || isRemoteSource(source)) return;
+  await fs.unlink(source).catch((error) => {
+    if (error?.code === "ENOENT") return;
+    console.warn("⚠️ Local file cleanup failed:", source);
+  });
+};
@@ -21,32 +21,43 @@ const ACCOUNT_SWITCH_SECRET =
   cleanEnv(process.env.REFRESH_TOKEN_SECRET);
 const ACCOUNT_SWITCH_EXPIRY = cleanEnv(process.env.ACCOUNT_SWITCH_EXPIRY) || "30d";
 
-const buildRefreshFingerprint = (refreshToken) => {
-  const token = normalizeText(refreshToken);
-  if (!token) return "";
+// Fingerprint is bound to the device session and its current refresh token hash,
+// so rotating or revoking that session invalidates outstanding switch tokens.
+const buildSessionFingerprint = ({ sessionId, refreshTokenHash }) => {
+  const sid = normalizeText(sessionId);
+  const tokenHash = normalizeText(refreshTokenHash);
+  if (!sid || !tokenHash) return "";
 
   return crypto
     .createHash("sha256")
-    .update(`${ACCOUNT_SWITCH_SECRET}:${token}`)
+    .update(`${ACCOUNT_SWITCH_SECRET}:${sid}:${tokenHash}`)
     .digest("hex");
 };
 
-export const createAccountSwitchToken = ({ userId, refreshToken }) => {
+export const createAccountSwitchToken = ({ userId, session }) => {
   if (!ACCOUNT_SWITCH_SECRET) {
     throw new ApiError(500, "ACCOUNT_SWITCH_SECRET or REFRESH_TOKEN_SECRET is required");
   }
 
   const uid = normalizeText(userId);
-  const fingerprint = buildRefreshFingerprint(refreshToken);
+  const sid = normalizeText(session?.id);
+  const fingerprint = buildSessionFingerprint({
+    sessionId: sid,
+    refreshTokenHash: session?.refreshTokenHash,
+  });
 
-  if (!uid || !fingerprint) {
+  if (!uid || !sid || !fingerprint) {
     throw new ApiError(400, "Invalid account switch token payload");
   }
 
   return jwt.sign(
     {
       uid,
+      sid,
       fp: fingerprint,
+      // How the target account signed in here, so the switcher can offer the
+      // same method (e.g. a passkey prompt) once the session has expired.
+      amr: normalizeText(session?.authMethod) || undefined,
       purpose: "ACCOUNT_SWITCH",
     },
     ACCOUNT_SWITCH_SECRET,
@@ -69,11 +80,16 @@ export const verifyAccountSwitchToken = (token) => {
   return payload;
 };
 
-export const isAccountSwitchTokenValidForRefreshToken = ({
+export const isAccountSwitchTokenValidForSession = ({
   tokenPayload,
-  refreshToken,
+  session,
 }) => {
-  if (!tokenPayload?.fp) return false;
-  const currentFingerprint = buildRefreshFingerprint(refreshToken);
+  if (!tokenPayload?.fp || !session) return false;
+  if (tokenPayload.sid !== session.id || tokenPayload.uid !== session.userId) return false;
+
+  const currentFingerprint = buildSessionFingerprint({
+    sessionId: session.id,
+    refreshTokenHash: session.refreshTokenHash,
+  });
   return Boolean(currentFingerprint && currentFingerprint === tokenPayload.fp);
 };
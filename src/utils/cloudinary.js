@@ -47,15 +47,40 @@ const uploadOnCloudinary = async (filePathOrUrl, options = {}) => {
 };
 
 
+/**
+ * Chunked upload for large local files; a single upload request is capped
+ * at 100MB, so assembled resumable uploads go through here.
+ */
+export const uploadLargeOnCloudinary = async (filePath, options = {}) => {
+  if (!filePath) return null;
+
+  try {
+    return await new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_large(
+        filePath,
+        { resource_type: "auto", ...options },
+        (error, response) => (error ? reject(error) : resolve(response))
+      );
+    });
+  } catch (error) {
+    console.error("❌ Cloudinary large upload failed:", error?.message || error);
+    throw error;
+  } finally {
+    await fs.unlink(filePath).catch(() => null);
+  }
+};
+
+
 /**
  * Delete asset from Cloudinary
  */
-const deleteFromCloudinary = async (publicId, resourceType) => {
+const deleteFromCloudinary = async (publicId, resourceType, options = {}) => {
   if (!publicId) return true;
 
   try {
     const response = await cloudinary.uploader.destroy(publicId, {
       resource_type: resourceType,
+      ...options,
     });
 
     return response.result === "ok" || response.result === "not found";
@@ -90,4 +115,41 @@ export const deleteImageOnCloudinary = async (publicId) =>
 export const deleteVideoOnCloudinary = async (publicId) =>
   deleteFromCloudinary(publicId, "video");
 
+export const deletePrivateFileOnCloudinary = async (publicId) =>
+  deleteFromCloudinary(publicId, "raw", { type: "private" });
+
+export const deleteRawFileOnCloudinary = async (publicId) =>
+  deleteFromCloudinary(publicId, "raw");
+
+/**
+ * Delete every raw asset under a folder (HLS playlists and segments)
+ */
+export const deleteRawFolderOnCloudinary = async (folder) => {
+  if (!folder) return true;
+
+  try {
+    // Each call removes up to 1000 assets and reports `partial` while more remain.
+    for (;;) {
+      const response = await cloudinary.api.delete_resources_by_prefix(`${folder}/`, {
+        resource_type: "raw",
+      });
+      if (!response?.partial) return true;
+    }
+  } catch (error) {
+    console.error("❌ Cloudinary folder delete failed:", error?.message || error);
+    return false;
+  }
+};
+
+/**
+ * Signed, time-limited download URL for a private raw asset
+ */
+export const getPrivateDownloadUrl = (publicId, { expiresAt } = {}) =>
+  cloudinary.utils.private_download_url(publicId, "", {
+    resource_type: "raw",
+    type: "private",
+    attachment: true,
+    expires_at: Math.floor(new Date(expiresAt || Date.now() + 60 * 60 * 1000).getTime() / 1000),
+  });
+
 export default uploadOnCloudinary;
@@ -1,6 +1,9 @@
 export const generateVideoThumbnail = (videoUrl, seconds = 3) => {
   if (!videoUrl) return null;
 
+  // Frame extraction is a Cloudinary URL transformation; other storage has no equivalent.
+  if (!videoUrl.includes("/upload/")) return null;
+
   return videoUrl
     .replace("/upload/", `/upload/so_${seconds}/`)
     .replace(".mp4", ".jpg");
@@ -0,0 +1,48 @@
+// Spreadsheet apps execute cells starting with these; prefix them so an
+// exported comment like "=HYPERLINK(...)" stays plain text.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const stringifyCell = (value) => {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+export const escapeCsvCell = (value) => {
+  let text = stringifyCell(value);
+  if (FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+const toCsvLine = (values) => `${values.map(escapeCsvCell).join(",")}\r\n`;
+
+// Union of row keys in first-seen order; nested values are written as JSON.
+export const getCsvColumns = (rows = []) => {
+  const result = [];
+  const seen = new Set();
+
+  for (const row of rows) {
+    for (const key of Object.keys(row || {})) {
+      if (!seen.has(key)) {
+        seen.add(key);
+        result.push(key);
+      }
+    }
+  }
+
+  return result;
+};
+
+export const toCsvHeader = (columns) => toCsvLine(columns);
+
+// Body lines only, so large exports can be written a page at a time.
+export const toCsvRows = (rows, columns) =>
+  rows.map((row) => toCsvLine(columns.map((column) => row?.[column]))).join("");
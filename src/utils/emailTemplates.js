@@ -203,3 +203,116 @@ export const emailChangeOtpTemplate = ({
   </div>
   `,
 });
+
+
+export const newLoginAlertTemplate = ({
+  fullName,
+  securityContext,
+  reasons,
+  notMeUrl
+}) => ({
+  subject: "New sign-in to your Vixora account",
+  html: `
+  <div style="font-family: Arial; max-width:600px; margin:auto;">
+    <h2>New Sign-in Detected 🔔</h2>
+
+    <p>Hi <strong>${fullName}</strong>,</p>
+
+    <p>Your account was just used to sign in from ${reasons.join(" and ")}.</p>
+
+    <hr />
+
+    <h3>Security Info</h3>
+    <p><strong>Location:</strong> ${securityContext.location}</p>
+    <p><strong>Device:</strong> ${securityContext.device}</p>
+    <p><strong>Browser:</strong> ${securityContext.browser}</p>
+    <p><strong>IP:</strong> ${securityContext.ip}</p>
+    <p><strong>Time:</strong> ${securityContext.time}</p>
+
+    <hr />
+
+    <p>If this was you, no action is needed.</p>
+
+    <p style="margin:20px 0;">
+      <a href="${notMeUrl}" style="background:#d93025;color:#fff;padding:10px 18px;text-decoration:none;border-radius:4px;">
+        This wasn't me
+      </a>
+    </p>
+
+    <p style="font-size:12px;color:#666">
+      This signs out every device and sends you a password reset code.
+    </p>
+  </div>
+  `
+});
+
+export const magicLinkTemplate = ({
+  fullName,
+  magicLinkUrl,
+  expiresInMinutes,
+  securityContext
+}) => ({
+  subject: "Your Vixora sign-in link",
+  html: `
+  <div style="font-family: Arial, sans-serif; max-width:600px; margin:auto;">
+    <h2>Sign in to Vixora ✨</h2>
+
+    <p>Hi <strong>${fullName}</strong>,</p>
+
+    <p>Use the button below to sign in. No password needed.</p>
+
+    <p style="margin:24px 0;">
+      <a href="${magicLinkUrl}" style="background:#1a73e8;color:#fff;padding:12px 22px;text-decoration:none;border-radius:4px;font-weight:bold;">
+        Sign in to Vixora
+      </a>
+    </p>
+
+    <p>This link works <strong>once</strong> and expires in <strong>${expiresInMinutes} minutes</strong>.</p>
+
+    <p style="font-size:12px;color:#666">
+      Requested from ${securityContext.browser} on ${securityContext.device} (${securityContext.location}).
+      If this wasn't you, ignore this email. Nobody can sign in without the link.
+    </p>
+
+    <hr />
+    <p style="font-size:12px;color:#666">
+      © ${new Date().getFullYear()} Vixora
+    </p>
+  </div>
+  `,
+});
+
+export const accountLockedTemplate = ({
+  fullName,
+  lockedUntil,
+  securityContext
+}) => ({
+  subject: "Your Vixora account was temporarily locked",
+  html: `
+  <div style="font-family: Arial; max-width:600px; margin:auto;">
+    <h2>Account Temporarily Locked 🔒</h2>
+
+    <p>Hi <strong>${fullName}</strong>,</p>
+
+    <p>We saw several failed sign-in attempts on your account, so we paused sign-ins until
+    <strong>${lockedUntil.toUTCString()}</strong>.</p>
+
+    <hr />
+
+    <h3>Last Attempt</h3>
+    <p><strong>Location:</strong> ${securityContext.location}</p>
+    <p><strong>Device:</strong> ${securityContext.device}</p>
+    <p><strong>Browser:</strong> ${securityContext.browser}</p>
+    <p><strong>IP:</strong> ${securityContext.ip}</p>
+    <p><strong>Time:</strong> ${securityContext.time}</p>
+
+    <hr />
+
+    <p>If this was you, wait for the lock to expire or reset your password to sign in right away.</p>
+
+    <p style="color:red;">
+      If it wasn't you, reset your password and turn on two-factor authentication.
+    </p>
+  </div>
+  `
+});
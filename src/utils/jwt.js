@@ -1,6 +1,7 @@
+import crypto from "crypto";
 import jwt from "jsonwebtoken";
 
-export const generateAccessToken = (user) => {
+export const generateAccessToken = (user, { sessionId = null } = {}) => {
   return jwt.sign(
     {
       id: user.id,
@@ -9,6 +10,7 @@ export const generateAccessToken = (user) => {
       fullName: user.fullName,
       emailVerified: user.emailVerified,
       authProvider: user.authProvider,
+      ...(sessionId && { sid: sessionId }),
     },
     process.env.ACCESS_TOKEN_SECRET,
     {
@@ -17,9 +19,14 @@ export const generateAccessToken = (user) => {
   );
 };
 
-export const generateRefreshToken = (user) => {
+export const generateRefreshToken = (user, { sessionId = null } = {}) => {
   return jwt.sign(
-    { id: user.id },
+    {
+      id: user.id,
+      ...(sessionId && { sid: sessionId }),
+      // Unique per issue so two rotations within the same second never collide.
+      jti: crypto.randomUUID(),
+    },
     process.env.REFRESH_TOKEN_SECRET,
     { expiresIn: process.env.REFRESH_TOKEN_EXPIRY || "7d" }
   );
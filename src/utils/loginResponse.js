@@ -0,0 +1,76 @@
+import ApiResponse from "./ApiResponse.js";
+import { createAccountSwitchToken } from "./accountSwitch.js";
+import { getCookieOptions } from "./cookieOptions.js";
+import { createUserSession } from "../services/session.service.js";
+import { assessLogin } from "../services/loginRisk.service.js";
+
+export const buildSafeUserForAuthResponse = (user) => ({
+    id: user.id,
+    fullName: user.fullName,
+    email: user.email,
+    username: user.username,
+    avatar: user.avatar,
+    coverImage: user.coverImage,
+    createdAt: user.createdAt,
+});
+
+export const buildAccountSwitchPayload = ({ user, session }) => ({
+    accountSwitchToken: createAccountSwitchToken({
+        userId: user.id,
+        session,
+    }),
+    account: {
+        id: user.id,
+        fullName: user.fullName,
+        email: user.email,
+        username: user.username,
+        avatar: user.avatar,
+        authMethod: session?.authMethod || null,
+    }
+});
+
+/*
+  Shared tail of every interactive login (password, 2FA, passkey): opens a
+  device session, sets auth cookies and returns the account switch payload.
+*/
+export const respondWithNewLoginSession = async ({
+    req,
+    res,
+    user,
+    message,
+    authMethod,
+    twoFactorVerified = false,
+}) => {
+    const { accessToken, refreshToken, session } = await createUserSession({
+        user,
+        req,
+        authMethod,
+        twoFactorVerified,
+    });
+
+    // Alerting runs in the background; the login response never waits on email.
+    void assessLogin({ user, req, session });
+
+    const loggedInUser = buildSafeUserForAuthResponse(user);
+    const accountSwitch = buildAccountSwitchPayload({
+        user: loggedInUser,
+        session,
+    });
+
+    const options = getCookieOptions();
+
+    return res
+        .status(200)
+        .cookie("accessToken", accessToken, options)
+        .cookie("refreshToken", refreshToken, options)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    user: loggedInUser,
+                    accountSwitch,
+                },
+                message
+            )
+        );
+};
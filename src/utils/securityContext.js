@@ -26,8 +26,10 @@ export const getSecurityContext = (req) => {
   return {
     ip,
     location,
+    country: geo?.country || null,
     device,
     browser,
+    os: result.os.name || null,
     time: new Date().toLocaleString("en-IN", {
       timeZone: "Asia/Kolkata"
     })
@@ -0,0 +1,137 @@
+import crypto from "crypto";
+
+// RFC 4648 base32 + RFC 4226 HOTP / RFC 6238 TOTP, compatible with
+// Google Authenticator, 1Password, Authy and similar apps.
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export const TOTP_STEP_SECONDS = 30;
+export const TOTP_DIGITS = 6;
+
+export const encodeBase32 = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+export const decodeBase32 = (input) => {
+  const normalized = String(input ?? "")
+    .toUpperCase()
+    .replace(/[\s=-]/g, "");
+
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of normalized) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+export const generateTotpSecret = (byteLength = 20) =>
+  encodeBase32(crypto.randomBytes(byteLength));
+
+export const generateHotp = ({ secret, counter, digits = TOTP_DIGITS }) => {
+  const key = Buffer.isBuffer(secret) ? secret : decodeBase32(secret);
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    ((hmac[offset + 1] & 0xff) << 16) |
+    ((hmac[offset + 2] & 0xff) << 8) |
+    (hmac[offset + 3] & 0xff);
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+};
+
+export const getTotpStep = (timestamp = Date.now(), stepSeconds = TOTP_STEP_SECONDS) =>
+  Math.floor(timestamp / 1000 / stepSeconds);
+
+export const generateTotp = ({
+  secret,
+  timestamp = Date.now(),
+  stepSeconds = TOTP_STEP_SECONDS,
+  digits = TOTP_DIGITS,
+}) =>
+  generateHotp({
+    secret,
+    counter: getTotpStep(timestamp, stepSeconds),
+    digits,
+  });
+
+/*
+  Returns the matched time step (so callers can reject replays of the same
+  step) or null. `window` allows for clock drift of N steps either way.
+*/
+export const verifyTotp = ({
+  secret,
+  token,
+  timestamp = Date.now(),
+  window = 1,
+  stepSeconds = TOTP_STEP_SECONDS,
+  digits = TOTP_DIGITS,
+}) => {
+  const normalizedToken = String(token ?? "").replace(/\D/g, "");
+  if (normalizedToken.length !== digits) return null;
+
+  const key = decodeBase32(secret);
+  const currentStep = getTotpStep(timestamp, stepSeconds);
+
+  for (let offset = -window; offset <= window; offset += 1) {
+    const step = currentStep + offset;
+    if (step < 0) continue;
+
+    const candidate = generateHotp({ secret: key, counter: step, digits });
+    if (
+      crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalizedToken))
+    ) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
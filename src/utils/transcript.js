@@ -311,6 +311,41 @@ export const filterTranscriptSegments = ({
   return filtered;
 };
 
+// Blank lines end a cue and "-->" starts a timing line, so neither may appear in cue text.
+export const toCueText = (value) =>
+  normalizeText(value).replace(/\s*\n\s*/g, "\n").replace(/-->/g, "->");
+
+export const escapeWebVttText = (value) =>
+  value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+export const buildTranscriptWebVtt = (segments = []) => {
+  const cues = (Array.isArray(segments) ? segments : [])
+    .map((segment) => ({ ...segment, text: toCueText(segment?.text) }))
+    .filter((segment) => segment.text)
+    .map(
+      (segment, index) =>
+        `${index + 1}\n${formatMsToTimestamp(segment.startMs)} --> ${formatMsToTimestamp(
+          segment.endMs
+        )}\n${escapeWebVttText(segment.text)}`
+    );
+
+  return ["WEBVTT", ...cues].join("\n\n") + "\n";
+};
+
+const formatMsToSrtTimestamp = (ms) => formatMsToTimestamp(ms).replace(".", ",");
+
+export const buildTranscriptSrt = (segments = []) =>
+  (Array.isArray(segments) ? segments : [])
+    .map((segment) => ({ ...segment, text: toCueText(segment?.text) }))
+    .filter((segment) => segment.text)
+    .map(
+      (segment, index) =>
+        `${index + 1}\n${formatMsToSrtTimestamp(segment.startMs)} --> ${formatMsToSrtTimestamp(
+          segment.endMs
+        )}\n${segment.text}\n`
+    )
+    .join("\n");
+
 export const parseTimeQueryToMs = (value) => {
   if (value === undefined || value === null || value === "") return null;
   return parseTimestampToMs(value);
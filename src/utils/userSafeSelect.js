@@ -8,6 +8,7 @@ const userSafeSelect = {
 
   emailVerified: true,
   authProvider: true,
+  twoFactorEnabled: true,
   role: true,
   moderationStatus: true,
   moderationReason: true,
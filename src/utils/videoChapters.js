@@ -0,0 +1,192 @@
+import ApiError from "./ApiError.js";
+import { escapeWebVttText, formatMsToTimestamp, toCueText } from "./transcript.js";
+
+/*
+  Chapters are stored as [{ title, startMs }] sorted by start; end times are
+  derived on read from the next chapter (or the video duration). The rules
+  follow what creators know from YouTube: the first chapter starts at 0:00,
+  there are at least three, and each lasts at least ten seconds.
+*/
+
+const MIN_CHAPTERS = 3;
+const MAX_CHAPTERS = 100;
+const MIN_CHAPTER_DURATION_MS = 10 * 1000;
+const MAX_CHAPTER_TITLE_LENGTH = 100;
+
+// "00:00 Intro", "1:02:03 - Wrap up", "(4:05) Setup", "• 12:30 | Demo"
+const CHAPTER_LINE_PATTERN =
+  /^\s*(?:[-*•]\s*)?[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*(?:[-–—:|]\s*)?(\S.*?)\s*$/;
+
+const normalizeTitle = (value) =>
+  String(value ?? "").replace(/\s+/g, " ").trim().slice(0, MAX_CHAPTER_TITLE_LENGTH);
+
+const parseClockToMs = (value) => {
+  const parts = String(value).split(":").map(Number);
+  if (parts.length < 2 || parts.length > 3 || !parts.every(Number.isInteger)) return null;
+
+  const [hours, minutes, seconds] = parts.length === 2 ? [0, ...parts] : parts;
+  if (minutes >= 60 || seconds >= 60) return null;
+
+  return (hours * 3600 + minutes * 60 + seconds) * 1000;
+};
+
+// Accepts `startMs`, or `startSeconds`/`start`/`time` as seconds or a "m:ss" clock.
+const parseChapterStartMs = (chapter) => {
+  if (typeof chapter?.startMs === "number") {
+    return Number.isFinite(chapter.startMs) ? Math.floor(chapter.startMs) : null;
+  }
+
+  const raw = chapter?.startSeconds ?? chapter?.start ?? chapter?.time;
+  if (typeof raw === "number") return Number.isFinite(raw) ? Math.floor(raw * 1000) : null;
+  if (typeof raw !== "string") return null;
+
+  const trimmed = raw.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) return Math.floor(Number(trimmed) * 1000);
+
+  return parseClockToMs(trimmed);
+};
+
+// Returns the reason a chapter list is unusable, or null when it is fine.
+const findChapterListProblem = (chapters, durationSeconds) => {
+  if (chapters.length < MIN_CHAPTERS) return `At least ${MIN_CHAPTERS} chapters are required`;
+  if (chapters.length > MAX_CHAPTERS) return `At most ${MAX_CHAPTERS} chapters are allowed`;
+  if (chapters[0].startMs !== 0) return "The first chapter must start at 0:00";
+
+  const durationMs = Number(durationSeconds) > 0 ? Number(durationSeconds) * 1000 : null;
+
+  for (let index = 0; index < chapters.length; index += 1) {
+    const nextStartMs = index + 1 < chapters.length ? chapters[index + 1].startMs : durationMs;
+    if (nextStartMs === null) continue;
+
+    if (nextStartMs - chapters[index].startMs < MIN_CHAPTER_DURATION_MS) {
+      return "Chapters must be in order and at least 10 seconds long";
+    }
+  }
+
+  return null;
+};
+
+/*
+  Picks timestamp lines out of a description. Anything that does not form a
+  valid chapter list yields no chapters rather than an error, since most
+  descriptions were not written with chapters in mind.
+*/
+export const parseChaptersFromDescription = (description, durationSeconds = null) => {
+  const chapters = [];
+
+  for (const line of String(description ?? "").split(/\r?\n/)) {
+    const match = CHAPTER_LINE_PATTERN.exec(line);
+    if (!match) continue;
+
+    const startMs = parseClockToMs(match[1]);
+    const title = normalizeTitle(match[2]);
+    if (startMs === null || !title) continue;
+
+    chapters.push({ title, startMs });
+  }
+
+  return findChapterListProblem(chapters, durationSeconds) ? [] : chapters;
+};
+
+const parseChapterList = (input) => {
+  if (typeof input !== "string") return input;
+
+  try {
+    return JSON.parse(input);
+  } catch {
+    return null;
+  }
+};
+
+export const normalizeChapterInput = (input, durationSeconds = null) => {
+  const list = parseChapterList(input);
+
+  if (!Array.isArray(list)) {
+    throw new ApiError(400, "chapters must be an array");
+  }
+
+  const chapters = list.map((chapter) => {
+    const startMs = parseChapterStartMs(chapter);
+    const title = normalizeTitle(chapter?.title);
+
+    if (startMs === null || startMs < 0) {
+      throw new ApiError(400, "Each chapter needs a valid start time");
+    }
+
+    if (!title) throw new ApiError(400, "Each chapter needs a title");
+
+    return { title, startMs };
+  });
+
+  chapters.sort((a, b) => a.startMs - b.startMs);
+
+  const problem = findChapterListProblem(chapters, durationSeconds);
+  if (problem) throw new ApiError(400, problem);
+
+  return chapters;
+};
+
+/*
+  Works out what to store after an upload or edit. Explicit chapters win and
+  survive later description edits; sending an empty list hands chapters back
+  to the description. Returns null when nothing needs to change.
+*/
+export const resolveChapterUpdate = ({
+  chaptersInput,
+  description,
+  descriptionChanged = true,
+  durationSeconds = null,
+  currentSource = null,
+}) => {
+  const list = parseChapterList(chaptersInput);
+  const clearsManual = list === null || (Array.isArray(list) && list.length === 0);
+
+  if (chaptersInput !== undefined && !clearsManual) {
+    return {
+      chapters: normalizeChapterInput(list, durationSeconds),
+      chaptersSource: "MANUAL",
+    };
+  }
+
+  if (chaptersInput === undefined && (!descriptionChanged || currentSource === "MANUAL")) {
+    return null;
+  }
+
+  const parsed = parseChaptersFromDescription(description, durationSeconds);
+  return {
+    chapters: parsed,
+    chaptersSource: parsed.length > 0 ? "DESCRIPTION" : null,
+  };
+};
+
+export const resolveVideoChapters = ({ chapters, durationSeconds = null }) => {
+  if (!Array.isArray(chapters) || chapters.length === 0) return [];
+
+  const durationMs = Number(durationSeconds) > 0 ? Number(durationSeconds) * 1000 : null;
+
+  return chapters.map((chapter, index) => {
+    const next = chapters[index + 1];
+    const endMs = next
+      ? next.startMs
+      : Math.max(durationMs ?? 0, chapter.startMs + MIN_CHAPTER_DURATION_MS);
+
+    return {
+      index,
+      title: chapter.title,
+      startMs: chapter.startMs,
+      endMs,
+      startSeconds: Math.floor(chapter.startMs / 1000),
+    };
+  });
+};
+
+export const buildChaptersWebVtt = (resolvedChapters) => {
+  const cues = resolvedChapters.map(
+    (chapter) =>
+      `${chapter.index + 1}\n${formatMsToTimestamp(chapter.startMs)} --> ${formatMsToTimestamp(
+        chapter.endMs
+      )}\n${escapeWebVttText(toCueText(chapter.title))}`
+  );
+
+  return ["WEBVTT", ...cues].join("\n\n") + "\n";
+};
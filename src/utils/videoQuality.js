@@ -1,4 +1,4 @@
-const QUALITY_HEIGHTS_DESC = [2160, 1440, 1080, 720, 480, 360, 240, 144];
+export const QUALITY_HEIGHTS_DESC = [2160, 1440, 1080, 720, 480, 360, 240, 144];
 const FALLBACK_MANUAL_QUALITIES = ["1080p", "720p", "480p"];
 const CLOUDINARY_VIDEO_UPLOAD_MARKER = "/video/upload/";
 
@@ -138,14 +138,44 @@ const buildManualQualityPlaybackUrl = (sourceUrl, qualityLabel) => {
   );
 };
 
+// Transcoded renditions: [{ quality: "720p", playlistUrl }] written by the video worker.
+const buildRenditionUrlMap = (renditions) => {
+  if (!Array.isArray(renditions)) return null;
+
+  const urlMap = new Map();
+  for (const rendition of renditions) {
+    const quality = toCanonicalQuality(rendition?.quality);
+    if (quality && rendition?.playlistUrl) {
+      urlMap.set(quality, rendition.playlistUrl);
+    }
+  }
+
+  return urlMap.size > 0 ? urlMap : null;
+};
+
 export const buildQualityUrls = ({
   sourceUrl,
   playbackUrl,
   availableQualities,
+  renditions,
 }) => {
   const normalizedQualities = normalizeAvailableQualities(availableQualities);
   const urls = {};
 
+  // Real HLS output: AUTO is the master playlist, each height its own media playlist.
+  const renditionUrls = buildRenditionUrlMap(renditions);
+  if (renditionUrls) {
+    urls.AUTO = playbackUrl || sourceUrl || null;
+    urls.MAX = sourceUrl || urls.AUTO;
+
+    for (const quality of normalizedQualities) {
+      if (quality === "AUTO" || quality === "MAX") continue;
+      urls[quality] = renditionUrls.get(quality) || urls.AUTO;
+    }
+
+    return urls;
+  }
+
   const autoUrl = buildAutoPlaybackUrl(sourceUrl, playbackUrl) || sourceUrl || null;
   urls.AUTO = autoUrl;
   urls.MAX = sourceUrl || autoUrl;
@@ -179,6 +209,7 @@ export const buildVideoStreamingPayload = ({
   availableQualities,
   requestedQuality,
   sourceHeight,
+  renditions,
 }) => {
   const normalizedQualities = normalizeAvailableQualities(
     availableQualities,
@@ -188,6 +219,7 @@ export const buildVideoStreamingPayload = ({
     sourceUrl,
     playbackUrl,
     availableQualities: normalizedQualities,
+    renditions,
   });
   const selectedQuality = resolveRequestedQuality(
     requestedQuality,
@@ -1,6 +1,61 @@
+import prisma from "../db/prisma.js";
+import ApiError from "./ApiError.js";
+
+/*
+    `isPublished` says whether a video is live at all (drafts, scheduled and
+    held videos are not); `visibility` says who can reach it once it is.
+    Only PUBLIC videos are listed anywhere. UNLISTED videos open for anyone
+    with the link; PRIVATE ones only for the owner and users it was shared with.
+*/
+export const VIDEO_VISIBILITIES = Object.freeze(["PUBLIC", "UNLISTED", "PRIVATE"]);
+
+const LINK_VISIBLE_VISIBILITIES = Object.freeze(["PUBLIC", "UNLISTED"]);
+
 export const PUBLIC_VIDEO_FILTER = {
     isPublished: true,
+    visibility: "PUBLIC",
     isDeleted: false,
     processingStatus: "COMPLETED",
     isHlsReady: true
 };
+
+export const normalizeVideoVisibility = (value, fallback = null) => {
+    if (value === undefined || value === null || value === "") return fallback;
+
+    const visibility = String(value).trim().toUpperCase();
+
+    if (!VIDEO_VISIBILITIES.includes(visibility)) {
+        throw new ApiError(400, "visibility must be PUBLIC, UNLISTED or PRIVATE");
+    }
+
+    return visibility;
+};
+
+export const isVideoSharedWith = async (videoId, userId) => {
+    if (!videoId || !userId) return false;
+
+    const share = await prisma.videoShare.findUnique({
+        where: { videoId_userId: { videoId, userId } },
+        select: { id: true },
+    });
+
+    return Boolean(share);
+};
+
+// Only the visibility part: callers still check isPublished, processing and deletion.
+export const canViewerOpenVideo = async (video, viewerId) => {
+    if (viewerId && video.ownerId === viewerId) return true;
+    if (LINK_VISIBLE_VISIBILITIES.includes(video.visibility)) return true;
+
+    return isVideoSharedWith(video.id, viewerId);
+};
+
+// Prisma counterpart of canViewerOpenVideo, for lists a viewer built themselves (playlists).
+export const buildViewerVisibleVideoWhere = (viewerId) => ({
+    OR: [
+        { visibility: { in: [...LINK_VISIBLE_VISIBILITIES] } },
+        ...(viewerId
+            ? [{ ownerId: viewerId }, { shares: { some: { userId: viewerId } } }]
+            : []),
+    ],
+});
@@ -0,0 +1,54 @@
+import {
+  ACCOUNT_PURGE_STAGES,
+  collectUserMediaAssets,
+  getNextPurgeStage,
+  isWithinRestoreWindow,
+} from "../src/services/accountPurge.service.js";
+
+describe("Account purge pipeline", () => {
+  it("walks the stages in order and ends after ACCOUNT", () => {
+    const visited = [];
+    for (let stage = getNextPurgeStage(undefined); stage; stage = getNextPurgeStage(stage)) {
+      visited.push(stage);
+    }
+    expect(visited).toEqual([...ACCOUNT_PURGE_STAGES]);
+    expect(getNextPurgeStage("ACCOUNT")).toBeNull();
+  });
+
+  it("keeps accounts restorable for exactly seven days", () => {
+    const deletedAt = new Date("2026-01-01T00:00:00.000Z");
+    const day = 24 * 60 * 60 * 1000;
+
+    expect(isWithinRestoreWindow(deletedAt, deletedAt.getTime() + 7 * day)).toBe(true);
+    expect(isWithinRestoreWindow(deletedAt, deletedAt.getTime() + 7 * day + 1)).toBe(false);
+    expect(isWithinRestoreWindow(null)).toBe(false);
+  });
+
+  it("collects every owned media asset with its storage backend", () => {
+    const assets = collectUserMediaAssets({
+      user: { avatarPublicId: "avatars/a", coverImagePublicId: null },
+      videos: [
+        {
+          videoPublicId: "videos/v",
+          thumbnailPublicId: "thumbs/t",
+          hlsStoragePrefix: "hls/v",
+          storageProvider: "s3",
+        },
+      ],
+      tweets: [{ imageId: "tweets/i", imageStorageProvider: "local" }],
+      exports: [
+        { result: { publicId: "data-exports/u/1.zip" } },
+        { result: { publicId: "data-exports/u/0.zip", purgedAt: "2026-01-01T00:00:00.000Z" } },
+      ],
+    });
+
+    expect(assets).toEqual([
+      { publicId: "avatars/a", provider: null, resourceType: "image", isPrivate: false },
+      { publicId: "videos/v", provider: "s3", resourceType: "video", isPrivate: false },
+      { publicId: "thumbs/t", provider: "s3", resourceType: "image", isPrivate: false },
+      { folder: "hls/v", provider: "s3" },
+      { publicId: "tweets/i", provider: "local", resourceType: "image", isPrivate: false },
+      { publicId: "data-exports/u/1.zip", provider: null, resourceType: "raw", isPrivate: true },
+    ]);
+  });
+});
@@ -0,0 +1,51 @@
+import {
+  BACKGROUND_JOB_HANDLERS,
+  redactJobPayload,
+} from "../src/jobs/backgroundJob.handlers.js";
+import { getBackgroundQueueName } from "../src/queue/background.queue.js";
+import {
+  BACKGROUND_JOB_TYPES,
+  getRetryDelayMs,
+} from "../src/services/backgroundJob.service.js";
+
+describe("Background job runner", () => {
+  it("owns email, notification, feed and export jobs but not video processing", () => {
+    expect(BACKGROUND_JOB_TYPES).toEqual(
+      expect.arrayContaining(["EMAIL", "NOTIFICATION", "FEED_RECOMPUTE", "DATA_EXPORT"])
+    );
+    expect(BACKGROUND_JOB_TYPES).not.toContain("VIDEO_PROCESSING");
+
+    for (const jobType of BACKGROUND_JOB_TYPES) {
+      const handler = BACKGROUND_JOB_HANDLERS[jobType];
+      expect(handler.concurrency).toBeGreaterThanOrEqual(1);
+      expect(handler.maxAttempts).toBeGreaterThanOrEqual(1);
+      expect(typeof handler.run).toBe("function");
+    }
+  });
+
+  it("doubles the retry delay after each failed attempt", () => {
+    const base = BACKGROUND_JOB_HANDLERS.EMAIL.backoffMs;
+
+    expect(getRetryDelayMs("EMAIL", 1)).toBe(base);
+    expect(getRetryDelayMs("EMAIL", 3)).toBe(base * 4);
+    expect(getRetryDelayMs("VIDEO_PROCESSING", 1)).toBe(0);
+  });
+
+  it("drops email bodies once delivered, since they may carry OTPs", () => {
+    const redacted = BACKGROUND_JOB_HANDLERS.EMAIL.redactPayload({
+      to: "a@example.com",
+      subject: "Your code",
+      html: "<p>123456</p>",
+      text: "Your OTP is 123456",
+    });
+
+    expect(redacted).toEqual({ to: "a@example.com", subject: "Your code", redacted: true });
+    expect(redactJobPayload("EMAIL", redacted)).toEqual(redacted);
+    expect(redactJobPayload("FEED_RECOMPUTE", { videoId: "v1" })).toEqual({ videoId: "v1" });
+  });
+
+  it("gives every job type its own queue", () => {
+    expect(getBackgroundQueueName("FEED_RECOMPUTE")).toBe("background-feed-recompute");
+    expect(getBackgroundQueueName("EMAIL")).not.toBe(getBackgroundQueueName("NOTIFICATION"));
+  });
+});
@@ -0,0 +1,112 @@
+import { jest } from "@jest/globals";
+
+process.env.BACKGROUND_JOB_LEASE_MS = "3000";
+
+const rows = new Map();
+
+const matches = (row, where) =>
+  Object.entries(where).every(([key, value]) =>
+    value instanceof Date ? row[key]?.getTime() === value.getTime() : row[key] === value
+  );
+
+const backgroundJob = {
+  updateMany: jest.fn(async ({ where, data }) => {
+    const row = rows.get(where.id);
+    if (!row) return { count: 0 };
+
+    // The claim filters on the runnable OR; every other write uses plain equality.
+    if (where.OR) {
+      if (row.status !== "PENDING") return { count: 0 };
+      Object.assign(row, data, { attempts: row.attempts + 1 });
+      return { count: 1 };
+    }
+
+    if (!matches(row, where)) return { count: 0 };
+    Object.assign(row, data);
+    return { count: 1 };
+  }),
+  findUnique: jest.fn(async ({ where }) => {
+    const row = rows.get(where.id);
+    return row ? { ...row } : null;
+  }),
+};
+
+const handlerRun = jest.fn();
+
+jest.unstable_mockModule("../src/db/prisma.js", () => ({ default: { backgroundJob } }));
+jest.unstable_mockModule("../src/queue/background.queue.js", () => ({
+  getBackgroundQueue: () => null,
+}));
+jest.unstable_mockModule("../src/jobs/backgroundJob.handlers.js", () => {
+  const handler = { run: handlerRun, concurrency: 1, maxAttempts: 3, backoffMs: 1000 };
+  return {
+    BACKGROUND_JOB_HANDLERS: { TEST: handler },
+    getBackgroundJobHandler: (jobType) => (jobType === "TEST" ? handler : null),
+    redactJobPayload: (_jobType, payload) => payload,
+  };
+});
+
+const { runBackgroundJob } = await import("../src/services/backgroundJob.service.js");
+
+const seedJob = (id) =>
+  rows.set(id, {
+    id,
+    jobType: "TEST",
+    status: "PENDING",
+    attempts: 0,
+    maxAttempts: 3,
+    payload: {},
+    startedAt: null,
+  });
+
+describe("Background job lease", () => {
+  beforeEach(() => {
+    rows.clear();
+    handlerRun.mockReset();
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.warn.mockRestore();
+  });
+
+  it("renews startedAt while the handler runs and completes against the renewed lease", async () => {
+    seedJob("job-long");
+    handlerRun.mockImplementation(
+      () => new Promise((resolve) => setTimeout(() => resolve({ ok: true }), 1300))
+    );
+
+    const claimedAt = Date.now();
+    const finished = await runBackgroundJob("job-long");
+
+    expect(finished.status).toBe("COMPLETED");
+    expect(finished.result).toEqual({ ok: true });
+    expect(finished.startedAt.getTime()).toBeGreaterThan(claimedAt + 900);
+  });
+
+  it("drops the outcome when another run has taken the lease over", async () => {
+    seedJob("job-stolen");
+    handlerRun.mockImplementation(async () => {
+      // A second runner reclaims the row after a stall.
+      Object.assign(rows.get("job-stolen"), { startedAt: new Date(Date.now() + 5000) });
+      return { ok: "stale" };
+    });
+
+    const finished = await runBackgroundJob("job-stolen");
+
+    expect(finished).toBeNull();
+    expect(rows.get("job-stolen")).toMatchObject({ status: "RUNNING" });
+    expect(rows.get("job-stolen").result).toBeUndefined();
+  });
+
+  it("fences the retry write the same way", async () => {
+    seedJob("job-retry");
+    handlerRun.mockImplementation(async () => {
+      Object.assign(rows.get("job-retry"), { status: "COMPLETED" });
+      throw new Error("boom");
+    });
+
+    expect(await runBackgroundJob("job-retry")).toBeNull();
+    expect(rows.get("job-retry").status).toBe("COMPLETED");
+  });
+});
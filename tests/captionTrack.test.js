@@ -0,0 +1,41 @@
+import {
+  buildCaptionTrackList,
+  normalizeCaptionLanguage,
+  normalizeCaptionSource,
+  pickDefaultCaptionTrack,
+} from "../src/services/captionTrack.service.js";
+
+describe("Caption tracks", () => {
+  it("normalizes language codes and rejects free text", () => {
+    expect(normalizeCaptionLanguage("EN")).toBe("en");
+    expect(normalizeCaptionLanguage("pt_br")).toBe("pt-BR");
+    expect(normalizeCaptionLanguage("zh-Hant")).toBe("zh-hant");
+    expect(normalizeCaptionLanguage(" ", "und")).toBe("und");
+    expect(() => normalizeCaptionLanguage("English")).toThrow("language code");
+  });
+
+  it("only accepts known caption sources", () => {
+    expect(normalizeCaptionSource("auto")).toBe("AUTO");
+    expect(normalizeCaptionSource("whisper")).toBe("MANUAL");
+    expect(normalizeCaptionSource(undefined, "IMPORTED")).toBe("IMPORTED");
+  });
+
+  it("lists tracks for the player with the default flagged", () => {
+    const tracks = [
+      { language: "en", label: "English", source: "MANUAL", isDefault: false },
+      { language: "pt-BR", label: null, source: "AUTO", isDefault: true },
+    ];
+
+    expect(pickDefaultCaptionTrack(tracks).language).toBe("pt-BR");
+    expect(pickDefaultCaptionTrack([])).toBeNull();
+
+    expect(buildCaptionTrackList("video-1", tracks)[1]).toEqual({
+      language: "pt-BR",
+      label: "pt-BR",
+      source: "AUTO",
+      isDefault: true,
+      vttUrl: "/api/v1/watch/video-1/captions/pt-BR.vtt",
+      srtUrl: "/api/v1/watch/video-1/captions/pt-BR.srt",
+    });
+  });
+});
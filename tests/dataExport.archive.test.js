@@ -0,0 +1,133 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import {
+  DATA_EXPORT_SECTIONS,
+  writeDataExportFiles,
+} from "../src/jobs/dataExport.job.js";
+
+async function* inPages(rows = [], pageSize = 1) {
+  for (let index = 0; index < rows.length; index += pageSize) {
+    yield rows.slice(index, index + pageSize);
+  }
+}
+
+describe("Data export archive layout", () => {
+  let workDir;
+
+  beforeEach(async () => {
+    workDir = await fs.mkdtemp(path.join(os.tmpdir(), "vixora-export-test-"));
+  });
+
+  afterEach(async () => {
+    await fs.rm(workDir, { recursive: true, force: true });
+  });
+
+  const writeSections = (sections, pageSize = 1) =>
+    writeDataExportFiles({
+      workDir,
+      readPages: (section) => inPages(sections[section.name], pageSize),
+      exportedAt: new Date("2026-01-01T00:00:00.000Z"),
+    });
+
+  const readEntry = (entries, name) =>
+    fs.readFile(entries.find((entry) => entry.name === name).path, "utf8");
+
+  it("writes one CSV header across pages and quotes special characters", async () => {
+    const { entries } = await writeSections({
+      comments: [
+        { id: "1", content: 'He said "hi", then left', videoId: null },
+        { id: "2", content: "line\nbreak", videoId: "v1" },
+        { id: "3", content: "plain", videoId: "v2" },
+      ],
+    });
+
+    expect(await readEntry(entries, "csv/comments.csv")).toBe(
+      'id,content,videoId\r\n1,"He said ""hi"", then left",\r\n2,"line\nbreak",v1\r\n3,plain,v2\r\n'
+    );
+  });
+
+  it("keeps the first page's columns for later pages", async () => {
+    const { entries } = await writeSections(
+      {
+        tweets: [
+          { id: "t1", content: "first" },
+          { id: "t2", content: "second" },
+          { content: "third", id: "t3", extra: "ignored" },
+        ],
+      },
+      2
+    );
+
+    expect(await readEntry(entries, "csv/tweets.csv")).toBe(
+      "id,content\r\nt1,first\r\nt2,second\r\nt3,third\r\n"
+    );
+  });
+
+  it("writes dates as ISO strings, nested values as JSON and neutralises formulas", async () => {
+    const { entries } = await writeSections({
+      comments: [
+        {
+          createdAt: new Date("2026-01-02T03:04:05.000Z"),
+          links: { site: "x" },
+          empty: null,
+          content: '=HYPERLINK("http://x")',
+        },
+      ],
+    });
+
+    expect((await readEntry(entries, "csv/comments.csv")).split("\r\n")[1]).toBe(
+      '2026-01-02T03:04:05.000Z,"{""site"":""x""}",,"\'=HYPERLINK(""http://x"")"'
+    );
+  });
+
+  it("writes JSON and CSV for every section plus a manifest, a page at a time", async () => {
+    const sections = {
+      comments: [
+        { id: "c1", content: "nice" },
+        { id: "c2", content: "line\nbreak" },
+      ],
+      ai_chat_sessions: [
+        {
+          id: "s1",
+          title: "Recap",
+          videoId: "v1",
+          messages: [
+            { role: "USER", content: "summarise", createdAt: "2026-01-01T00:00:00.000Z" },
+            { role: "ASSISTANT", content: "sure", createdAt: "2026-01-01T00:00:01.000Z" },
+          ],
+        },
+      ],
+    };
+
+    const { entries, counts } = await writeDataExportFiles({
+      workDir,
+      readPages: (section) => inPages(sections[section.name]),
+      exportedAt: new Date("2026-01-01T00:00:00.000Z"),
+    });
+    const read = (name) => fs.readFile(entries.find((entry) => entry.name === name).path, "utf8");
+
+    const names = entries.map((entry) => entry.name);
+    expect(names[0]).toBe("manifest.json");
+    for (const section of DATA_EXPORT_SECTIONS) {
+      expect(names).toContain(`json/${section}.json`);
+      expect(names).toContain(`csv/${section}.csv`);
+    }
+
+    expect(counts.comments).toBe(2);
+    expect(counts.tweets).toBe(0);
+
+    expect(await read("json/comments.json")).toBe(JSON.stringify(sections.comments, null, 2));
+    expect(await read("csv/comments.csv")).toBe(
+      'id,content\r\nc1,nice\r\nc2,"line\nbreak"\r\n'
+    );
+    expect(await read("json/tweets.json")).toBe("[]");
+    expect(await read("csv/tweets.csv")).toBe("");
+
+    const chatCsv = await read("csv/ai_chat_sessions.csv");
+    expect(chatCsv.trim().split("\r\n")).toHaveLength(3);
+
+    const manifest = JSON.parse(await read("manifest.json"));
+    expect(manifest.sections.ai_chat_sessions).toBe(1);
+  });
+});
@@ -0,0 +1,51 @@
+import {
+  buildDeadLetterRecord,
+  isFinalQueueAttempt,
+} from "../src/services/deadLetter.service.js";
+
+describe("Dead-letter store", () => {
+  it("dead-letters a queue job only once its last attempt fails", () => {
+    expect(isFinalQueueAttempt({ attemptsMade: 0, opts: { attempts: 2 } })).toBe(false);
+    expect(isFinalQueueAttempt({ attemptsMade: 1, opts: { attempts: 2 } })).toBe(true);
+    expect(isFinalQueueAttempt({ attemptsMade: 0, opts: {} })).toBe(true);
+  });
+
+  it("keeps the payload, failed step and stack for inspection", () => {
+    const error = new Error("ffmpeg exited with code 1: moov atom not found");
+    error.step = "TRANSCODE";
+
+    const record = buildDeadLetterRecord({
+      jobType: "VIDEO_PROCESSING",
+      correlationId: "video-1",
+      payload: { queue: "video-processing", data: { videoId: "video-1" } },
+      error,
+      attempts: 2,
+      maxAttempts: 2,
+    });
+
+    expect(record).toMatchObject({
+      jobType: "VIDEO_PROCESSING",
+      status: "DEAD",
+      correlationId: "video-1",
+      attempts: 2,
+      maxAttempts: 2,
+      error: "TRANSCODE: ffmpeg exited with code 1: moov atom not found",
+      payload: {
+        queue: "video-processing",
+        data: { videoId: "video-1" },
+        failedStep: "TRANSCODE",
+      },
+    });
+    expect(record.payload.errorStack).toContain("moov atom not found");
+  });
+
+  it("caps long error messages", () => {
+    const record = buildDeadLetterRecord({
+      jobType: "EMAIL",
+      error: new Error("x".repeat(5000)),
+    });
+
+    expect(record.error.length).toBe(2000);
+    expect(record.payload.failedStep).toBeNull();
+  });
+});
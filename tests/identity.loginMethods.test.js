@@ -0,0 +1,133 @@
+import { jest } from "@jest/globals";
+
+/*
+  A small in-memory stand-in for the tables involved. Writes to the user row
+  take a row lock that is held until the transaction finishes, the way
+  Postgres holds it until commit; every call yields so transactions interleave.
+*/
+const db = { user: null, identities: [], passkeys: [] };
+const rowLocks = new Map();
+
+const lockRow = async (id, held) => {
+  if (held.has(id)) return;
+  while (rowLocks.has(id)) await rowLocks.get(id).promise;
+
+  let release;
+  const promise = new Promise((resolve) => {
+    release = resolve;
+  });
+  rowLocks.set(id, { promise, release });
+  held.add(id);
+};
+
+const buildClient = (held) => ({
+  user: {
+    updateMany: async ({ where }) => {
+      await Promise.resolve();
+      if (db.user?.id !== where.id) return { count: 0 };
+      await lockRow(where.id, held);
+      return { count: 1 };
+    },
+    update: async ({ data }) => {
+      await Promise.resolve();
+      Object.assign(db.user, data);
+      return { ...db.user };
+    },
+    findUnique: async ({ select }) => {
+      await Promise.resolve();
+      if (!db.user) return null;
+      if (select._count) {
+        return {
+          password: db.user.password,
+          _count: { identities: db.identities.length, passkeys: db.passkeys.length },
+        };
+      }
+      return { ...db.user, identities: db.identities.map((item) => ({ ...item })) };
+    },
+  },
+  userIdentity: {
+    delete: async ({ where }) => {
+      await Promise.resolve();
+      db.identities = db.identities.filter((item) => item.id !== where.id);
+    },
+  },
+  userPasskey: {
+    findFirst: async ({ where }) => {
+      await Promise.resolve();
+      const passkey = db.passkeys.find((item) => item.id === where.id);
+      return passkey ? { id: passkey.id } : null;
+    },
+    delete: async ({ where }) => {
+      await Promise.resolve();
+      db.passkeys = db.passkeys.filter((item) => item.id !== where.id);
+    },
+  },
+});
+
+const prisma = {
+  $transaction: async (work) => {
+    const held = new Set();
+    try {
+      return await work(buildClient(held));
+    } finally {
+      for (const id of held) {
+        rowLocks.get(id).release();
+        rowLocks.delete(id);
+      }
+    }
+  },
+};
+
+jest.unstable_mockModule("../src/db/prisma.js", () => ({ default: prisma }));
+
+const { LAST_LOGIN_METHOD_MESSAGE, unlinkIdentity } =
+  await import("../src/services/identity.service.js");
+const { deleteUserPasskey } = await import("../src/services/passkey.service.js");
+
+const seed = ({ identities = [], passkeys = [], password = null }) => {
+  db.user = { id: "u1", password, authProvider: "GOOGLE", providerId: "g-1" };
+  db.identities = identities;
+  db.passkeys = passkeys;
+};
+
+describe("Last sign-in method guard", () => {
+  it("refuses to unlink the only sign-in method", async () => {
+    seed({ identities: [{ id: "i1", provider: "GOOGLE", providerId: "g-1" }] });
+
+    await expect(unlinkIdentity({ userId: "u1", provider: "GOOGLE" })).rejects.toMatchObject({
+      statusCode: 400,
+      message: LAST_LOGIN_METHOD_MESSAGE,
+    });
+    expect(db.identities).toHaveLength(1);
+  });
+
+  it("unlinks a provider when another method remains", async () => {
+    seed({
+      identities: [{ id: "i1", provider: "GOOGLE", providerId: "g-1" }],
+      password: "hash",
+    });
+
+    await expect(unlinkIdentity({ userId: "u1", provider: "GOOGLE" })).resolves.toEqual({
+      provider: "GOOGLE",
+    });
+    expect(db.user).toMatchObject({ authProvider: "LOCAL", providerId: null });
+  });
+
+  it("lets only one of a concurrent unlink and passkey delete remove a method", async () => {
+    seed({
+      identities: [{ id: "i1", provider: "GOOGLE", providerId: "g-1" }],
+      passkeys: [{ id: "p1" }],
+    });
+
+    const results = await Promise.allSettled([
+      unlinkIdentity({ userId: "u1", provider: "GOOGLE" }),
+      deleteUserPasskey({ userId: "u1", passkeyId: "p1" }),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(["fulfilled", "rejected"]);
+    expect(results.find((result) => result.status === "rejected").reason.message).toBe(
+      LAST_LOGIN_METHOD_MESSAGE
+    );
+    expect(db.identities.length + db.passkeys.length).toBe(1);
+  });
+});
@@ -0,0 +1,190 @@
+import { jest } from "@jest/globals";
+
+const MINUTE = 60 * 1000;
+const NOW = Date.parse("2026-01-01T12:00:00.000Z");
+
+const users = new Map();
+
+const matchesValue = (actual, condition) => {
+  if (condition === null) return actual === null || actual === undefined;
+  if (condition && typeof condition === "object" && !(condition instanceof Date)) {
+    if ("lt" in condition) return actual !== null && actual < condition.lt;
+    if ("gte" in condition) return actual >= condition.gte;
+  }
+  return actual === condition;
+};
+
+const matchesWhere = (row, { OR, ...fields }) =>
+  Object.entries(fields).every(([key, condition]) => matchesValue(row[key], condition)) &&
+  (!OR || OR.some((branch) => matchesWhere(row, branch)));
+
+const applyData = (row, data) => {
+  for (const [key, value] of Object.entries(data)) {
+    row[key] =
+      value && typeof value === "object" && "increment" in value
+        ? (row[key] || 0) + value.increment
+        : value;
+  }
+};
+
+// Every call yields first so concurrent callers interleave the way separate queries would.
+const user = {
+  findUnique: jest.fn(async ({ where }) => {
+    await Promise.resolve();
+    const row = users.get(where.id);
+    return row ? { ...row } : null;
+  }),
+  update: jest.fn(async ({ where, data }) => {
+    await Promise.resolve();
+    const row = users.get(where.id);
+    applyData(row, data);
+    return { ...row };
+  }),
+  updateMany: jest.fn(async ({ where, data }) => {
+    await Promise.resolve();
+    const row = users.get(where.id);
+    if (!row || !matchesWhere(row, where)) return { count: 0 };
+    applyData(row, data);
+    return { count: 1 };
+  }),
+};
+
+const recordSecurityEvent = jest.fn(async () => null);
+const enqueueBackgroundJob = jest.fn(async () => null);
+
+jest.unstable_mockModule("../src/db/prisma.js", () => ({ default: { user } }));
+jest.unstable_mockModule("../src/services/securityEvent.service.js", () => ({
+  recordSecurityEvent,
+}));
+jest.unstable_mockModule("../src/services/backgroundJob.service.js", () => ({
+  enqueueBackgroundJob,
+}));
+jest.unstable_mockModule("../src/utils/securityContext.js", () => ({
+  getSecurityContext: () => ({}),
+}));
+
+const { computeLockoutDuration, getLockoutStatus, recordFailedLogin } = await import(
+  "../src/services/loginLockout.service.js"
+);
+
+const seedUser = (state) => {
+  users.set("u1", {
+    id: "u1",
+    email: "u1@example.com",
+    fullName: "User One",
+    failedLoginAttempts: 0,
+    lastFailedLoginAt: null,
+    lockedUntil: null,
+    lockoutCount: 0,
+    ...state,
+  });
+  return users.get("u1");
+};
+
+const fail = () => recordFailedLogin({ user: users.get("u1"), req: {} });
+
+describe("Login lockout backoff", () => {
+  beforeEach(() => {
+    users.clear();
+    user.findUnique.mockClear();
+    recordSecurityEvent.mockClear();
+    enqueueBackgroundJob.mockClear();
+    jest.useFakeTimers({ now: NOW, doNotFake: ["queueMicrotask", "nextTick"] });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it("counts failures below the threshold without locking", async () => {
+    seedUser({ failedLoginAttempts: 3, lastFailedLoginAt: new Date(NOW - MINUTE) });
+
+    const status = await fail();
+
+    expect(status.isLocked).toBe(false);
+    expect(users.get("u1")).toMatchObject({ failedLoginAttempts: 4, lockedUntil: null });
+    expect(users.get("u1").lastFailedLoginAt.getTime()).toBe(NOW);
+    expect(recordSecurityEvent).not.toHaveBeenCalled();
+  });
+
+  it("locks on the fifth failure inside the window", async () => {
+    seedUser({ failedLoginAttempts: 4, lastFailedLoginAt: new Date(NOW - MINUTE) });
+
+    const status = await fail();
+
+    expect(status).toMatchObject({ isLocked: true, retryAfterSeconds: 5 * 60, lockoutCount: 1 });
+    expect(users.get("u1")).toMatchObject({ failedLoginAttempts: 0, lockoutCount: 1 });
+    expect(users.get("u1").lockedUntil.getTime()).toBe(NOW + 5 * MINUTE);
+    expect(recordSecurityEvent).toHaveBeenCalledTimes(1);
+    expect(enqueueBackgroundJob).toHaveBeenCalledTimes(1);
+  });
+
+  it("starts a new count once the window has passed", async () => {
+    seedUser({
+      failedLoginAttempts: 4,
+      lastFailedLoginAt: new Date(NOW - 20 * MINUTE),
+      lockoutCount: 2,
+    });
+
+    const status = await fail();
+
+    expect(status.isLocked).toBe(false);
+    expect(users.get("u1")).toMatchObject({ failedLoginAttempts: 1, lockoutCount: 2 });
+  });
+
+  it("forgets earlier lockouts after a quiet day", async () => {
+    seedUser({ lastFailedLoginAt: new Date(NOW - 25 * 60 * MINUTE), lockoutCount: 3 });
+
+    await fail();
+
+    expect(users.get("u1")).toMatchObject({ failedLoginAttempts: 1, lockoutCount: 0 });
+  });
+
+  it("counts every concurrent failure and locks exactly once", async () => {
+    seedUser({ failedLoginAttempts: 4, lastFailedLoginAt: new Date(NOW - MINUTE) });
+
+    const statuses = await Promise.all([fail(), fail()]);
+
+    // Both increments pass the threshold; the compare-and-set lets one lock
+    // and the other (count === 0) reports the lock it lost to.
+    expect(statuses.map((status) => status.isLocked)).toEqual([true, true]);
+    // Two initial reads plus the loser re-reading the lock it lost to.
+    expect(user.findUnique).toHaveBeenCalledTimes(3);
+    expect(users.get("u1")).toMatchObject({ lockoutCount: 1 });
+    expect(users.get("u1").lockedUntil.getTime()).toBe(NOW + 5 * MINUTE);
+    expect(recordSecurityEvent).toHaveBeenCalledTimes(1);
+    expect(enqueueBackgroundJob).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not reset a count a concurrent failure has just refreshed", async () => {
+    seedUser({ failedLoginAttempts: 4, lastFailedLoginAt: new Date(NOW - 20 * MINUTE) });
+    user.findUnique.mockImplementationOnce(async () => {
+      const snapshot = { ...users.get("u1") };
+      // Another request restarts the window between this read and the reset.
+      Object.assign(users.get("u1"), {
+        failedLoginAttempts: 1,
+        lastFailedLoginAt: new Date(NOW),
+      });
+      return snapshot;
+    });
+
+    await fail();
+
+    expect(users.get("u1").failedLoginAttempts).toBe(2);
+  });
+
+  it("doubles the lockout on each repeat up to the cap", () => {
+    expect(computeLockoutDuration(1)).toBe(5 * MINUTE);
+    expect(computeLockoutDuration(2)).toBe(10 * MINUTE);
+    expect(computeLockoutDuration(4)).toBe(40 * MINUTE);
+    expect(computeLockoutDuration(20)).toBe(24 * 60 * MINUTE);
+  });
+
+  it("reports remaining lock time and treats past locks as open", () => {
+    const locked = getLockoutStatus({ lockedUntil: new Date(NOW + 90 * 1000), lockoutCount: 1 }, NOW);
+    expect(locked).toMatchObject({ isLocked: true, retryAfterSeconds: 90, lockoutCount: 1 });
+
+    const expired = getLockoutStatus({ lockedUntil: new Date(NOW - 1000) }, NOW);
+    expect(expired).toMatchObject({ isLocked: false, lockedUntil: null, retryAfterSeconds: 0 });
+  });
+});
@@ -0,0 +1,55 @@
+import {
+  LOGIN_RISK_REASONS,
+  buildDeviceFingerprint,
+  evaluateLoginRisk,
+} from "../src/services/loginRisk.service.js";
+
+describe("Login risk evaluation", () => {
+  const laptop = buildDeviceFingerprint({ browser: "Chrome", os: "macOS", device: "Desktop" });
+  const phone = buildDeviceFingerprint({ browser: "Safari", os: "iOS", device: "iPhone" });
+
+  it("fingerprints devices case-insensitively", () => {
+    expect(buildDeviceFingerprint({ browser: "chrome ", os: "MACOS", device: "desktop" })).toBe(
+      laptop
+    );
+    expect(phone).not.toBe(laptop);
+  });
+
+  it("never alerts on the first recorded login", () => {
+    const risk = evaluateLoginRisk({ knownDevices: [], fingerprint: laptop, country: "IN" });
+    expect(risk).toEqual({ isFirstLogin: true, shouldAlert: false, reasons: [] });
+  });
+
+  it("stays quiet for a known device in a known country", () => {
+    const risk = evaluateLoginRisk({
+      knownDevices: [{ fingerprint: laptop, countries: ["IN"] }],
+      fingerprint: laptop,
+      country: "IN",
+    });
+    expect(risk.shouldAlert).toBe(false);
+  });
+
+  it("flags a new device and a new country", () => {
+    const knownDevices = [{ fingerprint: laptop, countries: ["IN"] }];
+
+    expect(evaluateLoginRisk({ knownDevices, fingerprint: phone, country: "IN" }).reasons).toEqual(
+      [LOGIN_RISK_REASONS.NEW_DEVICE]
+    );
+    expect(
+      evaluateLoginRisk({ knownDevices, fingerprint: laptop, country: "US" }).reasons
+    ).toEqual([LOGIN_RISK_REASONS.NEW_COUNTRY]);
+    expect(evaluateLoginRisk({ knownDevices, fingerprint: phone, country: "US" })).toMatchObject({
+      shouldAlert: true,
+      reasons: [LOGIN_RISK_REASONS.NEW_DEVICE, LOGIN_RISK_REASONS.NEW_COUNTRY],
+    });
+  });
+
+  it("ignores unknown locations", () => {
+    const risk = evaluateLoginRisk({
+      knownDevices: [{ fingerprint: laptop, countries: ["IN"] }],
+      fingerprint: laptop,
+      country: null,
+    });
+    expect(risk.shouldAlert).toBe(false);
+  });
+});
@@ -0,0 +1,48 @@
+import jwt from "jsonwebtoken";
+
+const previousSecret = process.env.MAGIC_LINK_SECRET;
+process.env.MAGIC_LINK_SECRET = "test-magic-link-secret";
+
+const { createMagicLinkToken, verifyMagicLinkToken } = await import(
+  "../src/services/magicLink.service.js"
+);
+
+describe("Magic link tokens", () => {
+  afterAll(() => {
+    if (previousSecret === undefined) delete process.env.MAGIC_LINK_SECRET;
+    else process.env.MAGIC_LINK_SECRET = previousSecret;
+  });
+
+  it("round-trips the user and link id", () => {
+    const token = createMagicLinkToken({ userId: "user-1", linkId: "link-1" });
+    expect(verifyMagicLinkToken(token)).toMatchObject({ uid: "user-1", jti: "link-1" });
+  });
+
+  it("rejects tokens signed for another purpose or with another secret", () => {
+    const otherPurpose = jwt.sign(
+      { uid: "user-1", jti: "link-1", purpose: "LOGIN_ALERT" },
+      "test-magic-link-secret"
+    );
+    const otherSecret = jwt.sign(
+      { uid: "user-1", jti: "link-1", purpose: "MAGIC_LINK" },
+      "someone-else"
+    );
+
+    for (const token of [otherPurpose, otherSecret, "", undefined]) {
+      expect(() => verifyMagicLinkToken(token)).toThrow(
+        expect.objectContaining({ statusCode: 400 })
+      );
+    }
+  });
+
+  it("rejects expired links", () => {
+    const expired = jwt.sign(
+      { uid: "user-1", jti: "link-1", purpose: "MAGIC_LINK" },
+      "test-magic-link-secret",
+      { expiresIn: -1 }
+    );
+    expect(() => verifyMagicLinkToken(expired)).toThrow(
+      expect.objectContaining({ statusCode: 400 })
+    );
+  });
+});
@@ -0,0 +1,168 @@
+import crypto from "crypto";
+import { isoCBOR } from "@simplewebauthn/server/helpers";
+import {
+  verifyPasskeyAssertion,
+  verifyPasskeyRegistrationResponse,
+} from "../src/services/passkey.service.js";
+
+const ORIGIN = "https://app.vixora.test";
+const RP_ID = "app.vixora.test";
+
+const b64url = (buffer) => Buffer.from(buffer).toString("base64url");
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest();
+
+// Minimal platform authenticator: one P-256 key, "none" attestation, UV set.
+const createSoftwareAuthenticator = () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("ec", {
+    namedCurve: "P-256",
+  });
+  const jwk = publicKey.export({ format: "jwk" });
+  const credentialId = crypto.randomBytes(16);
+  let signCount = 0;
+
+  const coseKey = new Map([
+    [1, 2], // kty: EC2
+    [3, -7], // alg: ES256
+    [-1, 1], // crv: P-256
+    [-2, Buffer.from(jwk.x, "base64url")],
+    [-3, Buffer.from(jwk.y, "base64url")],
+  ]);
+
+  const buildAuthData = ({ flags, attestedCredential = false }) => {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    const parts = [sha256(RP_ID), Buffer.from([flags]), counter];
+
+    if (attestedCredential) {
+      const idLength = Buffer.alloc(2);
+      idLength.writeUInt16BE(credentialId.length);
+      parts.push(Buffer.alloc(16), idLength, credentialId, Buffer.from(isoCBOR.encode(coseKey)));
+    }
+
+    return Buffer.concat(parts);
+  };
+
+  const clientData = (type, challenge) =>
+    Buffer.from(JSON.stringify({ type, challenge, origin: ORIGIN, crossOrigin: false }));
+
+  return {
+    register(challenge) {
+      const authData = buildAuthData({ flags: 0x45, attestedCredential: true });
+      const attestationObject = isoCBOR.encode(
+        new Map([
+          ["fmt", "none"],
+          ["attStmt", new Map()],
+          ["authData", authData],
+        ])
+      );
+
+      return {
+        id: b64url(credentialId),
+        rawId: b64url(credentialId),
+        type: "public-key",
+        clientExtensionResults: {},
+        response: {
+          clientDataJSON: b64url(clientData("webauthn.create", challenge)),
+          attestationObject: b64url(attestationObject),
+          transports: ["internal"],
+        },
+      };
+    },
+
+    authenticate(challenge) {
+      signCount += 1;
+      const authData = buildAuthData({ flags: 0x05 });
+      const clientDataJSON = clientData("webauthn.get", challenge);
+      const signature = crypto.sign(
+        "sha256",
+        Buffer.concat([authData, sha256(clientDataJSON)]),
+        privateKey
+      );
+
+      return {
+        id: b64url(credentialId),
+        rawId: b64url(credentialId),
+        type: "public-key",
+        clientExtensionResults: {},
+        response: {
+          clientDataJSON: b64url(clientDataJSON),
+          authenticatorData: b64url(authData),
+          signature: b64url(signature),
+        },
+      };
+    },
+  };
+};
+
+describe("Passkey WebAuthn ceremonies", () => {
+  const previousOrigins = process.env.WEBAUTHN_ORIGINS;
+  const previousRpId = process.env.WEBAUTHN_RP_ID;
+
+  beforeAll(() => {
+    process.env.WEBAUTHN_ORIGINS = ORIGIN;
+    process.env.WEBAUTHN_RP_ID = RP_ID;
+  });
+
+  afterAll(() => {
+    if (previousOrigins === undefined) delete process.env.WEBAUTHN_ORIGINS;
+    else process.env.WEBAUTHN_ORIGINS = previousOrigins;
+    if (previousRpId === undefined) delete process.env.WEBAUTHN_RP_ID;
+    else process.env.WEBAUTHN_RP_ID = previousRpId;
+  });
+
+  it("registers a credential and verifies a later assertion", async () => {
+    const authenticator = createSoftwareAuthenticator();
+    const registrationChallenge = b64url(crypto.randomBytes(32));
+
+    const credential = await verifyPasskeyRegistrationResponse({
+      response: authenticator.register(registrationChallenge),
+      expectedChallenge: registrationChallenge,
+    });
+
+    expect(credential.deviceType).toBe("singleDevice");
+    expect(credential.transports).toEqual(["internal"]);
+
+    const loginChallenge = b64url(crypto.randomBytes(32));
+    const info = await verifyPasskeyAssertion({
+      response: authenticator.authenticate(loginChallenge),
+      expectedChallenge: loginChallenge,
+      passkey: { ...credential, counter: 0 },
+    });
+
+    expect(info.userVerified).toBe(true);
+    expect(info.newCounter).toBe(1);
+  });
+
+  it("rejects an assertion signed for a different challenge", async () => {
+    const authenticator = createSoftwareAuthenticator();
+    const registrationChallenge = b64url(crypto.randomBytes(32));
+    const credential = await verifyPasskeyRegistrationResponse({
+      response: authenticator.register(registrationChallenge),
+      expectedChallenge: registrationChallenge,
+    });
+
+    await expect(
+      verifyPasskeyAssertion({
+        response: authenticator.authenticate(b64url(crypto.randomBytes(32))),
+        expectedChallenge: b64url(crypto.randomBytes(32)),
+        passkey: credential,
+      })
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+
+  it("rejects a registration from an unexpected origin", async () => {
+    const authenticator = createSoftwareAuthenticator();
+    const challenge = b64url(crypto.randomBytes(32));
+    const response = authenticator.register(challenge);
+    const clientData = JSON.parse(
+      Buffer.from(response.response.clientDataJSON, "base64url").toString()
+    );
+    response.response.clientDataJSON = b64url(
+      JSON.stringify({ ...clientData, origin: "https://evil.test" })
+    );
+
+    await expect(
+      verifyPasskeyRegistrationResponse({ response, expectedChallenge: challenge })
+    ).rejects.toMatchObject({ statusCode: 400 });
+  });
+});
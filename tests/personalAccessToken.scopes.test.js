@@ -0,0 +1,52 @@
+import {
+  TOKEN_SCOPES,
+  isPersonalAccessToken,
+  normalizeTokenScopes,
+  resolveRequiredTokenScope,
+  resolveTokenExpiry,
+} from "../src/services/personalAccessToken.service.js";
+
+describe("Personal access token scopes", () => {
+  it("maps read and write requests to the route scope", () => {
+    expect(resolveRequiredTokenScope("GET", "/api/v1/videos/abc?page=2")).toBe(
+      TOKEN_SCOPES.VIDEOS_READ
+    );
+    expect(resolveRequiredTokenScope("PATCH", "/api/v1/videos/abc")).toBe(
+      TOKEN_SCOPES.VIDEOS_WRITE
+    );
+    expect(resolveRequiredTokenScope("POST", "/api/v1/playlists")).toBe(
+      TOKEN_SCOPES.PLAYLISTS_WRITE
+    );
+    expect(resolveRequiredTokenScope("GET", "/api/v1/dashboard/analytics")).toBe(
+      TOKEN_SCOPES.ANALYTICS_READ
+    );
+  });
+
+  it("denies routes that are not mapped for tokens", () => {
+    expect(resolveRequiredTokenScope("GET", "/api/v1/auth/tokens")).toBeNull();
+    expect(resolveRequiredTokenScope("POST", "/api/v1/users/change-password")).toBeNull();
+    expect(resolveRequiredTokenScope("DELETE", "/api/v1/dashboard/overview")).toBeNull();
+    expect(resolveRequiredTokenScope("GET", "/api/v1/videosx")).toBeNull();
+  });
+
+  it("validates requested scopes and expiry", () => {
+    expect(normalizeTokenScopes(["videos:write", "videos:read", "videos:read"])).toEqual([
+      "videos:read",
+      "videos:write",
+    ]);
+    expect(() => normalizeTokenScopes([])).toThrow("At least one scope is required");
+    expect(() => normalizeTokenScopes(["admin:all"])).toThrow("Unknown scopes: admin:all");
+
+    const now = Date.UTC(2026, 0, 1);
+    expect(resolveTokenExpiry(undefined, now)).toBeNull();
+    expect(resolveTokenExpiry(30, now)).toEqual(new Date(Date.UTC(2026, 0, 31)));
+    expect(() => resolveTokenExpiry(0, now)).toThrow("expiresInDays");
+    expect(() => resolveTokenExpiry(400, now)).toThrow("expiresInDays");
+  });
+
+  it("recognises only prefixed opaque tokens", () => {
+    expect(isPersonalAccessToken("vxp_abc")).toBe(true);
+    expect(isPersonalAccessToken("eyJhbGciOi.jwt.token")).toBe(false);
+    expect(isPersonalAccessToken(undefined)).toBe(false);
+  });
+});
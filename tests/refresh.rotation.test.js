@@ -0,0 +1,70 @@
+import {
+  REFRESH_TOKEN_STATES,
+  hashRefreshToken,
+  inspectRefreshToken,
+} from "../src/services/session.service.js";
+
+const buildSession = (overrides = {}) => ({
+  id: "session-1",
+  userId: "user-1",
+  refreshTokenHash: hashRefreshToken("token-v3"),
+  previousTokenHash: hashRefreshToken("token-v2"),
+  rotatedAt: new Date(),
+  rotationCount: 2,
+  revokedAt: null,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  ...overrides,
+});
+
+describe("Refresh token rotation", () => {
+  it("accepts the current token of an active session", () => {
+    const state = inspectRefreshToken({
+      session: buildSession(),
+      userId: "user-1",
+      refreshToken: "token-v3",
+    });
+
+    expect(state).toBe(REFRESH_TOKEN_STATES.VALID);
+  });
+
+  it("tolerates the previous token right after a rotation", () => {
+    const state = inspectRefreshToken({
+      session: buildSession(),
+      userId: "user-1",
+      refreshToken: "token-v2",
+    });
+
+    expect(state).toBe(REFRESH_TOKEN_STATES.SUPERSEDED);
+  });
+
+  it("flags an already-rotated token outside the grace window as reuse", () => {
+    const session = buildSession({
+      rotatedAt: new Date(Date.now() - 5 * 60 * 1000),
+    });
+
+    expect(
+      inspectRefreshToken({ session, userId: "user-1", refreshToken: "token-v2" })
+    ).toBe(REFRESH_TOKEN_STATES.REUSED);
+    expect(
+      inspectRefreshToken({ session, userId: "user-1", refreshToken: "token-v1" })
+    ).toBe(REFRESH_TOKEN_STATES.REUSED);
+  });
+
+  it("rejects tokens for revoked sessions or another user", () => {
+    expect(
+      inspectRefreshToken({
+        session: buildSession({ revokedAt: new Date() }),
+        userId: "user-1",
+        refreshToken: "token-v3",
+      })
+    ).toBe(REFRESH_TOKEN_STATES.INVALID);
+
+    expect(
+      inspectRefreshToken({
+        session: buildSession(),
+        userId: "user-2",
+        refreshToken: "token-v3",
+      })
+    ).toBe(REFRESH_TOKEN_STATES.INVALID);
+  });
+});
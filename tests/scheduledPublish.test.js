@@ -0,0 +1,33 @@
+import {
+  normalizeScheduledTargetType,
+  parsePublishAt,
+} from "../src/services/scheduledPublish.service.js";
+import { BACKGROUND_JOB_TYPES } from "../src/services/backgroundJob.service.js";
+
+describe("Scheduled publishing", () => {
+  const now = new Date("2026-10-20T10:00:00.000Z");
+
+  it("treats a missing publishAt as publish immediately", () => {
+    expect(parsePublishAt(undefined, { now })).toBeNull();
+    expect(parsePublishAt(null, { now })).toBeNull();
+    expect(parsePublishAt("", { now })).toBeNull();
+  });
+
+  it("accepts future times and rejects past, invalid or far-off ones", () => {
+    expect(parsePublishAt("2026-10-21T09:30:00.000Z", { now })).toEqual(
+      new Date("2026-10-21T09:30:00.000Z")
+    );
+
+    expect(() => parsePublishAt("not-a-date", { now })).toThrow("valid date");
+    expect(() => parsePublishAt(now.toISOString(), { now })).toThrow("in the future");
+    expect(() => parsePublishAt("2028-01-01T00:00:00.000Z", { now })).toThrow("a year ahead");
+  });
+
+  it("only schedules videos and posts, through the generic job runner", () => {
+    expect(normalizeScheduledTargetType("video")).toBe("VIDEO");
+    expect(normalizeScheduledTargetType(" tweet ")).toBe("TWEET");
+    expect(() => normalizeScheduledTargetType("playlist")).toThrow("VIDEO or TWEET");
+
+    expect(BACKGROUND_JOB_TYPES).toContain("SCHEDULED_PUBLISH");
+  });
+});
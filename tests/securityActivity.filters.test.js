@@ -0,0 +1,72 @@
+import {
+  SECURITY_EVENT_TYPES,
+  buildSecurityActivityWhere,
+  parseSecurityEventTypes,
+  toSecurityActivityItem,
+} from "../src/services/securityEvent.service.js";
+
+describe("Security activity filters", () => {
+  it("parses comma separated and repeated types", () => {
+    expect(parseSecurityEventTypes("login, logout,LOGIN")).toEqual(["LOGIN", "LOGOUT"]);
+    expect(parseSecurityEventTypes(["PASSWORD_CHANGED", "email_changed"])).toEqual([
+      "PASSWORD_CHANGED",
+      "EMAIL_CHANGED",
+    ]);
+    expect(parseSecurityEventTypes(undefined)).toEqual([]);
+  });
+
+  it("rejects types outside the security timeline", () => {
+    expect(() => parseSecurityEventTypes("LOGIN,VIDEO_VIEW")).toThrow(/VIDEO_VIEW/);
+  });
+
+  it("limits the query to security events and the requested range", () => {
+    const where = buildSecurityActivityWhere({
+      userId: "user-1",
+      from: "2026-01-01",
+      to: "2026-02-01T00:00:00.000Z",
+    });
+
+    expect(where.userId).toBe("user-1");
+    expect(where.eventType.in).toEqual([...SECURITY_EVENT_TYPES]);
+    expect(where.createdAt.gte.toISOString()).toBe("2026-01-01T00:00:00.000Z");
+    expect(where.createdAt.lte.toISOString()).toBe("2026-02-01T00:00:00.000Z");
+  });
+
+  it("rejects invalid or inverted date ranges", () => {
+    expect(() => buildSecurityActivityWhere({ userId: "u", from: "yesterday" })).toThrow(
+      /from must be a valid date/
+    );
+    expect(() =>
+      buildSecurityActivityWhere({ userId: "u", from: "2026-02-01", to: "2026-01-01" })
+    ).toThrow(/before/);
+  });
+
+  it("shapes events without leaking the raw user agent", () => {
+    const item = toSecurityActivityItem(
+      {
+        id: "evt-1",
+        eventType: "LOGIN",
+        sessionId: "sess-1",
+        createdAt: new Date("2026-01-01T00:00:00.000Z"),
+        metadata: {
+          ip: "203.0.113.5",
+          device: "Desktop",
+          browser: "Firefox",
+          location: "Berlin, DE",
+          userAgent: "Mozilla/5.0",
+          authMethod: "PASSWORD",
+        },
+      },
+      { currentSessionId: "sess-1" }
+    );
+
+    expect(item).toMatchObject({
+      type: "LOGIN",
+      isCurrentSession: true,
+      device: "Desktop",
+      location: "Berlin, DE",
+      details: { authMethod: "PASSWORD" },
+    });
+    expect(item.details.userAgent).toBeUndefined();
+  });
+});
@@ -0,0 +1,66 @@
+import { getSpeechToTextProvider } from "../src/speech/index.js";
+import { readHttpSpeechSegments } from "../src/speech/http.speech.js";
+import {
+  evaluateSpeechToTextQuota,
+  toTranscriptFromSpeech,
+} from "../src/services/speechToText.service.js";
+
+describe("Speech-to-text", () => {
+  it("only returns providers that are selected and configured", () => {
+    expect(getSpeechToTextProvider("local")?.name).toBe("local");
+    expect(getSpeechToTextProvider("none")).toBeNull();
+    expect(getSpeechToTextProvider("http")).toBeNull();
+  });
+
+  it("produces the same cues for the same duration with the local stand-in", async () => {
+    const provider = getSpeechToTextProvider("local");
+    const first = await provider.transcribe({ durationSeconds: 12 });
+    const second = await provider.transcribe({ durationSeconds: 12 });
+
+    expect(first).toEqual(second);
+    expect(first.segments.map(({ startMs, endMs }) => [startMs, endMs])).toEqual([
+      [0, 5000],
+      [5000, 10000],
+      [10000, 12000],
+    ]);
+  });
+
+  it("reads Whisper-style seconds and explicit milliseconds from HTTP providers", () => {
+    expect(
+      readHttpSpeechSegments({
+        segments: [
+          { start: 0, end: 1.25, text: " Hello " },
+          { startMs: 1250, endMs: 3000, text: "world" },
+          { start: 3, end: 4, text: "" },
+        ],
+      })
+    ).toEqual([
+      { startMs: 0, endMs: 1250, text: "Hello" },
+      { startMs: 1250, endMs: 3000, text: "world" },
+    ]);
+  });
+
+  it("keeps sub-second cue times when storing provider output", () => {
+    const parsed = toTranscriptFromSpeech({
+      segments: [
+        { startMs: 0, endMs: 800, text: "Hi" },
+        { startMs: 800, endMs: 2400, text: "there" },
+      ],
+    });
+
+    expect(parsed.segments.map(({ startMs, endMs }) => [startMs, endMs])).toEqual([
+      [0, 800],
+      [800, 2400],
+    ]);
+    expect(parsed.transcriptText).toBe("Hi there");
+  });
+
+  it("enforces per-user and global daily quotas", () => {
+    expect(evaluateSpeechToTextQuota({ used: 2, limit: 3, globalLimit: 0 }).allowed).toBe(true);
+    expect(evaluateSpeechToTextQuota({ used: 3, limit: 3 }).reason).toBe("USER_QUOTA_EXCEEDED");
+    expect(evaluateSpeechToTextQuota({ used: 50, limit: 0, globalLimit: 0 }).allowed).toBe(true);
+    expect(
+      evaluateSpeechToTextQuota({ used: 0, globalUsed: 50, limit: 3, globalLimit: 50 }).reason
+    ).toBe("GLOBAL_QUOTA_EXCEEDED");
+  });
+});
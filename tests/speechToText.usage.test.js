@@ -0,0 +1,90 @@
+import { jest } from "@jest/globals";
+
+process.env.SPEECH_TO_TEXT_PROVIDER = "local";
+process.env.SPEECH_TO_TEXT_DAILY_LIMIT = "1";
+process.env.SPEECH_TO_TEXT_GLOBAL_DAILY_LIMIT = "0";
+
+const rows = [];
+
+const backgroundJob = {
+  create: jest.fn(async ({ data }) => {
+    await Promise.resolve();
+    if (data.idempotencyKey && rows.some((row) => row.idempotencyKey === data.idempotencyKey)) {
+      throw Object.assign(new Error("Unique constraint failed"), { code: "P2002" });
+    }
+    const row = { id: `job-${rows.length + 1}`, createdAt: new Date(), ...data };
+    rows.push(row);
+    return { id: row.id };
+  }),
+  findUnique: jest.fn(async ({ where }) => {
+    const row = rows.find((entry) => entry.idempotencyKey === where.idempotencyKey);
+    return row ? { id: row.id } : null;
+  }),
+  count: jest.fn(async ({ where }) => {
+    await Promise.resolve();
+    return rows.filter(
+      (row) => row.correlationId === where.correlationId && row.jobType === where.jobType
+    ).length;
+  }),
+  delete: jest.fn(async ({ where }) => {
+    rows.splice(
+      rows.findIndex((row) => row.id === where.id),
+      1
+    );
+  }),
+  update: jest.fn(async ({ where, data }) =>
+    Object.assign(
+      rows.find((row) => row.id === where.id),
+      data
+    )
+  ),
+};
+
+const saveCaptionTrack = jest.fn(async () => null);
+
+jest.unstable_mockModule("../src/db/prisma.js", () => ({ default: { backgroundJob } }));
+jest.unstable_mockModule("../src/services/captionTrack.service.js", () => ({
+  UNDETERMINED_LANGUAGE: "und",
+  normalizeCaptionLanguage: (value) => value || "und",
+  saveCaptionTrack,
+}));
+jest.unstable_mockModule("../src/services/videoTranscode.service.js", () => ({
+  extractAudioTrack: async () => null,
+}));
+
+const { transcribeVideoAudio } = await import("../src/services/speechToText.service.js");
+
+const transcribe = (videoId) =>
+  transcribeVideoAudio({
+    video: { id: videoId, ownerId: "owner-1", duration: 12, videoFile: "x.mp4" },
+    source: { durationSeconds: 12, hasAudio: true },
+    reportProgress: async () => null,
+  });
+
+describe("Speech-to-text usage", () => {
+  beforeEach(() => {
+    rows.length = 0;
+    saveCaptionTrack.mockClear();
+  });
+
+  it("charges a retried TRANSCRIPT step only once", async () => {
+    expect((await transcribe("video-1")).provider).toBe("local");
+    expect((await transcribe("video-1")).provider).toBe("local");
+
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      idempotencyKey: "SPEECH_TO_TEXT:video-1",
+      correlationId: "owner-1",
+    });
+    expect(saveCaptionTrack).toHaveBeenCalledTimes(2);
+  });
+
+  it("lets only one of two concurrent uploads take the last slot", async () => {
+    const results = await Promise.all([transcribe("video-a"), transcribe("video-b")]);
+
+    expect(
+      results.filter((result) => result.skipped === "USER_QUOTA_EXCEEDED").length
+    ).toBeGreaterThan(0);
+    expect(rows.length).toBeLessThanOrEqual(1);
+  });
+});
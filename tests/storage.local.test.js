@@ -0,0 +1,115 @@
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+
+const previousRoot = process.env.LOCAL_STORAGE_ROOT;
+const previousSecret = process.env.STORAGE_SIGNING_SECRET;
+const storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), "vixora-storage-"));
+process.env.LOCAL_STORAGE_ROOT = storageRoot;
+process.env.STORAGE_SIGNING_SECRET = "test-storage-secret";
+
+const {
+  default: localDiskStorage,
+  resolveLocalObjectPath,
+  verifyLocalDownloadToken,
+  verifyLocalUploadToken,
+  writeLocalObject,
+} = await import("../src/storage/local.storage.js");
+const { isInlineSafeContentType } = await import("../src/storage/storage.utils.js");
+
+const writeBytes = (publicId, contentType, size = 16, options = {}) =>
+  writeLocalObject({
+    publicId,
+    stream: Readable.from([Buffer.alloc(size, 1)]),
+    contentType,
+    ...options,
+  });
+
+describe("Local disk storage", () => {
+  afterAll(async () => {
+    await fs.rm(storageRoot, { recursive: true, force: true });
+    if (previousRoot === undefined) delete process.env.LOCAL_STORAGE_ROOT;
+    else process.env.LOCAL_STORAGE_ROOT = previousRoot;
+    if (previousSecret === undefined) delete process.env.STORAGE_SIGNING_SECRET;
+    else process.env.STORAGE_SIGNING_SECRET = previousSecret;
+  });
+
+  it("rejects public ids that escape the storage root", () => {
+    expect(() => resolveLocalObjectPath("../etc/passwd")).toThrow(/public ID/);
+    expect(() => resolveLocalObjectPath("videos/u1/../../x")).toThrow(/public ID/);
+    expect(() => resolveLocalObjectPath("videos/u1/a.meta.json")).toThrow(/public ID/);
+    expect(resolveLocalObjectPath("videos/u1/abc")).toBe(path.join(storageRoot, "videos/u1/abc"));
+  });
+
+  it("verifies a stored asset against folder and resource type", async () => {
+    await writeBytes("videos/u1/clip", "video/mp4");
+
+    const asset = await localDiskStorage.verifyAsset("videos/u1/clip", {
+      expectedFolder: "videos/u1",
+      resourceType: "video",
+    });
+    expect(asset).toMatchObject({ publicId: "videos/u1/clip", bytes: 16, format: "mp4" });
+    expect(asset.url).toMatch(/\/storage\/videos\/u1\/clip$/);
+
+    await expect(
+      localDiskStorage.verifyAsset("videos/u1/clip", { expectedFolder: "videos/u2", resourceType: "video" })
+    ).rejects.toMatchObject({ statusCode: 403 });
+    await expect(
+      localDiskStorage.verifyAsset("videos/u1/clip", { expectedFolder: "videos/u1", resourceType: "image" })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    await expect(
+      localDiskStorage.verifyAsset("videos/u1/missing", { resourceType: "video" })
+    ).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it("only accepts raster images, so SVG cannot be served from the API origin", async () => {
+    await writeBytes("avatars/u1/vector", "image/svg+xml");
+
+    await expect(
+      localDiskStorage.verifyAsset("avatars/u1/vector", { resourceType: "image" })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(isInlineSafeContentType("image/png")).toBe(true);
+    expect(isInlineSafeContentType("image/svg+xml")).toBe(false);
+    expect(isInlineSafeContentType("text/html; charset=utf-8")).toBe(false);
+  });
+
+  it("aborts uploads over the size limit without leaving a file", async () => {
+    await expect(
+      writeBytes("thumbnails/u1/big", "image/png", 64, { maxBytes: 32 })
+    ).rejects.toMatchObject({ statusCode: 413 });
+
+    const entries = await fs.readdir(path.join(storageRoot, "thumbnails/u1"));
+    expect(entries).toEqual([]);
+  });
+
+  it("issues upload targets bound to the public id and user", async () => {
+    const target = await localDiskStorage.createUploadTarget({
+      publicId: "avatars/u1/new",
+      resourceType: "image",
+      userId: "u1",
+      maxBytes: 1024,
+    });
+
+    expect(target).toMatchObject({ provider: "local", method: "PUT", publicId: "avatars/u1/new" });
+    const token = target.uploadUrl.split("/").pop();
+    expect(verifyLocalUploadToken(token)).toMatchObject({ key: "avatars/u1/new", uid: "u1", max: 1024 });
+    expect(() => verifyLocalDownloadToken(token)).toThrow(/invalid/);
+  });
+
+  it("keeps private files out of public verification and deletes them", async () => {
+    await writeBytes("data-exports/u1/job.zip", "application/zip", 8, { isPrivate: true });
+
+    await expect(
+      localDiskStorage.verifyAsset("data-exports/u1/job.zip", { resourceType: "raw" })
+    ).rejects.toMatchObject({ statusCode: 404 });
+
+    const url = await localDiskStorage.getDownloadUrl("data-exports/u1/job.zip", {
+      expiresAt: new Date(Date.now() + 60 * 1000),
+    });
+    expect(verifyLocalDownloadToken(url.split("/").pop()).key).toBe("data-exports/u1/job.zip");
+
+    expect(await localDiskStorage.deleteAsset("data-exports/u1/job.zip")).toBe(true);
+    await expect(fs.stat(path.join(storageRoot, "data-exports/u1/job.zip"))).rejects.toThrow();
+  });
+});
@@ -0,0 +1,53 @@
+import {
+  buildOtpauthUri,
+  decodeBase32,
+  encodeBase32,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+} from "../src/utils/totp.js";
+
+// RFC 6238 appendix B shared secret ("12345678901234567890").
+const RFC_SECRET = encodeBase32(Buffer.from("12345678901234567890"));
+
+describe("TOTP utilities", () => {
+  test("round-trips base32 encoding", () => {
+    expect(RFC_SECRET).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    expect(decodeBase32(RFC_SECRET).toString()).toBe("12345678901234567890");
+  });
+
+  test("matches RFC 4226 and RFC 6238 reference values", () => {
+    expect(generateHotp({ secret: RFC_SECRET, counter: 0 })).toBe("755224");
+    expect(generateTotp({ secret: RFC_SECRET, timestamp: 59 * 1000, digits: 8 })).toBe(
+      "94287082"
+    );
+    expect(
+      generateTotp({ secret: RFC_SECRET, timestamp: 1111111109 * 1000, digits: 8 })
+    ).toBe("07081804");
+  });
+
+  test("verifies codes within the drift window and returns the matched step", () => {
+    const timestamp = 1700000000 * 1000;
+    const previousCode = generateTotp({ secret: RFC_SECRET, timestamp: timestamp - 30 * 1000 });
+
+    expect(verifyTotp({ secret: RFC_SECRET, token: previousCode, timestamp })).toBe(
+      Math.floor(timestamp / 1000 / 30) - 1
+    );
+    expect(
+      verifyTotp({ secret: RFC_SECRET, token: previousCode, timestamp, window: 0 })
+    ).toBeNull();
+    expect(verifyTotp({ secret: RFC_SECRET, token: "12ab", timestamp })).toBeNull();
+  });
+
+  test("builds an otpauth URI for authenticator apps", () => {
+    const uri = buildOtpauthUri({
+      secret: RFC_SECRET,
+      accountName: "user@example.com",
+      issuer: "Vixora",
+    });
+
+    expect(uri.startsWith("otpauth://totp/Vixora%3Auser%40example.com?")).toBe(true);
+    expect(uri).toContain(`secret=${RFC_SECRET}`);
+    expect(uri).toContain("issuer=Vixora");
+  });
+});
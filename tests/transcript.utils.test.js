@@ -1,4 +1,6 @@
 import {
+  buildTranscriptSrt,
+  buildTranscriptWebVtt,
   filterTranscriptSegments,
   parseTranscriptInput,
   resolveTranscriptForRead,
@@ -51,5 +53,26 @@ Welcome back`;
     expect(filtered.length).toBe(1);
     expect(filtered[0].text.toLowerCase()).toContain("delta");
   });
-});
 
+  test("renders segments as WebVTT and SRT that parse back to the same cues", () => {
+    const { segments } = parseTranscriptInput({
+      cues: [
+        { startMs: 0, endMs: 2000, text: "Tom & Jerry --> <intro>" },
+        { startMs: 2100, endMs: 4500, text: "Main topic" },
+      ],
+    });
+
+    const vtt = buildTranscriptWebVtt(segments);
+    const srt = buildTranscriptSrt(segments);
+
+    expect(vtt.startsWith("WEBVTT\n\n1\n00:00:00.000 --> 00:00:02.000\n")).toBe(true);
+    expect(vtt).toContain("Tom &amp; Jerry -&gt; &lt;intro&gt;");
+    expect(srt).toContain("2\n00:00:02,100 --> 00:00:04,500\nMain topic\n");
+
+    const reparsed = parseTranscriptInput({ transcript: srt });
+    expect(reparsed.segments.map(({ startMs, endMs }) => [startMs, endMs])).toEqual([
+      [0, 2000],
+      [2100, 4500],
+    ]);
+  });
+});
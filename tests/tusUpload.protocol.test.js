@@ -0,0 +1,147 @@
+import express from "express";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import request from "supertest";
+
+const previousStagingDir = process.env.TUS_STAGING_DIR;
+const stagingDir = await fs.mkdtemp(path.join(os.tmpdir(), "vixora-tus-"));
+process.env.TUS_STAGING_DIR = stagingDir;
+
+const {
+  getStagedSize,
+  getStagingPath,
+  parseUploadMetadata,
+  parseUploadOffset,
+  purgeStaleStagedUploads,
+  writeStagedChunk,
+} = await import("../src/services/tusUpload.service.js");
+const { requireTusResumable } = await import("../src/middlewares/tus.middleware.js");
+const { globalErrorHandler } = await import("../src/middlewares/error.middleware.js");
+
+const encode = (value) => Buffer.from(value, "utf8").toString("base64");
+
+// Sends `bytes`, then drops like a client losing its connection mid-chunk.
+const failingStream = (bytes) => {
+  let sent = false;
+  return new Readable({
+    read() {
+      if (sent) {
+        setTimeout(() => this.destroy(new Error("aborted")), 20);
+        return;
+      }
+      sent = true;
+      this.push(Buffer.alloc(bytes, 2));
+    },
+  });
+};
+
+describe("tus resumable uploads", () => {
+  afterAll(async () => {
+    await fs.rm(stagingDir, { recursive: true, force: true });
+    if (previousStagingDir === undefined) delete process.env.TUS_STAGING_DIR;
+    else process.env.TUS_STAGING_DIR = previousStagingDir;
+  });
+
+  it("parses Upload-Metadata pairs, including keys without values", () => {
+    const header = `filename ${encode("clip 01.mp4")},filetype ${encode("video/mp4")},is_draft`;
+
+    expect(parseUploadMetadata(header)).toEqual({
+      filename: "clip 01.mp4",
+      filetype: "video/mp4",
+      is_draft: "",
+    });
+    expect(parseUploadMetadata("")).toEqual({});
+  });
+
+  it("rejects malformed metadata and offsets", () => {
+    expect(() => parseUploadMetadata("filename a b")).toThrow(/Upload-Metadata/);
+    expect(() => parseUploadMetadata(`a ${encode("x")},a ${encode("y")}`)).toThrow(
+      /Upload-Metadata/
+    );
+    expect(() => parseUploadMetadata("bad key!")).toThrow(/Upload-Metadata/);
+    expect(() => parseUploadOffset("-1")).toThrow(/Upload-Offset/);
+    expect(() => parseUploadOffset("1.5")).toThrow(/Upload-Offset/);
+    expect(parseUploadOffset("42")).toBe(42);
+  });
+
+  it("keeps the bytes of an interrupted chunk so the upload resumes from there", async () => {
+    const sessionId = "resume-after-drop";
+
+    const first = await writeStagedChunk({
+      sessionId,
+      stream: Readable.from([Buffer.alloc(10, 1)]),
+      offset: 0,
+      maxBytes: 30,
+    });
+    expect(first).toEqual({ bytesWritten: 10, error: null });
+
+    const dropped = await writeStagedChunk({
+      sessionId,
+      stream: failingStream(5),
+      offset: 10,
+      maxBytes: 20,
+    });
+    expect(dropped.error?.message).toBe("aborted");
+    expect(dropped.bytesWritten).toBe(5);
+
+    const resumed = await writeStagedChunk({
+      sessionId,
+      stream: Readable.from([Buffer.alloc(15, 3)]),
+      offset: 15,
+      maxBytes: 15,
+    });
+    expect(resumed.error).toBeNull();
+
+    const staged = await fs.readFile(getStagingPath(sessionId));
+    expect(staged.length).toBe(30);
+    expect([...staged.subarray(0, 10)].every((byte) => byte === 1)).toBe(true);
+    expect([...staged.subarray(10, 15)].every((byte) => byte === 2)).toBe(true);
+    expect([...staged.subarray(15)].every((byte) => byte === 3)).toBe(true);
+  });
+
+  it("stops a chunk that runs past Upload-Length", async () => {
+    const sessionId = "too-long";
+
+    const result = await writeStagedChunk({
+      sessionId,
+      stream: Readable.from([Buffer.alloc(8), Buffer.alloc(8)]),
+      offset: 0,
+      maxBytes: 12,
+    });
+
+    expect(result.error?.statusCode).toBe(413);
+    expect(await getStagedSize(sessionId)).toBe(result.bytesWritten);
+    expect(result.bytesWritten).toBeLessThanOrEqual(12);
+  });
+
+  it("purges staging files older than the cutoff only", async () => {
+    await fs.writeFile(getStagingPath("stale"), "x");
+    await fs.writeFile(getStagingPath("fresh"), "x");
+    const past = new Date(Date.now() - 60 * 60 * 1000);
+    await fs.utimes(getStagingPath("stale"), past, past);
+
+    const purged = await purgeStaleStagedUploads({
+      olderThan: new Date(Date.now() - 60 * 1000),
+    });
+
+    expect(purged).toBeGreaterThanOrEqual(1);
+    expect(await getStagedSize("stale")).toBe(0);
+    expect(await getStagedSize("fresh")).toBe(1);
+  });
+
+  it("answers clients speaking another protocol version with 412", async () => {
+    const app = express();
+    app.head("/tus", requireTusResumable, (req, res) => res.status(200).end());
+    app.use(globalErrorHandler);
+
+    const rejected = await request(app).head("/tus").set("Tus-Resumable", "0.2.2");
+    expect(rejected.status).toBe(412);
+    expect(rejected.headers["tus-version"]).toBe("1.0.0");
+
+    const accepted = await request(app).head("/tus").set("Tus-Resumable", "1.0.0");
+    expect(accepted.status).toBe(200);
+    expect(accepted.headers["tus-resumable"]).toBe("1.0.0");
+  });
+});
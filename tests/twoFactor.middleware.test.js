@@ -0,0 +1,67 @@
+import { jest } from "@jest/globals";
+import express from "express";
+import request from "supertest";
+import ApiError from "../src/utils/ApiError.js";
+
+const assertSecondFactor = jest.fn();
+
+jest.unstable_mockModule("../src/services/session.service.js", () => ({
+  findSessionById: async () => null,
+}));
+jest.unstable_mockModule("../src/services/twoFactor.service.js", () => ({
+  assertSecondFactor,
+  isTwoFactorFresh: () => false,
+  markSessionTwoFactorVerified: async () => null,
+}));
+
+const { requireFreshTwoFactor } = await import("../src/middlewares/twoFactor.middleware.js");
+const { globalErrorHandler } = await import("../src/middlewares/error.middleware.js");
+
+const buildApp = (userId) => {
+  const app = express();
+  app.use((req, _res, next) => {
+    req.user = { id: userId, twoFactorEnabled: true };
+    next();
+  });
+  app.post("/sensitive", requireFreshTwoFactor, (_req, res) => res.status(200).json({ ok: true }));
+  app.use(globalErrorHandler);
+  return app;
+};
+
+describe("requireFreshTwoFactor", () => {
+  beforeEach(() => {
+    assertSecondFactor.mockReset();
+    assertSecondFactor.mockImplementation(async ({ code }) => {
+      if (code !== "123456") throw new ApiError(401, "Invalid two-factor code");
+      return { verified: true };
+    });
+  });
+
+  it("blocks inline codes for a user after repeated failures, even the right one", async () => {
+    const app = buildApp("user-throttled");
+
+    for (let i = 0; i < 5; i++) {
+      const response = await request(app).post("/sensitive").set("X-Two-Factor-Code", "000000");
+      expect(response.status).toBe(401);
+    }
+
+    const blocked = await request(app).post("/sensitive").set("X-Two-Factor-Code", "123456");
+    expect(blocked.status).toBe(429);
+    expect(assertSecondFactor).toHaveBeenCalledTimes(5);
+  });
+
+  it("clears the failure count once a code is accepted", async () => {
+    const app = buildApp("user-recovers");
+
+    for (let i = 0; i < 4; i++) {
+      await request(app).post("/sensitive").set("X-Two-Factor-Code", "000000");
+    }
+    const accepted = await request(app).post("/sensitive").set("X-Two-Factor-Code", "123456");
+    expect(accepted.status).toBe(200);
+
+    for (let i = 0; i < 4; i++) {
+      const retry = await request(app).post("/sensitive").set("X-Two-Factor-Code", "000000");
+      expect(retry.status).toBe(401);
+    }
+  });
+});
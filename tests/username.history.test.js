@@ -0,0 +1,27 @@
+import {
+  USERNAME_CHANGE_COOLDOWN_DAYS,
+  getNextUsernameChangeAt,
+  normalizeUsernameInput,
+} from "../src/services/username.service.js";
+
+describe("Username changes", () => {
+  it("normalises handles to lowercase and strips a leading @", () => {
+    expect(normalizeUsernameInput("  @Vatsal_Dev ")).toBe("vatsal_dev");
+  });
+
+  it("rejects handles that cannot be used in a channel URL", () => {
+    for (const value of ["ab", "has space", "dots.in.name", "x".repeat(31), undefined]) {
+      expect(() => normalizeUsernameInput(value)).toThrow(
+        expect.objectContaining({ statusCode: 400 })
+      );
+    }
+  });
+
+  it("allows the next change only after the cooldown", () => {
+    const lastChangedAt = new Date("2026-01-01T00:00:00.000Z");
+    const expected = lastChangedAt.getTime() + USERNAME_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000;
+
+    expect(getNextUsernameChangeAt(lastChangedAt).getTime()).toBe(expected);
+    expect(getNextUsernameChangeAt(null)).toBeNull();
+  });
+});
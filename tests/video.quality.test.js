@@ -32,6 +32,25 @@ describe("Video quality utilities", () => {
     expect(payload.qualityUrls.MAX).toBe(SOURCE_URL);
   });
 
+  it("serves transcoded renditions instead of URL transformations", () => {
+    const master = "https://cdn.example.com/hls/v1/master.m3u8";
+    const payload = buildVideoStreamingPayload({
+      sourceUrl: SOURCE_URL,
+      playbackUrl: master,
+      availableQualities: ["AUTO", "MAX", "720p", "480p"],
+      requestedQuality: "480p",
+      renditions: [
+        { quality: "720p", playlistUrl: "https://cdn.example.com/hls/v1/720p.m3u8" },
+        { quality: "480p", playlistUrl: "https://cdn.example.com/hls/v1/480p.m3u8" },
+      ],
+    });
+
+    expect(payload.qualityUrls.AUTO).toBe(master);
+    expect(payload.masterPlaylistUrl).toBe(master);
+    expect(payload.qualityUrls.MAX).toBe(SOURCE_URL);
+    expect(payload.selectedPlaybackUrl).toBe("https://cdn.example.com/hls/v1/480p.m3u8");
+  });
+
   it("falls back to AUTO when requested quality is unsupported", () => {
     const payload = buildVideoStreamingPayload({
       sourceUrl: SOURCE_URL,
@@ -0,0 +1,106 @@
+import {
+  buildChaptersWebVtt,
+  normalizeChapterInput,
+  parseChaptersFromDescription,
+  resolveChapterUpdate,
+  resolveVideoChapters,
+} from "../src/utils/videoChapters.js";
+
+describe("Video chapters", () => {
+  const description = [
+    "In this video we build a small API.",
+    "",
+    "00:00 Intro",
+    "1:15 - Project setup",
+    "(12:30) Routes and controllers",
+    "Thanks for watching!",
+  ].join("\n");
+
+  it("parses timestamp lines out of a description", () => {
+    expect(parseChaptersFromDescription(description, 900)).toEqual([
+      { title: "Intro", startMs: 0 },
+      { title: "Project setup", startMs: 75000 },
+      { title: "Routes and controllers", startMs: 750000 },
+    ]);
+  });
+
+  it("ignores descriptions that do not form a valid chapter list", () => {
+    expect(parseChaptersFromDescription("0:30 Intro\n1:00 Setup\n2:00 Demo")).toEqual([]);
+    expect(parseChaptersFromDescription("0:00 Intro\n0:05 Setup\n2:00 Demo")).toEqual([]);
+    expect(parseChaptersFromDescription("Just a plain description")).toEqual([]);
+  });
+
+  it("validates chapters set by the creator", () => {
+    expect(
+      normalizeChapterInput([
+        { title: "Demo", start: "2:00" },
+        { title: "Intro", startSeconds: 0 },
+        { title: "Setup", startMs: 30000 },
+      ])
+    ).toEqual([
+      { title: "Intro", startMs: 0 },
+      { title: "Setup", startMs: 30000 },
+      { title: "Demo", startMs: 120000 },
+    ]);
+
+    expect(() => normalizeChapterInput("nope")).toThrow("must be an array");
+    expect(() => normalizeChapterInput([{ title: "Intro", startMs: null }])).toThrow(
+      "valid start time"
+    );
+    expect(() =>
+      normalizeChapterInput([
+        { title: "A", startMs: 0 },
+        { title: "B", startMs: 20000 },
+      ])
+    ).toThrow("At least 3 chapters");
+  });
+
+  it("keeps manual chapters across description edits until they are cleared", () => {
+    const manual = [
+      { title: "Intro", startMs: 0 },
+      { title: "Setup", startMs: 30000 },
+      { title: "Demo", startMs: 120000 },
+    ];
+
+    expect(resolveChapterUpdate({ chaptersInput: manual, description: "" })).toMatchObject({
+      chaptersSource: "MANUAL",
+    });
+    expect(
+      resolveChapterUpdate({ description, descriptionChanged: true, currentSource: "MANUAL" })
+    ).toBeNull();
+    expect(resolveChapterUpdate({ chaptersInput: [], description, currentSource: "MANUAL" }))
+      .toMatchObject({ chaptersSource: "DESCRIPTION" });
+    expect(resolveChapterUpdate({ description: "No chapters here" })).toEqual({
+      chapters: [],
+      chaptersSource: null,
+    });
+  });
+
+  it("derives end times and exports a WebVTT chapters track", () => {
+    const chapters = resolveVideoChapters({
+      chapters: parseChaptersFromDescription(description),
+      durationSeconds: 900,
+    });
+
+    expect(chapters.map((chapter) => chapter.endMs)).toEqual([75000, 750000, 900000]);
+    expect(buildChaptersWebVtt(chapters)).toBe(
+      [
+        "WEBVTT",
+        "1\n00:00:00.000 --> 00:01:15.000\nIntro",
+        "2\n00:01:15.000 --> 00:12:30.000\nProject setup",
+        "3\n00:12:30.000 --> 00:15:00.000\nRoutes and controllers",
+      ].join("\n\n") + "\n"
+    );
+  });
+
+  it("escapes markup and cue separators in chapter titles", () => {
+    const vtt = buildChaptersWebVtt([
+      { index: 0, title: "<b>Intro</b> & setup", startMs: 0, endMs: 60000 },
+      { index: 1, title: "Before --> after", startMs: 60000, endMs: 120000 },
+    ]);
+
+    expect(vtt).toContain("\n&lt;b&gt;Intro&lt;/b&gt; &amp; setup\n");
+    expect(vtt).toContain("\nBefore -&gt; after\n");
+    expect(vtt.match(/-->/g)).toHaveLength(2);
+  });
+});
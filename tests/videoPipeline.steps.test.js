@@ -0,0 +1,55 @@
+import {
+  VIDEO_PIPELINE_POLICIES,
+  VIDEO_PIPELINE_STEPS,
+  orderPipelineSteps,
+  scanForBlockedTerms,
+  toOverallProgress,
+} from "../src/services/videoPipeline.service.js";
+
+describe("video processing pipeline", () => {
+  it("runs transcoding before publishing and gives every step a retry policy", () => {
+    expect(VIDEO_PIPELINE_STEPS.indexOf("TRANSCODE")).toBeLessThan(
+      VIDEO_PIPELINE_STEPS.indexOf("PUBLISH")
+    );
+    expect(VIDEO_PIPELINE_STEPS.at(-1)).toBe("PUBLISH");
+
+    const weights = VIDEO_PIPELINE_STEPS.map((step) => VIDEO_PIPELINE_POLICIES[step].weight);
+    expect(weights.reduce((sum, weight) => sum + weight, 0)).toBe(100);
+    expect(
+      VIDEO_PIPELINE_STEPS.every((step) => VIDEO_PIPELINE_POLICIES[step].maxAttempts >= 1)
+    ).toBe(true);
+  });
+
+  it("maps step progress onto the overall progress band of that step", () => {
+    expect(toOverallProgress("PROBE", 0)).toBe(0);
+    expect(toOverallProgress("TRANSCODE", 0)).toBe(5);
+    expect(toOverallProgress("TRANSCODE", 50)).toBe(38);
+    expect(toOverallProgress("TRANSCODE", 250)).toBe(70);
+    expect(toOverallProgress("PUBLISH", 100)).toBe(100);
+  });
+
+  it("orders step records by pipeline position and drops legacy whole-video jobs", () => {
+    const ordered = orderPipelineSteps([
+      { step: "PUBLISH" },
+      { step: null },
+      { step: "PROBE" },
+      { step: "MODERATION_SCAN" },
+    ]);
+
+    expect(ordered.map((record) => record.step)).toEqual([
+      "PROBE",
+      "MODERATION_SCAN",
+      "PUBLISH",
+    ]);
+  });
+
+  it("matches blocked terms as whole words, case-insensitively", () => {
+    const terms = ["scam", "free money"];
+
+    expect(
+      scanForBlockedTerms(["Totally legit", "Get FREE MONEY now!", undefined], terms)
+    ).toEqual(["free money"]);
+    expect(scanForBlockedTerms(["Scampi recipe"], terms)).toEqual([]);
+    expect(scanForBlockedTerms(["anything"], [])).toEqual([]);
+  });
+});
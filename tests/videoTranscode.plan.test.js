@@ -0,0 +1,64 @@
+import {
+  buildMasterPlaylist,
+  planHlsRenditions,
+  readProbeResult,
+} from "../src/services/videoTranscode.service.js";
+
+describe("HLS transcode planning", () => {
+  it("plans one rendition per quality rung up to the source height", () => {
+    const plan = planHlsRenditions({ width: 1920, height: 1080 });
+
+    expect(plan.map((rendition) => rendition.quality)).toEqual([
+      "1080p",
+      "720p",
+      "480p",
+      "360p",
+      "240p",
+      "144p",
+    ]);
+    expect(plan[1]).toMatchObject({ width: 1280, height: 720 });
+    expect(plan.every((rendition) => rendition.width % 2 === 0)).toBe(true);
+  });
+
+  it("labels portrait video by its short side and never upscales", () => {
+    expect(planHlsRenditions({ width: 1080, height: 1920 })[0]).toMatchObject({
+      quality: "1080p",
+      width: 1080,
+      height: 1920,
+    });
+
+    expect(planHlsRenditions({ width: 160, height: 120 })).toEqual([
+      expect.objectContaining({ quality: "144p", width: 160, height: 120 }),
+    ]);
+  });
+
+  it("reads display size, duration and audio from ffprobe output", () => {
+    const source = readProbeResult({
+      streams: [
+        { codec_type: "video", width: 1920, height: 1080, tags: { rotate: "90" } },
+        { codec_type: "audio" },
+      ],
+      format: { duration: "12.48" },
+    });
+
+    expect(source).toEqual({ width: 1080, height: 1920, durationSeconds: 12.48, hasAudio: true });
+    expect(() => readProbeResult({ streams: [{ codec_type: "audio" }] })).toThrow(/video stream/);
+  });
+
+  it("writes a master playlist pointing at each rendition", () => {
+    const playlist = buildMasterPlaylist([
+      { width: 1280, height: 720, bandwidth: 3208000, playlistUrl: "https://cdn/720p.m3u8" },
+      { width: 854, height: 480, bandwidth: 1636000, playlistUrl: "https://cdn/480p.m3u8" },
+    ]);
+
+    expect(playlist.split("\n")).toEqual([
+      "#EXTM3U",
+      "#EXT-X-VERSION:3",
+      "#EXT-X-STREAM-INF:BANDWIDTH=3208000,RESOLUTION=1280x720",
+      "https://cdn/720p.m3u8",
+      "#EXT-X-STREAM-INF:BANDWIDTH=1636000,RESOLUTION=854x480",
+      "https://cdn/480p.m3u8",
+      "",
+    ]);
+  });
+});
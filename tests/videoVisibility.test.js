@@ -0,0 +1,38 @@
+import {
+  PUBLIC_VIDEO_FILTER,
+  buildViewerVisibleVideoWhere,
+  canViewerOpenVideo,
+  normalizeVideoVisibility,
+} from "../src/utils/videoVisibility.js";
+
+describe("Video visibility", () => {
+  it("normalizes visibility modes and rejects unknown ones", () => {
+    expect(normalizeVideoVisibility("unlisted")).toBe("UNLISTED");
+    expect(normalizeVideoVisibility(undefined, "PUBLIC")).toBe("PUBLIC");
+    expect(normalizeVideoVisibility("")).toBeNull();
+    expect(() => normalizeVideoVisibility("friends")).toThrow("PUBLIC, UNLISTED or PRIVATE");
+  });
+
+  it("lists only public videos", () => {
+    expect(PUBLIC_VIDEO_FILTER).toMatchObject({ isPublished: true, visibility: "PUBLIC" });
+  });
+
+  it("opens public and unlisted videos by link, private ones only for the owner", async () => {
+    const base = { id: "video-1", ownerId: "owner-1" };
+
+    await expect(canViewerOpenVideo({ ...base, visibility: "PUBLIC" }, null)).resolves.toBe(true);
+    await expect(canViewerOpenVideo({ ...base, visibility: "UNLISTED" }, null)).resolves.toBe(true);
+    await expect(canViewerOpenVideo({ ...base, visibility: "PRIVATE" }, "owner-1")).resolves.toBe(true);
+    await expect(canViewerOpenVideo({ ...base, visibility: "PRIVATE" }, null)).resolves.toBe(false);
+  });
+
+  it("only adds owner and share branches for signed-in viewers", () => {
+    expect(buildViewerVisibleVideoWhere(null).OR).toHaveLength(1);
+    expect(buildViewerVisibleVideoWhere("user-1").OR).toEqual(
+      expect.arrayContaining([
+        { ownerId: "user-1" },
+        { shares: { some: { userId: "user-1" } } },
+      ])
+    );
+  });
+});